@@ -0,0 +1,122 @@
+// Cooling Schedule - Temperature schedules for simulated annealing
+//
+// A schedule is a plain object { type, ...params } so it can live in configs and snapshots:
+//   { type: 'exponential' }                       T <- T * coolingRate
+//   { type: 'linear' }                            T0 -> minTemperature over maxSteps
+//   { type: 'logarithmic' }                       Geman-Geman: T0 * ln 2 / ln(k + 2)
+//   { type: 'lundyMees', beta }                   T <- T / (1 + beta T); beta defaults to reaching
+//                                                 minTemperature at maxSteps
+//   { type: 'cosineRestart', period, restartDecay }
+//                                                 cosine from peak to minTemperature every `period`
+//                                                 steps; peak *= restartDecay on each restart
+//   { type: 'piecewise', points: [[step, T], ...] }  linear between points, holds the ends
+
+export class CoolingSchedule {
+    static TYPES = ['exponential', 'linear', 'logarithmic', 'lundyMees', 'cosineRestart', 'piecewise'];
+
+    // Display names for the UI
+    static LABELS = {
+        exponential: 'Exponential',
+        linear: 'Linear',
+        logarithmic: 'Logarithmic (Geman–Geman)',
+        lundyMees: 'Lundy–Mees',
+        cosineRestart: 'Cosine restart',
+        piecewise: 'Piecewise'
+    };
+
+    // Incremental schedules derive the next temperature from the current one, so adaptive
+    // reheating carries over; the others are a function of the step number only
+    static isIncremental(schedule) {
+        return schedule.type === 'exponential' || schedule.type === 'lundyMees';
+    }
+
+    // Temperature for step k (1-based count of completed steps).
+    // context: { temperature, initialTemperature, minTemperature, coolingRate, maxSteps }
+    static temperatureAt(schedule, k, context) {
+        const { temperature, initialTemperature: t0, minTemperature: tMin, coolingRate, maxSteps } = context;
+
+        switch (schedule.type) {
+            case 'exponential':
+                return temperature * coolingRate;
+
+            case 'linear':
+                return t0 - (t0 - tMin) * Math.min(1, k / maxSteps);
+
+            case 'logarithmic':
+                return t0 * Math.LN2 / Math.log(k + 2);
+
+            case 'lundyMees': {
+                const beta = schedule.beta ?? (t0 - tMin) / (maxSteps * t0 * tMin);
+                return temperature / (1 + beta * temperature);
+            }
+
+            case 'cosineRestart': {
+                const period = schedule.period ?? Math.max(1, Math.floor(maxSteps / 4));
+                const cycle = Math.floor(k / period);
+                const phase = (k % period) / period;
+                const peak = t0 * Math.pow(schedule.restartDecay ?? 1, cycle);
+                return tMin + 0.5 * (peak - tMin) * (1 + Math.cos(Math.PI * phase));
+            }
+
+            case 'piecewise':
+                return CoolingSchedule.interpolate(schedule.points, k);
+
+            default:
+                throw new Error(`Unknown cooling schedule: ${schedule.type}`);
+        }
+    }
+
+    // Linear interpolation over [[step, T], ...] sorted by step; constant beyond the ends
+    static interpolate(points, k) {
+        if (k <= points[0][0]) return points[0][1];
+        for (let i = 1; i < points.length; i++) {
+            const [s1, t1] = points[i];
+            if (k <= s1) {
+                const [s0, t0] = points[i - 1];
+                return t0 + (t1 - t0) * (k - s0) / (s1 - s0);
+            }
+        }
+        return points[points.length - 1][1];
+    }
+
+    // Parse "0:10, 5000:1, 10000:0.01" into [[0, 10], [5000, 1], [10000, 0.01]]
+    static parsePoints(text) {
+        return text.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+            const [step, temperature] = pair.split(':').map(Number);
+            return [step, temperature];
+        });
+    }
+
+    // Returns { ok, errors }
+    static validate(schedule) {
+        const errors = [];
+        const isPositive = (v) => typeof v === 'number' && isFinite(v) && v > 0;
+
+        if (!schedule || typeof schedule !== 'object' || !CoolingSchedule.TYPES.includes(schedule.type)) {
+            return { ok: false, errors: [`Cooling schedule type must be one of ${CoolingSchedule.TYPES.join(', ')}`] };
+        }
+
+        if (schedule.type === 'lundyMees' && schedule.beta !== undefined && !isPositive(schedule.beta)) {
+            errors.push('lundyMees beta must be a positive number');
+        }
+        if (schedule.type === 'cosineRestart') {
+            if (schedule.period !== undefined && !(Number.isInteger(schedule.period) && schedule.period > 0)) {
+                errors.push('cosineRestart period must be a positive integer');
+            }
+            if (schedule.restartDecay !== undefined && !isPositive(schedule.restartDecay)) {
+                errors.push('cosineRestart restartDecay must be a positive number');
+            }
+        }
+        if (schedule.type === 'piecewise') {
+            const points = schedule.points;
+            const valid = Array.isArray(points) && points.length > 0 && points.every((p, i) =>
+                Array.isArray(p) && p.length === 2 && Number.isFinite(p[0]) && p[0] >= 0 && isPositive(p[1]) &&
+                (i === 0 || p[0] > points[i - 1][0]));
+            if (!valid) {
+                errors.push('piecewise points must be [step, temperature] pairs with increasing steps and positive temperatures');
+            }
+        }
+
+        return { ok: errors.length === 0, errors };
+    }
+}
@@ -3,6 +3,16 @@
 import { GeometricKernels } from "./geometric-kernels.js";
 
 export class EnhancedEnergySystem {
+  // Terms of calculateEnergy() that split into per-cell energies, by energy weight name
+  static LOCAL_TERMS = [
+    "sharpCorners", "geometricContinuity", "zebraPatterns", "neighborEnergy", "isingEnergy", "boundaryLength",
+    "wallContact",
+  ];
+
+  // Port connectivity constraint: off, soft (penalty per disconnected port group) or hard
+  // (changes that disconnect source/sink ports are rejected)
+  static CONNECTIVITY_MODES = ["off", "soft", "hard"];
+
   constructor(gridSize, config = {}) {
     this.gridSize = gridSize;
     this.config = config;
@@ -18,37 +28,59 @@ export class EnhancedEnergySystem {
       HALF_DIAG_BR_TL: 5, // Bottom-right to top-left
     };
 
-    // Energy weights for 6-state system - area constraint removed, no directional flow
+    // Energy weights for 6-state system - no directional flow
     this.energyWeights = {
       geometricContinuity: 2.5, // Smooth geometric connections
       sharpCorners: 2.0, // Sharp geometric corners
       zebraPatterns: 2.5, // Kernel-based zebra pattern penalties
       neighborEnergy: 2.0, // Neighbor interaction energy (penalizes isolated cells)
       isingEnergy: 1.0, // J1-J2 Ising model energy (ferromagnetic coupling)
+      boundaryLength: 1.0, // Outline length; half cells cut staircase steps from 2 to √2
+      wallContact: 2.0, // Per filled cell side touching a wall boundary marker
+      holesAndIsolation: 2.5, // Per enclosed empty hole and per island apart from the main shape
+      areaConstraint: 5.0, // Per squared cell of area away from areaTarget (soft constraint)
+      portConnectivity: 10.0, // Per source/sink port group not joined to the rest (soft connectivity mode)
     };
 
+    // Target of the soft area constraint, or null when it is off (area-preserving moves keep
+    // the area fixed anyway). See setAreaTarget()
+    this.areaTarget = null;
+
+    // See CONNECTIVITY_MODES and setConnectivityMode()
+    this.connectivityMode = "off";
+
     // Ising model coupling constants (independently tunable)
     this.isingJ1 = 1.0; // Nearest neighbor coupling (4-connected)
     this.isingJ2 = 1.0; // Next-nearest neighbor coupling (diagonal)
 
+    // Scale of the exponential isolation penalty in the neighbor interaction energy
+    this.neighborScale = config.neighborScale || 2.0;
+
     // Initialize kernel system (now includes zebra patterns)
     this.geometricKernels = new GeometricKernels(gridSize);
     this.geometricKernels.debugMode = this.debugMode;
 
+    // Per-cell energy cache, one per GridCore (see getEnergyCache). cacheGeneration is
+    // bumped whenever weights or couplings change, which invalidates every cache
+    this.energyCaches = new WeakMap();
+    this.cacheGeneration = 0;
+    this.localKernelGroups = this.geometricKernels.getLocalKernelGroups();
+    this.localEnergyRadius = this.geometricKernels.getLocalEnergyRadius();
+
+    // Drift check: every driftCheckInterval committed swaps, compare the cached total with
+    // calculateEnergy() and rebuild if they differ by more than driftTolerance (0 = off)
+    this.driftCheckInterval = config.driftCheckInterval ?? (this.debugMode ? 1000 : 0);
+    this.driftTolerance = config.driftTolerance || 1e-6;
+    this.lastDriftCheck = null;
+
     this.log(
       "Enhanced energy system initialized with unified kernel-based detection (directional flow removed)",
     );
   }
 
-  // Calculate total energy with comprehensive kernel-based detection (area constraint removed, no directional flow)
+  // Calculate total energy with comprehensive kernel-based detection (no directional flow)
   calculateEnergy(grid, states) {
-    // Full grid bounding box
-    const fullGridBoundingBox = {
-      minRow: 0,
-      maxRow: this.gridSize - 1,
-      minCol: 0,
-      maxCol: this.gridSize - 1,
-    };
+    const fullGridBoundingBox = this.getFullGridBoundingBox();
 
     // Unified kernel-based geometric energy (corners, continuity, zebra patterns) - directional flow removed
     const geometricEnergy = this.geometricKernels.calculateGeometricEnergy(
@@ -67,7 +99,7 @@ export class EnhancedEnergySystem {
       this.geometricKernels.calculateNeighborInteractionEnergy(
         grid,
         states,
-        2.0, // scale parameter for exponential
+        this.neighborScale, // scale parameter for exponential
         fullGridBoundingBox,
       );
 
@@ -80,15 +112,460 @@ export class EnhancedEnergySystem {
       fullGridBoundingBox,
     );
 
+    // Outline length, with diagonal half cells counting √2
+    const boundaryLength = this.geometricKernels.calculateBoundaryLength(grid, states, fullGridBoundingBox);
+
+    // Filled cell sides pressed against wall markers
+    const wallContact = this.geometricKernels.calculateWallContact(grid, states, fullGridBoundingBox);
+
+    // Count enclosed holes and disconnected islands (connected components), and the
+    // source/sink ports those components leave apart
+    const topology = this.geometricKernels.analyzeTopology(grid, states);
+    const topologyEnergy = topology.holes + topology.islands;
+    const disconnectedPorts = this.countDisconnectedPorts(grid, states, topology.labels);
+
     // Combine energies with weights
     const totalEnergy =
       geometricEnergy +
       neighborInteractionEnergy * this.energyWeights.neighborEnergy +
-      isingEnergy * this.energyWeights.isingEnergy;
+      isingEnergy * this.energyWeights.isingEnergy +
+      boundaryLength * this.energyWeights.boundaryLength +
+      wallContact * this.energyWeights.wallContact +
+      topologyEnergy * this.energyWeights.holesAndIsolation +
+      this.calculateAreaPenalty(this.calculateArea(grid, states)) * this.energyWeights.areaConstraint +
+      this.calculatePortPenalty(disconnectedPorts) * this.energyWeights.portConnectivity;
 
     return totalEnergy;
   }
 
+  // Energy split into its terms, keyed by energy weight name. Each term has its weight and
+  // unweighted/weighted values; corners, continuity and zebra also list their detector
+  // sub-terms, holes and islands their counts, the area constraint the signed deviation and
+  // port connectivity the disconnected port groups. total equals calculateEnergy()
+  calculateEnergyBreakdown(grid, states) {
+    const box = this.getFullGridBoundingBox();
+    const kernels = this.geometricKernels;
+    const corners = kernels.detectCorners(grid, states, box);
+    const topology = kernels.analyzeTopology(grid, states);
+    const continuity = kernels.detectContinuityIssues(grid, states, box);
+    const zebra = kernels.detectZebraPatterns(grid, states, box);
+
+    const term = (type, unweighted, subtermResults = null) => {
+      const weight = this.energyWeights[type];
+      const result = { weight, unweighted, weighted: unweighted * weight };
+      if (subtermResults) {
+        result.subterms = {};
+        for (const [name, detection] of Object.entries(subtermResults)) {
+          result.subterms[name] = { unweighted: detection.score, weighted: detection.score * weight };
+        }
+      }
+      return result;
+    };
+
+    const { horizontal, vertical, diagonal, overall } = continuity;
+    const terms = {
+      sharpCorners: term("sharpCorners", corners.total.score, {
+        lCorners: corners.lCorners,
+        diagonalConflicts: corners.diagonalConflicts,
+        generalCorners: corners.generalCorners,
+      }),
+      geometricContinuity: term("geometricContinuity", continuity.total.score, { horizontal, vertical, diagonal, overall }),
+      zebraPatterns: term("zebraPatterns", zebra.total.score, {
+        horizontal: zebra.horizontal,
+        vertical: zebra.vertical,
+        diagonal: zebra.diagonal,
+        stateSpecific: zebra.stateSpecific,
+      }),
+      neighborEnergy: term("neighborEnergy", kernels.calculateNeighborInteractionEnergy(grid, states, this.neighborScale, box)),
+      isingEnergy: term("isingEnergy", kernels.calculateIsingEnergy(grid, states, this.isingJ1, this.isingJ2, box)),
+      boundaryLength: term("boundaryLength", kernels.calculateBoundaryLength(grid, states, box)),
+      wallContact: term("wallContact", kernels.calculateWallContact(grid, states, box)),
+      holesAndIsolation: term("holesAndIsolation", topology.holes + topology.islands, {
+        holes: { score: topology.holes },
+        islands: { score: topology.islands },
+      }),
+    };
+    const area = this.calculateArea(grid, states);
+    terms.areaConstraint = term("areaConstraint", this.calculateAreaPenalty(area));
+    terms.areaConstraint.deviation = this.areaTarget === null ? 0 : area - this.areaTarget;
+    const disconnectedPorts = this.countDisconnectedPorts(grid, states, topology.labels);
+    terms.portConnectivity = term("portConnectivity", this.calculatePortPenalty(disconnectedPorts));
+    terms.portConnectivity.disconnected = disconnectedPorts;
+
+    const total = Object.values(terms).reduce((sum, t) => sum + t.weighted, 0);
+    return { total, terms };
+  }
+
+  // Total area: 1 per FULL cell, 0.5 per half cell
+  calculateArea(grid, states) {
+    let area = 0;
+    for (const row of grid) {
+      for (const state of row) {
+        area += this.getAreaContribution(state, states);
+      }
+    }
+    return area;
+  }
+
+  // Unweighted soft area constraint: squared deviation from areaTarget, 0 when it is off
+  calculateAreaPenalty(area) {
+    if (this.areaTarget === null) return 0;
+    const deviation = area - this.areaTarget;
+    return deviation * deviation;
+  }
+
+  // Source/sink port groups not joined to the rest (see GeometricKernels.countDisconnectedPorts);
+  // 0 with the constraint off
+  countDisconnectedPorts(grid, states, labels = null) {
+    if (this.connectivityMode === "off") return 0;
+    return this.geometricKernels.countDisconnectedPorts(grid, states, labels);
+  }
+
+  // Unweighted soft connectivity penalty; the hard mode rejects moves instead
+  calculatePortPenalty(disconnectedPorts) {
+    return this.connectivityMode === "soft" ? disconnectedPorts : 0;
+  }
+
+  // Number of enclosed empty holes plus occupied islands apart from the largest component
+  calculateTopologyEnergy(grid, states) {
+    const { holes, islands } = this.geometricKernels.analyzeTopology(grid, states);
+    return holes + islands;
+  }
+
+  // Change in the hole + island count from a swap (state2 moves to cell1, state1 to cell2).
+  // See calculateTopologyChangeDelta()
+  calculateTopologySwapDelta(grid, states, cell1, cell2, state1, state2, before = null) {
+    return this.calculateTopologyChangeDelta(grid, states, [
+      { row: cell1.row, col: cell1.col, state: state2 },
+      { row: cell2.row, col: cell2.col, state: state1 },
+    ], before);
+  }
+
+  // Change in the hole + island count from setting cells to new states ([{ row, col, state }],
+  // applied in order). Changes that keep a cell's occupancy, or that pass
+  // GeometricKernels.isTopologyPreservingChange(), cannot change it; the rest only search the
+  // components around the cell (GeometricKernels.calculateFlipComponentChange). `before` is
+  // the current { holes, islands, occupiedComponents, disconnectedPorts } if known.
+  // Returns { delta, after } with delta the change in holes + islands (after is `before`
+  // when nothing can change)
+  calculateTopologyChangeDelta(grid, states, changes, before = null) {
+    const kernels = this.geometricKernels;
+    const previousStates = changes.map(({ row, col }) => grid[row][col]);
+
+    // Follow the cells one after the other, as they are applied
+    let changed = false;
+    let occupiedChange = 0;
+    let holeChange = 0;
+    let disconnectedPorts = 0;
+    try {
+      for (const { row, col, state } of changes) {
+        if ((grid[row][col] === states.EMPTY) !== (state === states.EMPTY) &&
+            !kernels.isTopologyPreservingChange(grid, states, row, col)) {
+          const change = kernels.calculateFlipComponentChange(grid, states, row, col);
+          occupiedChange += change.occupied;
+          holeChange += change.empty;
+          changed = true;
+        }
+        grid[row][col] = state;
+      }
+      if (changed) {
+        disconnectedPorts = this.countDisconnectedPorts(grid, states);
+      }
+    } finally {
+      for (let i = changes.length - 1; i >= 0; i--) {
+        grid[changes[i].row][changes[i].col] = previousStates[i];
+      }
+    }
+    if (!changed) {
+      return { delta: 0, after: before };
+    }
+
+    const previous = before || this.countTopology(grid, states);
+    const occupiedComponents = previous.occupiedComponents + occupiedChange;
+    const after = {
+      holes: previous.holes + holeChange,
+      islands: Math.max(0, occupiedComponents - 1),
+      occupiedComponents,
+      disconnectedPorts,
+    };
+    return { delta: after.holes + after.islands - (previous.holes + previous.islands), after };
+  }
+
+  // { holes, islands, occupiedComponents, disconnectedPorts } from a full component labelling
+  countTopology(grid, states) {
+    const { holes, islands, occupiedComponents, labels } = this.geometricKernels.analyzeTopology(grid, states);
+    return { holes, islands, occupiedComponents, disconnectedPorts: this.countDisconnectedPorts(grid, states, labels) };
+  }
+
+  // Whether holes/islands or port connectivity can add energy or reject a move; while neither
+  // can, changes skip the topology work (turning one on invalidates the energy caches)
+  hasTopologyTerms() {
+    return this.energyWeights.holesAndIsolation !== 0 ||
+      this.connectivityMode === "hard" ||
+      (this.connectivityMode === "soft" && this.energyWeights.portConnectivity !== 0);
+  }
+
+  getFullGridBoundingBox() {
+    return {
+      minRow: 0,
+      maxRow: this.gridSize - 1,
+      minCol: 0,
+      maxCol: this.gridSize - 1,
+    };
+  }
+
+  // Unweighted energy of one cell for one term (keyed by energy weight name, see
+  // LOCAL_TERMS): its corner, continuity or zebra score, neighbor penalty, half of its
+  // Ising interactions or its share of the outline. Weighted and summed over all terms and cells this equals calculateEnergy()
+  calculateCellTermEnergy(type, grid, states, row, col) {
+    const kernels = this.geometricKernels;
+    switch (type) {
+      case "sharpCorners":
+        return kernels.calculateCellGroupScore(grid, states, this.localKernelGroups.corners, row, col);
+      case "geometricContinuity":
+        return kernels.calculateCellGroupScore(grid, states, this.localKernelGroups.continuity, row, col);
+      case "zebraPatterns":
+        return kernels.calculateCellGroupScore(grid, states, this.localKernelGroups.zebra, row, col);
+      case "neighborEnergy":
+        return kernels.calculateCellNeighborEnergy(grid, states, row, col, this.neighborScale);
+      case "isingEnergy":
+        return kernels.calculateCellIsingEnergy(grid, row, col, this.isingJ1, this.isingJ2);
+      case "boundaryLength":
+        return kernels.calculateCellBoundaryLength(grid, row, col);
+      case "wallContact":
+        return kernels.calculateCellWallContact(grid, row, col);
+      default:
+        throw new Error(`Unknown energy term: ${type}`);
+    }
+  }
+
+  // Weighted energy of one cell over all terms
+  calculateCellEnergy(grid, states, row, col) {
+    let energy = 0;
+    for (const type of EnhancedEnergySystem.LOCAL_TERMS) {
+      energy += this.calculateCellTermEnergy(type, grid, states, row, col) * this.energyWeights[type];
+    }
+    return energy;
+  }
+
+  // Weighted per-cell energies of one term, or of all terms for "total". Rows of Float64Array.
+  // The hole/island cost of each hole or island is shared evenly between its cells, the
+  // area and port connectivity constraints between all cells. With an energy cache (see
+  // getEnergyField) the local terms of "total", the area and the port count come from it
+  calculateEnergyField(grid, states, term = "total", cache = null) {
+    const n = this.gridSize;
+    let globalShare = 0;
+    if (term === "total" || term === "areaConstraint") {
+      const area = cache ? cache.area : this.calculateArea(grid, states);
+      globalShare += (this.calculateAreaPenalty(area) * this.energyWeights.areaConstraint) / (n * n);
+    }
+    if (term === "total" || term === "portConnectivity") {
+      const ports = cache ? cache.topology.disconnectedPorts : this.countDisconnectedPorts(grid, states);
+      globalShare += (this.calculatePortPenalty(ports) * this.energyWeights.portConnectivity) / (n * n);
+    }
+    let topologyShares = null;
+    if (term === "total" || term === "holesAndIsolation") {
+      const { labels, components } = this.geometricKernels.analyzeTopology(grid, states);
+      const weight = this.energyWeights.holesAndIsolation;
+      topologyShares = Array.from(labels, (label) =>
+        components[label].penalized ? weight / components[label].size : 0);
+    }
+
+    return Array.from({ length: n }, (_, row) => {
+      const values = new Float64Array(n);
+      for (let col = 0; col < n; col++) {
+        if (term === "holesAndIsolation") {
+          values[col] = topologyShares[row * n + col];
+        } else if (term === "areaConstraint" || term === "portConnectivity") {
+          values[col] = globalShare;
+        } else if (term === "total") {
+          const local = cache ? cache.energies[row * n + col] : this.calculateCellEnergy(grid, states, row, col);
+          values[col] = local + topologyShares[row * n + col] + globalShare;
+        } else {
+          values[col] = this.calculateCellTermEnergy(term, grid, states, row, col) * this.energyWeights[term];
+        }
+      }
+      return values;
+    });
+  }
+
+  // calculateEnergyField() for a GridCore. Terms the energy cache tracks are read from it,
+  // so during a run the field costs a topology pass rather than a full energy pass
+  getEnergyField(gridCore, term = "total") {
+    const cached = term === "total" || term === "areaConstraint" || term === "portConnectivity";
+    const cache = cached ? this.getEnergyCache(gridCore) : null;
+    return this.calculateEnergyField(gridCore.grid, gridCore.STATES, term, cache);
+  }
+
+  // Per-cell energies of a GridCore, rebuilt when the grid changed outside commitSwap()
+  // or the weights changed. { energies: Float64Array (row-major, local terms), topology:
+  // { holes, islands, occupiedComponents, disconnectedPorts } (not kept up to date while
+  // hasTopologyTerms() is false), area, total (all terms), version, ... }
+  getEnergyCache(gridCore) {
+    const cache = this.energyCaches.get(gridCore);
+    if (
+      cache &&
+      cache.generation === this.cacheGeneration &&
+      cache.version === gridCore.version &&
+      cache.gridSize === gridCore.gridSize
+    ) {
+      return cache;
+    }
+    return this.buildEnergyCache(gridCore);
+  }
+
+  buildEnergyCache(gridCore) {
+    const n = gridCore.gridSize;
+    const energies = new Float64Array(n * n);
+    let total = 0;
+    for (let row = 0; row < n; row++) {
+      for (let col = 0; col < n; col++) {
+        energies[row * n + col] = this.calculateCellEnergy(gridCore.grid, gridCore.STATES, row, col);
+        total += energies[row * n + col];
+      }
+    }
+    const topology = this.countTopology(gridCore.grid, gridCore.STATES);
+    total += (topology.holes + topology.islands) * this.energyWeights.holesAndIsolation;
+    total += this.calculatePortPenalty(topology.disconnectedPorts) * this.energyWeights.portConnectivity;
+    const area = this.calculateArea(gridCore.grid, gridCore.STATES);
+    total += this.calculateAreaPenalty(area) * this.energyWeights.areaConstraint;
+
+    const cache = {
+      gridSize: n,
+      energies,
+      topology,
+      area,
+      total,
+      version: gridCore.version,
+      generation: this.cacheGeneration,
+      commits: 0,
+      pending: null,
+    };
+    this.energyCaches.set(gridCore, cache);
+    return cache;
+  }
+
+  // Energy change of swapping two cells (state2 moves to cell1, state1 to cell2).
+  // See calculateChangeDelta()
+  calculateSwapDelta(gridCore, cell1, cell2, state1, state2) {
+    return this.calculateChangeDelta(gridCore, [
+      { row: cell1.row, col: cell1.col, state: state2 },
+      { row: cell2.row, col: cell2.col, state: state1 },
+    ]);
+  }
+
+  // Energy change of setting cells to new states ([{ row, col, state }]), from the cells
+  // within localEnergyRadius of any of them plus the change in holes and islands, in the
+  // area constraint and in port connectivity. Infinity when the hard connectivity mode
+  // forbids the change. The new cell energies are kept until commitSwap() in case the
+  // change is accepted
+  calculateChangeDelta(gridCore, changes) {
+    const cache = this.getEnergyCache(gridCore);
+    const grid = gridCore.grid;
+    const n = gridCore.gridSize;
+    const r = this.localEnergyRadius;
+
+    const indices = [];
+    const seen = new Set();
+    for (const cell of changes) {
+      for (let row = Math.max(0, cell.row - r); row <= Math.min(n - 1, cell.row + r); row++) {
+        for (let col = Math.max(0, cell.col - r); col <= Math.min(n - 1, cell.col + r); col++) {
+          const index = row * n + col;
+          if (!seen.has(index)) {
+            seen.add(index);
+            indices.push(index);
+          }
+        }
+      }
+    }
+
+    const topology = this.hasTopologyTerms()
+      ? this.calculateTopologyChangeDelta(grid, gridCore.STATES, changes, cache.topology)
+      : { delta: 0, after: cache.topology };
+    const portChange = topology.after.disconnectedPorts - cache.topology.disconnectedPorts;
+    if (this.connectivityMode === "hard" && portChange > 0) {
+      cache.pending = null;
+      return Infinity;
+    }
+
+    const values = new Float64Array(indices.length);
+    let delta = topology.delta * this.energyWeights.holesAndIsolation;
+    delta += this.calculatePortPenalty(portChange) * this.energyWeights.portConnectivity;
+    const previousStates = changes.map(({ row, col }) => grid[row][col]);
+
+    let area = cache.area;
+    changes.forEach(({ state }, i) => {
+      area += this.getAreaContribution(state, gridCore.STATES) - this.getAreaContribution(previousStates[i], gridCore.STATES);
+    });
+    delta += (this.calculateAreaPenalty(area) - this.calculateAreaPenalty(cache.area)) * this.energyWeights.areaConstraint;
+    changes.forEach(({ row, col, state }) => { grid[row][col] = state; });
+    try {
+      indices.forEach((index, i) => {
+        values[i] = this.calculateCellEnergy(grid, gridCore.STATES, Math.floor(index / n), index % n);
+        delta += values[i] - cache.energies[index];
+      });
+    } finally {
+      for (let i = changes.length - 1; i >= 0; i--) {
+        grid[changes[i].row][changes[i].col] = previousStates[i];
+      }
+    }
+
+    cache.pending = { changes, indices, values, delta, topology: topology.after, area };
+    return delta;
+  }
+
+  // Record that the change last passed to calculateSwapDelta() or calculateChangeDelta()
+  // has been applied to the grid
+  commitSwap(gridCore) {
+    const cache = this.energyCaches.get(gridCore);
+    const pending = cache && cache.pending;
+    if (!pending || pending.changes.some(({ row, col, state }) => gridCore.grid[row][col] !== state)) {
+      // Nothing to commit or not the change that was evaluated: rebuild on next use
+      this.energyCaches.delete(gridCore);
+      return;
+    }
+
+    pending.indices.forEach((index, i) => {
+      cache.energies[index] = pending.values[i];
+    });
+    cache.total += pending.delta;
+    cache.topology = pending.topology;
+    cache.area = pending.area;
+    cache.version = gridCore.version;
+    cache.pending = null;
+    cache.commits++;
+
+    if (this.driftCheckInterval > 0 && cache.commits % this.driftCheckInterval === 0) {
+      this.checkEnergyDrift(gridCore);
+    }
+  }
+
+  // Compare the cached total with a full calculateEnergy(); rebuilds the cache on drift.
+  // Returns { commits, cached, actual, drift, rebuilt }, also kept as lastDriftCheck
+  checkEnergyDrift(gridCore) {
+    const cache = this.getEnergyCache(gridCore);
+    const actual = this.calculateEnergy(gridCore.grid, gridCore.STATES);
+    const result = {
+      commits: cache.commits,
+      cached: cache.total,
+      actual,
+      drift: cache.total - actual,
+    };
+    result.rebuilt = Math.abs(result.drift) > this.driftTolerance;
+    this.lastDriftCheck = result;
+
+    this.log(
+      `Energy cache check after ${result.commits} swaps: drift ${result.drift}${result.rebuilt ? "; rebuilding" : ""}`,
+    );
+    if (result.rebuilt) this.buildEnergyCache(gridCore);
+    return result;
+  }
+
+  // Weights or couplings changed: every cached cell energy is stale
+  invalidateEnergyCaches() {
+    this.cacheGeneration++;
+  }
+
   // Helper methods
   isDiagonalState(state) {
     return state >= 2 && state <= 5;
@@ -109,9 +586,35 @@ export class EnhancedEnergySystem {
   // Set energy weights
   setEnergyWeight(type, value) {
     this.energyWeights[type] = value;
+    this.invalidateEnergyCaches();
     this.log(`Energy weight ${type} set to ${value}`);
   }
 
+  // Boundary markers as boundary conditions (GridCore.getBoundaryMarkers() output, or null):
+  // source and sink edges act as occupied cells just outside the grid, wall edges as empty ones
+  setBoundaryMarkers(markers) {
+    this.geometricKernels.setBoundaryRing(markers);
+    this.invalidateEnergyCaches();
+    this.log("Boundary markers set", markers);
+  }
+
+  // Port connectivity constraint mode (see CONNECTIVITY_MODES)
+  setConnectivityMode(mode) {
+    if (!EnhancedEnergySystem.CONNECTIVITY_MODES.includes(mode)) {
+      throw new Error(`Unknown connectivity mode: ${mode}`);
+    }
+    this.connectivityMode = mode;
+    this.invalidateEnergyCaches();
+    this.log(`Connectivity mode set to ${mode}`);
+  }
+
+  // Turn the soft area constraint on with a target area, or off with null
+  setAreaTarget(target) {
+    this.areaTarget = target;
+    this.invalidateEnergyCaches();
+    this.log(`Area target set to ${target}`);
+  }
+
   // Get energy weights
   getEnergyWeights() {
     return { ...this.energyWeights };
@@ -120,11 +623,13 @@ export class EnhancedEnergySystem {
   // Set Ising coupling constants (independently tunable)
   setIsingJ1(value) {
     this.isingJ1 = value;
+    this.invalidateEnergyCaches();
     this.log(`Ising J1 coupling set to ${value}`);
   }
 
   setIsingJ2(value) {
     this.isingJ2 = value;
+    this.invalidateEnergyCaches();
     this.log(`Ising J2 coupling set to ${value}`);
   }
 
@@ -137,6 +642,35 @@ export class EnhancedEnergySystem {
     return this.isingJ2;
   }
 
+  // Export tunable state for snapshots
+  exportState() {
+    return {
+      energyWeights: { ...this.energyWeights },
+      isingJ1: this.isingJ1,
+      isingJ2: this.isingJ2,
+      neighborScale: this.neighborScale,
+      areaTarget: this.areaTarget,
+      connectivityMode: this.connectivityMode,
+    };
+  }
+
+  // Restore state produced by exportState(); undefined fields keep current values
+  importState(state) {
+    if (state.energyWeights) {
+      for (const [type, value] of Object.entries(state.energyWeights)) {
+        this.setEnergyWeight(type, value);
+      }
+    }
+    if (state.isingJ1 !== undefined) this.setIsingJ1(state.isingJ1);
+    if (state.isingJ2 !== undefined) this.setIsingJ2(state.isingJ2);
+    if (state.neighborScale !== undefined) {
+      this.neighborScale = state.neighborScale;
+      this.invalidateEnergyCaches();
+    }
+    if (state.areaTarget !== undefined) this.setAreaTarget(state.areaTarget);
+    if (state.connectivityMode !== undefined) this.setConnectivityMode(state.connectivityMode);
+  }
+
   log(...args) {
     if (this.debugMode) {
       console.log("[EnhancedEnergySystem]", ...args);
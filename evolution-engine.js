@@ -1,16 +1,39 @@
 // Evolution Engine - Evolution algorithms (simulated annealing)
 
+import { SeededRandom } from "./random.js";
+import { CoolingSchedule } from "./cooling-schedule.js";
+
 export class EvolutionEngine {
+  // Relative proposal weights of the built-in move types (see registerMoveType).
+  // flip changes the area and is only used with areaPreservation off
+  static DEFAULT_MOVE_WEIGHTS = {
+    swap: 1,
+    diagonal: 0.5,
+    boundaryShift: 1,
+    kawasaki: 1,
+    clusterTranslation: 0.1,
+    flip: 1,
+  };
+
+  static DIRECTIONS = [[-1, 0], [0, 1], [1, 0], [0, -1]];
+
   constructor(gridSize, config = {}) {
     this.gridSize = gridSize;
     this.config = config;
     this.debugMode = config.debugMode || false;
 
+    // Random source for proposals and Metropolis acceptance.
+    // Inject a shared SeededRandom via config.rng, or seed a private one with config.seed
+    this.rng = config.rng || new SeededRandom(config.seed ?? null);
+
     // Evolution parameters
     this.isRunning = false;
     this.currentStep = 0;
     this.maxSteps = config.maxSteps || 1000;
-    this.evolutionSpeed = config.evolutionSpeed || 2;
+    // Target steps per second for the interactive loop, or "max" (see step-pacer.js)
+    this.stepsPerSecond = config.stepsPerSecond ?? "max";
+    // With areaPreservation off, single-cell flips may change the area; the energy system's
+    // soft area constraint (setAreaTarget) then keeps it near the target
     this.areaPreservation = config.areaPreservation !== false;
 
     // Simulated annealing parameters - use UI temperature as single source of truth
@@ -19,6 +42,43 @@ export class EvolutionEngine {
     this.coolingRate = config.coolingRate || 0.995;
     this.minTemperature = config.minTemperature || 0.001;
 
+    // Cooling schedule ({ type, ...params }, see cooling-schedule.js); exponential uses coolingRate
+    this.coolingSchedule = { type: "exponential" };
+    if (config.coolingSchedule) this.setCoolingSchedule(config.coolingSchedule);
+
+    // Product of adaptive reheat/cool factors, applied on top of step-based schedules
+    this.adaptiveScale = 1;
+
+    // Adaptive cooling: every `interval` steps, reheat when the acceptance rate over the
+    // sliding window is below `lowAcceptance`, cool faster when above `highAcceptance`
+    this.adaptiveCooling = {
+      enabled: true,
+      interval: 100,
+      lowAcceptance: 0.2,
+      highAcceptance: 0.8,
+      reheatFactor: 1.1,
+      coolFactor: 0.95,
+      ...(config.adaptiveCooling || {}),
+    };
+
+    // Sliding window of recent Metropolis decisions (1 = accepted, 0 = rejected)
+    this.acceptanceWindowSize = config.acceptanceWindowSize || 100;
+    this.resetAcceptanceHistory();
+
+    // Move types annealingStep() picks from, with probability proportional to their weight.
+    // Proposed/accepted counts per type are kept in moveStats
+    this.moveTypes = {};
+    this.moveStats = {};
+    this.registerMoveType("swap", (gridCore) => this.proposeAreaPreservingSwap(gridCore));
+    this.registerMoveType("diagonal", (gridCore) => this.proposeDiagonalMove(gridCore));
+    this.registerMoveType("boundaryShift", (gridCore) => this.proposeBoundaryShift(gridCore));
+    this.registerMoveType("kawasaki", (gridCore) => this.proposeKawasakiExchange(gridCore));
+    this.registerMoveType("clusterTranslation", (gridCore) => this.proposeClusterTranslation(gridCore));
+    this.registerMoveType("flip", (gridCore) => this.proposeFlip(gridCore), 0, { preservesArea: false });
+    this.setMoveWeights({ ...EvolutionEngine.DEFAULT_MOVE_WEIGHTS, ...(config.moveWeights || {}) });
+    // Occupied components for cluster translations, keyed by grid version (see getClusters)
+    this.clusterCache = null;
+
     // Evolution state
     this.currentEnergy = 0;
     this.currentCost = 0;
@@ -48,30 +108,32 @@ export class EvolutionEngine {
     }
   }
 
-  // Single step of simulated annealing evolution with area-preserving swaps
+  // Single step of simulated annealing evolution; moves keep the area unless areaPreservation is off
   annealingStep(gridCore, energySystem, states) {
     if (!energySystem) {
       throw new Error("EnergySystem required for annealing step");
     }
 
-    // Area-preserving evolution: swap two cells with different states
-    const swapResult = this.proposeAreaPreservingSwap(gridCore);
-
-    if (!swapResult) {
-      return { accepted: false };
+    // Pick a move type by weight; one with nothing to propose here (or only a change to a
+    // locked cell) falls back to a swap
+    let move = this.chooseMoveType();
+    let changes = this.moveTypes[move].propose(gridCore);
+    if (changes && EvolutionEngine.touchesLockedCell(gridCore, changes)) {
+      changes = null;
+    }
+    if (!changes && move !== "swap") {
+      move = "swap";
+      changes = this.proposeAreaPreservingSwap(gridCore);
     }
 
-    const { cell1, cell2, state1, state2 } = swapResult;
+    if (!changes) {
+      return { accepted: false, move };
+    }
 
-    // Calculate energy difference for the swap
-    const deltaEnergy = this.calculateSwapEnergyDifference(
-      gridCore.grid,
-      energySystem,
-      cell1,
-      cell2,
-      state1,
-      state2,
-      states,
+    // Energy difference for the move, from the energy system's per-cell cache
+    const deltaEnergy = energySystem.calculateChangeDelta(
+      gridCore,
+      changes.map(({ row, col, newState }) => ({ row, col, state: newState })),
     );
 
     // Metropolis acceptance criterion
@@ -83,31 +145,101 @@ export class EvolutionEngine {
     } else {
       // Energy increases - accept with probability
       const probability = Math.exp(-deltaEnergy / this.temperature);
-      acceptChange = Math.random() < probability;
+      acceptChange = this.rng.next() < probability;
     }
+    this.recordAcceptance(acceptChange);
+    this.moveStats[move].proposed++;
 
-    // Apply swap if accepted
+    // Apply the move if accepted
     if (acceptChange) {
-      // Apply the swap
-      gridCore.setCell(cell1.row, cell1.col, state2);
-      gridCore.setCell(cell2.row, cell2.col, state1);
+      for (const { row, col, newState } of changes) {
+        gridCore.setCell(row, col, newState);
+      }
+      energySystem.commitSwap(gridCore);
 
+      this.moveStats[move].accepted++;
       this.currentEnergy += deltaEnergy;
       this.log(
-        `Annealing: accepted swap (${cell1.row},${cell1.col})↔(${cell2.row},${cell2.col}), ΔE=${deltaEnergy.toFixed(3)}, T=${this.temperature.toFixed(4)}`,
+        `Annealing: accepted ${move} of ${changes.length} cells from (${changes[0].row},${changes[0].col}), ΔE=${deltaEnergy.toFixed(3)}, T=${this.temperature.toFixed(4)}`,
       );
-      return {
-        accepted: true,
-        swap: true,
-        cell1,
-        cell2,
-        oldStates: { state1, state2 },
-        newStates: { state1: state2, state2: state1 },
-        deltaEnergy,
-      };
+      return { accepted: true, move, changes, deltaEnergy };
     }
 
-    return { accepted: false };
+    return { accepted: false, move };
+  }
+
+  // Add a move type. propose(gridCore) returns the cells to change as
+  // [{ row, col, state, newState }], or null. Unless options.preservesArea is false the
+  // total area must be unchanged; other types only run with areaPreservation off.
+  // Proposals that change a locked cell (GridCore.isLocked) are dropped
+  registerMoveType(name, propose, weight = 0, options = {}) {
+    this.moveTypes[name] = { propose, weight, preservesArea: options.preservesArea !== false };
+    this.moveStats[name] = { proposed: 0, accepted: 0 };
+  }
+
+  // Update move type weights ({ name: weight }); the rest keep theirs
+  setMoveWeights(weights) {
+    const merged = { ...this.getMoveWeights() };
+    for (const [name, weight] of Object.entries(weights)) {
+      if (!this.moveTypes[name]) {
+        throw new Error(`Unknown move type: ${name}`);
+      }
+      if (typeof weight !== "number" || !(weight >= 0) || !isFinite(weight)) {
+        throw new Error(`Move weight for ${name} must be a non-negative number (got ${weight})`);
+      }
+      merged[name] = weight;
+    }
+    if (!Object.values(merged).some((weight) => weight > 0)) {
+      throw new Error("At least one move type needs a positive weight");
+    }
+    for (const [name, weight] of Object.entries(merged)) {
+      this.moveTypes[name].weight = weight;
+    }
+  }
+
+  getMoveWeights() {
+    return Object.fromEntries(Object.entries(this.moveTypes).map(([name, type]) => [name, type.weight]));
+  }
+
+  // Weighted pick among the types allowed by areaPreservation; swap if none has weight
+  chooseMoveType() {
+    const entries = Object.entries(this.moveTypes).filter(([, type]) =>
+      type.weight > 0 && (type.preservesArea || !this.areaPreservation));
+    if (entries.length === 0) {
+      return "swap";
+    }
+    let r = this.rng.next() * entries.reduce((sum, [, type]) => sum + type.weight, 0);
+    for (const [name, type] of entries) {
+      r -= type.weight;
+      if (r < 0) return name;
+    }
+    return entries[entries.length - 1][0];
+  }
+
+  // Per move type: { weight, proposed, accepted, acceptanceRate } since the last reset
+  getMoveStats() {
+    return Object.fromEntries(Object.entries(this.moveTypes).map(([name, type]) => {
+      const { proposed, accepted } = this.moveStats[name];
+      return [name, { weight: type.weight, proposed, accepted, acceptanceRate: proposed > 0 ? accepted / proposed : null }];
+    }));
+  }
+
+  resetMoveStats() {
+    for (const name of Object.keys(this.moveStats)) {
+      this.moveStats[name] = { proposed: 0, accepted: 0 };
+    }
+  }
+
+  static touchesLockedCell(gridCore, changes) {
+    return gridCore.hasLockedCells() && changes.some(({ row, col }) => gridCore.isLocked(row, col));
+  }
+
+  // Changes that exchange the states of two cells
+  static swapChanges(row1, col1, row2, col2, state1, state2) {
+    return [
+      { row: row1, col: col1, state: state1, newState: state2 },
+      { row: row2, col: col2, state: state2, newState: state1 },
+    ];
   }
 
   // Propose an area-preserving swap between two cells with different states
@@ -126,7 +258,7 @@ export class EvolutionEngine {
     }
 
     // Choose a random non-empty state to swap with empty cells
-    const selectedState = availableStates[Math.floor(Math.random() * availableStates.length)];
+    const selectedState = availableStates[this.rng.nextInt(availableStates.length)];
 
     // Use reservoir sampling for memory-efficient unbiased selection
     const emptyCell = this.selectRandomCellFromState(0, stateInventories['0'], gridCore);
@@ -136,16 +268,182 @@ export class EvolutionEngine {
       return null;
     }
 
-    return {
-      cell1: emptyCell,
-      cell2: occupiedCell,
-      state1: emptyCell.state,
-      state2: occupiedCell.state,
+    return EvolutionEngine.swapChanges(
+      emptyCell.row, emptyCell.col, occupiedCell.row, occupiedCell.col, emptyCell.state, occupiedCell.state,
+    );
+  }
+
+  // Propose trading half a cell of area between two cells: one gives up half its area
+  // (FULL to the half state fitting its neighbours, or a half cell to EMPTY) and one gains
+  // it (EMPTY to its fitting half state, or a half cell to FULL), so the total is unchanged.
+  // Fitted half cells smooth staircase edges; reverting them keeps the move reversible.
+  // Both cells are sampled locally (see sampleUnlockedCell)
+  proposeDiagonalMove(gridCore) {
+    const states = gridCore.STATES;
+    const halfMove = (losing) => (row, col) => {
+      const state = gridCore.grid[row][col];
+      if (gridCore.isHalfState(state)) {
+        return { row, col, state, newState: losing ? states.EMPTY : states.FULL };
+      }
+      if (state !== (losing ? states.FULL : states.EMPTY)) return null;
+      const fit = gridCore.getFittingDiagonalState(row, col);
+      return fit === null ? null : { row, col, state, newState: fit };
     };
+
+    const loser = this.sampleUnlockedCell(gridCore, halfMove(true));
+    const gainer = loser && this.sampleUnlockedCell(gridCore, halfMove(false));
+    if (!gainer || (loser.row === gainer.row && loser.col === gainer.col)) {
+      return null;
+    }
+    return [loser, gainer];
+  }
+
+  // Propose moving the shape's edge by one cell: swap an occupied cell with an empty
+  // 4-neighbour. A random cell and direction are tried until they give such a pair of
+  // unlocked cells, which picks uniformly among all of them
+  proposeBoundaryShift(gridCore) {
+    const grid = gridCore.grid;
+    const empty = gridCore.STATES.EMPTY;
+
+    return this.sampleUnlockedCell(gridCore, (row, col) => {
+      const [dr, dc] = EvolutionEngine.DIRECTIONS[this.rng.nextInt(4)];
+      const neighborRow = row + dr;
+      const neighborCol = col + dc;
+      if (
+        neighborRow < 0 || neighborRow >= this.gridSize ||
+        neighborCol < 0 || neighborCol >= this.gridSize ||
+        (grid[row][col] === empty) === (grid[neighborRow][neighborCol] === empty) ||
+        gridCore.isLocked(neighborRow, neighborCol)
+      ) {
+        return null;
+      }
+      return EvolutionEngine.swapChanges(row, col, neighborRow, neighborCol, grid[row][col], grid[neighborRow][neighborCol]);
+    });
   }
 
-  
-  // Select a random cell from a given state using reservoir sampling
+  // Rejection sampling for local proposals: pick(row, col) is called on random unlocked
+  // cells until it returns a proposal, for up to 8 * gridSize tries (the cells it accepts,
+  // such as those on the shape's edge, can be a small fraction of the grid). Null if none
+  sampleUnlockedCell(gridCore, pick) {
+    for (let attempt = 0; attempt < 8 * this.gridSize; attempt++) {
+      const row = this.rng.nextInt(this.gridSize);
+      const col = this.rng.nextInt(this.gridSize);
+      if (gridCore.isLocked(row, col)) continue;
+      const proposal = pick(row, col);
+      if (proposal) return proposal;
+    }
+    return null;
+  }
+
+  // Propose a Kawasaki exchange: a random cell swaps states with a random 4-neighbour.
+  // Tries up to gridSize cells to find an unlocked pair with different states
+  proposeKawasakiExchange(gridCore) {
+    const grid = gridCore.grid;
+    for (let attempt = 0; attempt < this.gridSize; attempt++) {
+      const row = this.rng.nextInt(this.gridSize);
+      const col = this.rng.nextInt(this.gridSize);
+      const [dr, dc] = EvolutionEngine.DIRECTIONS[this.rng.nextInt(4)];
+      const neighborRow = row + dr;
+      const neighborCol = col + dc;
+      if (
+        neighborRow < 0 || neighborRow >= this.gridSize ||
+        neighborCol < 0 || neighborCol >= this.gridSize ||
+        grid[row][col] === grid[neighborRow][neighborCol] ||
+        gridCore.isLocked(row, col) || gridCore.isLocked(neighborRow, neighborCol)
+      ) {
+        continue;
+      }
+      return EvolutionEngine.swapChanges(row, col, neighborRow, neighborCol, grid[row][col], grid[neighborRow][neighborCol]);
+    }
+    return null;
+  }
+
+  // Propose shifting a random cluster (4-connected occupied component) one cell up, down,
+  // left or right. Every cell it moves into must be empty or its own, inside the grid, and
+  // no cell it changes may be locked
+  proposeClusterTranslation(gridCore) {
+    const grid = gridCore.grid;
+    const empty = gridCore.STATES.EMPTY;
+    const { labels, clusters } = this.getClusters(gridCore);
+    if (clusters.length === 0) {
+      return null;
+    }
+
+    const label = this.rng.nextInt(clusters.length);
+    const [dr, dc] = EvolutionEngine.DIRECTIONS[this.rng.nextInt(4)];
+    const inCluster = (row, col) =>
+      row >= 0 && row < this.gridSize && col >= 0 && col < this.gridSize && labels[row][col] === label;
+
+    // New state per cell index: each cell's state moves to its target, cells left behind empty
+    const newStates = new Map();
+    for (const [row, col] of clusters[label]) {
+      const targetRow = row + dr;
+      const targetCol = col + dc;
+      if (targetRow < 0 || targetRow >= this.gridSize || targetCol < 0 || targetCol >= this.gridSize) {
+        return null;
+      }
+      if (!inCluster(targetRow, targetCol) && grid[targetRow][targetCol] !== empty) {
+        return null;
+      }
+      newStates.set(targetRow * this.gridSize + targetCol, grid[row][col]);
+      if (!inCluster(row - dr, col - dc)) {
+        newStates.set(row * this.gridSize + col, empty);
+      }
+    }
+
+    const changes = [];
+    for (const [index, newState] of newStates) {
+      const row = Math.floor(index / this.gridSize);
+      const col = index % this.gridSize;
+      if (grid[row][col] !== newState) {
+        if (gridCore.isLocked(row, col)) return null;
+        changes.push({ row, col, state: grid[row][col], newState });
+      }
+    }
+    return changes.length > 0 ? changes : null;
+  }
+
+  // Occupied components of a GridCore: { labels, clusters } with clusters[label] the
+  // [row, col] cells of each. Relabelled only when the grid version changes
+  getClusters(gridCore) {
+    const cached = this.clusterCache;
+    if (
+      cached &&
+      cached.gridCore === gridCore &&
+      cached.version === gridCore.version &&
+      cached.labels.length === gridCore.gridSize
+    ) {
+      return cached;
+    }
+
+    const empty = gridCore.STATES.EMPTY;
+    const { labels, sizes } = gridCore.labelComponents((state) => state !== empty);
+    const clusters = sizes.map(() => []);
+    for (let row = 0; row < gridCore.gridSize; row++) {
+      for (let col = 0; col < gridCore.gridSize; col++) {
+        if (labels[row][col] !== -1) clusters[labels[row][col]].push([row, col]);
+      }
+    }
+    this.clusterCache = { gridCore, version: gridCore.version, labels, clusters };
+    return this.clusterCache;
+  }
+
+  // Propose setting a random unlocked cell to a random other state. Changes the area, so
+  // it is only used with areaPreservation off. Tries up to gridSize cells
+  proposeFlip(gridCore) {
+    for (let attempt = 0; attempt < this.gridSize; attempt++) {
+      const row = this.rng.nextInt(this.gridSize);
+      const col = this.rng.nextInt(this.gridSize);
+      if (gridCore.isLocked(row, col)) continue;
+      const state = gridCore.grid[row][col];
+      const stateCount = Object.keys(gridCore.STATES).length;
+      const newState = (state + 1 + this.rng.nextInt(stateCount - 1)) % stateCount;
+      return [{ row, col, state, newState }];
+    }
+    return null;
+  }
+
+  // Select a random unlocked cell from a given state using reservoir sampling
   selectRandomCellFromState(state, stateInventory, gridCore) {
     const totalCells = this.gridSize * this.gridSize;
     // stateInventory already contains the specific state data we need
@@ -158,7 +456,7 @@ export class EvolutionEngine {
       const candidates = [];
       for (let row = 0; row < this.gridSize; row++) {
         for (let col = 0; col < this.gridSize; col++) {
-          if (gridCore.grid[row][col] === state) {
+          if (gridCore.grid[row][col] === state && !gridCore.isLocked(row, col)) {
             candidates.push({ row, col, state });
           }
         }
@@ -169,7 +467,7 @@ export class EvolutionEngine {
       }
 
       // Fisher-Yates shuffle for unbiased selection
-      const randomIndex = Math.floor(Math.random() * candidates.length);
+      const randomIndex = this.rng.nextInt(candidates.length);
       return candidates[randomIndex];
     }
 
@@ -183,11 +481,11 @@ export class EvolutionEngine {
 
     // Shuffle rows and columns for unbiased traversal
     for (let i = rows.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = this.rng.nextInt(i + 1);
       [rows[i], rows[j]] = [rows[j], rows[i]];
     }
     for (let i = cols.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = this.rng.nextInt(i + 1);
       [cols[i], cols[j]] = [cols[j], cols[i]];
     }
 
@@ -197,14 +495,14 @@ export class EvolutionEngine {
 
     for (const row of rows) {
       for (const col of cols) {
-        if (gridCore.grid[row][col] === state) {
+        if (gridCore.grid[row][col] === state && !gridCore.isLocked(row, col)) {
           itemCount++;
 
           if (reservoir.length < reservoirSize) {
             reservoir.push({ row, col, state });
           } else {
             // Replace random item in reservoir with probability 1/k
-            const replaceIndex = Math.floor(Math.random() * itemCount);
+            const replaceIndex = this.rng.nextInt(itemCount);
             if (replaceIndex < reservoirSize) {
               reservoir[replaceIndex] = { row, col, state };
             }
@@ -218,11 +516,13 @@ export class EvolutionEngine {
     }
 
     // Select uniformly from reservoir
-    const randomIndex = Math.floor(Math.random() * reservoir.length);
+    const randomIndex = this.rng.nextInt(reservoir.length);
     return reservoir[randomIndex];
   }
 
-  // Calculate energy difference for a swap operation - optimized with two bounding boxes
+  // Calculate energy difference for a swap operation - optimized with two bounding boxes.
+  // Kernels near a box edge see only part of their neighbourhood, so this is an estimate;
+  // annealingStep() uses the exact EnhancedEnergySystem.calculateSwapDelta() instead
   calculateSwapEnergyDifference(
     grid,
     energySystem,
@@ -259,11 +559,6 @@ export class EvolutionEngine {
       // Overlapping case: use combined bounding box (original approach)
       const combinedBox = this.combineBoundingBoxes(box1, box2);
 
-      // Create temporary grid with the swap applied
-      const tempGrid = grid.map((r) => [...r]);
-      tempGrid[cell1.row][cell1.col] = state2;
-      tempGrid[cell2.row][cell2.col] = state1;
-
       // Calculate old energies (geometric + neighbor)
       const oldGeometric = energySystem.geometricKernels.calculateGeometricEnergy(
         grid,
@@ -279,28 +574,29 @@ export class EvolutionEngine {
       const oldNeighbor = energySystem.geometricKernels.calculateNeighborInteractionEnergy(
         grid,
         states,
-        2.0,
-        combinedBox
-      );
-
-      // Calculate new energies (geometric + neighbor)
-      const newGeometric = energySystem.geometricKernels.calculateGeometricEnergy(
-        tempGrid,
-        states,
-        {
-          corners: energySystem.energyWeights.sharpCorners,
-          continuity: energySystem.energyWeights.geometricContinuity,
-          zebra: energySystem.energyWeights.zebraPatterns,
-        },
+        energySystem.neighborScale,
         combinedBox
       );
 
-      const newNeighbor = energySystem.geometricKernels.calculateNeighborInteractionEnergy(
-        tempGrid,
-        states,
-        2.0,
-        combinedBox
-      );
+      // Calculate new energies (geometric + neighbor) with the swap applied in place
+      const [newGeometric, newNeighbor] = this.withSwapApplied(grid, cell1, cell2, state1, state2, () => [
+        energySystem.geometricKernels.calculateGeometricEnergy(
+          grid,
+          states,
+          {
+            corners: energySystem.energyWeights.sharpCorners,
+            continuity: energySystem.energyWeights.geometricContinuity,
+            zebra: energySystem.energyWeights.zebraPatterns,
+          },
+          combinedBox
+        ),
+        energySystem.geometricKernels.calculateNeighborInteractionEnergy(
+          grid,
+          states,
+          energySystem.neighborScale,
+          combinedBox
+        ),
+      ]);
 
       // Calculate delta with neighbor weight
       const neighborWeight = energySystem.energyWeights.neighborEnergy;
@@ -328,9 +624,41 @@ export class EvolutionEngine {
       );
     }
 
+    // The outline only changes next to the swapped cells, well inside the boxes
+    const outlineBoxes = boxesOverlap ? [this.combineBoundingBoxes(box1, box2)] : [box1, box2];
+    const outline = () => outlineBoxes.reduce(
+      (sum, box) => sum + energySystem.geometricKernels.calculateBoundaryLength(grid, states, box), 0);
+    const oldOutline = outline();
+    const newOutline = this.withSwapApplied(grid, cell1, cell2, state1, state2, outline);
+    deltaEnergy += (newOutline - oldOutline) * energySystem.energyWeights.boundaryLength;
+
+    // Likewise wall contact, which only edge cells have
+    const walls = () => outlineBoxes.reduce(
+      (sum, box) => sum + energySystem.geometricKernels.calculateWallContact(grid, states, box), 0);
+    const oldWalls = walls();
+    const newWalls = this.withSwapApplied(grid, cell1, cell2, state1, state2, walls);
+    deltaEnergy += (newWalls - oldWalls) * energySystem.energyWeights.wallContact;
+
+    // Holes and islands are not local to either box
+    const topology = energySystem.calculateTopologySwapDelta(grid, states, cell1, cell2, state1, state2);
+    deltaEnergy += topology.delta * energySystem.energyWeights.holesAndIsolation;
+
     return deltaEnergy;
   }
 
+  // Run fn() with cell1/cell2 swapped in the grid (state2 at cell1, state1 at cell2),
+  // then put the original states back, even if fn() throws. Avoids copying the grid
+  withSwapApplied(grid, cell1, cell2, state1, state2, fn) {
+    grid[cell1.row][cell1.col] = state2;
+    grid[cell2.row][cell2.col] = state1;
+    try {
+      return fn();
+    } finally {
+      grid[cell1.row][cell1.col] = state1;
+      grid[cell2.row][cell2.col] = state2;
+    }
+  }
+
   // Check if two bounding boxes overlap
   boundingBoxesOverlap(box1, box2) {
     return !(box1.maxRow < box2.minRow || box2.maxRow < box1.minRow ||
@@ -351,11 +679,6 @@ export class EvolutionEngine {
   calculateSeparateEnergyDifferences(
     grid, energySystem, cell1, cell2, state1, state2, states, box1, box2
   ) {
-    // Create temporary grid with the swap applied
-    const tempGrid = grid.map((r) => [...r]);
-    tempGrid[cell1.row][cell1.col] = state2;
-    tempGrid[cell2.row][cell2.col] = state1;
-
     const energyWeights = {
       corners: energySystem.energyWeights.sharpCorners,
       continuity: energySystem.energyWeights.geometricContinuity,
@@ -369,14 +692,7 @@ export class EvolutionEngine {
       grid, states, energyWeights, box1
     );
     const oldNeighbor1 = energySystem.geometricKernels.calculateNeighborInteractionEnergy(
-      grid, states, 2.0, box1
-    );
-
-    const newGeometric1 = energySystem.geometricKernels.calculateGeometricEnergy(
-      tempGrid, states, energyWeights, box1
-    );
-    const newNeighbor1 = energySystem.geometricKernels.calculateNeighborInteractionEnergy(
-      tempGrid, states, 2.0, box1
+      grid, states, energySystem.neighborScale, box1
     );
 
     // Calculate energy difference for box2 (geometric + neighbor)
@@ -384,14 +700,17 @@ export class EvolutionEngine {
       grid, states, energyWeights, box2
     );
     const oldNeighbor2 = energySystem.geometricKernels.calculateNeighborInteractionEnergy(
-      grid, states, 2.0, box2
+      grid, states, energySystem.neighborScale, box2
     );
 
-    const newGeometric2 = energySystem.geometricKernels.calculateGeometricEnergy(
-      tempGrid, states, energyWeights, box2
-    );
-    const newNeighbor2 = energySystem.geometricKernels.calculateNeighborInteractionEnergy(
-      tempGrid, states, 2.0, box2
+    // New energies for both boxes with the swap applied in place
+    const [newGeometric1, newNeighbor1, newGeometric2, newNeighbor2] = this.withSwapApplied(
+      grid, cell1, cell2, state1, state2, () => [
+        energySystem.geometricKernels.calculateGeometricEnergy(grid, states, energyWeights, box1),
+        energySystem.geometricKernels.calculateNeighborInteractionEnergy(grid, states, energySystem.neighborScale, box1),
+        energySystem.geometricKernels.calculateGeometricEnergy(grid, states, energyWeights, box2),
+        energySystem.geometricKernels.calculateNeighborInteractionEnergy(grid, states, energySystem.neighborScale, box2),
+      ]
     );
 
     // Calculate Ising energy difference (using efficient local calculation)
@@ -418,8 +737,15 @@ export class EvolutionEngine {
 
   // Temperature cooling schedule
   coolTemperature() {
-    // Exponential cooling
-    this.temperature *= this.coolingRate;
+    const schedule = this.coolingSchedule;
+    const scheduled = CoolingSchedule.temperatureAt(schedule, this.currentStep + 1, {
+      temperature: this.temperature,
+      initialTemperature: this.initialTemperature,
+      minTemperature: this.minTemperature,
+      coolingRate: this.coolingRate,
+      maxSteps: this.maxSteps,
+    });
+    this.temperature = CoolingSchedule.isIncremental(schedule) ? scheduled : scheduled * this.adaptiveScale;
 
     // Ensure minimum temperature
     if (this.temperature < this.minTemperature) {
@@ -427,23 +753,89 @@ export class EvolutionEngine {
     }
 
     // Adaptive cooling based on acceptance rate
-    if (this.currentStep > 0 && this.currentStep % 100 === 0) {
+    const adaptive = this.adaptiveCooling;
+    if (adaptive.enabled && this.acceptanceCount > 0 &&
+        this.currentStep > 0 && this.currentStep % adaptive.interval === 0) {
       const recentAcceptanceRate = this.calculateRecentAcceptanceRate();
-      if (recentAcceptanceRate < 0.2) {
+      if (recentAcceptanceRate < adaptive.lowAcceptance) {
         // Too few acceptances - heat up slightly
-        this.temperature *= 1.1;
-      } else if (recentAcceptanceRate > 0.8) {
+        this.temperature *= adaptive.reheatFactor;
+        this.adaptiveScale *= adaptive.reheatFactor;
+        this.log(`Adaptive cooling: acceptance ${recentAcceptanceRate.toFixed(2)}, reheating to T=${this.temperature.toFixed(4)}`);
+      } else if (recentAcceptanceRate > adaptive.highAcceptance) {
         // Too many acceptances - cool faster
-        this.temperature *= 0.95;
+        this.temperature *= adaptive.coolFactor;
+        this.adaptiveScale *= adaptive.coolFactor;
+        this.log(`Adaptive cooling: acceptance ${recentAcceptanceRate.toFixed(2)}, cooling to T=${this.temperature.toFixed(4)}`);
       }
     }
   }
 
-  // Calculate recent acceptance rate (simple version)
+  // Select a cooling schedule ({ type, ...params }); throws on invalid schedules
+  setCoolingSchedule(schedule) {
+    const validation = CoolingSchedule.validate(schedule);
+    if (!validation.ok) {
+      throw new Error(`Invalid cooling schedule: ${validation.errors.join("; ")}`);
+    }
+    this.coolingSchedule = structuredClone(schedule);
+    this.log("Cooling schedule set to", this.coolingSchedule);
+  }
+
+  // Record one Metropolis decision in the sliding acceptance window (ring buffer)
+  recordAcceptance(accepted) {
+    if (this.acceptanceCount === this.acceptanceWindowSize) {
+      this.acceptedInWindow -= this.acceptanceWindow[this.acceptanceIndex];
+    } else {
+      this.acceptanceCount++;
+    }
+    this.acceptanceWindow[this.acceptanceIndex] = accepted ? 1 : 0;
+    this.acceptedInWindow += accepted ? 1 : 0;
+    this.acceptanceIndex = (this.acceptanceIndex + 1) % this.acceptanceWindowSize;
+  }
+
+  resetAcceptanceHistory() {
+    this.acceptanceWindow = new Uint8Array(this.acceptanceWindowSize);
+    this.acceptanceIndex = 0;
+    this.acceptanceCount = 0;
+    this.acceptedInWindow = 0;
+  }
+
+  setAcceptanceWindowSize(size) {
+    this.acceptanceWindowSize = Math.max(1, Math.floor(size));
+    this.resetAcceptanceHistory();
+  }
+
+  // Fraction of accepted proposals over the sliding window (0 before any proposal)
   calculateRecentAcceptanceRate() {
-    // For now, return a reasonable estimate
-    // In a full implementation, you'd track actual acceptance history
-    return 0.4; // Placeholder
+    return this.acceptanceCount > 0 ? this.acceptedInWindow / this.acceptanceCount : 0;
+  }
+
+  // Sliding window contents and per-type move counts, for handing the run over between threads
+  exportAcceptanceHistory() {
+    return {
+      window: Array.from(this.acceptanceWindow),
+      index: this.acceptanceIndex,
+      count: this.acceptanceCount,
+      accepted: this.acceptedInWindow,
+      moves: structuredClone(this.moveStats),
+    };
+  }
+
+  importAcceptanceHistory(history) {
+    this.acceptanceWindowSize = history.window.length;
+    this.acceptanceWindow = Uint8Array.from(history.window);
+    this.acceptanceIndex = history.index;
+    this.acceptanceCount = history.count;
+    this.acceptedInWindow = history.accepted;
+    for (const [name, counts] of Object.entries(history.moves || {})) {
+      if (this.moveStats[name]) this.moveStats[name] = { ...counts };
+    }
+  }
+
+  // Update adaptive cooling settings (enabled, interval, thresholds, factors)
+  setAdaptiveCooling(settings) {
+    this.adaptiveCooling = { ...this.adaptiveCooling, ...settings };
+    this.log("Adaptive cooling settings:", this.adaptiveCooling);
   }
 
   // Check if annealing should terminate
@@ -495,10 +887,13 @@ export class EvolutionEngine {
     this.currentCost = 0;
     this.costHistory = [];
     this.temperature = this.initialTemperature;
+    this.adaptiveScale = 1;
+    this.resetAcceptanceHistory();
+    this.resetMoveStats();
   }
 
-  setEvolutionSpeed(speed) {
-    this.evolutionSpeed = speed;
+  setStepsPerSecond(stepsPerSecond) {
+    this.stepsPerSecond = stepsPerSecond;
   }
 
   setMaxSteps(maxSteps) {
@@ -521,6 +916,64 @@ export class EvolutionEngine {
     this.log(`Annealing parameter ${param} set to ${value}`);
   }
 
+  // Export annealing parameters and run progress for snapshots
+  exportState() {
+    return {
+      maxSteps: this.maxSteps,
+      stepsPerSecond: this.stepsPerSecond,
+      areaPreservation: this.areaPreservation,
+      moveWeights: this.getMoveWeights(),
+      temperature: this.temperature,
+      initialTemperature: this.initialTemperature,
+      coolingRate: this.coolingRate,
+      minTemperature: this.minTemperature,
+      currentStep: this.currentStep,
+      currentEnergy: this.currentEnergy,
+      currentCost: this.currentCost,
+      costHistory: [...this.costHistory],
+      adaptiveCooling: { ...this.adaptiveCooling },
+      coolingSchedule: structuredClone(this.coolingSchedule),
+      adaptiveScale: this.adaptiveScale,
+    };
+  }
+
+  // Restore state produced by exportState(); undefined fields keep current values
+  importState(state) {
+    const fields = [
+      "maxSteps", "stepsPerSecond", "areaPreservation", "temperature",
+      "initialTemperature", "coolingRate", "minTemperature",
+      "currentStep", "currentEnergy", "currentCost", "adaptiveScale",
+    ];
+    for (const field of fields) {
+      if (state[field] !== undefined) this[field] = state[field];
+    }
+    // Older snapshots only carry the current temperature
+    if (state.initialTemperature === undefined && state.temperature !== undefined) {
+      this.initialTemperature = state.temperature;
+    }
+    if (Array.isArray(state.costHistory)) this.costHistory = [...state.costHistory];
+    if (state.adaptiveCooling) this.setAdaptiveCooling(state.adaptiveCooling);
+    if (state.coolingSchedule) this.setCoolingSchedule(state.coolingSchedule);
+    if (state.moveWeights) this.importMoveWeights(state.moveWeights);
+    this.log("Evolution state imported at step", this.currentStep);
+  }
+
+  // Move weights from exportState(). Types the exporting engine added with registerMoveType()
+  // may not exist here: their weights are skipped, and the current weights are kept if
+  // skipping them would leave no type with a positive weight
+  importMoveWeights(weights) {
+    const known = Object.fromEntries(Object.entries(weights).filter(([name]) => this.moveTypes[name]));
+    const skipped = Object.keys(weights).filter((name) => !this.moveTypes[name]);
+    if (skipped.length > 0) {
+      this.log("Skipping weights of unknown move types:", skipped);
+    }
+    if (!Object.values({ ...this.getMoveWeights(), ...known }).some((weight) => weight > 0)) {
+      this.log("Imported move weights leave no move type enabled; keeping the current ones");
+      return;
+    }
+    this.setMoveWeights(known);
+  }
+
   resetTemperature() {
     this.temperature = this.initialTemperature;
     this.log("Temperature reset to initial value:", this.temperature);
@@ -0,0 +1,261 @@
+// Evolution Worker - Runs the annealing loop in a dedicated Web Worker
+//
+// The main thread keeps its own copy of the grid for rendering and editing. It sends the
+// full state once and the worker runs many steps per message, posting back only the
+// cells that changed plus sampled energies:
+//
+//   main -> worker  { type: "init", runId, snapshot }      SnapshotSerializer.capture() output
+//                   { type: "start", budgetMs, batchSize, sampleInterval }
+//                   { type: "pause" }
+//                   { type: "call", target, method, args }  target: "energySystem" | "evolutionEngine"
+//                   { type: "setCells", changes: [[row, col, state], ...] }
+//                   { type: "setLocks", cells: [[row, col], ...] }          the full lock mask
+//   worker -> main  { type: "progress", runId, changes, samples, engine, acceptance }
+//                   { type: "stopped", runId, reason, changes, engine, acceptance, rng }
+//
+// Each batch runs for up to budgetMs (and at most batchSize steps), paced to the engine's
+// stepsPerSecond target. reason is "paused" or "terminated" (annealing criteria, including
+// maxSteps). Messages carry the runId of the init they belong to so the main thread can
+// drop ones from an abandoned run.
+
+import { GridCore } from "./grid-core.js";
+import { EnhancedEnergySystem } from "./enhanced-energy-system.js";
+import { EvolutionEngine } from "./evolution-engine.js";
+import { SnapshotSerializer } from "./snapshot.js";
+import { SeededRandom } from "./random.js";
+import { StepPacer } from "./step-pacer.js";
+
+export class EvolutionWorkerLoop {
+  // post(message) delivers a message to the main thread
+  constructor(post, config = {}) {
+    this.post = post;
+    this.debugMode = config.debugMode || false;
+
+    this.runId = null;
+    this.running = false;
+    this.timer = null;
+    this.pacer = new StepPacer({ budgetMs: 50 });
+    this.batchSize = 20000;
+    this.sampleInterval = 10;
+    // Cells set by the main thread, echoed in the next message so late diffs cannot undo them
+    this.pendingChanges = [];
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case "init":
+        this.init(message.snapshot, message.runId);
+        break;
+      case "start":
+        this.start(message);
+        break;
+      case "pause":
+        this.stop("paused");
+        break;
+      case "call":
+        this.call(message.target, message.method, message.args || []);
+        break;
+      case "setCells":
+        this.setCells(message.changes);
+        break;
+      case "setLocks":
+        this.gridCore.setLockedCells(message.cells);
+        break;
+      default:
+        this.log("Unknown message type:", message.type);
+    }
+  }
+
+  // Rebuild the components from a snapshot; any batch in flight belongs to the old run
+  init(snapshot, runId = null) {
+    this.cancelTimer();
+    this.running = false;
+    this.runId = runId;
+    this.pendingChanges = [];
+
+    const gridSize = snapshot.gridCore.gridSize;
+    this.rng = new SeededRandom();
+    this.gridCore = new GridCore(gridSize, { rng: this.rng });
+    this.energySystem = new EnhancedEnergySystem(gridSize, { debugMode: this.debugMode });
+    this.evolutionEngine = new EvolutionEngine(gridSize, { rng: this.rng, debugMode: this.debugMode });
+    SnapshotSerializer.restore(snapshot, this.gridCore, this.energySystem, this.evolutionEngine);
+    if (snapshot.acceptance) {
+      this.evolutionEngine.importAcceptanceHistory(snapshot.acceptance);
+    }
+
+    this.recalculateEnergy();
+    this.log(`Initialized run ${runId} at step ${this.evolutionEngine.currentStep}`);
+  }
+
+  start({ budgetMs, batchSize, sampleInterval } = {}) {
+    if (!this.gridCore) {
+      throw new Error("Evolution worker started before init");
+    }
+    if (budgetMs) this.pacer.budgetMs = budgetMs;
+    if (batchSize) this.batchSize = Math.max(1, batchSize);
+    if (sampleInterval) this.sampleInterval = Math.max(1, sampleInterval);
+    this.running = true;
+    this.pacer.reset();
+    this.scheduleBatch();
+  }
+
+  // Queue the next batch behind any pause/call messages; a paced run waits a frame
+  // so the steps it owes can accumulate
+  scheduleBatch() {
+    this.cancelTimer();
+    const delay = this.evolutionEngine.stepsPerSecond === StepPacer.MAX ? 0 : 16;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      if (this.running) this.runBatch();
+    }, delay);
+  }
+
+  cancelTimer() {
+    if (this.timer !== null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // One budget's worth of steps, one progress message, then the next batch or a stop
+  runBatch() {
+    const engine = this.evolutionEngine;
+    const before = this.gridCore.grid.map((row) => [...row]);
+    const samples = [];
+    let terminated = false;
+
+    const count = this.pacer.run(engine.stepsPerSecond, () => {
+      terminated = this.step();
+      if (terminated || engine.currentStep % this.sampleInterval === 0) {
+        samples.push({ step: engine.currentStep, energy: engine.currentEnergy, temperature: engine.temperature });
+      }
+      return !terminated;
+    }, this.batchSize);
+
+    // Nothing owed yet at a low target rate
+    if (count === 0 && this.pendingChanges.length === 0) {
+      if (this.running) this.scheduleBatch();
+      return;
+    }
+
+    this.post({
+      type: "progress",
+      runId: this.runId,
+      changes: [...this.takePendingChanges(), ...EvolutionWorkerLoop.diffGrids(before, this.gridCore.grid)],
+      samples,
+      engine: this.engineSummary(),
+      acceptance: engine.exportAcceptanceHistory(),
+    });
+
+    if (terminated) {
+      this.stop("terminated");
+    } else if (this.running) {
+      this.scheduleBatch();
+    }
+  }
+
+  // Single annealing step, mirroring GridEvolution.evolveStep(). Returns true on termination
+  step() {
+    const engine = this.evolutionEngine;
+    engine.annealingStep(this.gridCore, this.energySystem, this.gridCore.STATES);
+    engine.coolTemperature();
+
+    engine.costHistory.push(engine.currentEnergy);
+    if (engine.costHistory.length > 1000) {
+      engine.costHistory.shift();
+    }
+
+    const terminated = engine.shouldTerminateAnnealing();
+    engine.currentStep++;
+    return terminated;
+  }
+
+  // Stop running and hand the full engine and random state back to the main thread
+  stop(reason) {
+    this.cancelTimer();
+    this.running = false;
+    if (!this.gridCore) return;
+
+    this.post({
+      type: "stopped",
+      runId: this.runId,
+      reason,
+      changes: this.takePendingChanges(),
+      engine: this.evolutionEngine.exportState(),
+      acceptance: this.evolutionEngine.exportAcceptanceHistory(),
+      rng: this.rng.exportState(),
+    });
+    this.log(`Run ${this.runId} stopped (${reason}) at step ${this.evolutionEngine.currentStep}`);
+  }
+
+  // Apply a setter the main thread just applied to its own copy (weights, couplings,
+  // annealing parameters). Energy is recalculated since weights may have changed
+  call(target, method, args) {
+    const component = { energySystem: this.energySystem, evolutionEngine: this.evolutionEngine }[target];
+    if (!component || typeof component[method] !== "function") {
+      throw new Error(`Unknown worker call: ${target}.${method}`);
+    }
+    component[method](...args);
+    if (target === "energySystem") {
+      this.recalculateEnergy();
+    }
+  }
+
+  // Cells edited on the main thread while running
+  setCells(changes) {
+    for (const [row, col, state] of changes) {
+      this.gridCore.setCell(row, col, state);
+    }
+    this.pendingChanges.push(...changes);
+    this.recalculateEnergy();
+  }
+
+  takePendingChanges() {
+    const changes = this.pendingChanges;
+    this.pendingChanges = [];
+    return changes;
+  }
+
+  recalculateEnergy() {
+    const engine = this.evolutionEngine;
+    engine.currentEnergy = this.energySystem.calculateEnergy(this.gridCore.grid, this.gridCore.STATES);
+    engine.currentCost = engine.currentEnergy;
+  }
+
+  // Scalar engine state shown by the UI while running
+  engineSummary() {
+    const engine = this.evolutionEngine;
+    return {
+      currentStep: engine.currentStep,
+      temperature: engine.temperature,
+      currentEnergy: engine.currentEnergy,
+      currentCost: engine.currentCost,
+      adaptiveScale: engine.adaptiveScale,
+    };
+  }
+
+  // [[row, col, state], ...] for every cell that differs
+  static diffGrids(before, after) {
+    const changes = [];
+    for (let row = 0; row < after.length; row++) {
+      for (let col = 0; col < after[row].length; col++) {
+        if (before[row][col] !== after[row][col]) {
+          changes.push([row, col, after[row][col]]);
+        }
+      }
+    }
+    return changes;
+  }
+
+  log(...args) {
+    if (this.debugMode) {
+      console.log("[EvolutionWorker]", ...args);
+    }
+  }
+}
+
+// Inside a worker: wire the loop to the message channel
+if (typeof WorkerGlobalScope !== "undefined" && self instanceof WorkerGlobalScope) {
+  const loop = new EvolutionWorkerLoop((message) => self.postMessage(message));
+  self.onmessage = (event) => loop.handleMessage(event.data);
+}
@@ -3,11 +3,32 @@
  * Modular kernel-based approach for detecting unwanted geometric features
  */
 
+import { GridCore } from "./grid-core.js";
+
 export class GeometricKernels {
+  // Ring cell value for each marker role (see GridCore.MARKER_ROLES); free markers leave no ring
+  static RING_STATES = { source: 1, sink: 1, wall: 0 };
+
+  // Seed standing for everything outside the grid in countSeedComponents(): every empty
+  // cell on the border touches it, so empty components touching the border are one
+  static OUTSIDE = -1;
+
   constructor(gridSize) {
     this.gridSize = gridSize;
     this.debugMode = false;
 
+    // Boundary markers (GridCore.getBoundaryMarkers() format) and the ring of virtual cells
+    // just outside the grid they define; see setBoundaryRing()
+    this.boundaryMarkers = null;
+    this.boundaryRing = null;
+    this.wallRing = null;
+
+    // Scratch space for countSeedComponents(): a cell was visited in the current search
+    // when searchMark[index] === searchStamp, by the search searchOwner[index]
+    this.searchMark = null;
+    this.searchOwner = null;
+    this.searchStamp = 0;
+
     // Initialize all kernel systems
     this.cornerKernels = this.initializeCornerKernels();
     this.continuityKernels = this.initializeContinuityKernels();
@@ -269,6 +290,7 @@ export class GeometricKernels {
    * @param {number} kCenterCol - Kernel center column
    * @param {number} row - Grid row to calculate convolution for
    * @param {number} col - Grid column to calculate convolution for
+   * @param {boolean} withRing - Read cells just outside the grid from the boundary ring
    * @returns {number} - Convolution response
    */
   #calculateConvolutionResponse(
@@ -278,6 +300,7 @@ export class GeometricKernels {
     kCenterCol,
     row,
     col,
+    withRing = false,
   ) {
     const kHeight = kernel.length;
     const kWidth = kernel[0].length;
@@ -290,6 +313,11 @@ export class GeometricKernels {
         if (gr >= 0 && gr < this.gridSize && gc >= 0 && gc < this.gridSize) {
           const gridValue = this.getCellGridValue(grid[gr][gc]);
           response += gridValue * kernel[kr][kc];
+        } else if (withRing) {
+          const ringState = this.getRingState(gr, gc);
+          if (ringState !== null) {
+            response += this.getCellGridValue(ringState) * kernel[kr][kc];
+          }
         }
       }
     }
@@ -303,9 +331,11 @@ export class GeometricKernels {
    * @param {Object} boundingBox - Optional bounding box {minRow, maxRow, minCol, maxCol}
    * @param {Function} postProcessor - Optional function to post-process convolution response
    *                                    Signature: (response, row, col, grid) => processedValue
+   * @param {boolean} withRing - Read cells just outside the grid from the boundary ring
+   *                             (only for grids of cell states)
    * @returns {Array<Array<number>>} - Convolution result
    */
-  applyKernel(grid, kernelInfo, boundingBox = null, postProcessor = null) {
+  applyKernel(grid, kernelInfo, boundingBox = null, postProcessor = null, withRing = false) {
     const kernel = kernelInfo.kernel;
     const kHeight = kernel.length;
     const kWidth = kernel[0].length;
@@ -333,6 +363,7 @@ export class GeometricKernels {
           kCenterCol,
           row,
           col,
+          withRing,
         );
         // Apply post-processor if provided, otherwise use raw response
         result[row][col] = postProcessor ? postProcessor(response, row, col, grid) : response;
@@ -366,20 +397,17 @@ export class GeometricKernels {
    * @returns {number} - Numeric value for kernel
    */
   getCellGridValue(state) {
-    // Map states to appropriate numeric values
+    // Map states to the area they fill, so a half cell between FULL and EMPTY reads as a ramp
     switch (state) {
       case 0:
         return 0; // EMPTY
       case 1:
         return 1; // FULL
-      // case 2:
-      //   return 0.75; // HALF_DIAG_TL_BR
-      // case 3:
-      //   return 0.75; // HALF_DIAG_TR_BL
-      // case 4:
-      //   return 0.75; // HALF_DIAG_BL_TR
-      // case 5:
-      //   return 0.75; // HALF_DIAG_BR_TL
+      case 2: // HALF_DIAG_TL_BR
+      case 3: // HALF_DIAG_TR_BL
+      case 4: // HALF_DIAG_BL_TR
+      case 5: // HALF_DIAG_BR_TL
+        return 0.5;
       default:
         return 0;
     }
@@ -408,6 +436,7 @@ export class GeometricKernels {
       0.8,
       "L-shaped corners",
       boundingBox,
+      true,
     );
 
     const diagonalConflicts = this.aggregateKernelResults(
@@ -419,11 +448,12 @@ export class GeometricKernels {
       0.5,
       "Diagonal conflicts",
       boundingBox,
+      true,
     );
 
     const generalCorners = (() => {
       const kernel = this.cornerKernels.cornerDetector;
-      const convResult = this.applyKernel(grid, kernel, boundingBox, Math.abs);
+      const convResult = this.applyKernel(grid, kernel, boundingBox, Math.abs, true);
       return this.analyzeConvolutionResult(
         convResult,
         1.0,
@@ -475,6 +505,7 @@ export class GeometricKernels {
       0.6,
       "Horizontal discontinuities",
       boundingBox,
+      true,
     );
 
     const vertical = this.aggregateKernelResults(
@@ -486,6 +517,7 @@ export class GeometricKernels {
       0.6,
       "Vertical discontinuities",
       boundingBox,
+      true,
     );
 
     const diagonal = this.aggregateKernelResults(
@@ -497,11 +529,12 @@ export class GeometricKernels {
       0.4,
       "Diagonal discontinuities",
       boundingBox,
+      true,
     );
 
     const overall = (() => {
       const kernel = this.continuityKernels.eightWayContinuity;
-      const convResult = this.applyKernel(grid, kernel, boundingBox, Math.abs);
+      const convResult = this.applyKernel(grid, kernel, boundingBox, Math.abs, true);
       return this.analyzeConvolutionResult(
         convResult,
         0.8,
@@ -595,21 +628,27 @@ export class GeometricKernels {
    * @returns {Array<Array<number>>} - Zebra numeric grid
    */
   gridToZebraNumeric(grid, states, boundingBox = null) {
-    return grid.map((row) =>
-      row.map((state) => {
-        // For zebra detection, we care about state differences, not specific values
-        if (state === states.EMPTY) return 0;
-        if (state === states.FULL) return 1;
-        // Group diagonal states for zebra detection
-        if (
-          state >= states.HALF_DIAG_TL_BR &&
-          state <= states.HALF_DIAG_BR_TL
-        ) {
-          return 0.5; // All diagonal states as intermediate value
-        }
-        return state; // Fallback
-      }),
-    );
+    return grid.map((row) => Array.from(row, (state) => this.zebraNumericValue(state, states)));
+  }
+
+  /**
+   * Zebra numeric value of one state
+   * @param {number} state - Cell state (0-5)
+   * @param {Object} states - State definitions
+   * @returns {number} - 0 (EMPTY), 1 (FULL), 0.5 (diagonal half-states)
+   */
+  zebraNumericValue(state, states) {
+    // For zebra detection, we care about state differences, not specific values
+    if (state === states.EMPTY) return 0;
+    if (state === states.FULL) return 1;
+    // Group diagonal states for zebra detection
+    if (
+      state >= states.HALF_DIAG_TL_BR &&
+      state <= states.HALF_DIAG_BR_TL
+    ) {
+      return 0.5; // All diagonal states as intermediate value
+    }
+    return state; // Fallback
   }
 
   /**
@@ -693,6 +732,7 @@ export class GeometricKernels {
    * @param {number} threshold - Detection threshold
    * @param {string} description - Result description
    * @param {Object} boundingBox - Optional bounding box {minRow, maxRow, minCol, maxCol}
+   * @param {boolean} withRing - Read cells just outside the grid from the boundary ring
    * @returns {Object} - Aggregated results
    */
   aggregateKernelResults(
@@ -701,6 +741,7 @@ export class GeometricKernels {
     threshold,
     description,
     boundingBox = null,
+    withRing = false,
   ) {
     let totalScore = 0;
     let totalCount = 0;
@@ -709,7 +750,7 @@ export class GeometricKernels {
       .map(() => Array(this.gridSize).fill(0));
 
     for (const kernelInfo of kernels) {
-      const convResult = this.applyKernel(grid, kernelInfo, boundingBox, Math.abs);
+      const convResult = this.applyKernel(grid, kernelInfo, boundingBox, Math.abs, withRing);
 
       // Keep track of maximum response across all kernels
       const {
@@ -822,7 +863,7 @@ export class GeometricKernels {
 
     const finalWeights = { ...defaultWeights, ...weights };
 
-    // const cornerResults = this.detectCorners(grid, states, boundingBox);
+    const cornerResults = this.detectCorners(grid, states, boundingBox);
     const continuityResults = this.detectContinuityIssues(
       grid,
       states,
@@ -832,7 +873,7 @@ export class GeometricKernels {
 
     let totalEnergy = 0;
 
-    // totalEnergy += cornerResults.total.score * finalWeights.corners;
+    totalEnergy += cornerResults.total.score * finalWeights.corners;
     totalEnergy += continuityResults.total.score * finalWeights.continuity;
     totalEnergy += zebraResults.total.score * finalWeights.zebra;
 
@@ -873,6 +914,7 @@ export class GeometricKernels {
       this.neighborKernels.neighborSum,
       boundingBox,
       postProcessor,
+      true,
     );
 
     // Sum all penalty values within bounding box
@@ -893,6 +935,747 @@ export class GeometricKernels {
     return totalEnergy;
   }
 
+  // ============================================================================
+  // BOUNDARY RING
+  // ============================================================================
+
+  /**
+   * Use boundary markers as boundary conditions: the cells just outside the grid next to a
+   * source or sink marker read as FULL and those next to a wall marker as EMPTY in the
+   * corner, continuity and neighbor convolutions, the Ising couplings and the outline.
+   * Wall cells also repel the shape directly (see calculateCellWallContact), since an
+   * empty ring cell alone reads much like an unmarked edge. Unmarked cells and free
+   * markers outside the grid stay absent. Zebra detection only looks inside the grid
+   * @param {Object|null} markers - GridCore.getBoundaryMarkers() output, or null for none
+   */
+  setBoundaryRing(markers) {
+    this.boundaryMarkers = markers;
+    this.boundaryRing = null;
+    this.wallRing = null;
+    if (!markers) return;
+
+    const n = this.gridSize;
+    const sides = () => ({
+      top: new Array(n).fill(null),
+      right: new Array(n).fill(null),
+      bottom: new Array(n).fill(null),
+      left: new Array(n).fill(null),
+    });
+    const ring = sides();
+    const walls = sides();
+    let marked = false;
+    let walled = false;
+    for (const group of Object.values(markers)) {
+      const state = GeometricKernels.RING_STATES[group.role];
+      if (state === undefined) continue;
+      for (const side of Object.keys(ring)) {
+        for (const { start, length } of group[side] || []) {
+          for (let i = Math.max(0, start); i < Math.min(n, start + length); i++) {
+            ring[side][i] = state;
+            walls[side][i] = group.role === "wall" ? true : null;
+            marked = true;
+            walled ||= group.role === "wall";
+          }
+        }
+      }
+    }
+    this.boundaryRing = marked ? ring : null;
+    this.wallRing = walled ? walls : null;
+  }
+
+  /**
+   * Whether the cell at (row, col) just outside the grid is a wall marker's ring cell
+   * @param {number} row - Row, -1 or gridSize on the top and bottom sides
+   * @param {number} col - Column, -1 or gridSize on the left and right sides
+   * @returns {boolean}
+   */
+  isWallCell(row, col) {
+    const walls = this.wallRing;
+    if (!walls) return false;
+    const n = this.gridSize;
+    const inRange = (i) => i >= 0 && i < n;
+    if (row === -1 && inRange(col)) return walls.top[col] === true;
+    if (row === n && inRange(col)) return walls.bottom[col] === true;
+    if (col === -1 && inRange(row)) return walls.left[row] === true;
+    if (col === n && inRange(row)) return walls.right[row] === true;
+    return false;
+  }
+
+  /**
+   * State of the boundary ring cell at (row, col) just outside the grid
+   * @param {number} row - Row, -1 or gridSize on the top and bottom sides
+   * @param {number} col - Column, -1 or gridSize on the left and right sides
+   * @returns {number|null} - FULL, EMPTY or null (unmarked, a ring corner or further out)
+   */
+  getRingState(row, col) {
+    const ring = this.boundaryRing;
+    if (!ring) return null;
+    const n = this.gridSize;
+    const inRange = (i) => i >= 0 && i < n;
+    if (row === -1 && inRange(col)) return ring.top[col];
+    if (row === n && inRange(col)) return ring.bottom[col];
+    if (col === -1 && inRange(row)) return ring.left[row];
+    if (col === n && inRange(row)) return ring.right[row];
+    return null;
+  }
+
+  isInside(row, col) {
+    return row >= 0 && row < this.gridSize && col >= 0 && col < this.gridSize;
+  }
+
+  /**
+   * State of a neighbouring cell: the grid inside, the boundary ring outside
+   * @param {Array<Array<number>>} grid - Input grid
+   * @param {number} row - Row
+   * @param {number} col - Column
+   * @returns {number|null} - Cell state, or null when there is no cell
+   */
+  getNeighborState(grid, row, col) {
+    return this.isInside(row, col) ? grid[row][col] : this.getRingState(row, col);
+  }
+
+  // ============================================================================
+  // BOUNDARY LENGTH
+  // ============================================================================
+
+  /**
+   * Length of the outline around the filled area, in cell widths. A side counts 1 where
+   * the filled state of a cell differs from that of the neighbour facing it (outside the
+   * grid is empty, or the boundary ring's state) and each half cell adds its √2 diagonal, so a fitted half cell turns a
+   * staircase step of length 2 into one of √2
+   * @param {Array<Array<number>>} grid - Input grid
+   * @param {Object} states - State definitions
+   * @param {Object} boundingBox - Optional bounding box {minRow, maxRow, minCol, maxCol}
+   * @returns {number} - Outline length of the cells in the box
+   */
+  calculateBoundaryLength(grid, states, boundingBox = null) {
+    const {
+      minRow = 0,
+      maxRow = this.gridSize - 1,
+      minCol = 0,
+      maxCol = this.gridSize - 1,
+    } = boundingBox || {};
+
+    let length = 0;
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        length += this.calculateCellBoundaryLength(grid, row, col);
+      }
+    }
+    return length;
+  }
+
+  /**
+   * Outline length attributed to one cell: its diagonal, half of each side shared with a
+   * mismatched neighbour and all of a mismatched side on the grid edge
+   * @param {Array<Array<number>>} grid - Input grid
+   * @param {number} row - Cell row
+   * @param {number} col - Cell column
+   * @returns {number} - Outline length of this cell
+   */
+  calculateCellBoundaryLength(grid, row, col) {
+    const state = grid[row][col];
+    const sides = GridCore.FILLED_SIDES[state];
+    let length = state >= 2 && state <= 5 ? Math.SQRT2 : 0;
+
+    // [dr, dc, side of this cell, facing side of the neighbour]
+    const directions = [
+      [-1, 0, 0, 2],
+      [0, 1, 1, 3],
+      [1, 0, 2, 0],
+      [0, -1, 3, 1],
+    ];
+    for (const [dr, dc, side, facing] of directions) {
+      const inside = this.isInside(row + dr, col + dc);
+      const neighborState = this.getNeighborState(grid, row + dr, col + dc);
+      const neighborFilled = neighborState !== null && GridCore.FILLED_SIDES[neighborState][facing];
+      if (sides[side] !== neighborFilled) {
+        length += inside ? 0.5 : 1;
+      }
+    }
+    return length;
+  }
+
+  // ============================================================================
+  // WALL CONTACT
+  // ============================================================================
+
+  /**
+   * Filled cell sides facing a wall marker, each counting 1, over the cells in the box
+   * @param {Array<Array<number>>} grid - Input grid
+   * @param {Object} states - State definitions
+   * @param {Object} boundingBox - Optional bounding box {minRow, maxRow, minCol, maxCol}
+   * @returns {number} - Wall contact of the cells in the box
+   */
+  calculateWallContact(grid, states, boundingBox = null) {
+    if (!this.wallRing) return 0;
+    const {
+      minRow = 0,
+      maxRow = this.gridSize - 1,
+      minCol = 0,
+      maxCol = this.gridSize - 1,
+    } = boundingBox || {};
+
+    let contact = 0;
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        contact += this.calculateCellWallContact(grid, row, col);
+      }
+    }
+    return contact;
+  }
+
+  /**
+   * Wall contact of one cell: how many of its filled sides face a wall marker's ring cell
+   * (only cells on the grid edge can touch one)
+   * @param {Array<Array<number>>} grid - Input grid
+   * @param {number} row - Cell row
+   * @param {number} col - Cell column
+   * @returns {number} - 0 to 2 (a corner cell can touch two walls)
+   */
+  calculateCellWallContact(grid, row, col) {
+    if (!this.wallRing) return 0;
+    const sides = GridCore.FILLED_SIDES[grid[row][col]];
+    let contact = 0;
+    // [dr, dc, side of this cell]
+    for (const [dr, dc, side] of [[-1, 0, 0], [0, 1, 1], [1, 0, 2], [0, -1, 3]]) {
+      if (sides[side] && this.isWallCell(row + dr, col + dc)) contact++;
+    }
+    return contact;
+  }
+
+  // ============================================================================
+  // PER-CELL LOCAL ENERGY
+  // ============================================================================
+
+  /**
+   * Kernel groups scored by detectCorners, detectContinuityIssues and detectZebraPatterns,
+   * for scoring one cell at a time. A cell scores its largest |response| in a group when
+   * that exceeds the threshold. `source` is the grid the group convolves: the cell states
+   * ("grid"), the state-difference grid ("difference") or the zebra numeric grid ("zebraNumeric")
+   * @returns {Object} - { corners: [...groups], continuity: [...groups], zebra: [...groups] }
+   */
+  getLocalKernelGroups() {
+    const k = this.cornerKernels;
+    const c = this.continuityKernels;
+    const z = this.zebraKernels;
+    return {
+      corners: [
+        { kernels: [k.topLeftCorner, k.topRightCorner, k.bottomLeftCorner, k.bottomRightCorner], threshold: 0.8, source: "grid" },
+        { kernels: [k.diagonalConflictTL, k.diagonalConflictTR], threshold: 0.5, source: "grid" },
+        { kernels: [k.cornerDetector], threshold: 1.0, source: "grid" },
+      ],
+      continuity: [
+        { kernels: [c.horizontalContinuity, c.horizontalContinuityStrong], threshold: 0.6, source: "grid" },
+        { kernels: [c.verticalContinuity, c.verticalContinuityStrong], threshold: 0.6, source: "grid" },
+        { kernels: [c.diagonalContinuityTL_BR, c.diagonalContinuityTR_BL], threshold: 0.4, source: "grid" },
+        { kernels: [c.eightWayContinuity], threshold: 0.8, source: "grid" },
+      ],
+      zebra: [
+        { kernels: [z.horizontalZebra2, z.horizontalZebra3], threshold: 0.5, source: "difference" },
+        { kernels: [z.verticalZebra2, z.verticalZebra3], threshold: 0.5, source: "difference" },
+        { kernels: [z.diagonalZebraTL_BR, z.diagonalZebraTR_BL], threshold: 0.3, source: "difference" },
+        { kernels: [z.stateAlternationKernel, z.diagonalAlternationKernel], threshold: 0.8, source: "zebraNumeric" },
+      ],
+    };
+  }
+
+  /**
+   * Largest distance between a changed cell and a cell whose local energy it can change.
+   * Difference-grid values depend on the cells either side, hence the extra 1
+   * @returns {number} - Influence radius in cells
+   */
+  getLocalEnergyRadius() {
+    const radius = (kernelInfo) =>
+      Math.max(Math.floor(kernelInfo.kernel.length / 2), Math.floor(kernelInfo.kernel[0].length / 2));
+
+    const { corners, continuity, zebra } = this.getLocalKernelGroups();
+    let maxRadius = 1; // Ising couplings, the neighbor count and the outline
+    for (const group of [...corners, ...continuity, ...zebra]) {
+      const extra = group.source === "difference" ? 1 : 0;
+      for (const kernelInfo of group.kernels) {
+        maxRadius = Math.max(maxRadius, radius(kernelInfo) + extra);
+      }
+    }
+    return maxRadius;
+  }
+
+  /**
+   * Convolution response of a kernel centred on one cell. Sums in the same order as
+   * applyKernel so the result matches the full-grid convolution exactly
+   * @param {Object} kernelInfo - Kernel object with kernel array and description
+   * @param {number} row - Centre row
+   * @param {number} col - Centre column
+   * @param {Function} valueAt - (row, col) => raw cell value, mapped through getCellGridValue
+   * @param {boolean} withRing - Read cells just outside the grid from the boundary ring
+   * @returns {number} - Convolution response
+   */
+  kernelResponseAt(kernelInfo, row, col, valueAt, withRing = false) {
+    const kernel = kernelInfo.kernel;
+    const kCenterRow = Math.floor(kernel.length / 2);
+    const kCenterCol = Math.floor(kernel[0].length / 2);
+    let response = 0;
+    for (let kr = 0; kr < kernel.length; kr++) {
+      for (let kc = 0; kc < kernel[kr].length; kc++) {
+        const gr = row + kr - kCenterRow;
+        const gc = col + kc - kCenterCol;
+
+        if (gr >= 0 && gr < this.gridSize && gc >= 0 && gc < this.gridSize) {
+          response += this.getCellGridValue(valueAt(gr, gc)) * kernel[kr][kc];
+        } else if (withRing) {
+          const ringState = this.getRingState(gr, gc);
+          if (ringState !== null) {
+            response += this.getCellGridValue(ringState) * kernel[kr][kc];
+          }
+        }
+      }
+    }
+    return response;
+  }
+
+  /**
+   * One cell of the full-grid state-difference grid (see createStateDifferenceGrid)
+   * @param {Array<Array<number>>} grid - Input grid
+   * @param {number} row - Cell row
+   * @param {number} col - Cell column
+   * @returns {number} - 1 for a zebra centre, otherwise 0
+   */
+  stateDifferenceAt(grid, row, col) {
+    const currentState = grid[row][col];
+    if (col > 0 && col < this.gridSize - 1) {
+      const leftState = grid[row][col - 1];
+      if (leftState === grid[row][col + 1] && leftState !== currentState) return 1;
+    }
+    if (row > 0 && row < this.gridSize - 1) {
+      const topState = grid[row - 1][col];
+      if (topState === grid[row + 1][col] && topState !== currentState) return 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Score of one cell over a list of kernel groups
+   * @param {Array<Array<number>>} grid - Input grid
+   * @param {Object} states - State definitions
+   * @param {Array<Object>} groups - Groups from getLocalKernelGroups()
+   * @param {number} row - Cell row
+   * @param {number} col - Cell column
+   * @returns {number} - Sum of the group scores
+   */
+  calculateCellGroupScore(grid, states, groups, row, col) {
+    const sources = {
+      grid: (r, c) => grid[r][c],
+      difference: (r, c) => this.stateDifferenceAt(grid, r, c),
+      zebraNumeric: (r, c) => this.zebraNumericValue(grid[r][c], states),
+    };
+
+    let score = 0;
+    for (const group of groups) {
+      const valueAt = sources[group.source];
+      const withRing = group.source === "grid";
+      let maxResponse = 0;
+      for (const kernelInfo of group.kernels) {
+        maxResponse = Math.max(maxResponse, Math.abs(this.kernelResponseAt(kernelInfo, row, col, valueAt, withRing)));
+      }
+      if (maxResponse > group.threshold) {
+        score += maxResponse;
+      }
+    }
+    return score;
+  }
+
+  /**
+   * Neighbor interaction penalty of one cell (see calculateNeighborInteractionEnergy)
+   * @param {Array<Array<number>>} grid - Input grid
+   * @param {Object} states - State definitions
+   * @param {number} row - Cell row
+   * @param {number} col - Cell column
+   * @param {number} scale - Scale parameter for exponential
+   * @returns {number} - Penalty for this cell
+   */
+  calculateCellNeighborEnergy(grid, states, row, col, scale = 2.0) {
+    if (grid[row][col] === states.EMPTY) return 0;
+    const neighborCount = this.kernelResponseAt(
+      this.neighborKernels.neighborSum,
+      row,
+      col,
+      (r, c) => grid[r][c],
+      true,
+    );
+    return Math.exp(-neighborCount / scale);
+  }
+
+  /**
+   * Half of the Ising interactions of one cell, so the cell energies sum to
+   * calculateIsingEnergy over the full grid
+   * @param {Array<Array<number>>} grid - Input grid
+   * @param {number} row - Cell row
+   * @param {number} col - Cell column
+   * @param {number} J1 - Nearest neighbor coupling constant
+   * @param {number} J2 - Next-nearest neighbor coupling constant
+   * @returns {number} - Ising energy attributed to this cell
+   */
+  calculateCellIsingEnergy(grid, row, col, J1 = 1.0, J2 = 1.0) {
+    const state = grid[row][col];
+    let energy = 0;
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        if (dr === 0 && dc === 0) continue;
+        const neighborState = this.getNeighborState(grid, row + dr, col + dc);
+        if (neighborState === null) continue;
+        const coupling = dr === 0 || dc === 0 ? J1 : J2;
+        const energyTerm = -coupling * this.getDirectionalSpin(state, dr, dc) *
+          this.getDirectionalSpin(neighborState, -dr, -dc);
+        // A ring cell has no energy of its own, so this cell takes the whole interaction
+        energy += this.isInside(row + dr, col + dc) ? energyTerm : 2 * energyTerm;
+      }
+    }
+    return energy / 2.0;
+  }
+
+  // ============================================================================
+  // TOPOLOGY: ENCLOSED HOLES AND ISOLATED ISLANDS
+  // ============================================================================
+
+  /**
+   * Label the 4-connected components of occupied (non-EMPTY) cells and of empty cells.
+   * Holes are empty components that do not touch the grid border; islands are occupied
+   * components other than the largest
+   * @param {Array<Array<number>>} grid - Input grid
+   * @param {Object} states - State definitions
+   * @returns {Object} - { holes, islands, occupiedComponents, labels (row-major component index per cell),
+   *                       components: [{ occupied, size, touchesBorder, penalized }] }
+   */
+  analyzeTopology(grid, states) {
+    const n = this.gridSize;
+    const labels = new Int32Array(n * n).fill(-1);
+    const components = [];
+    const stack = [];
+
+    for (let start = 0; start < n * n; start++) {
+      if (labels[start] !== -1) continue;
+
+      const label = components.length;
+      const occupied = grid[Math.floor(start / n)][start % n] !== states.EMPTY;
+      const component = { occupied, size: 0, touchesBorder: false, penalized: false };
+      labels[start] = label;
+      stack.push(start);
+
+      while (stack.length > 0) {
+        const index = stack.pop();
+        const row = Math.floor(index / n);
+        const col = index % n;
+        component.size++;
+        if (row === 0 || col === 0 || row === n - 1 || col === n - 1) component.touchesBorder = true;
+
+        for (const [dr, dc] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+          const r = row + dr;
+          const c = col + dc;
+          if (r >= 0 && r < n && c >= 0 && c < n && labels[r * n + c] === -1 &&
+              (grid[r][c] !== states.EMPTY) === occupied) {
+            labels[r * n + c] = label;
+            stack.push(r * n + c);
+          }
+        }
+      }
+      components.push(component);
+    }
+
+    let largest = -1;
+    components.forEach((component, label) => {
+      if (component.occupied && (largest === -1 || component.size > components[largest].size)) {
+        largest = label;
+      }
+    });
+
+    let holes = 0;
+    let islands = 0;
+    let occupiedComponents = 0;
+    components.forEach((component, label) => {
+      if (component.occupied) occupiedComponents++;
+      if (component.occupied && label !== largest) {
+        component.penalized = true;
+        islands++;
+      } else if (!component.occupied && !component.touchesBorder) {
+        component.penalized = true;
+        holes++;
+      }
+    });
+
+    return { holes, islands, occupiedComponents, labels, components };
+  }
+
+  /**
+   * Whether switching one cell between occupied and empty provably leaves the hole and
+   * island counts alone. True when the cell is off the border and, for occupied and for
+   * empty cells alike, its 4-neighbours of that kind exist and are 4-connected to each
+   * other through the ring of 8 cells around it: the cell then neither splits nor merges
+   * components, and none appears or vanishes
+   * @param {Array<Array<number>>} grid - Input grid
+   * @param {Object} states - State definitions
+   * @param {number} row - Cell row
+   * @param {number} col - Cell column
+   * @returns {boolean} - True if the change cannot alter the topology
+   */
+  isTopologyPreservingChange(grid, states, row, col) {
+    if (row <= 0 || col <= 0 || row >= this.gridSize - 1 || col >= this.gridSize - 1) {
+      return false;
+    }
+
+    // Ring in cyclic order; consecutive cells are 4-adjacent, odd positions are 4-neighbours
+    const ring = [[-1, -1], [-1, 0], [-1, 1], [0, 1], [1, 1], [1, 0], [1, -1], [0, -1]]
+      .map(([dr, dc]) => grid[row + dr][col + dc] !== states.EMPTY);
+
+    for (const occupied of [true, false]) {
+      // Number the runs of this kind around the ring (a run may wrap past position 0)
+      const runs = new Array(8).fill(-1);
+      let run = -1;
+      for (let i = 0; i < 8; i++) {
+        if (ring[i] !== occupied) continue;
+        if (i === 0 || ring[i - 1] !== occupied) run++;
+        runs[i] = run;
+      }
+      if (run > 0 && ring[0] === occupied && ring[7] === occupied) {
+        runs.forEach((value, i) => {
+          if (value === run) runs[i] = runs[0];
+        });
+      }
+
+      const neighborRuns = new Set([1, 3, 5, 7].filter((i) => ring[i] === occupied).map((i) => runs[i]));
+      if (neighborRuns.size !== 1) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Change in the number of occupied and of empty components from switching one cell
+   * between occupied and empty. Empty components are counted with the border as one
+   * extra cell (see OUTSIDE), so their change is the change in enclosed holes. The cell's
+   * old component loses it and may split into as many parts as its old-kind neighbours
+   * fall into; its new-kind neighbours' components merge through it
+   * @param {Array<Array<number>>} grid - Input grid (before the change)
+   * @param {Object} states - State definitions
+   * @param {number} row - Cell row
+   * @param {number} col - Cell column
+   * @returns {Object} - { occupied, empty } component count changes
+   */
+  calculateFlipComponentChange(grid, states, row, col) {
+    const n = this.gridSize;
+    const index = row * n + col;
+    const onBorder = row === 0 || col === 0 || row === n - 1 || col === n - 1;
+    const wasOccupied = grid[row][col] !== states.EMPTY;
+
+    const neighbors = (occupied) => {
+      const seeds = [];
+      for (const [dr, dc] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+        const r = row + dr;
+        const c = col + dc;
+        if (r >= 0 && r < n && c >= 0 && c < n && (grid[r][c] !== states.EMPTY) === occupied) {
+          seeds.push(r * n + c);
+        }
+      }
+      if (!occupied && onBorder) seeds.push(GeometricKernels.OUTSIDE);
+      return seeds;
+    };
+
+    // Parts left of the old component, and components joined into the new one
+    const split = this.countSeedComponents(grid, states, neighbors(wasOccupied), wasOccupied, index).count;
+    const merged = this.countSeedComponents(grid, states, neighbors(!wasOccupied), !wasOccupied, index).count;
+    const oldKind = split - 1;
+    const newKind = 1 - merged;
+    return wasOccupied ? { occupied: oldKind, empty: newKind } : { occupied: newKind, empty: oldKind };
+  }
+
+  /**
+   * Into how many distinct 4-connected components of occupied (or of empty) cells the seed
+   * cells fall, with the `excluded` cell left out. For empty cells OUTSIDE may be a seed and
+   * every border cell is connected to it. The seeds are searched from all at once and the
+   * search stops once at most one of their components is still open, so the cost is about
+   * the size of the components other than the largest, not of the grid
+   * @param {Array<Array<number>>} grid - Input grid
+   * @param {Object} states - State definitions
+   * @param {Array<number>} seeds - Row-major cell indices, or OUTSIDE
+   * @param {boolean} occupied - Component kind
+   * @param {number} excluded - Row-major index of a cell to leave out, or -1
+   * @returns {Object} - { count, components: component number of each seed }
+   */
+  countSeedComponents(grid, states, seeds, occupied, excluded = -1) {
+    if (seeds.length <= 1) {
+      return { count: seeds.length, components: seeds.map(() => 0) };
+    }
+    const n = this.gridSize;
+    if (!this.searchMark || this.searchMark.length !== n * n) {
+      this.searchMark = new Int32Array(n * n);
+      this.searchOwner = new Int32Array(n * n);
+      this.searchStamp = 0;
+    }
+    const mark = this.searchMark;
+    const owner = this.searchOwner;
+    const stamp = ++this.searchStamp;
+    if (excluded >= 0) {
+      mark[excluded] = stamp;
+      owner[excluded] = -1;
+    }
+
+    // One search per seed, joined (union-find) when they meet; queues[i] from heads[i] on
+    // are the cells search i still has to expand. For empty cells search 0 is the outside:
+    // it never expands, and never finishes since it touches the whole border
+    const outside = occupied ? -1 : 0;
+    const parent = occupied ? [] : [0];
+    const queues = occupied ? [] : [[]];
+    const heads = occupied ? [] : [0];
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+    const visit = (index, search) => {
+      if (mark[index] === stamp) {
+        if (owner[index] !== -1) parent[find(search)] = find(owner[index]);
+        return;
+      }
+      mark[index] = stamp;
+      owner[index] = search;
+      queues[search].push(index);
+      const row = Math.floor(index / n);
+      const col = index % n;
+      if (outside !== -1 && (row === 0 || col === 0 || row === n - 1 || col === n - 1)) {
+        parent[find(search)] = find(outside);
+      }
+    };
+
+    const seedSearches = seeds.map((seed) => {
+      if (seed === GeometricKernels.OUTSIDE) return outside;
+      const search = parent.length;
+      parent.push(search);
+      queues.push([]);
+      heads.push(0);
+      visit(seed, search);
+      return search;
+    });
+
+    // Seed components that may still meet another: the outside's, and those with cells to expand
+    const openCount = () => {
+      const open = new Set(outside !== -1 ? [find(outside)] : []);
+      heads.forEach((head, search) => {
+        if (head < queues[search].length) open.add(find(search));
+      });
+      return new Set(seedSearches.map(find).filter((root) => open.has(root))).size;
+    };
+
+    while (openCount() > 1) {
+      for (let search = 0; search < queues.length; search++) {
+        if (heads[search] === queues[search].length) continue;
+        const index = queues[search][heads[search]++];
+        const row = Math.floor(index / n);
+        const col = index % n;
+        for (const [dr, dc] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+          const r = row + dr;
+          const c = col + dc;
+          if (r >= 0 && r < n && c >= 0 && c < n && (grid[r][c] !== states.EMPTY) === occupied) {
+            visit(r * n + c, search);
+          }
+        }
+      }
+    }
+
+    const numbers = new Map();
+    const components = seedSearches.map((search) => {
+      const root = find(search);
+      if (!numbers.has(root)) numbers.set(root, numbers.size);
+      return numbers.get(root);
+    });
+    return { count: numbers.size, components };
+  }
+
+  // ============================================================================
+  // PORT CONNECTIVITY
+  // ============================================================================
+
+  /**
+   * Source and sink boundary markers as ports: each marker's edge cells inside the grid
+   * @returns {Array<Array<Array<number>>>} - Per port, the [row, col] cells along its segment
+   */
+  getPorts() {
+    if (!this.boundaryMarkers) return [];
+    const n = this.gridSize;
+    const cellAt = {
+      top: (i) => [0, i],
+      bottom: (i) => [n - 1, i],
+      left: (i) => [i, 0],
+      right: (i) => [i, n - 1],
+    };
+
+    const ports = [];
+    for (const group of Object.values(this.boundaryMarkers)) {
+      if (group.role !== "source" && group.role !== "sink") continue;
+      for (const side of Object.keys(cellAt)) {
+        for (const { start, length } of group[side] || []) {
+          const cells = [];
+          for (let i = Math.max(0, start); i < Math.min(n, start + length); i++) {
+            cells.push(cellAt[side](i));
+          }
+          if (cells.length > 0) ports.push(cells);
+        }
+      }
+    }
+    return ports;
+  }
+
+  /**
+   * Number of port groups beyond the first: ports are joined (union-find) when occupied
+   * cells along them belong to the same 4-connected occupied component. 0 when every
+   * port reaches every other through occupied cells, or with fewer than two ports
+   * @param {Array<Array<number>>} grid - Input grid
+   * @param {Object} states - State definitions
+   * @param {Int32Array} labels - Component labels from analyzeTopology(), if already known;
+   *   otherwise the port cells' components are searched for (see countSeedComponents)
+   * @returns {number} - Disconnected port groups
+   */
+  countDisconnectedPorts(grid, states, labels = null) {
+    const ports = this.getPorts();
+    if (ports.length < 2) return 0;
+
+    // Occupied port cells and the component each belongs to
+    const n = this.gridSize;
+    const cells = [];
+    ports.forEach((portCells, port) => {
+      for (const [row, col] of portCells) {
+        if (grid[row][col] !== states.EMPTY) cells.push({ port, index: row * n + col });
+      }
+    });
+    const components = labels
+      ? cells.map(({ index }) => labels[index])
+      : this.countSeedComponents(grid, states, cells.map(({ index }) => index), true).components;
+
+    const parent = ports.map((_, i) => i);
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+
+    // First port seen on each occupied component
+    const owner = new Map();
+    cells.forEach(({ port }, i) => {
+      if (owner.has(components[i])) {
+        parent[find(port)] = find(owner.get(components[i]));
+      } else {
+        owner.set(components[i], port);
+      }
+    });
+
+    let groups = 0;
+    parent.forEach((_, i) => {
+      if (find(i) === i) groups++;
+    });
+    return groups - 1;
+  }
+
   // ============================================================================
   // ISING ENERGY (J1-J2 MODEL)
   // ============================================================================
@@ -908,10 +1691,33 @@ export class GeometricKernels {
     return 0; // Diagonal half-states (2-5) are ignored
   }
 
+  /**
+   * Spin of a cell as seen by its neighbour in direction (dr, dc). FULL and EMPTY look the
+   * same from every side; a half state shows +1 across a filled side and -1 across an empty
+   * one, and at a corner +1 or -1 when both sides agree, otherwise 0
+   * @param {number} state - Cell state (0-5)
+   * @param {number} dr - Row offset of the neighbour (-1, 0, 1)
+   * @param {number} dc - Column offset of the neighbour (-1, 0, 1)
+   * @returns {number} - Spin value: -1, 0 or +1
+   */
+  getDirectionalSpin(state, dr, dc) {
+    if (state === 0) return -1; // EMPTY
+    if (state === 1) return 1;  // FULL
+
+    const [top, right, bottom, left] = GridCore.FILLED_SIDES[state];
+    const vertical = dr < 0 ? top : dr > 0 ? bottom : null;
+    const horizontal = dc < 0 ? left : dc > 0 ? right : null;
+    if (vertical === null) return horizontal ? 1 : -1;
+    if (horizontal === null) return vertical ? 1 : -1;
+    if (vertical !== horizontal) return 0; // Corner on the diagonal
+    return vertical ? 1 : -1;
+  }
+
   /**
    * Calculate J1-J2 Ising energy for ferromagnetic coupling
    * Energy formula: E = -J1 * Σ(s_i * s_j)_nn - J2 * Σ(s_i * s_j)_nnn
-   * where nn = nearest neighbors (4-connected), nnn = next-nearest neighbors (diagonals)
+   * where nn = nearest neighbors (4-connected), nnn = next-nearest neighbors (diagonals).
+   * Each cell contributes the spin of the side or corner facing the other (getDirectionalSpin)
    * 
    * @param {Array<Array<number>>} grid - Input grid
    * @param {Object} states - State definitions
@@ -955,50 +1761,31 @@ export class GeometricKernels {
     // Iterate through all cells in bounding box
     for (let row = minRow; row <= maxRow; row++) {
       for (let col = minCol; col <= maxCol; col++) {
-        const spinI = this.getSpinValue(grid[row][col]);
-        
-        // Skip cells with spin = 0 (diagonal half-states)
-        if (spinI === 0) continue;
+        const state = grid[row][col];
 
         // Calculate J1 interactions (nearest neighbors)
         for (const [dr, dc] of j1Directions) {
-          const neighborRow = row + dr;
-          const neighborCol = col + dc;
-
-          // Check if neighbor is within grid bounds
-          if (
-            neighborRow >= 0 &&
-            neighborRow < this.gridSize &&
-            neighborCol >= 0 &&
-            neighborCol < this.gridSize
-          ) {
-            const spinJ = this.getSpinValue(grid[neighborRow][neighborCol]);
-            
-            // Only count interaction if neighbor spin is non-zero
-            if (spinJ !== 0) {
-              totalEnergy += -J1 * spinI * spinJ;
-            }
+          // Neighbor within grid bounds, or a boundary ring cell
+          const neighborState = this.getNeighborState(grid, row + dr, col + dc);
+          if (neighborState !== null) {
+            const spinI = this.getDirectionalSpin(state, dr, dc);
+            const spinJ = this.getDirectionalSpin(neighborState, -dr, -dc);
+            // Ring pairs are only seen from this side, so count them twice before halving
+            const pairs = this.isInside(row + dr, col + dc) ? 1 : 2;
+            totalEnergy += -J1 * spinI * spinJ * pairs;
           }
         }
 
         // Calculate J2 interactions (next-nearest neighbors)
         for (const [dr, dc] of j2Directions) {
-          const neighborRow = row + dr;
-          const neighborCol = col + dc;
-
-          // Check if neighbor is within grid bounds
-          if (
-            neighborRow >= 0 &&
-            neighborRow < this.gridSize &&
-            neighborCol >= 0 &&
-            neighborCol < this.gridSize
-          ) {
-            const spinJ = this.getSpinValue(grid[neighborRow][neighborCol]);
-            
-            // Only count interaction if neighbor spin is non-zero
-            if (spinJ !== 0) {
-              totalEnergy += -J2 * spinI * spinJ;
-            }
+          // Neighbor within grid bounds, or a boundary ring cell
+          const neighborState = this.getNeighborState(grid, row + dr, col + dc);
+          if (neighborState !== null) {
+            const spinI = this.getDirectionalSpin(state, dr, dc);
+            const spinJ = this.getDirectionalSpin(neighborState, -dr, -dc);
+            // Ring pairs are only seen from this side, so count them twice before halving
+            const pairs = this.isInside(row + dr, col + dc) ? 1 : 2;
+            totalEnergy += -J2 * spinI * spinJ * pairs;
           }
         }
       }
@@ -1032,12 +1819,8 @@ export class GeometricKernels {
     J1 = 1.0,
     J2 = 1.0,
   ) {
-    const oldSpin = this.getSpinValue(oldState);
-    const newSpin = this.getSpinValue(newState);
-    const deltaSpin = newSpin - oldSpin;
-
-    // If spin doesn't change, no energy change
-    if (deltaSpin === 0) return 0;
+    // If the state doesn't change, no energy change
+    if (oldState === newState) return 0;
 
     // Nearest neighbor directions (J1)
     const j1Directions = [
@@ -1059,38 +1842,22 @@ export class GeometricKernels {
 
     // Calculate J1 contribution
     for (const [dr, dc] of j1Directions) {
-      const neighborRow = row + dr;
-      const neighborCol = col + dc;
-
-      if (
-        neighborRow >= 0 &&
-        neighborRow < this.gridSize &&
-        neighborCol >= 0 &&
-        neighborCol < this.gridSize
-      ) {
-        const neighborSpin = this.getSpinValue(grid[neighborRow][neighborCol]);
-        if (neighborSpin !== 0) {
-          // ΔE = -J1 * (newSpin * s_j - oldSpin * s_j) = -J1 * Δspin * s_j
-          deltaEnergy += -J1 * deltaSpin * neighborSpin;
-        }
+      const neighborState = this.getNeighborState(grid, row + dr, col + dc);
+      if (neighborState !== null) {
+        const deltaSpin = this.getDirectionalSpin(newState, dr, dc) - this.getDirectionalSpin(oldState, dr, dc);
+        const neighborSpin = this.getDirectionalSpin(neighborState, -dr, -dc);
+        // ΔE = -J1 * (newSpin * s_j - oldSpin * s_j) = -J1 * Δspin * s_j
+        deltaEnergy += -J1 * deltaSpin * neighborSpin;
       }
     }
 
     // Calculate J2 contribution
     for (const [dr, dc] of j2Directions) {
-      const neighborRow = row + dr;
-      const neighborCol = col + dc;
-
-      if (
-        neighborRow >= 0 &&
-        neighborRow < this.gridSize &&
-        neighborCol >= 0 &&
-        neighborCol < this.gridSize
-      ) {
-        const neighborSpin = this.getSpinValue(grid[neighborRow][neighborCol]);
-        if (neighborSpin !== 0) {
-          deltaEnergy += -J2 * deltaSpin * neighborSpin;
-        }
+      const neighborState = this.getNeighborState(grid, row + dr, col + dc);
+      if (neighborState !== null) {
+        const deltaSpin = this.getDirectionalSpin(newState, dr, dc) - this.getDirectionalSpin(oldState, dr, dc);
+        const neighborSpin = this.getDirectionalSpin(neighborState, -dr, -dc);
+        deltaEnergy += -J2 * deltaSpin * neighborSpin;
       }
     }
 
@@ -1186,6 +1953,7 @@ export class GeometricKernels {
    */
   updateGridSize(newSize) {
     this.gridSize = newSize;
+    this.setBoundaryRing(this.boundaryMarkers);
     this.log(`Grid size updated to ${newSize}`);
   }
 
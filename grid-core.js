@@ -1,10 +1,47 @@
 // Grid Core - State management and basic grid operations
 
+import { SeededRandom } from './random.js';
+
 export class GridCore {
+    // Sides of a cell its filled area touches, as [top, right, bottom, left]. Each
+    // diagonal half state fills the triangle between two adjacent sides
+    static FILLED_SIDES = {
+        0: [false, false, false, false],
+        1: [true, true, true, true],
+        2: [false, false, true, true],   // HALF_DIAG_TL_BR: bottom-left triangle
+        3: [false, true, true, false],   // HALF_DIAG_TR_BL: bottom-right triangle
+        4: [true, true, false, false],   // HALF_DIAG_BL_TR: top-right triangle
+        5: [true, false, false, true]    // HALF_DIAG_BR_TL: top-left triangle
+    };
+
+    static HALF_STATES = [2, 3, 4, 5];
+
+    static MARKER_SIDES = ['top', 'right', 'bottom', 'left'];
+
+    // What a marker group means at the grid edge: sources and sinks are ports (occupied
+    // edge cells that should stay connected), walls are empty edge cells, free markers
+    // are only drawn
+    static MARKER_ROLES = ['source', 'sink', 'wall', 'free'];
+
+    static MARKER_GROUP_NAME = /^[A-Za-z_][\w-]*$/;
+
+    // Definitions of the two groups every grid starts with
+    static DEFAULT_MARKER_GROUPS = {
+        group1: { label: 'Group 1', color: '#ff0000', role: 'source' },
+        group2: { label: 'Group 2', color: '#ffcc00', role: 'wall' }
+    };
+
+    // Colours for further groups defined without one
+    static MARKER_COLORS = ['#ff0000', '#ffcc00', '#16a34a', '#9333ea', '#0ea5e9', '#f97316', '#db2777', '#4b5563'];
+
     constructor(gridSize, config = {}) {
         this.gridSize = gridSize;
         this.config = config;
 
+        // Random source for initial patterns, randomize() and grid point jitter.
+        // Inject a shared SeededRandom via config.rng, or seed a private one with config.seed
+        this.rng = config.rng || new SeededRandom(config.seed ?? null);
+
         // Grid state constants
         this.STATES = {
             EMPTY: 0,
@@ -19,27 +56,31 @@ export class GridCore {
         this.stateInventories = null;
         this.inventoryValid = false;
 
+        // Bumped on every change made through GridCore methods, so caches derived from
+        // the cells (e.g. the energy system's per-cell energies) can tell they are stale
+        this.version = 0;
+
     // Non-uniform grid support: normalized grid line positions in [0,1]
     // Arrays length = gridSize + 1, monotonic with 0 at start and 1 at end
     this.xPoints = null; // horizontal axis grid lines (columns boundaries)
     this.yPoints = null; // vertical axis grid lines (row boundaries)
 
-        // Boundary markers: two groups of edge markers that never overlap
-        // Structure: { group1: {top:[], right:[], bottom:[], left:[]}, group2: {...} }
+        // Boundary markers: named groups of edge markers that never overlap, starting
+        // with DEFAULT_MARKER_GROUPS
+        // Structure: { [groupName]: { label, color, role, top:[], right:[], bottom:[], left:[] } }
         // Each marker: { side: 'top'|'right'|'bottom'|'left', start: Number, length: Number }
-        this.boundaryMarkers = {
-            group1: { top: [], right: [], bottom: [], left: [] },
-            group2: { top: [], right: [], bottom: [], left: [] }
-        };
+        this.boundaryMarkers = {};
+        this.setBoundaryMarkers({ group1: [], group2: [] });
+
+        // Lock mask: 1 for cells evolution must not change (row * gridSize + col)
+        this.clearLocks();
 
         // Initialize grid
         this.initializeGrid();
     }
 
     initializeGrid() {
-        this.grid = Array(this.gridSize).fill(null).map(() =>
-            Array(this.gridSize).fill(this.STATES.EMPTY)
-        );
+        this.allocateCells();
         this.totalArea = 0;
         this.targetArea = Math.floor(this.gridSize * this.gridSize * 0.3); // 30% target
 
@@ -77,8 +118,8 @@ export class GridCore {
             this.yPoints = GridCore.generateUniformPoints(this.gridSize);
         } else {
             // default random jittered widths
-            this.xPoints = GridCore.generateRandomPoints(this.gridSize, jitter);
-            this.yPoints = GridCore.generateRandomPoints(this.gridSize, jitter);
+            this.xPoints = GridCore.generateRandomPoints(this.gridSize, jitter, this.rng);
+            this.yPoints = GridCore.generateRandomPoints(this.gridSize, jitter, this.rng);
         }
     }
 
@@ -90,14 +131,16 @@ export class GridCore {
     }
 
     // Static helper: random widths with jitter around uniform, normalized to [0,1]
-    static generateRandomPoints(n, jitter = 0.35) {
+    // rng: optional SeededRandom; falls back to Math.random when omitted
+    static generateRandomPoints(n, jitter = 0.35, rng = null) {
+        const random = rng ? () => rng.next() : Math.random;
         // Generate n positive widths that sum to 1, centered around 1/n
         // width_i = max(eps, (1/n) * (1 + noise_i)), noise ~ U(-jitter, +jitter)
         const widths = [];
         const base = 1 / n;
         const eps = 1e-6;
         for (let i = 0; i < n; i++) {
-            const noise = (Math.random() * 2 - 1) * jitter;
+            const noise = (random() * 2 - 1) * jitter;
             widths.push(Math.max(eps, base * (1 + noise)));
         }
         // Normalize to sum 1
@@ -189,6 +232,7 @@ export class GridCore {
 
     // Incrementally update state inventories when a single cell changes (O(1) operation)
     updateStateInventories(oldState, newState) {
+        this.version++;
         if (!this.inventoryValid || !this.stateInventories) {
             // If inventories not valid, recompute from scratch
             this.computeStateInventories();
@@ -208,6 +252,7 @@ export class GridCore {
 
     // Invalidate state inventories when grid changes in bulk
     invalidateStateInventories() {
+        this.version++;
         this.inventoryValid = false;
         this.stateInventories = null;
     }
@@ -255,8 +300,8 @@ export class GridCore {
 
         // Add some random scattered cells to reach target area
         while (this.totalArea < this.targetArea * 0.7) { // Start with 70% of target
-            const row = Math.floor(Math.random() * this.gridSize);
-            const col = Math.floor(Math.random() * this.gridSize);
+            const row = this.rng.nextInt(this.gridSize);
+            const col = this.rng.nextInt(this.gridSize);
 
             if (this.grid[row][col] === this.STATES.EMPTY) {
                 // CURRENT CODE (comment out):
@@ -281,6 +326,27 @@ export class GridCore {
         }
     }
 
+    isHalfState(state) {
+        return state >= this.STATES.HALF_DIAG_TL_BR && state <= this.STATES.HALF_DIAG_BR_TL;
+    }
+
+    // Half state whose filled sides face exactly the filled sides of the 4 neighbours, or
+    // null when they do not form a corner. Cells outside the grid count as empty
+    getFittingDiagonalState(row, col) {
+        const facing = [
+            GridCore.FILLED_SIDES[this.getStateSafe(row - 1, col)][2],
+            GridCore.FILLED_SIDES[this.getStateSafe(row, col + 1)][3],
+            GridCore.FILLED_SIDES[this.getStateSafe(row + 1, col)][0],
+            GridCore.FILLED_SIDES[this.getStateSafe(row, col - 1)][1]
+        ];
+        for (const state of GridCore.HALF_STATES) {
+            if (GridCore.FILLED_SIDES[state].every((filled, side) => filled === facing[side])) {
+                return state;
+            }
+        }
+        return null;
+    }
+
     getNeighbors(row, col) {
         const neighbors = [];
         const directions = [
@@ -300,6 +366,28 @@ export class GridCore {
         return neighbors;
     }
 
+    // Cell storage: one flat row-major Uint8Array (`cells`). `grid` is an array of
+    // per-row subarray views into it, so grid[row][col] reads and writes the same memory.
+    // The views stay valid until the grid is resized.
+    allocateCells() {
+        const n = this.gridSize;
+        this.cells = new Uint8Array(n * n);
+        this.grid = Array.from({ length: n }, (_, row) => this.cells.subarray(row * n, (row + 1) * n));
+    }
+
+    cellIndex(row, col) {
+        return row * this.gridSize + col;
+    }
+
+    getCell(row, col) {
+        return this.cells[row * this.gridSize + col];
+    }
+
+    // Row view (Uint8Array sharing the grid storage)
+    getRow(row) {
+        return this.grid[row];
+    }
+
     getStateSafe(row, col) {
         if (row >= 0 && row < this.gridSize && col >= 0 && col < this.gridSize) {
             return this.grid[row][col];
@@ -362,9 +450,7 @@ export class GridCore {
 
     randomize() {
         // Reset grid
-        this.grid = Array(this.gridSize).fill(null).map(() =>
-            Array(this.gridSize).fill(this.STATES.EMPTY)
-        );
+        this.cells.fill(this.STATES.EMPTY);
         this.totalArea = 0;
 
         // Invalidate inventories since we're doing bulk changes
@@ -373,7 +459,7 @@ export class GridCore {
         // Create random initial configuration
         for (let row = 0; row < this.gridSize; row++) {
             for (let col = 0; col < this.gridSize; col++) {
-                if (Math.random() < 0.3) { // 30% chance of being occupied
+                if (this.rng.next() < 0.3) { // 30% chance of being occupied
                     // CURRENT CODE (comment out):
                     // const state = Math.floor(Math.random() * 6); // Can be 0-5
 
@@ -394,13 +480,72 @@ export class GridCore {
         };
     }
 
+    // Fill the grid with a named preset pattern:
+    // 'smooth' (central blob), 'checkerboard', 'random', 'initial' (default start pattern), 'empty'
+    applyPreset(preset) {
+        switch (preset) {
+            case 'smooth':
+                this.clearGrid();
+                this.createSmoothBlob();
+                break;
+            case 'checkerboard':
+                this.clearGrid();
+                this.createCheckerboard();
+                break;
+            case 'random':
+                this.randomize();
+                break;
+            case 'initial':
+                this.clearGrid();
+                this.createInitialPattern();
+                break;
+            case 'empty':
+                this.clearGrid();
+                break;
+            default:
+                throw new Error(`Unknown preset: ${preset}`);
+        }
+        return {
+            grid: this.grid,
+            totalArea: this.totalArea,
+            targetArea: this.targetArea
+        };
+    }
+
+    // Central FULL blob scaled with the grid size (diagonal edge states avoided)
+    createSmoothBlob() {
+        const center = Math.floor(this.gridSize / 2);
+
+        // Smaller grids get smaller relative blobs, larger grids get larger blobs
+        const scaleFactor = Math.max(0.15, Math.min(0.35, this.gridSize / 100));
+        const outerRadius = Math.max(3, Math.floor(this.gridSize * (scaleFactor + 0.1)));
+
+        for (let row = center - outerRadius; row <= center + outerRadius; row++) {
+            for (let col = center - outerRadius; col <= center + outerRadius; col++) {
+                if (row >= 0 && row < this.gridSize && col >= 0 && col < this.gridSize) {
+                    const distance = Math.sqrt((row - center) ** 2 + (col - center) ** 2);
+                    if (distance < outerRadius) {
+                        this.setCell(row, col, this.STATES.FULL);
+                    }
+                }
+            }
+        }
+    }
+
+    // FULL cells on both checkerboard colours (diagonal states avoided), i.e. a filled grid
+    createCheckerboard() {
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                this.setCell(row, col, this.STATES.FULL);
+            }
+        }
+    }
+
     // Clear the grid to an empty state without creating any initial pattern.
     // Keeps grid size, targetArea, and existing non-uniform grid points intact.
     clearGrid() {
-        // Create an empty grid
-        this.grid = Array(this.gridSize).fill(null).map(() =>
-            Array(this.gridSize).fill(this.STATES.EMPTY)
-        );
+        // Empty every cell
+        this.cells.fill(this.STATES.EMPTY);
 
         // Reset area counters
         this.totalArea = 0;
@@ -415,12 +560,103 @@ export class GridCore {
         };
     }
 
+    // Replace the grid contents with a saved state (gridSize rows of arrays or typed arrays).
+    // Keeps grid size, targetArea, and existing non-uniform grid points intact.
+    loadGrid(grid) {
+        const isRow = (row) => (Array.isArray(row) || ArrayBuffer.isView(row)) && row.length === this.gridSize;
+        if (!Array.isArray(grid) || grid.length !== this.gridSize || !grid.every(isRow)) {
+            throw new Error(`Grid must be ${this.gridSize}x${this.gridSize}`);
+        }
+
+        // Validate everything before writing so a bad grid leaves the current one intact
+        const validStates = new Set(Object.values(this.STATES));
+        grid.forEach((row, r) => row.forEach((state, c) => {
+            if (!validStates.has(state)) {
+                throw new Error(`Invalid state ${state} at (${r}, ${c})`);
+            }
+        }));
+
+        // Copy into the flat storage and recompute area from scratch
+        this.totalArea = 0;
+        grid.forEach((row, r) => {
+            this.cells.set(row, r * this.gridSize);
+            for (const state of row) {
+                this.totalArea += this.getAreaContribution(state);
+            }
+        });
+
+        // Invalidate inventories due to bulk change
+        this.invalidateStateInventories();
+
+        return {
+            grid: this.grid,
+            totalArea: this.totalArea,
+            targetArea: this.targetArea
+        };
+    }
+
+    // Export the full grid state for snapshots (deep copy)
+    exportState() {
+        return {
+            gridSize: this.gridSize,
+            grid: this.grid.map(row => [...row]),
+            targetArea: this.targetArea,
+            xPoints: Array.isArray(this.xPoints) ? [...this.xPoints] : null,
+            yPoints: Array.isArray(this.yPoints) ? [...this.yPoints] : null,
+            boundaryMarkers: this.getBoundaryMarkers(),
+            lockedCells: this.getLockedCells()
+        };
+    }
+
+    // Restore state produced by exportState(), resizing if needed.
+    // Fields that are undefined keep their current values.
+    // Returns { ok, errors } where errors lists rejected markers or grid points
+    importState(state) {
+        const errors = [];
+
+        if (state.gridSize !== this.gridSize) {
+            this.resize(state.gridSize);
+        }
+        this.loadGrid(state.grid);
+
+        if (typeof state.targetArea === 'number') {
+            this.targetArea = state.targetArea;
+        }
+
+        if (Array.isArray(state.xPoints) && Array.isArray(state.yPoints)) {
+            if (!this.setGridPointsNormalized(state.xPoints, state.yPoints)) {
+                errors.push('Invalid grid points; keeping current points');
+            }
+        }
+
+        if (state.boundaryMarkers) {
+            // Per-side group lists are a valid setBoundaryMarkers spec
+            const result = this.setBoundaryMarkers(state.boundaryMarkers);
+            errors.push(...result.errors);
+        }
+
+        if (Array.isArray(state.lockedCells)) {
+            errors.push(...this.setLockedCells(state.lockedCells).errors);
+        }
+
+        return { ok: errors.length === 0, errors };
+    }
+
+    // Independent copy of the grid, points, markers and area target that shares this
+    // core's random source (used for parallel tempering replicas)
+    clone() {
+        const copy = new GridCore(this.gridSize, { ...this.config, rng: this.rng });
+        copy.importState(this.exportState());
+        return copy;
+    }
+
     reset() {
         return this.initializeGrid();
     }
 
     resize(newSize) {
         this.gridSize = newSize;
+        this.clearLocks();
         const result = this.initializeGrid();
         // Clamp existing markers to new grid size
         this._clampMarkersToGrid();
@@ -430,7 +666,7 @@ export class GridCore {
     // Convert grid to numeric representation for convolution
     gridToNumeric() {
         return this.grid.map(row =>
-            row.map(state => {
+            Array.from(row, state => {
                 // Convert states to numeric values (0 = empty, 1 = occupied)
                 return state === this.STATES.EMPTY ? 0 : 1;
             })
@@ -461,15 +697,163 @@ export class GridCore {
         };
     }
 
+    // Label 4-connected components of the cells for which isMember(state) is true.
+    // Returns { labels (-1 for non-members), sizes (cells per label), touchesBorder (per label) }
+    labelComponents(isMember) {
+        const n = this.gridSize;
+        const labels = Array(n).fill(null).map(() => Array(n).fill(-1));
+        const sizes = [];
+        const touchesBorder = [];
+
+        for (let startRow = 0; startRow < n; startRow++) {
+            for (let startCol = 0; startCol < n; startCol++) {
+                if (labels[startRow][startCol] !== -1 || !isMember(this.grid[startRow][startCol])) continue;
+
+                const label = sizes.length;
+                let size = 0;
+                let border = false;
+                const stack = [[startRow, startCol]];
+                labels[startRow][startCol] = label;
+
+                while (stack.length > 0) {
+                    const [row, col] = stack.pop();
+                    size++;
+                    if (row === 0 || col === 0 || row === n - 1 || col === n - 1) border = true;
+
+                    for (const [dr, dc] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+                        const r = row + dr;
+                        const c = col + dc;
+                        if (r >= 0 && r < n && c >= 0 && c < n &&
+                            labels[r][c] === -1 && isMember(this.grid[r][c])) {
+                            labels[r][c] = label;
+                            stack.push([r, c]);
+                        }
+                    }
+                }
+
+                sizes.push(size);
+                touchesBorder.push(border);
+            }
+        }
+
+        return { labels, sizes, touchesBorder };
+    }
+
+    // Shape descriptors of the occupied (non-EMPTY) region:
+    // components, largest component share, enclosed holes, perimeter (cell edges,
+    // grid border included) and compactness 4*pi*area/perimeter^2
+    getShapeMetrics() {
+        const n = this.gridSize;
+        const occupied = (state) => state !== this.STATES.EMPTY;
+
+        const filled = this.labelComponents(occupied);
+        const empty = this.labelComponents(state => !occupied(state));
+        const occupiedCells = filled.sizes.reduce((sum, size) => sum + size, 0);
+
+        let perimeter = 0;
+        for (let row = 0; row < n; row++) {
+            for (let col = 0; col < n; col++) {
+                if (!occupied(this.grid[row][col])) continue;
+                for (const [dr, dc] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+                    const r = row + dr;
+                    const c = col + dc;
+                    if (r < 0 || r >= n || c < 0 || c >= n || !occupied(this.grid[r][c])) perimeter++;
+                }
+            }
+        }
+
+        return {
+            occupiedCells,
+            components: filled.sizes.length,
+            largestComponentFraction: occupiedCells > 0 ? Math.max(...filled.sizes) / occupiedCells : 0,
+            holes: empty.touchesBorder.filter(border => !border).length,
+            perimeter,
+            compactness: perimeter > 0 ? 4 * Math.PI * this.totalArea / (perimeter * perimeter) : 0
+        };
+    }
+
+    // =========================
+    // Lock Mask API
+    // =========================
+
+    // Locked cells keep their state while evolving: no move proposed by EvolutionEngine
+    // changes them. Direct edits (setCell, presets, drawing) are still allowed
+
+    isLocked(row, col) {
+        return this.lockMask[row * this.gridSize + col] === 1;
+    }
+
+    hasLockedCells() {
+        return this.lockedCount > 0;
+    }
+
+    // Public: Lock or unlock one cell. Returns true if it changed
+    setLocked(row, col, locked = true) {
+        if (row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) {
+            throw new Error(`Cell coordinates out of bounds: (${row}, ${col})`);
+        }
+        const index = row * this.gridSize + col;
+        const value = locked ? 1 : 0;
+        if (this.lockMask[index] === value) return false;
+        this.lockMask[index] = value;
+        this.lockedCount += locked ? 1 : -1;
+        return true;
+    }
+
+    // Public: Replace the lock mask with the given [[row, col], ...] cells.
+    // Returns { ok, errors }; cells outside the grid are skipped
+    setLockedCells(cells) {
+        this.clearLocks();
+        const errors = [];
+        for (const cell of cells) {
+            const [row, col] = Array.isArray(cell) ? cell : [];
+            if (!Number.isInteger(row) || !Number.isInteger(col) ||
+                row < 0 || row >= this.gridSize || col < 0 || col >= this.gridSize) {
+                errors.push(`invalid locked cell ${JSON.stringify(cell)}`);
+                continue;
+            }
+            this.setLocked(row, col, true);
+        }
+        return { ok: errors.length === 0, errors };
+    }
+
+    // Public: Locked cells as [[row, col], ...] in row-major order
+    getLockedCells() {
+        const cells = [];
+        this.lockMask.forEach((value, index) => {
+            if (value) cells.push([Math.floor(index / this.gridSize), index % this.gridSize]);
+        });
+        return cells;
+    }
+
+    clearLocks() {
+        this.lockMask = new Uint8Array(this.gridSize * this.gridSize);
+        this.lockedCount = 0;
+    }
+
     // =========================
     // Boundary Markers API
     // =========================
 
     // Public: Replace all boundary markers with provided spec
-    // spec: { group1: Marker[], group2: Marker[] }
+    // spec: { [groupName]: Marker[] | GroupSpec }, groups kept in spec order
+    // GroupSpec: { label, color, role, markers: Marker[] } or a group as returned by
+    // getBoundaryMarkers() (per-side lists); omitted fields keep the group's current or
+    // default definition (see DEFAULT_MARKER_GROUPS)
     // Marker: { side: 'top'|'right'|'bottom'|'left', start: int, length: int }
     setBoundaryMarkers(spec) {
-        const sides = new Set(['top', 'right', 'bottom', 'left']);
+        const { ok, errors, markers } = this.checkBoundaryMarkers(spec);
+
+        // Commit
+        this.boundaryMarkers = markers;
+        return { ok, errors, markers: this.getBoundaryMarkers() };
+    }
+
+    // Public: Validate a spec without applying it (e.g. while a marker is dragged).
+    // Returns { ok, errors, markers } where markers holds the groups that
+    // setBoundaryMarkers() would keep: invalid and overlapping entries are dropped
+    checkBoundaryMarkers(spec) {
+        const sides = new Set(GridCore.MARKER_SIDES);
         const normalizeMarker = (m) => {
             if (!m || !sides.has(String(m.side).toLowerCase())) return null;
             const side = String(m.side).toLowerCase();
@@ -481,23 +865,14 @@ export class GridCore {
             return { side, start, length };
         };
 
-        // Occupancy per side to ensure no overlaps across both groups
-        const occ = {
-            top: new Array(this.gridSize).fill(false),
-            right: new Array(this.gridSize).fill(false),
-            bottom: new Array(this.gridSize).fill(false),
-            left: new Array(this.gridSize).fill(false)
-        };
-
-        const out = {
-            group1: { top: [], right: [], bottom: [], left: [] },
-            group2: { top: [], right: [], bottom: [], left: [] }
-        };
+        // Occupancy per side to ensure no overlaps across all groups
+        const occ = {};
+        for (const side of GridCore.MARKER_SIDES) occ[side] = new Array(this.gridSize).fill(false);
 
+        const out = {};
         const errors = [];
 
         const applyGroup = (groupName, list) => {
-            if (!Array.isArray(list)) return;
             for (const raw of list) {
                 const m = normalizeMarker(raw);
                 if (!m) {
@@ -519,45 +894,80 @@ export class GridCore {
             }
         };
 
-        applyGroup('group1', spec?.group1 || []);
-        applyGroup('group2', spec?.group2 || []);
+        for (const [groupName, value] of Object.entries(spec || {})) {
+            if (!GridCore.MARKER_GROUP_NAME.test(groupName)) {
+                errors.push(`invalid marker group name "${groupName}"`);
+                continue;
+            }
+            const group = this._normalizeMarkerGroup(groupName, value, Object.keys(out).length, errors);
+            out[groupName] = group.definition;
+            applyGroup(groupName, group.markers);
+        }
 
-        // Commit
-        this.boundaryMarkers = out;
-        return { ok: errors.length === 0, errors, markers: this.getBoundaryMarkers() };
+        return { ok: errors.length === 0, errors, markers: out };
     }
 
-    // Public: Clear all markers
-    clearBoundaryMarkers() {
-        this.boundaryMarkers = {
-            group1: { top: [], right: [], bottom: [], left: [] },
-            group2: { top: [], right: [], bottom: [], left: [] }
+    // Internal: { definition, markers } for one spec entry; definition holds the label,
+    // colour, role and empty per-side lists
+    _normalizeMarkerGroup(groupName, value, index, errors) {
+        const current = this.boundaryMarkers?.[groupName];
+        const fallback = GridCore.DEFAULT_MARKER_GROUPS[groupName] || {
+            label: groupName,
+            color: GridCore.MARKER_COLORS[index % GridCore.MARKER_COLORS.length],
+            role: 'free'
         };
+        const pick = (key) => value?.[key] ?? current?.[key] ?? fallback[key];
+
+        let markers = [];
+        if (Array.isArray(value)) {
+            markers = value;
+        } else if (value && typeof value === 'object') {
+            markers = Array.isArray(value.markers)
+                ? value.markers
+                : GridCore.MARKER_SIDES.flatMap(side => (value[side] || []).map(m => ({ ...m, side })));
+        } else {
+            errors.push(`${groupName}: expected a list of markers or a group definition`);
+        }
+
+        let role = pick('role');
+        if (!GridCore.MARKER_ROLES.includes(role)) {
+            errors.push(`${groupName}: unknown role "${role}" (expected ${GridCore.MARKER_ROLES.join(', ')})`);
+            role = current?.role ?? fallback.role;
+        }
+        let color = pick('color');
+        if (typeof color !== 'string' || !/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(color)) {
+            errors.push(`${groupName}: invalid colour ${JSON.stringify(color)}`);
+            color = current?.color ?? fallback.color;
+        }
+
+        const definition = { label: String(pick('label')), color, role };
+        for (const side of GridCore.MARKER_SIDES) definition[side] = [];
+        return { definition, markers };
+    }
+
+    // Public: Clear all markers, keeping the groups and their definitions
+    clearBoundaryMarkers() {
+        for (const group of Object.values(this.boundaryMarkers)) {
+            for (const side of GridCore.MARKER_SIDES) group[side] = [];
+        }
     }
 
-    // Public: Get a deep copy of markers
+    // Public: Get a deep copy of markers:
+    // { [groupName]: { label, color, role, top: Marker[], right, bottom, left } }
     getBoundaryMarkers() {
         const copySide = (s) => s.map(m => ({ side: m.side, start: m.start, length: m.length }));
-        return {
-            group1: {
-                top: copySide(this.boundaryMarkers.group1.top),
-                right: copySide(this.boundaryMarkers.group1.right),
-                bottom: copySide(this.boundaryMarkers.group1.bottom),
-                left: copySide(this.boundaryMarkers.group1.left)
-            },
-            group2: {
-                top: copySide(this.boundaryMarkers.group2.top),
-                right: copySide(this.boundaryMarkers.group2.right),
-                bottom: copySide(this.boundaryMarkers.group2.bottom),
-                left: copySide(this.boundaryMarkers.group2.left)
-            }
-        };
+        const copy = {};
+        for (const [groupName, group] of Object.entries(this.boundaryMarkers)) {
+            copy[groupName] = { label: group.label, color: group.color, role: group.role };
+            for (const side of GridCore.MARKER_SIDES) copy[groupName][side] = copySide(group[side]);
+        }
+        return copy;
     }
 
     // Internal: Clamp markers when grid size changes
     _clampMarkersToGrid() {
         const clampGroup = (group) => {
-            for (const side of ['top', 'right', 'bottom', 'left']) {
+            for (const side of GridCore.MARKER_SIDES) {
                 const arr = group[side];
                 const clamped = [];
                 const occ = new Array(this.gridSize).fill(false);
@@ -579,7 +989,6 @@ export class GridCore {
             }
         };
 
-        clampGroup(this.boundaryMarkers.group1);
-        clampGroup(this.boundaryMarkers.group2);
+        Object.values(this.boundaryMarkers).forEach(clampGroup);
     }
-}
\ No newline at end of file
+}
@@ -7,6 +7,10 @@ import { EnhancedEnergySystem } from "./enhanced-energy-system.js";
 import { EvolutionEngine } from "./evolution-engine.js";
 import { UIController } from "./ui-controller.js";
 import { SimulationStatus } from "./simulation-status.js";
+import { SnapshotSerializer } from "./snapshot.js";
+import { SeededRandom } from "./random.js";
+import { ParallelTempering } from "./parallel-tempering.js";
+import { StepPacer } from "./step-pacer.js";
 
 export class GridEvolution {
   constructor(canvasId, config = {}) {
@@ -87,8 +91,14 @@ export class GridEvolution {
   }
 
   initializeComponents(canvas) {
+    // Shared seeded random source (config.seed for reproducible runs)
+    this.rng = new SeededRandom(this.config.seed ?? null);
+
   // Initialize grid core
-    this.gridCore = new GridCore(this.config.gridSize || 32, this.config);
+    this.gridCore = new GridCore(this.config.gridSize || 32, {
+      ...this.config,
+      rng: this.rng,
+    });
 
     // Initialize renderer
     this.renderer = new GridRenderer(canvas, this.gridCore.gridSize, {
@@ -118,10 +128,45 @@ export class GridEvolution {
       temperature: uiValues.temperature,
       coolingRate: uiValues.coolingRate,
       maxSteps: uiValues.maxSteps,
+      rng: this.rng,
       debugMode: this.debugMode,
     });
+    this.uiController.updateSeedDisplay(this.rng.getSeed());
+
+    // Replica exchange mode: settings while enabled, the running replicas and the one on screen
+    this.parallelTemperingSettings = null;
+    this.parallelTempering = null;
+    this.replicaView = 0;
+
+    // Evolution loop in a Web Worker (evolution-worker.js); the main thread only renders.
+    // workerActive: the worker owns the run state until it reports "stopped"
+    this.useWorker = this.config.useWorker !== false && typeof Worker !== "undefined";
+    this.worker = null;
+    this.workerRunId = 0;
+    this.workerActive = false;
+    this.resumeWhenStopped = false;
+
+    // Main-thread loop: steps per animation frame within a time budget; renders at most once a frame
+    this.stepPacer = new StepPacer({ budgetMs: this.config.frameBudgetMs || 12 });
+    this.frameRequest = null;
+    this.renderScheduled = false;
+
+    // Energy term samples for the breakdown chart (see sampleEnergyBreakdown). Each is a
+    // full energy pass, so while running they are taken at most every breakdownSampleMs
+    this.energyBreakdownHistory = [];
+    this.breakdownSampleMs = this.config.breakdownSampleMs ?? 500;
+    this.lastBreakdownSampleTime = -Infinity;
+
+    // Per-cell energy heatmap over the grid: term is null (off), "total" or an energy
+    // weight name; colorScale is a GridRenderer.COLOR_SCALES name
+    this.energyOverlay = { term: null, colorScale: "heat" };
+    // Last computed field with what it was computed from; while running it is refreshed at
+    // most every overlayRefreshMs, otherwise whenever the grid, weights or term change
+    this.energyOverlayField = null;
+    this.overlayRefreshMs = this.config.overlayRefreshMs ?? 250;
 
     this.logImportant("All components initialized with UI temperature:", uiValues.temperature);
+    this.logImportant("Random seed:", this.rng.getSeed());
   }
 
   setupEventHandlers() {
@@ -150,6 +195,15 @@ export class GridEvolution {
         this.setEnergyWeight("neighborEnergy", value),
       onHoleIsolationWeightChange: (value) =>
         this.setEnergyWeight("holesAndIsolation", value),
+      onOutlineWeightChange: (value) =>
+        this.setEnergyWeight("boundaryLength", value),
+      onWallWeightChange: (value) =>
+        this.setEnergyWeight("wallContact", value),
+      onAreaConstraintWeightChange: (value) =>
+        this.setEnergyWeight("areaConstraint", value),
+      onPortConnectivityWeightChange: (value) =>
+        this.setEnergyWeight("portConnectivity", value),
+      onConnectivityModeChange: (mode) => this.setConnectivityMode(mode),
       onIsingWeightChange: (value) =>
         this.setEnergyWeight("isingEnergy", value),
       onIsingJ1Change: (value) =>
@@ -157,8 +211,17 @@ export class GridEvolution {
       onIsingJ2Change: (value) =>
         this.setIsingJ2(value),
       onMaxStepsChange: (value) => this.setMaxSteps(value),
+      onAdaptiveCoolingChange: (settings) => this.setAdaptiveCooling(settings),
+      onMoveWeightsChange: (weights) => this.setMoveWeights(weights),
+      onCoolingScheduleChange: (schedule) => this.setCoolingSchedule(schedule),
+      onParallelTemperingChange: (settings) => this.setParallelTempering(settings),
+      onReplicaViewChange: (index) => this.setReplicaView(index),
+      onEnergyOverlayChange: (settings) => this.setEnergyOverlay(settings),
+      onSeedChange: (seed) => this.setSeed(seed),
+      onSeedRandom: () => this.setSeed(SeededRandom.generateSeed()),
       onPresetChange: (preset) => this.applyPreset(preset),
       onSnapshot: () => this.takeSnapshot(),
+      onLoadSnapshot: (text) => this.loadSnapshotJSON(text),
       // Non-uniform grid: apply and randomize
       onGridPointsApply: ({ xPoints, yPoints }) => this.applyGridPoints(xPoints, yPoints),
       onGridPointsRandom: (jitter) => this.randomizeGridPoints(jitter),
@@ -166,6 +229,7 @@ export class GridEvolution {
       // Boundary markers
       onMarkersApply: (spec) => this.applyBoundaryMarkers(spec),
       onMarkersClear: () => this.clearBoundaryMarkers(),
+      onClearLocks: () => this.clearLocks(),
     });
 
     // Update UI with current values
@@ -175,6 +239,9 @@ export class GridEvolution {
   }
 
   calculateInitialState() {
+    // Resizing recomputes the grid's target area
+    this.syncAreaTarget();
+
     // Calculate initial energy/cost with enhanced energy system
     const initialEnergy = this.energySystem.calculateEnergy(
       this.gridCore.grid,
@@ -194,11 +261,17 @@ export class GridEvolution {
 
     // Initialize cost history
     this.evolutionEngine.costHistory = [initialEnergy];
+    this.energyBreakdownHistory = [];
 
     this.logImportant(
       "Initial state calculated - Energy:",
       initialEnergy.toFixed(3),
     );
+
+    // Replicas restart from the new main grid
+    if (this.parallelTemperingSettings) {
+      this.startParallelTempering();
+    }
   }
 
   completeInitialization() {
@@ -214,6 +287,9 @@ export class GridEvolution {
 
   // Set up click-to-toggle cell drawing (unmodified clicks)
   this.setupClickToggle();
+      this.setupMarkerEditing();
+      this.setupLockBrush();
+      this.uiController.setMarkerInputs(this.gridCore.getBoundaryMarkers());
 
       // Set initial status
       SimulationStatus.setStatus(SimulationStatus.STATUS.IDLE);
@@ -269,13 +345,17 @@ export class GridEvolution {
 
     SimulationStatus.setStatus(SimulationStatus.STATUS.RUNNING);
     this.evolutionEngine.startEvolution();
-    this.evolveLoop();
+    this.runEvolution();
   }
 
   pauseEvolution() {
     this.logImportant("Evolution paused");
     SimulationStatus.setStatus(SimulationStatus.STATUS.PAUSED);
     this.evolutionEngine.stopEvolution();
+    if (this.workerActive) {
+      this.resumeWhenStopped = false;
+      this.worker.postMessage({ type: "pause" });
+    }
   }
 
   resumeEvolution() {
@@ -284,7 +364,7 @@ export class GridEvolution {
     if (SimulationStatus.isPaused()) {
       SimulationStatus.setStatus(SimulationStatus.STATUS.RUNNING);
       this.evolutionEngine.startEvolution();
-      this.evolveLoop();
+      this.runEvolution();
     } else {
       this.logWarning("resumeEvolution() called but simulation is not paused");
     }
@@ -294,13 +374,156 @@ export class GridEvolution {
     this.logImportant("Evolution stopped");
     SimulationStatus.setStatus(SimulationStatus.STATUS.STOPPED);
     this.evolutionEngine.stopEvolution();
+    this.abandonWorkerRun();
+  }
+
+  // Run in the worker when possible, else step on the main thread.
+  // Parallel tempering always runs on the main thread
+  runEvolution() {
+    if (this.workerActive) {
+      // Still waiting for the paused worker to hand its state back
+      this.resumeWhenStopped = true;
+      return;
+    }
+    if (this.useWorker && !this.parallelTempering && this.startWorker()) {
+      return;
+    }
+    if (this.frameRequest !== null) {
+      cancelAnimationFrame(this.frameRequest);
+    }
+    this.stepPacer.reset();
+    this.evolveLoop();
   }
 
+  // Send the full state to the worker and start a run. Returns false if no worker can be created
+  startWorker() {
+    if (!this.worker) {
+      try {
+        this.worker = new Worker(new URL("./evolution-worker.js", import.meta.url), { type: "module" });
+      } catch (error) {
+        this.logWarning("Evolution worker unavailable, stepping on the main thread:", error);
+        this.useWorker = false;
+        return false;
+      }
+      this.worker.onmessage = (event) => this.onWorkerMessage(event.data);
+      this.worker.onerror = (event) => this.onWorkerError(event);
+    }
+
+    this.workerRunId++;
+    this.workerActive = true;
+    this.worker.postMessage({
+      type: "init",
+      runId: this.workerRunId,
+      snapshot: {
+        ...SnapshotSerializer.capture(this.gridCore, this.energySystem, this.evolutionEngine),
+        acceptance: this.evolutionEngine.exportAcceptanceHistory(),
+      },
+    });
+    this.worker.postMessage({ type: "start", sampleInterval: 10 });
+    this.logDetailed(`Worker run ${this.workerRunId} started`);
+    return true;
+  }
+
+  // Stop the worker and ignore anything it still sends for this run
+  // (reset, resize and snapshot loads replace the state it would report)
+  abandonWorkerRun() {
+    if (!this.workerActive) return;
+    this.worker.postMessage({ type: "pause" });
+    this.workerRunId++;
+    this.workerActive = false;
+    this.resumeWhenStopped = false;
+  }
+
+  onWorkerMessage(message) {
+    if (message.runId !== this.workerRunId) return; // From an abandoned run
+
+    const engine = this.evolutionEngine;
+    for (const [row, col, state] of message.changes || []) {
+      this.gridCore.setCell(row, col, state);
+    }
+    engine.importAcceptanceHistory(message.acceptance);
+
+    if (message.type === "progress") {
+      Object.assign(engine, message.engine);
+      for (const sample of message.samples) {
+        engine.costHistory.push(sample.energy);
+      }
+      if (engine.costHistory.length > 1000) {
+        engine.costHistory.splice(0, engine.costHistory.length - 1000);
+      }
+    } else if (message.type === "stopped") {
+      this.workerActive = false;
+      engine.importState(message.engine);
+      this.rng.importState(message.rng);
+      this.logDetailed(`Worker run ${message.runId} stopped (${message.reason}) at step ${engine.currentStep}`);
+
+      if (message.reason === "terminated") {
+        this.stopEvolution();
+      } else if (this.resumeWhenStopped && engine.isRunning) {
+        this.resumeWhenStopped = false;
+        this.runEvolution();
+      }
+    }
+
+    this.scheduleRender();
+  }
+
+  // Render and update the UI on the next animation frame (coalesces worker messages)
+  scheduleRender() {
+    if (this.renderScheduled) return;
+    this.renderScheduled = true;
+    requestAnimationFrame(() => {
+      this.renderScheduled = false;
+      this.render();
+      this.updateUI();
+    });
+  }
+
+  // A worker that fails to load (e.g. pages opened from file://) falls back to the main thread
+  onWorkerError(event) {
+    this.logError("Evolution worker error:", event.message || event);
+    this.worker.terminate();
+    this.worker = null;
+    this.workerActive = false;
+    this.useWorker = false;
+    if (this.evolutionEngine.isRunning && SimulationStatus.isRunning()) {
+      this.uiController.showMessage("Background worker failed; continuing on the main thread.", 'error');
+      this.runEvolution();
+    }
+  }
+
+  // Mirror a setter into the worker while it owns the run
+  forwardToWorker(target, method, ...args) {
+    if (this.workerActive) {
+      this.worker.postMessage({ type: "call", target, method, args });
+    }
+  }
+
+  // Send edited cells in a row/col rectangle to the worker while it owns the run
+  syncCellsToWorker(row, col, height = 1, width = 1) {
+    if (!this.workerActive) return;
+    const changes = [];
+    for (let r = row; r < row + height; r++) {
+      for (let c = col; c < col + width; c++) {
+        changes.push([r, c, this.gridCore.grid[r][c]]);
+      }
+    }
+    this.worker.postMessage({ type: "setCells", changes });
+  }
+
+  // One animation frame: as many steps as the frame budget and the steps-per-second
+  // target allow, then a single render and UI update
   evolveLoop() {
+    this.frameRequest = null;
     // Continue only if engine is running AND status is RUNNING
     if (this.evolutionEngine.isRunning && SimulationStatus.isRunning()) {
-      this.evolveStep();
-      setTimeout(() => this.evolveLoop(), this.evolutionEngine.evolutionSpeed);
+      this.stepPacer.run(this.evolutionEngine.stepsPerSecond, () => {
+        this.advanceStep();
+        return this.evolutionEngine.isRunning;
+      });
+      this.render();
+      this.updateUI();
+      this.frameRequest = requestAnimationFrame(() => this.evolveLoop());
     } else {
       // Update status if engine stopped but global status is still running
       if (SimulationStatus.isRunning() && !this.evolutionEngine.isRunning) {
@@ -309,13 +532,23 @@ export class GridEvolution {
     }
   }
 
+  // Single step (Step button): advance once, then render
   evolveStep() {
-    if (!this.evolutionEngine.isRunning) return;
+    if (!this.evolutionEngine.isRunning || this.workerActive) return;
+    this.advanceStep();
+    this.render();
+    this.updateUI();
+  }
 
-    let shouldRender = false;
+  // One annealing step, or one replica exchange step, without rendering
+  advanceStep() {
+    if (this.parallelTempering) {
+      this.advanceParallelTempering();
+      return;
+    }
 
     // Simulated annealing step
-    const result = this.evolutionEngine.annealingStep(
+    this.evolutionEngine.annealingStep(
       this.gridCore,
       this.energySystem,
       this.gridCore.STATES,
@@ -330,29 +563,95 @@ export class GridEvolution {
       this.evolutionEngine.costHistory.shift();
     }
 
-    shouldRender = result.accepted;
-
     // Check termination conditions
     if (this.evolutionEngine.shouldTerminateAnnealing()) {
       this.stopEvolution();
-      shouldRender = true; // Final render
     }
 
     this.evolutionEngine.currentStep++;
+  }
+
+  // Replica exchange step: every replica advances one step at its fixed temperature.
+  // Runs until maxSteps (there is no cooling to terminate on)
+  advanceParallelTempering() {
+    this.parallelTempering.step();
+    this.evolutionEngine.currentStep++;
 
-    // Periodic visual updates
-    if (!shouldRender && this.evolutionEngine.currentStep % 10 === 0) {
-      shouldRender = true;
+    if (this.evolutionEngine.currentStep >= this.evolutionEngine.maxSteps) {
+      this.stopEvolution();
     }
+  }
 
-    if (shouldRender) {
-      this.render();
+  // Enable replica exchange with { replicas, minTemperature, maxTemperature, swapInterval },
+  // or disable it with null. Disabling copies the replica on screen back into the main grid
+  setParallelTempering(settings) {
+    if (!settings) {
+      if (this.parallelTempering) {
+        this.adoptReplica(this.replicaView);
+      }
+      this.parallelTemperingSettings = null;
+      this.parallelTempering = null;
+      this.uiController.updateReplicaOptions([], 0);
+      this.logImportant("Parallel tempering disabled");
+    } else {
+      this.parallelTemperingSettings = { ...settings };
+      try {
+        this.startParallelTempering();
+      } catch (error) {
+        this.parallelTemperingSettings = null;
+        this.uiController.showMessage(error.message, 'error');
+        return;
+      }
+      this.logImportant("Parallel tempering enabled:", this.parallelTemperingSettings);
+      // Replicas step on the main thread: take the run back from the worker
+      if (this.workerActive) {
+        this.worker.postMessage({ type: "pause" });
+        this.resumeWhenStopped = true;
+      }
     }
+    this.render();
+    this.updateUI();
+  }
+
+  // (Re)build the replicas from the main grid
+  startParallelTempering() {
+    this.parallelTempering = new ParallelTempering(this.gridCore, this.energySystem, {
+      ...this.parallelTemperingSettings,
+      rng: this.rng,
+      areaPreservation: this.evolutionEngine.areaPreservation,
+      moveWeights: this.evolutionEngine.getMoveWeights(),
+      debugMode: this.debugLevel >= 3,
+    });
+    this.replicaView = 0;
+    this.uiController.updateReplicaOptions(this.parallelTempering.temperatures, 0);
+  }
 
-    // Always update UI
+  setReplicaView(index) {
+    if (!this.parallelTempering || !this.parallelTempering.getReplica(index)) return;
+    this.replicaView = index;
+    this.render();
     this.updateUI();
   }
 
+  // Copy a replica's configuration into the main grid and continue from its energy
+  adoptReplica(index) {
+    const replica = this.parallelTempering.getReplica(index);
+    this.gridCore.loadGrid(replica.gridCore.grid);
+    this.evolutionEngine.currentEnergy = this.energySystem.calculateEnergy(
+      this.gridCore.grid,
+      this.gridCore.STATES,
+    );
+    this.evolutionEngine.currentCost = this.evolutionEngine.currentEnergy;
+    this.logImportant(`Adopted replica ${index} (T=${replica.temperature.toFixed(3)})`);
+  }
+
+  // Grid shown on the canvas: the viewed replica in parallel tempering mode, else the main grid
+  getDisplayedGridCore() {
+    return this.parallelTempering
+      ? this.parallelTempering.getReplica(this.replicaView).gridCore
+      : this.gridCore;
+  }
+
   // Grid management methods
   reset() {
     this.logImportant("Grid reset");
@@ -394,6 +693,7 @@ export class GridEvolution {
   this.renderer.setGridPoints(this.gridCore.xPoints, this.gridCore.yPoints);
     this.energySystem.gridSize = newSize;
     this.energySystem.geometricKernels.updateGridSize(newSize);
+    this.energySystem.setBoundaryMarkers(this.gridCore.getBoundaryMarkers());
     this.evolutionEngine.gridSize = newSize;
 
     // Rebind drag rectangle handler for new grid size
@@ -418,8 +718,8 @@ export class GridEvolution {
   }
 
   randomizeGridPoints(jitter = 0.35) {
-    this.gridCore.xPoints = GridCore.generateRandomPoints(this.gridCore.gridSize, jitter);
-    this.gridCore.yPoints = GridCore.generateRandomPoints(this.gridCore.gridSize, jitter);
+    this.gridCore.xPoints = GridCore.generateRandomPoints(this.gridCore.gridSize, jitter, this.rng);
+    this.gridCore.yPoints = GridCore.generateRandomPoints(this.gridCore.gridSize, jitter, this.rng);
     this.renderer.setGridPoints(this.gridCore.xPoints, this.gridCore.yPoints);
     this.render();
     this.updateUI();
@@ -443,59 +743,168 @@ export class GridEvolution {
     } else {
       this.uiController.showMessage('Markers applied.', 'success');
     }
+    this.uiController.setMarkerInputs(this.gridCore.getBoundaryMarkers());
+    this.syncBoundaryConditions();
     this.render();
   }
 
   clearBoundaryMarkers() {
     this.gridCore.clearBoundaryMarkers();
+    this.uiController.setMarkerInputs(this.gridCore.getBoundaryMarkers());
     this.uiController.showMessage('Markers cleared.', 'success');
+    this.syncBoundaryConditions();
     this.render();
   }
 
-  setEvolutionSpeed(speed) {
-    this.evolutionEngine.setEvolutionSpeed(speed);
-    this.uiController.updateSpeedDisplay(speed);
+  // A marker created, moved, resized or deleted on the canvas; the spec was already
+  // checked against overlaps while dragging
+  applyMarkerEdit(spec) {
+    this.gridCore.setBoundaryMarkers(spec);
+    this.uiController.setMarkerInputs(this.gridCore.getBoundaryMarkers());
+    this.syncBoundaryConditions();
+    this.render();
+  }
+
+  // Markers are boundary conditions of the energy: hand them to the energy system (and the
+  // worker's copy) and recalculate
+  syncBoundaryConditions() {
+    const markers = this.gridCore.getBoundaryMarkers();
+    this.energySystem.setBoundaryMarkers(markers);
+    this.forwardToWorker("energySystem", "setBoundaryMarkers", markers);
+    this.recalculateCurrentEnergy();
+  }
+
+  // "off", "soft" or "hard": whether source and sink ports must stay connected through
+  // occupied cells
+  setConnectivityMode(mode) {
+    this.energySystem.setConnectivityMode(mode);
+    this.forwardToWorker("energySystem", "setConnectivityMode", mode);
+    this.recalculateCurrentEnergy();
+  }
+
+  // Full energy recalculation after the energy function changed
+  recalculateCurrentEnergy() {
+    this.evolutionEngine.currentEnergy = this.energySystem.calculateEnergy(
+      this.gridCore.grid,
+      this.gridCore.STATES,
+    );
+    this.evolutionEngine.currentCost = this.evolutionEngine.currentEnergy;
+    if (this.parallelTempering) {
+      this.parallelTempering.recalculateEnergies();
+    }
+    this.updateUI();
+  }
+
+  // Target steps per second, or "max" for as many as fit in each frame
+  setEvolutionSpeed(stepsPerSecond) {
+    this.evolutionEngine.setStepsPerSecond(stepsPerSecond);
+    this.forwardToWorker("evolutionEngine", "setStepsPerSecond", stepsPerSecond);
+    this.uiController.updateSpeedDisplay(stepsPerSecond);
   }
 
   setMaxSteps(maxSteps) {
     this.evolutionEngine.setMaxSteps(maxSteps);
+    this.forwardToWorker("evolutionEngine", "setMaxSteps", maxSteps);
     this.uiController.updateMaxStepsDisplay(maxSteps);
   }
 
+  setCoolingSchedule(schedule) {
+    try {
+      this.evolutionEngine.setCoolingSchedule(schedule);
+    } catch (error) {
+      this.uiController.showMessage(error.message, 'error');
+      return;
+    }
+    this.forwardToWorker("evolutionEngine", "setCoolingSchedule", schedule);
+    this.uiController.updateCoolingScheduleControls(this.evolutionEngine.coolingSchedule);
+    this.logDetailed("Cooling schedule updated:", this.evolutionEngine.coolingSchedule);
+  }
+
+  setMoveWeights(weights) {
+    try {
+      this.evolutionEngine.setMoveWeights(weights);
+    } catch (error) {
+      // Rejected weights are never applied: put the controls back and leave the worker alone
+      this.uiController.showMessage(error.message, 'error');
+      this.uiController.updateMoveControls(this.evolutionEngine.getMoveWeights());
+      return;
+    }
+    this.forwardToWorker("evolutionEngine", "setMoveWeights", this.evolutionEngine.getMoveWeights());
+    this.uiController.updateMoveControls(this.evolutionEngine.getMoveWeights());
+    this.logDetailed("Move weights updated:", this.evolutionEngine.getMoveWeights());
+  }
+
+  setAdaptiveCooling(settings) {
+    this.evolutionEngine.setAdaptiveCooling(settings);
+    this.forwardToWorker("evolutionEngine", "setAdaptiveCooling", settings);
+    this.uiController.updateAdaptiveCoolingControls(this.evolutionEngine.adaptiveCooling);
+    this.logDetailed("Adaptive cooling updated:", this.evolutionEngine.adaptiveCooling);
+  }
+
+  // Restart the shared random sequence; randomize/preset/start after this to replay a run
+  setSeed(seed) {
+    this.rng.setSeed(seed);
+    this.uiController.updateSeedDisplay(this.rng.getSeed());
+    this.logImportant("Random seed set to", this.rng.getSeed());
+    this.uiController.showMessage(`Random seed set to ${this.rng.getSeed()}.`, 'success');
+  }
+
+  getSeed() {
+    return this.rng.getSeed();
+  }
+
   setEnergyWeight(type, value) {
     this.energySystem.setEnergyWeight(type, value);
+    this.forwardToWorker("energySystem", "setEnergyWeight", type, value);
     // Recalculate current energy
     this.evolutionEngine.currentEnergy = this.energySystem.calculateEnergy(
       this.gridCore.grid,
       this.gridCore.STATES,
     );
     this.evolutionEngine.currentCost = this.evolutionEngine.currentEnergy;
+    if (this.parallelTempering) {
+      this.parallelTempering.recalculateEnergies();
+    }
     this.updateUI();
   }
 
   setAnnealingParameter(param, value) {
     this.evolutionEngine.setAnnealingParameter(param, value);
+    this.forwardToWorker("evolutionEngine", "setAnnealingParameter", param, value);
     this.updateUI();
   }
 
   resetTemperature() {
     this.evolutionEngine.resetTemperature();
+    this.forwardToWorker("evolutionEngine", "resetTemperature");
     this.updateUI();
   }
 
+  // Area preservation off allows single-cell flips, with the soft area constraint
+  // pulling the area towards the grid's target
   setAreaPreservation(preserve) {
     this.evolutionEngine.areaPreservation = preserve;
-    // Recalculate current cost
-    this.evolutionEngine.currentCost = this.energySystem.calculateEnergy(
+    this.forwardToWorker("evolutionEngine", "importState", { areaPreservation: preserve });
+    if (this.parallelTempering) {
+      this.parallelTempering.replicas.forEach((replica) => { replica.engine.areaPreservation = preserve; });
+    }
+
+    this.syncAreaTarget();
+    this.evolutionEngine.currentEnergy = this.energySystem.calculateEnergy(
       this.gridCore.grid,
       this.gridCore.STATES,
     );
+    this.evolutionEngine.currentCost = this.evolutionEngine.currentEnergy;
+    if (this.parallelTempering) {
+      this.parallelTempering.recalculateEnergies();
+    }
     this.updateUI();
   }
 
   // Set Ising coupling constants
   setIsingJ1(value) {
     this.energySystem.setIsingJ1(value);
+    this.forwardToWorker("energySystem", "setIsingJ1", value);
     this.uiController.updateIsingJ1Display(value);
     // Recalculate current energy
     this.evolutionEngine.currentEnergy = this.energySystem.calculateEnergy(
@@ -503,12 +912,16 @@ export class GridEvolution {
       this.gridCore.STATES,
     );
     this.evolutionEngine.currentCost = this.evolutionEngine.currentEnergy;
+    if (this.parallelTempering) {
+      this.parallelTempering.recalculateEnergies();
+    }
     this.updateUI();
     this.logDetailed(`Ising J1 coupling set to ${value}`);
   }
 
   setIsingJ2(value) {
     this.energySystem.setIsingJ2(value);
+    this.forwardToWorker("energySystem", "setIsingJ2", value);
     this.uiController.updateIsingJ2Display(value);
     // Recalculate current energy
     this.evolutionEngine.currentEnergy = this.energySystem.calculateEnergy(
@@ -516,10 +929,22 @@ export class GridEvolution {
       this.gridCore.STATES,
     );
     this.evolutionEngine.currentCost = this.evolutionEngine.currentEnergy;
+    if (this.parallelTempering) {
+      this.parallelTempering.recalculateEnergies();
+    }
     this.updateUI();
     this.logDetailed(`Ising J2 coupling set to ${value}`);
   }
 
+  // Point the soft area constraint at the grid's target area, or turn it off while the
+  // area is preserved
+  syncAreaTarget() {
+    const target = this.evolutionEngine.areaPreservation ? null : this.gridCore.targetArea;
+    if (this.energySystem.areaTarget === target) return;
+    this.energySystem.setAreaTarget(target);
+    this.forwardToWorker("energySystem", "setAreaTarget", target);
+  }
+
   // Preset patterns
   applyPreset(preset) {
     if (!preset) return;
@@ -547,63 +972,11 @@ export class GridEvolution {
   }
 
   createSmoothBlobPreset() {
-    const gridSize = this.gridCore.gridSize;
-    const center = Math.floor(gridSize / 2);
-
-    // Scale the blob size based on grid size
-    // Smaller grids get smaller relative blobs, larger grids get larger blobs
-    const scaleFactor = Math.max(0.15, Math.min(0.35, gridSize / 100));
-    const coreRadius = Math.max(2, Math.floor(gridSize * scaleFactor));
-    const outerRadius = Math.max(3, Math.floor(gridSize * (scaleFactor + 0.1)));
-
-    for (let row = center - outerRadius; row <= center + outerRadius; row++) {
-      for (let col = center - outerRadius; col <= center + outerRadius; col++) {
-        if (row >= 0 && row < gridSize && col >= 0 && col < gridSize) {
-          const distance = Math.sqrt((row - center) ** 2 + (col - center) ** 2);
-          if (distance < coreRadius) {
-            this.gridCore.setCell(row, col, this.gridCore.STATES.FULL);
-          } else if (distance < outerRadius) {
-            // CURRENT CODE (comment out):
-            // this.gridCore.setCell(row, col, this.gridCore.STATES.HALF_DIAG_TL_BR);
-
-            // DESIRED CODE:
-            // Use FULL states instead of diagonal to avoid half-filled grids
-            this.gridCore.setCell(row, col, this.gridCore.STATES.FULL);
-          }
-        }
-      }
-    }
+    this.gridCore.createSmoothBlob();
   }
 
   createCheckerboardPreset() {
-    const gridSize = this.gridCore.gridSize;
-
-    for (let row = 0; row < gridSize; row++) {
-      for (let col = 0; col < gridSize; col++) {
-        const position = (row + col) % 2;
-
-        if (position === 0) {
-          // Set full cells on even positions
-          this.gridCore.setCell(row, col, this.gridCore.STATES.FULL);
-        } else {
-          // CURRENT CODE (comment out):
-          // // Add diagonal states on odd positions to create more interesting patterns
-          // // Vary the diagonal state based on position to create diverse patterns
-          // const diagonalType = (row * gridSize + col) % 4;
-          // const diagonalState = [
-          //     this.gridCore.STATES.HALF_DIAG_TL_BR,
-          //     this.gridCore.STATES.HALF_DIAG_TR_BL,
-          //     this.gridCore.STATES.HALF_DIAG_BL_TR,
-          //     this.gridCore.STATES.HALF_DIAG_BR_TL
-          // ][diagonalType];
-          // this.gridCore.setCell(row, col, diagonalState);
-
-          // DESIRED CODE:
-          // Use FULL states instead of diagonal states to maintain consistency
-          this.gridCore.setCell(row, col, this.gridCore.STATES.FULL);
-        }
-      }
-    }
+    this.gridCore.createCheckerboard();
   }
 
   // Rendering and UI methods
@@ -613,15 +986,84 @@ export class GridEvolution {
       return;
     }
 
+    const displayed = this.getDisplayedGridCore();
+
     // Update grid reference for drag rectangle preview
     this.uiController.setGridReference(
-      this.gridCore.grid,
-      this.gridCore.STATES,
+      displayed.grid,
+      displayed.STATES,
     );
 
-    // Ensure renderer has latest markers before rendering
+    // Ensure renderer has latest markers and locks before rendering. Both are edited on the
+    // main grid only, so replicas show them too
     this.renderer.setMarkers(this.gridCore.getBoundaryMarkers());
-    this.renderer.render(this.gridCore.grid, this.gridCore.STATES);
+    this.renderer.setLockMask(this.gridCore.hasLockedCells() ? this.gridCore.lockMask : null);
+    this.renderer.render(displayed.grid, displayed.STATES);
+    this.renderEnergyOverlay(displayed);
+  }
+
+  // { term, colorScale }; undefined fields keep their current values
+  setEnergyOverlay(settings) {
+    Object.assign(this.energyOverlay, settings);
+    this.render();
+  }
+
+  // Heatmap of each cell's local energy for the selected term, with its legend
+  renderEnergyOverlay(gridCore) {
+    const { term, colorScale } = this.energyOverlay;
+    if (!term) {
+      this.energyOverlayField = null;
+      this.uiController.updateOverlayLegend(null);
+      return;
+    }
+
+    const { field, min, max } = this.getEnergyOverlayField(gridCore, term);
+    const scale = GridRenderer.createColorScale(colorScale, min, max);
+    this.renderer.renderOverlay(field, scale);
+    this.uiController.updateOverlayLegend({
+      gradient: GridRenderer.gradientCSS(colorScale),
+      min: scale.domain[0],
+      max: scale.domain[1],
+    });
+  }
+
+  // { field, min, max } for the overlay, reusing the last field when nothing it depends on
+  // changed, or when it is younger than overlayRefreshMs during a run
+  getEnergyOverlayField(gridCore, term) {
+    const previous = this.energyOverlayField;
+    const now = performance.now();
+    if (
+      previous &&
+      previous.gridCore === gridCore &&
+      previous.term === term &&
+      previous.generation === this.energySystem.cacheGeneration
+    ) {
+      const unchanged = previous.version === gridCore.version;
+      const throttled = this.evolutionEngine.isRunning && now - previous.time < this.overlayRefreshMs;
+      if (unchanged || throttled) return previous;
+    }
+
+    const field = this.energySystem.getEnergyField(gridCore, term);
+    let min = Infinity;
+    let max = -Infinity;
+    for (const row of field) {
+      for (const value of row) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+      }
+    }
+
+    this.energyOverlayField = {
+      gridCore,
+      term,
+      version: gridCore.version,
+      generation: this.energySystem.cacheGeneration,
+      time: now,
+      field,
+      min,
+      max,
+    };
+    return this.energyOverlayField;
   }
 
   updateUI() {
@@ -630,7 +1072,7 @@ export class GridEvolution {
       isRunning: this.evolutionEngine.isRunning,
       currentArea: this.gridCore.totalArea,
       targetArea: this.gridCore.targetArea,
-      speed: this.evolutionEngine.evolutionSpeed,
+      speed: this.evolutionEngine.stepsPerSecond,
       showAnnealingControls: true,
       maxSteps: this.evolutionEngine.maxSteps,
     };
@@ -638,14 +1080,31 @@ export class GridEvolution {
     data.energy = this.evolutionEngine.currentEnergy;
     data.temperature = this.evolutionEngine.temperature;
     data.coolingRate = this.evolutionEngine.coolingRate;
+    data.acceptanceRate = this.evolutionEngine.calculateRecentAcceptanceRate();
+    data.moveStats = this.evolutionEngine.getMoveStats();
     data.isAnnealing = true;
 
+    if (this.parallelTempering) {
+      const replica = this.parallelTempering.getReplica(this.replicaView);
+      data.energy = replica.engine.currentEnergy;
+      data.temperature = replica.temperature;
+      data.acceptanceRate = replica.engine.calculateRecentAcceptanceRate();
+      data.moveStats = replica.engine.getMoveStats();
+      data.currentArea = replica.gridCore.totalArea;
+      this.uiController.updateParallelTemperingStats(this.parallelTempering.getStats(), this.replicaView);
+    }
+
     // Add current energy weights
     const weights = this.energySystem.getEnergyWeights();
     data.edgeWeight = weights.geometricContinuity;
     data.cornerWeight = weights.sharpCorners;
     data.zebraWeight = weights.zebraPatterns;
     data.holeIsolationWeight = weights.holesAndIsolation;
+    data.outlineWeight = weights.boundaryLength;
+    data.wallWeight = weights.wallContact;
+    data.areaConstraintWeight = weights.areaConstraint;
+    data.portConnectivityWeight = weights.portConnectivity;
+    data.lockedCount = this.gridCore.lockedCount;
 
     data.status = data.isRunning ? "Running" : "Stopped";
 
@@ -656,7 +1115,7 @@ export class GridEvolution {
     // Update UI controls to match current configuration
     const weights = this.energySystem.getEnergyWeights();
     this.uiController.updateUI({
-      speed: this.evolutionEngine.evolutionSpeed,
+      speed: this.evolutionEngine.stepsPerSecond,
       temperature: this.evolutionEngine.temperature,
       coolingRate: this.evolutionEngine.coolingRate,
       maxSteps: this.evolutionEngine.maxSteps,
@@ -665,6 +1124,10 @@ export class GridEvolution {
       cornerWeight: weights.sharpCorners,
       zebraWeight: weights.zebraPatterns,
       holeIsolationWeight: weights.holesAndIsolation,
+      outlineWeight: weights.boundaryLength,
+      wallWeight: weights.wallContact,
+      areaConstraintWeight: weights.areaConstraint,
+      portConnectivityWeight: weights.portConnectivity,
     });
   }
 
@@ -701,6 +1164,30 @@ export class GridEvolution {
     return this.evolutionEngine.currentStep;
   }
 
+  // Energy terms of the grid on screen (see EnhancedEnergySystem.calculateEnergyBreakdown)
+  getEnergyBreakdown() {
+    const displayed = this.getDisplayedGridCore();
+    return this.energySystem.calculateEnergyBreakdown(displayed.grid, displayed.STATES);
+  }
+
+  // Record the breakdown at the current step: once per step, at most every breakdownSampleMs
+  // while running, last 1000 samples kept. Returns the history itself, [{ step, total, terms }],
+  // which callers must not modify
+  sampleEnergyBreakdown() {
+    const step = this.evolutionEngine.currentStep;
+    const history = this.energyBreakdownHistory;
+    const now = performance.now();
+    const due = !this.evolutionEngine.isRunning || now - this.lastBreakdownSampleTime >= this.breakdownSampleMs;
+    if (history.length === 0 || (history[history.length - 1].step !== step && due)) {
+      history.push({ step, ...this.getEnergyBreakdown() });
+      this.lastBreakdownSampleTime = now;
+      if (history.length > 1000) {
+        history.shift();
+      }
+    }
+    return history;
+  }
+
   // Set up drag-and-drop rectangle drawing as additional feature
   setupDragRectangle() {
     // Set grid reference for drag preview
@@ -725,6 +1212,8 @@ export class GridEvolution {
           this.gridCore.STATES,
         );
         this.evolutionEngine.currentCost = this.evolutionEngine.currentEnergy;
+        if (this.parallelTempering) this.startParallelTempering();
+        this.syncCellsToWorker(row, col, height, width);
 
         // Update UI
         this.updateUI();
@@ -732,6 +1221,55 @@ export class GridEvolution {
     );
   }
 
+  // Set up marker editing in the band around the grid
+  setupMarkerEditing() {
+    // Bind only once: the renderer and grid core persist across resizes
+    if (this._markerEditingBound) return;
+    this._markerEditingBound = true;
+
+    this.uiController.bindMarkerEditHandler(
+      this.renderer.canvas,
+      this.renderer,
+      this.gridCore,
+      (spec) => this.applyMarkerEdit(spec),
+    );
+  }
+
+  // Set up the lock brush for painting the lock mask on the canvas
+  setupLockBrush() {
+    // Bind only once: the renderer and grid core persist across resizes
+    if (this._lockBrushBound) return;
+    this._lockBrushBound = true;
+
+    this.uiController.bindLockBrushHandler(
+      this.renderer.canvas,
+      this.renderer,
+      this.gridCore,
+      () => this.syncLocks(),
+    );
+  }
+
+  clearLocks() {
+    this.gridCore.clearLocks();
+    this.uiController.showMessage('All cells unlocked.', 'success');
+    this.syncLocks();
+  }
+
+  // Hand the lock mask to the worker's copy and the tempering replicas
+  syncLocks() {
+    const cells = this.gridCore.getLockedCells();
+    if (this.workerActive) {
+      this.worker.postMessage({ type: "setLocks", cells });
+    }
+    if (this.parallelTempering) {
+      for (const replica of this.parallelTempering.replicas) {
+        replica.gridCore.setLockedCells(cells);
+      }
+    }
+    this.render();
+    this.updateUI();
+  }
+
   // Set up click handler to toggle individual cells on normal click
   setupClickToggle() {
     const canvas = this.renderer?.canvas;
@@ -747,8 +1285,8 @@ export class GridEvolution {
     };
 
     this.uiController.bindCanvasClickHandler(canvas, (e) => {
-      // If Ctrl is held, it's reserved for drag-rectangle; skip click toggle
-      if (e.ctrlKey) return;
+      // If Ctrl is held, it's reserved for drag-rectangle; the lock brush handles its own clicks
+      if (e.ctrlKey || this.uiController.isLockBrushActive()) return;
 
       const pos = getMousePos(e);
       const cell = this.renderer.getCellFromCanvasPosition(pos.x, pos.y);
@@ -756,6 +1294,7 @@ export class GridEvolution {
 
       // Toggle cell state
       this.toggleCell(cell.row, cell.col);
+      this.syncCellsToWorker(cell.row, cell.col);
 
       // Recalculate energy/cost
       this.evolutionEngine.currentEnergy = this.energySystem.calculateEnergy(
@@ -763,6 +1302,7 @@ export class GridEvolution {
         this.gridCore.STATES,
       );
       this.evolutionEngine.currentCost = this.evolutionEngine.currentEnergy;
+      if (this.parallelTempering) this.startParallelTempering();
 
       // Re-render and update UI
       this.render();
@@ -808,39 +1348,13 @@ export class GridEvolution {
     });
   }
 
-  // Save grid configuration as JSON
+  // Save grid configuration as JSON (versioned snapshot of all component state)
   saveSnapshotJSON(baseFilename) {
-    // Create snapshot object with comprehensive configuration
-    const snapshot = {
-      timestamp: new Date().toISOString(),
-      gridSize: this.gridCore.gridSize,
-      grid: this.gridCore.grid.map(row => [...row]), // Deep copy
-      totalArea: this.gridCore.totalArea,
-      targetArea: this.gridCore.targetArea,
-      // Include non-uniform normalized grid points
-      xPoints: Array.isArray(this.gridCore.xPoints) ? [...this.gridCore.xPoints] : null,
-      yPoints: Array.isArray(this.gridCore.yPoints) ? [...this.gridCore.yPoints] : null,
-      stats: {
-        energy: this.evolutionEngine.currentEnergy || 0,
-        cost: this.evolutionEngine.currentCost || 0,
-        temperature: this.evolutionEngine.getCurrentTemperature(),
-        step: this.evolutionEngine.currentStep,
-      },
-      parameters: {
-        temperature: this.evolutionEngine.temperature,
-        coolingRate: this.evolutionEngine.coolingRate,
-        maxSteps: this.evolutionEngine.maxSteps,
-      },
-      energyWeights: {
-        geometricContinuity: this.energySystem.energyWeights.geometricContinuity,
-        sharpCorners: this.energySystem.energyWeights.sharpCorners,
-        zebraPatterns: this.energySystem.energyWeights.zebraPatterns,
-        neighborEnergy: this.energySystem.energyWeights.neighborEnergy,
-        isingEnergy: this.energySystem.energyWeights.isingEnergy,
-        isingJ1: this.energySystem.isingJ1,
-        isingJ2: this.energySystem.isingJ2,
-      },
-    };
+    const snapshot = SnapshotSerializer.capture(
+      this.gridCore,
+      this.energySystem,
+      this.evolutionEngine,
+    );
 
     // Convert to JSON string
     const jsonContent = JSON.stringify(snapshot, null, 2);
@@ -857,9 +1371,101 @@ export class GridEvolution {
     URL.revokeObjectURL(url);
   }
 
+  // Load a snapshot written by saveSnapshotJSON (parsed object or JSON text, any schema version).
+  // Restores the full component state and recomputes energy; the run is left paused so
+  // Resume continues from the saved step, temperature and cost history.
+  // Returns { ok, errors }
+  loadSnapshotJSON(snapshotOrText) {
+    const parsed = typeof snapshotOrText === 'string'
+      ? SnapshotSerializer.parse(snapshotOrText)
+      : SnapshotSerializer.load(snapshotOrText);
+
+    if (!parsed.ok) {
+      this.logError('Invalid snapshot:', parsed.errors);
+      this.uiController.showMessage(`Invalid snapshot: ${parsed.errors[0]}`, 'error');
+      return { ok: false, errors: parsed.errors };
+    }
+
+    const snapshot = parsed.snapshot;
+    const gridSize = snapshot.gridCore.gridSize;
+    this.logImportant(`Loading snapshot v${snapshot.schemaVersion} (${gridSize}x${gridSize})`);
+
+    this.stopEvolution();
+
+    // Resize renderer and handlers when the snapshot uses a different grid size
+    if (gridSize !== this.gridCore.gridSize) {
+      this.resizeGrid(gridSize);
+    }
+
+    const result = SnapshotSerializer.restore(
+      snapshot,
+      this.gridCore,
+      this.energySystem,
+      this.evolutionEngine,
+    );
+    this.renderer.setGridPoints(this.gridCore.xPoints, this.gridCore.yPoints);
+
+    // Recompute energy from the restored state (weights may differ from when it was saved)
+    this.evolutionEngine.currentEnergy = this.energySystem.calculateEnergy(
+      this.gridCore.grid,
+      this.gridCore.STATES,
+    );
+    this.evolutionEngine.currentCost = this.evolutionEngine.currentEnergy;
+    if (this.evolutionEngine.costHistory.length === 0) {
+      this.evolutionEngine.costHistory = [this.evolutionEngine.currentEnergy];
+    }
+    if (this.parallelTemperingSettings) {
+      this.startParallelTempering();
+    }
+
+    // Move UI controls to the restored values
+    this.uiController.setMarkerInputs(this.gridCore.getBoundaryMarkers());
+    const restoredWeights = this.energySystem.getEnergyWeights();
+    this.uiController.syncControlValues({
+      gridSize: this.gridCore.gridSize,
+      speed: this.evolutionEngine.stepsPerSecond,
+      temperature: this.evolutionEngine.temperature,
+      coolingRate: this.evolutionEngine.coolingRate,
+      maxSteps: this.evolutionEngine.maxSteps,
+      areaPreservation: this.evolutionEngine.areaPreservation,
+      edgeWeight: restoredWeights.geometricContinuity,
+      cornerWeight: restoredWeights.sharpCorners,
+      zebraWeight: restoredWeights.zebraPatterns,
+      neighborWeight: restoredWeights.neighborEnergy,
+      holeIsolationWeight: restoredWeights.holesAndIsolation,
+      outlineWeight: restoredWeights.boundaryLength,
+      wallWeight: restoredWeights.wallContact,
+      areaConstraintWeight: restoredWeights.areaConstraint,
+      portConnectivityWeight: restoredWeights.portConnectivity,
+      connectivityMode: this.energySystem.connectivityMode,
+      isingWeight: restoredWeights.isingEnergy,
+      isingJ1: this.energySystem.getIsingJ1(),
+      isingJ2: this.energySystem.getIsingJ2(),
+    });
+    this.uiController.updateSeedDisplay(this.rng.getSeed());
+    this.uiController.updateAdaptiveCoolingControls(this.evolutionEngine.adaptiveCooling);
+    this.uiController.updateCoolingScheduleControls(this.evolutionEngine.coolingSchedule);
+    this.uiController.updateMoveControls(this.evolutionEngine.getMoveWeights());
+
+    this.render();
+    this.updateUI();
+    SimulationStatus.setStatus(SimulationStatus.STATUS.PAUSED);
+
+    if (result.ok) {
+      this.uiController.showMessage('Snapshot loaded.', 'success');
+    } else {
+      this.uiController.showMessage(`Snapshot loaded with ${result.errors.length} issue(s): ${result.errors[0]}`, 'error');
+    }
+    return result;
+  }
+
   // Cleanup method
   destroy() {
     this.stopEvolution();
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
 
     this.logImportant("GridEvolution destroyed");
   }
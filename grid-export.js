@@ -0,0 +1,77 @@
+// Grid Export - Plain-text and image renderings of a grid and its energy trace
+// for headless runs (no canvas needed)
+
+export class GridExporter {
+    // ASCII characters per state. Half-cells show their diagonal edge:
+    // '\' for TL_BR / BL_TR, '/' for TR_BL / BR_TL
+    static ASCII_CHARS = ['.', '#', '\\', '/', '\\', '/'];
+
+    // Same defaults as GridRenderer.colors
+    static DEFAULT_COLORS = { empty: '#ffffff', full: '#2563eb' };
+
+    // One line per row, one character per cell
+    static toASCII(grid) {
+        return grid.map(row =>
+            Array.from(row, state => GridExporter.ASCII_CHARS[state] ?? '?').join('')
+        ).join('\n') + '\n';
+    }
+
+    // Binary PPM (P6) image, `scale` pixels per cell. Half-cells are split along
+    // their diagonal the same way GridRenderer.renderDiagonalCell draws them
+    static toPPM(grid, { scale = 8, colors = GridExporter.DEFAULT_COLORS } = {}) {
+        const n = grid.length;
+        const size = n * scale;
+        const full = GridExporter.parseHexColor(colors.full);
+        const empty = GridExporter.parseHexColor(colors.empty);
+
+        const header = new TextEncoder().encode(`P6\n${size} ${size}\n255\n`);
+        const bytes = new Uint8Array(header.length + size * size * 3);
+        bytes.set(header, 0);
+
+        let offset = header.length;
+        for (let py = 0; py < size; py++) {
+            const row = Math.floor(py / scale);
+            const v = (py % scale + 0.5) / scale;
+            for (let px = 0; px < size; px++) {
+                const col = Math.floor(px / scale);
+                const u = (px % scale + 0.5) / scale;
+                const color = GridExporter.isFilledAt(grid[row][col], u, v) ? full : empty;
+                bytes[offset++] = color[0];
+                bytes[offset++] = color[1];
+                bytes[offset++] = color[2];
+            }
+        }
+        return bytes;
+    }
+
+    // Whether the point (u, v) in [0,1]^2 of a cell (v pointing down) is filled
+    static isFilledAt(state, u, v) {
+        switch (state) {
+            case 1: return true;
+            case 2: return v > u;        // TL_BR: bottom-left triangle
+            case 3: return v > 1 - u;    // TR_BL: bottom-right triangle
+            case 4: return v < u;        // BL_TR: top-right triangle
+            case 5: return v < 1 - u;    // BR_TL: top-left triangle
+            default: return false;
+        }
+    }
+
+    // '#rrggbb' -> [r, g, b]
+    static parseHexColor(hex) {
+        const match = /^#?([0-9a-f]{6})$/i.exec(hex);
+        if (!match) {
+            throw new Error(`Invalid colour: ${hex}`);
+        }
+        const value = parseInt(match[1], 16);
+        return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+    }
+
+    // CSV with a header row from an energy trace of { step, energy, temperature } samples
+    static energyTraceToCSV(trace) {
+        const lines = ['step,energy,temperature'];
+        for (const sample of trace) {
+            lines.push(`${sample.step},${sample.energy},${sample.temperature}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+}
@@ -1,6 +1,14 @@
 // Grid Renderer - Canvas rendering and visual representation
 
 export class GridRenderer {
+    // Colour scales for renderOverlay(), as stops from the lowest to the highest value.
+    // 'diverging' is centred on 0
+    static COLOR_SCALES = {
+        heat: ['#ffffb2', '#fecc5c', '#fd8d3c', '#e31a1c'],
+        viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+        diverging: ['#2166ac', '#f7f7f7', '#b2182b']
+    };
+
     constructor(canvas, gridSize, config = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
@@ -25,15 +33,19 @@ export class GridRenderer {
             empty: '#ffffff',
             full: '#2563eb',
             gridLines: '#e2e8f0',
+            lockHatch: 'rgba(15, 23, 42, 0.55)',
             background: '#f8fafc',
             border: '#e2e8f0',
-            // Highly visible, opaque marker colors
-            markerGroup1: '#ff0000', // red
-            markerGroup2: '#ffcc00'  // yellow
+            // Marker group without a colour of its own
+            markerDefault: '#ff0000'
         };
 
         // Boundary markers to render
         this.boundaryMarkers = null;
+        // Marker being dragged in the band: { marker, group, ok, markers } (see MarkerEditor)
+        this.markerPreview = null;
+        // GridCore.lockMask of the grid being drawn (1 = locked), hatched over the cells
+        this.lockMask = null;
 
         this.setupCanvas();
     }
@@ -138,9 +150,18 @@ export class GridRenderer {
         this.drawGridLines();
         this.log('Grid lines drawn');
 
-        // Draw boundary markers outside the grid if present
-        if (this.boundaryMarkers) {
-            this.drawBoundaryMarkers(this.boundaryMarkers);
+        if (this.lockMask) {
+            this.drawLockHatching(this.lockMask);
+        }
+
+        // Draw boundary markers outside the grid if present; a drag in progress shows
+        // its candidate markers instead
+        const markers = this.markerPreview?.markers || this.boundaryMarkers;
+        if (markers) {
+            this.drawBoundaryMarkers(markers);
+        }
+        if (this.markerPreview) {
+            this.drawMarkerPreview(this.markerPreview);
         }
     }
 
@@ -194,12 +215,122 @@ export class GridRenderer {
         this.boundaryMarkers = markers || null;
     }
 
-    // Draw markers along the grid edges OUTSIDE the cell area
+    // Provide the lock mask (GridCore.lockMask, row-major, 1 = locked) or null
+    setLockMask(mask) {
+        this.lockMask = mask || null;
+    }
+
+    // Diagonal hatching over locked cells
+    drawLockHatching(mask) {
+        const n = this.gridSize;
+        this.ctx.save();
+        this.ctx.strokeStyle = this.colors.lockHatch;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        for (let row = 0; row < n; row++) {
+            for (let col = 0; col < n; col++) {
+                if (!mask[row * n + col]) continue;
+                const x = this.xPixels[col];
+                const y = this.yPixels[row];
+                const w = this.xPixels[col + 1] - x;
+                const h = this.yPixels[row + 1] - y;
+                // Lines at 45 degrees every `step` pixels, clipped to the cell
+                const step = Math.max(3, Math.min(w, h) / 3);
+                for (let d = step / 2; d < w + h; d += step) {
+                    const x1 = x + Math.min(d, w);
+                    const y1 = y + Math.max(0, d - w);
+                    const x2 = x + Math.max(0, d - h);
+                    const y2 = y + Math.min(d, h);
+                    this.ctx.moveTo(x1, y1);
+                    this.ctx.lineTo(x2, y2);
+                }
+                this.ctx.rect(x + 0.5, y + 0.5, w - 1, h - 1);
+            }
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    // Show (or with null, stop showing) a marker edit in progress
+    setMarkerPreview(preview) {
+        this.markerPreview = preview || null;
+    }
+
+    // Marker band slot under a canvas position: { side, index, valid }. index is the
+    // column (top/bottom) or row (left/right) next to the band cell. With `side` given the
+    // position is projected onto that side's band instead, so a drag can leave the band
+    getMarkerSlotFromCanvasPosition(canvasX, canvasY, side = null) {
+        const thickness = Math.max(1, this.markerThickness | 0);
+        const xLines = this.xPixels;
+        const yLines = this.yPixels;
+        const n = this.gridSize;
+        // Last grid line at or before the position, clamped to a cell index
+        const indexAlong = (lines, value) => {
+            let index = 0;
+            while (index < n - 1 && value >= lines[index + 1]) index++;
+            return index;
+        };
+
+        if (side) {
+            const along = side === 'top' || side === 'bottom'
+                ? indexAlong(xLines, canvasX)
+                : indexAlong(yLines, canvasY);
+            return { side, index: along, valid: true };
+        }
+
+        const withinX = canvasX >= xLines[0] && canvasX < xLines[n];
+        const withinY = canvasY >= yLines[0] && canvasY < yLines[n];
+        if (withinX && canvasY >= yLines[0] - thickness && canvasY < yLines[0]) {
+            return { side: 'top', index: indexAlong(xLines, canvasX), valid: true };
+        }
+        if (withinX && canvasY >= yLines[n] && canvasY < yLines[n] + thickness) {
+            return { side: 'bottom', index: indexAlong(xLines, canvasX), valid: true };
+        }
+        if (withinY && canvasX >= xLines[0] - thickness && canvasX < xLines[0]) {
+            return { side: 'left', index: indexAlong(yLines, canvasY), valid: true };
+        }
+        if (withinY && canvasX >= xLines[n] && canvasX < xLines[n] + thickness) {
+            return { side: 'right', index: indexAlong(yLines, canvasY), valid: true };
+        }
+        return { side: null, index: -1, valid: false };
+    }
+
+    // Outline of the dragged marker: solid when it can be applied, dashed red when it
+    // overlaps another marker
+    drawMarkerPreview(preview) {
+        const { marker, ok } = preview;
+        const thickness = Math.max(1, this.markerThickness | 0);
+        const n = this.gridSize;
+        const start = Math.max(0, Math.min(n - 1, marker.start));
+        const end = Math.min(n, start + marker.length);
+
+        let x, y, w, h;
+        if (marker.side === 'top' || marker.side === 'bottom') {
+            x = this.xPixels[start];
+            w = this.xPixels[end] - x;
+            y = marker.side === 'top' ? this.yPixels[0] - thickness : this.yPixels[n];
+            h = thickness;
+        } else {
+            y = this.yPixels[start];
+            h = this.yPixels[end] - y;
+            x = marker.side === 'left' ? this.xPixels[0] - thickness : this.xPixels[n];
+            w = thickness;
+        }
+
+        this.ctx.save();
+        if (!ok) {
+            this.ctx.fillStyle = 'rgba(239, 68, 68, 0.35)';
+            this.ctx.fillRect(x, y, w, h);
+            this.ctx.setLineDash([4, 3]);
+        }
+        this.ctx.strokeStyle = ok ? '#111827' : '#dc2626';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(x + 1, y + 1, w - 2, h - 2);
+        this.ctx.restore();
+    }
+
+    // Draw markers along the grid edges OUTSIDE the cell area, each group in its colour
     drawBoundaryMarkers(markers) {
-        const groups = [
-            { name: 'group1', color: this.colors.markerGroup1 },
-            { name: 'group2', color: this.colors.markerGroup2 }
-        ];
     // Use configured marker thickness (outside the grid)
     const thickness = Math.max(1, this.markerThickness|0);
 
@@ -208,11 +339,10 @@ export class GridRenderer {
     const y0 = this.yPixels?.[0] ?? this.gridOffset;
     const xN = this.xPixels?.[this.gridSize] ?? (this.gridOffset + this.gridSize * this.cellSize);
     const yN = this.yPixels?.[this.gridSize] ?? (this.gridOffset + this.gridSize * this.cellSize);
-        for (const g of groups) {
-            const group = markers?.[g.name];
+        for (const group of Object.values(markers || {})) {
             if (!group) continue;
             this.ctx.save();
-            this.ctx.fillStyle = g.color;
+            this.ctx.fillStyle = group.color || this.colors.markerDefault;
 
             // Sides: for top/bottom iterate columns segments; for left/right iterate rows segments
             const paintSide = (sideArr, side) => {
@@ -454,6 +584,39 @@ export class GridRenderer {
         this.ctx.restore();
     }
 
+    // value => CSS colour over [min, max] for a named scale (see COLOR_SCALES).
+    // The returned function's `domain` is the [low, high] range actually mapped
+    static createColorScale(name, min, max) {
+        const stops = (GridRenderer.COLOR_SCALES[name] || GridRenderer.COLOR_SCALES.heat)
+            .map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+
+        let low = min;
+        let high = max;
+        if (name === 'diverging') {
+            const extent = Math.max(Math.abs(min), Math.abs(max));
+            low = -extent;
+            high = extent;
+        }
+        const span = high - low;
+
+        const scale = (value) => {
+            const t = span > 0 ? Math.min(1, Math.max(0, (value - low) / span)) : 0.5;
+            const position = t * (stops.length - 1);
+            const index = Math.min(stops.length - 2, Math.floor(position));
+            const f = position - index;
+            const [r, g, b] = stops[index].map((c, i) => Math.round(c + (stops[index + 1][i] - c) * f));
+            return `rgb(${r}, ${g}, ${b})`;
+        };
+        scale.domain = [low, high];
+        return scale;
+    }
+
+    // CSS gradient of a named scale for legends
+    static gradientCSS(name) {
+        const stops = GridRenderer.COLOR_SCALES[name] || GridRenderer.COLOR_SCALES.heat;
+        return `linear-gradient(to right, ${stops.join(', ')})`;
+    }
+
     // Export canvas as image
     exportAsImage(format = 'png') {
         return this.canvas.toDataURL(`image/${format}`);
@@ -0,0 +1,153 @@
+// Marker Editor - Create, resize, move and delete boundary markers by dragging in the
+// marker band around the grid
+//
+// Works on marker slots { side, index } (one cell of the band, see
+// GridRenderer.getMarkerSlotFromCanvasPosition) and leaves the DOM to the caller:
+//
+//   const editor = new MarkerEditor(gridCore);
+//   editor.begin(slot, 'group1');   // mousedown in the band
+//   editor.update(slot);            // mousemove: { marker, ok, errors, markers } for the preview
+//   editor.end();                   // mouseup: spec for setBoundaryMarkers(), or null
+//
+// Pressing on an empty slot creates a marker in the given group. Pressing on an existing
+// marker drags it along (or onto another side); pressing on either end of a longer marker
+// resizes it from that end; a press released without moving deletes it. Every candidate is
+// checked with GridCore.checkBoundaryMarkers(), so overlapping edits are rejected.
+
+import { GridCore } from './grid-core.js';
+
+export class MarkerEditor {
+    constructor(gridCore) {
+        this.gridCore = gridCore;
+        this.drag = null;
+        this.candidate = null;
+    }
+
+    get active() {
+        return this.drag !== null;
+    }
+
+    // Only a moved marker can change sides; creating and resizing keep to the starting one
+    get followsPointerSide() {
+        return this.drag?.mode === 'move';
+    }
+
+    // Side to project the pointer onto when it is outside the band
+    get dragSide() {
+        if (!this.drag) return null;
+        return this.followsPointerSide ? this.candidate.marker.side : this.drag.slot.side;
+    }
+
+    // Start an edit at `slot`; `group` is used when the press creates a new marker.
+    // Returns 'create', 'move' or 'resize'
+    begin(slot, group = 'group1') {
+        const { others, hit } = this.splitMarkers(slot);
+        const drag = { slot, others, hit, group: hit ? hit.group : group, moved: false };
+
+        if (!hit) {
+            drag.mode = 'create';
+            drag.anchor = slot.index;
+        } else {
+            const end = hit.marker.start + hit.marker.length - 1;
+            if (hit.marker.length > 1 && (slot.index === hit.marker.start || slot.index === end)) {
+                drag.mode = 'resize';
+                drag.anchor = slot.index === end ? hit.marker.start : end;
+            } else {
+                drag.mode = 'move';
+                drag.offset = slot.index - hit.marker.start;
+            }
+        }
+
+        this.drag = drag;
+        this.candidate = this.evaluate(this.candidateFor(slot));
+        return drag.mode;
+    }
+
+    // Follow the pointer. Resizing and creating stay on the starting side; moving follows
+    // the pointer to whichever side it is over
+    update(slot) {
+        const drag = this.drag;
+        if (!drag || !slot) return this.candidate;
+        if (slot.side !== drag.slot.side || slot.index !== drag.slot.index) {
+            drag.moved = true;
+        }
+        this.candidate = this.evaluate(this.candidateFor(slot));
+        return this.candidate;
+    }
+
+    // Finish the edit: the full spec to apply, or null when it is invalid or changes nothing
+    end() {
+        const { drag, candidate } = this;
+        this.cancel();
+        if (!drag) return null;
+
+        if (drag.hit && !drag.moved) {
+            return this.toSpec(drag.others);
+        }
+        return candidate.ok ? candidate.spec : null;
+    }
+
+    cancel() {
+        this.drag = null;
+        this.candidate = null;
+    }
+
+    // Current markers as flat lists per group, minus the one under `slot` (returned as hit)
+    splitMarkers(slot) {
+        const markers = this.gridCore.getBoundaryMarkers();
+        const others = {};
+        let hit = null;
+
+        for (const group of Object.keys(markers)) {
+            others[group] = [];
+            for (const side of GridCore.MARKER_SIDES) {
+                for (const marker of markers[group][side]) {
+                    const covers = side === slot.side &&
+                        slot.index >= marker.start && slot.index < marker.start + marker.length;
+                    if (covers && !hit) {
+                        hit = { group, marker };
+                    } else {
+                        others[group].push(marker);
+                    }
+                }
+            }
+        }
+        return { others, hit };
+    }
+
+    // The edited marker for the pointer at `slot`
+    candidateFor(slot) {
+        const drag = this.drag;
+        const n = this.gridCore.gridSize;
+
+        if (drag.mode === 'move') {
+            const length = drag.hit.marker.length;
+            const start = Math.max(0, Math.min(n - length, slot.index - drag.offset));
+            return { side: slot.side, start, length };
+        }
+
+        const index = slot.side === drag.slot.side ? slot.index : drag.anchor;
+        return {
+            side: drag.slot.side,
+            start: Math.min(drag.anchor, index),
+            length: Math.abs(index - drag.anchor) + 1
+        };
+    }
+
+    // { marker, group, ok, errors, markers, spec }: markers are the per-side lists to show,
+    // which leave a rejected candidate out rather than the marker it overlaps
+    evaluate(marker) {
+        const spec = this.toSpec(this.drag.others);
+        (spec[this.drag.group] ||= []).push(marker);
+        const { ok, errors, markers } = this.gridCore.checkBoundaryMarkers(spec);
+        const shown = ok ? markers : this.gridCore.checkBoundaryMarkers(this.drag.others).markers;
+        return { marker, group: this.drag.group, ok, errors, markers: shown, spec };
+    }
+
+    // Groups keep their definitions: setBoundaryMarkers() looks them up by name
+    toSpec(lists) {
+        const spec = {};
+        for (const [group, list] of Object.entries(lists)) spec[group] = [...list];
+        return spec;
+    }
+}
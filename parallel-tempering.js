@@ -0,0 +1,165 @@
+// Parallel Tempering - Replica exchange over a ladder of fixed temperatures
+//
+// K copies of a GridCore each run their own Metropolis chain (an EvolutionEngine held
+// at a fixed temperature). Every `swapInterval` steps, neighbouring replicas try to
+// exchange configurations with probability min(1, exp((1/Ti - 1/Tj) * (Ei - Ej))),
+// which lets a configuration stuck in a metastable state escape via a hotter replica.
+// Replica i always runs at temperatures[i]; configurations move between replicas.
+
+import { EvolutionEngine } from "./evolution-engine.js";
+
+export class ParallelTempering {
+  // config: replicas (K, default 4), temperatures (explicit ladder, overrides the next two),
+  // minTemperature / maxTemperature (geometric ladder ends), swapInterval, rng
+  constructor(gridCore, energySystem, config = {}) {
+    this.energySystem = energySystem;
+    this.rng = config.rng || gridCore.rng;
+    this.debugMode = config.debugMode || false;
+
+    this.temperatures = config.temperatures
+      ? [...config.temperatures].sort((a, b) => a - b)
+      : ParallelTempering.geometricLadder(
+          config.minTemperature ?? 0.05,
+          config.maxTemperature ?? 5,
+          config.replicas || 4,
+        );
+    if (this.temperatures.length < 2 || this.temperatures.some((t) => !(t > 0))) {
+      throw new Error("Parallel tempering needs at least two positive temperatures");
+    }
+    this.swapInterval = Math.max(1, config.swapInterval || 10);
+
+    this.replicas = this.temperatures.map((temperature, index) => {
+      const replicaCore = gridCore.clone();
+      const engine = new EvolutionEngine(gridCore.gridSize, {
+        rng: this.rng,
+        temperature,
+        areaPreservation: config.areaPreservation,
+        moveWeights: config.moveWeights,
+        adaptiveCooling: { enabled: false },
+        debugMode: this.debugMode,
+      });
+      engine.initializeSimulatedAnnealing(energySystem, replicaCore.grid, replicaCore.STATES, temperature);
+
+      return {
+        index,
+        temperature,
+        gridCore: replicaCore,
+        engine,
+        proposals: 0,
+        accepted: 0,
+        // Exchanges with the next hotter replica (index + 1)
+        swapAttempts: 0,
+        swapAccepted: 0,
+        // Which starting replica the current configuration came from
+        walker: index,
+      };
+    });
+
+    this.currentStep = 0;
+    this.swapRound = 0;
+    this.bestEnergy = Infinity;
+    this.bestGrid = null;
+    this.updateBest();
+
+    this.log(`Parallel tempering with ${this.replicas.length} replicas:`, this.temperatures);
+  }
+
+  // `count` temperatures from tMin to tMax with a constant ratio between neighbours
+  static geometricLadder(tMin, tMax, count) {
+    if (count < 2) return [tMin];
+    const ratio = Math.pow(tMax / tMin, 1 / (count - 1));
+    return Array.from({ length: count }, (_, i) => tMin * Math.pow(ratio, i));
+  }
+
+  // One Metropolis step on every replica, then a round of exchanges every swapInterval steps
+  step() {
+    for (const replica of this.replicas) {
+      const result = replica.engine.annealingStep(
+        replica.gridCore,
+        this.energySystem,
+        replica.gridCore.STATES,
+      );
+      replica.proposals++;
+      if (result.accepted) replica.accepted++;
+      replica.engine.currentStep++;
+    }
+
+    this.currentStep++;
+    if (this.currentStep % this.swapInterval === 0) {
+      this.attemptSwaps();
+    }
+    this.updateBest();
+  }
+
+  // Alternate between even (0-1, 2-3, ...) and odd (1-2, 3-4, ...) neighbour pairs
+  attemptSwaps() {
+    for (let i = this.swapRound % 2; i + 1 < this.replicas.length; i += 2) {
+      this.attemptSwap(i);
+    }
+    this.swapRound++;
+  }
+
+  // Try to exchange the configurations of replicas i and i + 1
+  attemptSwap(i) {
+    const cold = this.replicas[i];
+    const hot = this.replicas[i + 1];
+    const delta = (1 / cold.temperature - 1 / hot.temperature) *
+      (cold.engine.currentEnergy - hot.engine.currentEnergy);
+
+    cold.swapAttempts++;
+    const accept = delta >= 0 || this.rng.next() < Math.exp(delta);
+    if (!accept) return false;
+
+    cold.swapAccepted++;
+    [cold.gridCore, hot.gridCore] = [hot.gridCore, cold.gridCore];
+    [cold.engine.currentEnergy, hot.engine.currentEnergy] = [hot.engine.currentEnergy, cold.engine.currentEnergy];
+    [cold.walker, hot.walker] = [hot.walker, cold.walker];
+    this.log(`Swapped replicas ${i} and ${i + 1} (ΔβΔE=${delta.toFixed(3)})`);
+    return true;
+  }
+
+  updateBest() {
+    for (const replica of this.replicas) {
+      if (replica.engine.currentEnergy < this.bestEnergy) {
+        this.bestEnergy = replica.engine.currentEnergy;
+        this.bestGrid = replica.gridCore.grid.map((row) => [...row]);
+      }
+    }
+  }
+
+  // Full energy recalculation for every replica (after energy weights change)
+  recalculateEnergies() {
+    for (const replica of this.replicas) {
+      replica.engine.currentEnergy = this.energySystem.calculateEnergy(
+        replica.gridCore.grid,
+        replica.gridCore.STATES,
+      );
+    }
+    this.bestEnergy = Infinity;
+    this.updateBest();
+  }
+
+  getReplica(index) {
+    return this.replicas[index];
+  }
+
+  // Per-replica temperature, energy, Metropolis acceptance and swap statistics
+  getStats() {
+    return this.replicas.map((replica) => ({
+      index: replica.index,
+      temperature: replica.temperature,
+      energy: replica.engine.currentEnergy,
+      acceptanceRate: replica.proposals > 0 ? replica.accepted / replica.proposals : 0,
+      recentAcceptanceRate: replica.engine.calculateRecentAcceptanceRate(),
+      swapAttempts: replica.swapAttempts,
+      swapAcceptanceRate: replica.swapAttempts > 0 ? replica.swapAccepted / replica.swapAttempts : null,
+      walker: replica.walker,
+    }));
+  }
+
+  log(...args) {
+    if (this.debugMode) {
+      console.log("[ParallelTempering]", ...args);
+    }
+  }
+}
@@ -0,0 +1,296 @@
+#!/usr/bin/env -S node --experimental-detect-module
+// pixelevolve - Command-line batch runner for annealing jobs (Node 20+, no browser)
+//
+//   ./pixelevolve.js --config job.json --out runs/ --ascii --ppm
+//   ./pixelevolve.js --grid-size 48 --preset random --seed 7 --max-steps 20000 --weight zebraPatterns=0
+//   ./pixelevolve.js --sweep sweep.json --grid-size 24 --out sweeps/
+//
+// Writes <name>.json (snapshot, loadable in the browser), <name>-energy.csv and
+// optionally <name>.txt (ASCII) and <name>.ppm renders of the final grid.
+// With --sweep, runs a ParameterSweep instead and writes <name>-sweep.csv.
+
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+
+import { Simulation } from "./simulation.js";
+import { GridExporter } from "./grid-export.js";
+import { ParameterSweep } from "./sweep.js";
+import { EnhancedEnergySystem } from "./enhanced-energy-system.js";
+import { CoolingSchedule } from "./cooling-schedule.js";
+
+const PRESETS = ["initial", "smooth", "checkerboard", "random", "empty"];
+
+const USAGE = `Usage: pixelevolve [options]
+
+Job config (a JSON file with the same keys; flags override the file):
+  --config <file>            JSON job config
+  --grid-size <n>            gridSize (default 32)
+  --preset <name>            preset: ${PRESETS.join(" | ")} (default initial)
+  --seed <n>                 seed (default: random, reported in the output)
+  --max-steps <n>            maxSteps (default 1000)
+  --temperature <t>          temperature, initial (default 1.0)
+  --cooling-rate <r>         coolingRate, exponential factor per step (default 0.995)
+  --schedule <type>          coolingSchedule.type: ${CoolingSchedule.TYPES.join(" | ")}
+                             (default exponential; schedule parameters go in the config file)
+  --min-temperature <t>      minTemperature (default 0.001)
+  --j1 <v>, --j2 <v>         isingJ1 / isingJ2 couplings
+  --weight <name=value>      energyWeights entry, repeatable
+  --target-area <a>          targetArea
+  --connectivity <mode>      connectivityMode: ${EnhancedEnergySystem.CONNECTIVITY_MODES.join(" | ")}, keeping the
+                             source/sink boundaryMarkers (set in the config file) connected
+  --no-area-preservation     areaPreservation: false (single-cell flips, soft area constraint
+                             weighted by energyWeights.areaConstraint)
+  --no-stop                  run all maxSteps even if the annealing criteria terminate early
+
+Parameter sweep:
+  --sweep <file>             JSON { base, parameters, seeds } (see sweep.js); the job
+                             config above is merged into base. Prints a summary table
+
+Output:
+  --out <dir>                output directory (default .)
+  --name <base>              output file base name (default pixelevolve-seed<seed>,
+                             or pixelevolve for sweeps)
+  --trace-interval <n>       record energy every n steps (default 1)
+  --ascii                    also write <name>.txt
+  --ppm                      also write <name>.ppm
+  --ppm-scale <n>            pixels per cell in the PPM (default 8)
+  --quiet                    no progress output
+  -h, --help                 show this help
+`;
+
+// Numeric flags: CLI option -> config key
+const NUMERIC_OPTIONS = {
+  "grid-size": "gridSize",
+  seed: "seed",
+  "max-steps": "maxSteps",
+  temperature: "temperature",
+  "cooling-rate": "coolingRate",
+  "min-temperature": "minTemperature",
+  j1: "isingJ1",
+  j2: "isingJ2",
+  "target-area": "targetArea",
+  "trace-interval": "traceInterval",
+  "ppm-scale": "ppmScale",
+};
+
+const OPTIONS = {
+  config: { type: "string" },
+  sweep: { type: "string" },
+  preset: { type: "string" },
+  schedule: { type: "string" },
+  connectivity: { type: "string" },
+  weight: { type: "string", multiple: true },
+  "no-stop": { type: "boolean" },
+  "no-area-preservation": { type: "boolean" },
+  out: { type: "string" },
+  name: { type: "string" },
+  ascii: { type: "boolean" },
+  ppm: { type: "boolean" },
+  quiet: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+  ...Object.fromEntries(Object.keys(NUMERIC_OPTIONS).map((key) => [key, { type: "string" }])),
+};
+
+// Merge a JSON config file with command-line flags (flags win)
+export async function buildJobConfig(values) {
+  const config = values.config ? JSON.parse(await readFile(values.config, "utf8")) : {};
+  config.energyWeights = { ...(config.energyWeights || {}) };
+
+  for (const [option, key] of Object.entries(NUMERIC_OPTIONS)) {
+    if (values[option] === undefined) continue;
+    const number = Number(values[option]);
+    if (!isFinite(number)) {
+      throw new Error(`--${option} must be a number (got ${values[option]})`);
+    }
+    config[key] = number;
+  }
+
+  for (const entry of values.weight || []) {
+    const [name, value] = entry.split("=");
+    const number = Number(value);
+    if (!name || value === undefined || !isFinite(number)) {
+      throw new Error(`--weight must look like name=value (got ${entry})`);
+    }
+    config.energyWeights[name] = number;
+  }
+
+  if (values.preset !== undefined) config.preset = values.preset;
+  if (values.connectivity !== undefined) config.connectivityMode = values.connectivity;
+  if (values.schedule !== undefined && values.schedule !== config.coolingSchedule?.type) {
+    config.coolingSchedule = { type: values.schedule };
+  }
+  if (values["no-stop"]) config.stopOnTermination = false;
+  if (values["no-area-preservation"]) config.areaPreservation = false;
+  if (values.out !== undefined) config.out = values.out;
+  if (values.name !== undefined) config.name = values.name;
+  if (values.ascii) config.ascii = true;
+  if (values.ppm) config.ppm = true;
+
+  return config;
+}
+
+// Check a job config before running it. Returns { ok, errors }
+export function validateJobConfig(config) {
+  const errors = [];
+  const positiveInteger = (v) => Number.isInteger(v) && v > 0;
+
+  if (config.gridSize !== undefined && !positiveInteger(config.gridSize)) {
+    errors.push(`gridSize must be a positive integer (got ${config.gridSize})`);
+  }
+  if (config.maxSteps !== undefined && !positiveInteger(config.maxSteps)) {
+    errors.push(`maxSteps must be a positive integer (got ${config.maxSteps})`);
+  }
+  if (config.traceInterval !== undefined && !positiveInteger(config.traceInterval)) {
+    errors.push(`traceInterval must be a positive integer (got ${config.traceInterval})`);
+  }
+  if (config.ppmScale !== undefined && !positiveInteger(config.ppmScale)) {
+    errors.push(`ppmScale must be a positive integer (got ${config.ppmScale})`);
+  }
+  if (config.seed !== undefined && !(Number.isInteger(config.seed) && config.seed >= 0 && config.seed <= 0xffffffff)) {
+    errors.push(`seed must be an integer between 0 and 4294967295 (got ${config.seed})`);
+  }
+  if (config.preset !== undefined && !PRESETS.includes(config.preset)) {
+    errors.push(`preset must be one of ${PRESETS.join(", ")} (got ${config.preset})`);
+  }
+  for (const key of ["temperature", "minTemperature"]) {
+    if (config[key] !== undefined && !(config[key] > 0)) {
+      errors.push(`${key} must be positive (got ${config[key]})`);
+    }
+  }
+  if (config.connectivityMode !== undefined && !EnhancedEnergySystem.CONNECTIVITY_MODES.includes(config.connectivityMode)) {
+    errors.push(`connectivityMode must be one of ${EnhancedEnergySystem.CONNECTIVITY_MODES.join(", ")} (got ${config.connectivityMode})`);
+  }
+  if (config.coolingRate !== undefined && !(config.coolingRate > 0 && config.coolingRate <= 1)) {
+    errors.push(`coolingRate must be in (0, 1] (got ${config.coolingRate})`);
+  }
+
+  if (config.coolingSchedule !== undefined) {
+    errors.push(...CoolingSchedule.validate(config.coolingSchedule).errors);
+  }
+
+  const knownWeights = Object.keys(new EnhancedEnergySystem(1).energyWeights);
+  for (const [name, value] of Object.entries(config.energyWeights || {})) {
+    if (!knownWeights.includes(name)) {
+      errors.push(`Unknown energy weight ${name} (known: ${knownWeights.join(", ")})`);
+    } else if (typeof value !== "number" || !isFinite(value)) {
+      errors.push(`energyWeights.${name} must be a number`);
+    }
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+// Run one job and write its output files. Returns the list of written paths
+export async function runJob(config, { log = () => {} } = {}) {
+  const simulation = new Simulation({ preset: "initial", ...config });
+  const seed = simulation.rng.getSeed();
+  log(`Running ${simulation.gridCore.gridSize}x${simulation.gridCore.gridSize} grid, seed ${seed}, ` +
+    `max ${simulation.evolutionEngine.maxSteps} steps`);
+
+  const result = await simulation.runChunked(null, {
+    chunkSize: 1000,
+    onChunk: (stats) => log(`  step ${stats.step}  E=${stats.trackedEnergy.toFixed(3)}  T=${stats.temperature.toFixed(4)}`),
+  });
+
+  const outDir = resolve(config.out || ".");
+  const name = config.name || `pixelevolve-seed${seed}`;
+  await mkdir(outDir, { recursive: true });
+
+  const files = {
+    [`${name}.json`]: JSON.stringify({ ...simulation.captureSnapshot(), stats: result.stats }, null, 2),
+    [`${name}-energy.csv`]: GridExporter.energyTraceToCSV(result.energyTrace),
+  };
+  if (config.ascii) files[`${name}.txt`] = GridExporter.toASCII(result.grid);
+  if (config.ppm) files[`${name}.ppm`] = GridExporter.toPPM(result.grid, { scale: config.ppmScale || 8 });
+
+  const written = [];
+  for (const [file, content] of Object.entries(files)) {
+    const path = join(outDir, file);
+    await writeFile(path, content);
+    written.push(path);
+  }
+
+  const { stats } = result;
+  log(`Done: ${stats.step} steps, final energy ${stats.finalEnergy.toFixed(3)}, ` +
+    `acceptance ${(stats.acceptanceRate * 100).toFixed(1)}%`);
+  return written;
+}
+
+// Run a parameter sweep with the job config merged into its base. Returns the written paths
+export async function runSweep(spec, config, { log = () => {}, print = () => {} } = {}) {
+  const { out, name = "pixelevolve", ascii, ppm, ppmScale, ...jobConfig } = config;
+  const sweep = new ParameterSweep({
+    ...spec,
+    base: {
+      ...(spec.base || {}),
+      ...jobConfig,
+      energyWeights: { ...(spec.base?.energyWeights || {}), ...(jobConfig.energyWeights || {}) },
+    },
+  });
+
+  const validation = validateJobConfig(sweep.base);
+  if (!validation.ok) {
+    throw new Error(validation.errors.join("; "));
+  }
+
+  log(`Sweeping ${sweep.combinations().length} combinations x ${sweep.seeds.length} seeds`);
+  const rows = await sweep.runAsync({
+    onRun: (run, index, total) =>
+      log(`  [${index}/${total}] ${JSON.stringify(run.params)} seed ${run.seed}: E=${run.finalEnergy.toFixed(3)}`),
+  });
+
+  const outDir = resolve(out || ".");
+  await mkdir(outDir, { recursive: true });
+  const path = join(outDir, `${name}-sweep.csv`);
+  await writeFile(path, ParameterSweep.toCSV(rows));
+
+  print(ParameterSweep.formatTable(rows));
+  return [path];
+}
+
+export async function main(argv = process.argv.slice(2)) {
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options: OPTIONS, strict: true }));
+  } catch (error) {
+    console.error(`pixelevolve: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let config;
+  try {
+    config = await buildJobConfig(values);
+  } catch (error) {
+    console.error(`pixelevolve: ${error.message}`);
+    return 2;
+  }
+
+  const validation = validateJobConfig(config);
+  if (!validation.ok) {
+    validation.errors.forEach((error) => console.error(`pixelevolve: ${error}`));
+    return 2;
+  }
+
+  try {
+    const log = values.quiet ? () => {} : (message) => console.error(message);
+    const written = values.sweep
+      ? await runSweep(JSON.parse(await readFile(values.sweep, "utf8")), config, { log, print: console.log })
+      : await runJob(config, { log });
+    written.forEach((path) => console.log(path));
+    return 0;
+  } catch (error) {
+    console.error(`pixelevolve: ${error.message}`);
+    return 1;
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  process.exitCode = await main();
+}
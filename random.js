@@ -0,0 +1,54 @@
+// Seeded Random - Small deterministic PRNG (mulberry32) shared by core modules
+// so annealing runs can be reproduced and replayed from a seed or a saved state.
+
+export class SeededRandom {
+    constructor(seed = null) {
+        this.setSeed(seed === null || seed === undefined ? SeededRandom.generateSeed() : seed);
+    }
+
+    // Fresh 32-bit seed from the non-deterministic platform generator
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // Reset the generator to the start of the sequence for the given seed
+    setSeed(seed) {
+        const value = Number(seed);
+        if (!isFinite(value)) {
+            throw new Error(`Invalid seed: ${seed}`);
+        }
+        this.seed = Math.floor(Math.abs(value)) >>> 0;
+        this.state = this.seed;
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+
+    // Uniform float in [0, 1) - drop-in replacement for Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Uniform integer in [0, n)
+    nextInt(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    // Export seed and position in the sequence for snapshots
+    exportState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    // Restore state produced by exportState()
+    importState(state) {
+        this.setSeed(state.seed);
+        if (state.state !== undefined) {
+            this.state = state.state >>> 0;
+        }
+    }
+}
@@ -0,0 +1,208 @@
+// Simulation - Headless annealing runner (no DOM, canvas or UI controller)
+// Composes GridCore, EnhancedEnergySystem and EvolutionEngine so runs can be
+// scripted from Node or a worker, e.g.
+//
+//   const sim = new Simulation({ gridSize: 32, seed: 42, preset: "smooth" });
+//   const { grid, energyTrace, stats } = sim.run(5000);
+
+import { GridCore } from "./grid-core.js";
+import { EnhancedEnergySystem } from "./enhanced-energy-system.js";
+import { EvolutionEngine } from "./evolution-engine.js";
+import { SnapshotSerializer } from "./snapshot.js";
+import { SeededRandom } from "./random.js";
+
+export class Simulation {
+  // config: gridSize, seed, preset, grid, targetArea, boundaryMarkers, connectivityMode, lockedCells,
+  // energyWeights, isingJ1, isingJ2,
+  // neighborScale, temperature, coolingRate, minTemperature, maxSteps, areaPreservation, moveWeights,
+  // stopOnTermination (default true), traceInterval (record energy every N steps, default 1)
+  constructor(config = {}) {
+    this.config = config;
+    this.debugMode = config.debugMode || false;
+
+    const gridSize = config.gridSize || 32;
+    this.rng = config.rng || new SeededRandom(config.seed ?? null);
+
+    this.gridCore = new GridCore(gridSize, { ...config, rng: this.rng });
+    this.energySystem = new EnhancedEnergySystem(gridSize, { ...config, debugMode: this.debugMode });
+    this.evolutionEngine = new EvolutionEngine(gridSize, {
+      ...config,
+      rng: this.rng,
+      debugMode: this.debugMode,
+    });
+
+    this.energySystem.importState({
+      energyWeights: config.energyWeights,
+      isingJ1: config.isingJ1,
+      isingJ2: config.isingJ2,
+      connectivityMode: config.connectivityMode,
+    });
+
+    if (config.grid) {
+      this.gridCore.loadGrid(config.grid);
+    } else if (config.preset) {
+      this.gridCore.applyPreset(config.preset);
+    }
+    if (config.targetArea !== undefined) {
+      this.gridCore.targetArea = config.targetArea;
+    }
+    // Boundary conditions: { [group]: [{ side, start, length }] or { label, color, role, markers } }
+    // (see GridCore.setBoundaryMarkers)
+    if (config.boundaryMarkers) {
+      const result = this.gridCore.setBoundaryMarkers(config.boundaryMarkers);
+      if (!result.ok) {
+        throw new Error(`Invalid boundary markers: ${result.errors.join("; ")}`);
+      }
+      this.energySystem.setBoundaryMarkers(this.gridCore.getBoundaryMarkers());
+    }
+    // Cells evolution leaves alone: [[row, col], ...]
+    if (config.lockedCells) {
+      const result = this.gridCore.setLockedCells(config.lockedCells);
+      if (!result.ok) {
+        throw new Error(`Invalid locked cells: ${result.errors.join("; ")}`);
+      }
+    }
+    // Without area preservation the area is held near the target by the soft constraint
+    if (config.areaPreservation === false) {
+      this.energySystem.setAreaTarget(this.gridCore.targetArea);
+    }
+
+    this.stopOnTermination = config.stopOnTermination !== false;
+    this.traceInterval = Math.max(1, config.traceInterval || 1);
+
+    this.initialize();
+  }
+
+  // Reset run progress and compute the starting energy of the current grid
+  initialize() {
+    this.evolutionEngine.reset();
+    this.evolutionEngine.initializeSimulatedAnnealing(
+      this.energySystem,
+      this.gridCore.grid,
+      this.gridCore.STATES,
+      this.evolutionEngine.initialTemperature,
+    );
+
+    const initialEnergy = this.evolutionEngine.currentEnergy;
+    this.evolutionEngine.currentCost = initialEnergy;
+    this.evolutionEngine.costHistory = [initialEnergy];
+
+    this.initialEnergy = initialEnergy;
+    this.minEnergy = initialEnergy;
+    this.energyTrace = [{ step: 0, energy: initialEnergy, temperature: this.evolutionEngine.temperature }];
+    this.acceptedSteps = 0;
+    this.terminated = false;
+    this.elapsedMs = 0;
+
+    this.log("Simulation initialized - Energy:", initialEnergy.toFixed(3));
+  }
+
+  // Single annealing step, mirroring GridEvolution.evolveStep()
+  step() {
+    const engine = this.evolutionEngine;
+    const result = engine.annealingStep(this.gridCore, this.energySystem, this.gridCore.STATES);
+
+    engine.coolTemperature();
+
+    engine.costHistory.push(engine.currentEnergy);
+    if (engine.costHistory.length > 1000) {
+      engine.costHistory.shift();
+    }
+    engine.currentCost = engine.currentEnergy;
+
+    if (result.accepted) {
+      this.acceptedSteps++;
+      this.minEnergy = Math.min(this.minEnergy, engine.currentEnergy);
+    }
+
+    const terminatedNow = !this.terminated && engine.shouldTerminateAnnealing();
+    if (terminatedNow) {
+      this.terminated = true;
+    }
+
+    engine.currentStep++;
+
+    if (engine.currentStep % this.traceInterval === 0 || terminatedNow) {
+      this.energyTrace.push({
+        step: engine.currentStep,
+        energy: engine.currentEnergy,
+        temperature: engine.temperature,
+      });
+    }
+
+    return result;
+  }
+
+  // Run up to `steps` steps synchronously (default: remaining steps up to maxSteps).
+  // Stops early when the annealing termination criteria are met, unless stopOnTermination is false
+  run(steps = null) {
+    const count = steps ?? Math.max(0, this.evolutionEngine.maxSteps - this.evolutionEngine.currentStep);
+    const start = Date.now();
+
+    for (let i = 0; i < count; i++) {
+      if (this.terminated && this.stopOnTermination) break;
+      this.step();
+    }
+
+    this.elapsedMs += Date.now() - start;
+    return this.getResult();
+  }
+
+  // Run in chunks of `chunkSize` steps, yielding to the event loop between chunks.
+  // onChunk(stats) is called after each chunk; return false from it to stop early
+  async runChunked(steps = null, { chunkSize = 1000, onChunk = null } = {}) {
+    let remaining = steps ?? Math.max(0, this.evolutionEngine.maxSteps - this.evolutionEngine.currentStep);
+
+    while (remaining > 0 && !(this.terminated && this.stopOnTermination)) {
+      const count = Math.min(chunkSize, remaining);
+      this.run(count);
+      remaining -= count;
+
+      if (onChunk && onChunk(this.getStats()) === false) break;
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    return this.getResult();
+  }
+
+  // finalEnergy is a full recalculation; trackedEnergy is the engine's running sum of swap deltas
+  getStats() {
+    const engine = this.evolutionEngine;
+    return {
+      step: engine.currentStep,
+      acceptedSteps: this.acceptedSteps,
+      acceptanceRate: engine.currentStep > 0 ? this.acceptedSteps / engine.currentStep : 0,
+      recentAcceptanceRate: engine.calculateRecentAcceptanceRate(),
+      initialEnergy: this.initialEnergy,
+      finalEnergy: this.energySystem.calculateEnergy(this.gridCore.grid, this.gridCore.STATES),
+      trackedEnergy: engine.currentEnergy,
+      minEnergy: this.minEnergy,
+      temperature: engine.temperature,
+      totalArea: this.gridCore.totalArea,
+      targetArea: this.gridCore.targetArea,
+      seed: this.rng.getSeed(),
+      terminated: this.terminated,
+      elapsedMs: this.elapsedMs,
+    };
+  }
+
+  // Final grid (copy), energy trace and stats
+  getResult() {
+    return {
+      grid: this.gridCore.grid.map((row) => [...row]),
+      energyTrace: [...this.energyTrace],
+      stats: this.getStats(),
+    };
+  }
+
+  // Snapshot in the same format as the browser "Snapshot" button
+  captureSnapshot() {
+    return SnapshotSerializer.capture(this.gridCore, this.energySystem, this.evolutionEngine);
+  }
+
+  log(...args) {
+    if (this.debugMode) {
+      console.log("[Simulation]", ...args);
+    }
+  }
+}
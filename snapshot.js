@@ -0,0 +1,322 @@
+// Snapshot - Versioned serialization of the complete simulator state (JSON)
+//
+// Schema history:
+//   1 - flat layout written by the original saveSnapshotJSON (no schemaVersion field):
+//       gridSize, grid, xPoints/yPoints, targetArea, stats, parameters, energyWeights (+ isingJ1/J2)
+//   2 - one block per component, each produced by its exportState():
+//       { schemaVersion, timestamp, gridCore, energySystem, evolutionEngine }
+//   3 - adds rng: { seed, state } of the shared SeededRandom (null when unknown)
+//   4 - evolutionEngine.evolutionSpeed (delay in ms between steps) replaced by
+//       stepsPerSecond (target rate, or "max")
+
+import { CoolingSchedule } from './cooling-schedule.js';
+import { StepPacer } from './step-pacer.js';
+import { EnhancedEnergySystem } from './enhanced-energy-system.js';
+import { GridCore } from './grid-core.js';
+
+export class SnapshotSerializer {
+    static SCHEMA_VERSION = 4;
+
+    // Migrations keyed by the version they upgrade FROM; each returns version + 1
+    static MIGRATIONS = {
+        1: (s) => {
+            const { isingJ1, isingJ2, ...energyWeights } = s.energyWeights || {};
+            return {
+                schemaVersion: 2,
+                timestamp: s.timestamp,
+                gridCore: {
+                    gridSize: s.gridSize,
+                    grid: s.grid,
+                    targetArea: s.targetArea,
+                    xPoints: s.xPoints ?? null,
+                    yPoints: s.yPoints ?? null,
+                },
+                energySystem: {
+                    energyWeights,
+                    isingJ1,
+                    isingJ2,
+                },
+                evolutionEngine: {
+                    temperature: s.parameters?.temperature ?? s.stats?.temperature,
+                    coolingRate: s.parameters?.coolingRate,
+                    maxSteps: s.parameters?.maxSteps,
+                    currentStep: s.stats?.step,
+                    currentEnergy: s.stats?.energy,
+                    currentCost: s.stats?.cost,
+                },
+            };
+        },
+        2: (s) => ({ ...s, schemaVersion: 3, rng: null }),
+        3: (s) => {
+            const { evolutionSpeed, ...engine } = s.evolutionEngine || {};
+            // One step per timer tick of `evolutionSpeed` ms
+            if (evolutionSpeed !== undefined) {
+                engine.stepsPerSecond = evolutionSpeed > 0 ? Math.round(1000 / evolutionSpeed) : 'max';
+            }
+            return { ...s, schemaVersion: 4, evolutionEngine: engine };
+        },
+    };
+
+    // Build a snapshot of the current state of the three core components
+    static capture(gridCore, energySystem, evolutionEngine) {
+        return {
+            schemaVersion: SnapshotSerializer.SCHEMA_VERSION,
+            timestamp: new Date().toISOString(),
+            gridCore: gridCore.exportState(),
+            energySystem: energySystem.exportState(),
+            evolutionEngine: evolutionEngine.exportState(),
+            rng: evolutionEngine.rng.exportState(),
+        };
+    }
+
+    // Apply a (migrated, validated) snapshot to the three core components.
+    // Resizes the energy system and engine along with the grid.
+    // Returns { ok, errors } - errors are non-fatal issues such as dropped markers
+    static restore(snapshot, gridCore, energySystem, evolutionEngine) {
+        const result = gridCore.importState(snapshot.gridCore);
+
+        const gridSize = gridCore.gridSize;
+        energySystem.gridSize = gridSize;
+        energySystem.geometricKernels.updateGridSize(gridSize);
+        evolutionEngine.gridSize = gridSize;
+
+        energySystem.importState(snapshot.energySystem || {});
+        energySystem.setBoundaryMarkers(gridCore.getBoundaryMarkers());
+        evolutionEngine.importState(snapshot.evolutionEngine || {});
+
+        // Resume the random sequence (grid core and engine normally share one generator)
+        if (snapshot.rng) {
+            for (const rng of new Set([gridCore.rng, evolutionEngine.rng])) {
+                rng.importState(snapshot.rng);
+            }
+        }
+
+        return result;
+    }
+
+    // Upgrade a snapshot of any known version to SCHEMA_VERSION.
+    // Snapshots without schemaVersion are treated as version 1.
+    // Returns { ok, errors, snapshot }
+    static migrate(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+            return { ok: false, errors: ['Snapshot must be a JSON object'], snapshot: null };
+        }
+
+        let version = snapshot.schemaVersion ?? 1;
+        if (!Number.isInteger(version) || version < 1) {
+            return { ok: false, errors: [`Invalid schemaVersion ${JSON.stringify(version)}`], snapshot: null };
+        }
+        if (version > SnapshotSerializer.SCHEMA_VERSION) {
+            return {
+                ok: false,
+                errors: [`Snapshot schemaVersion ${version} is newer than supported version ${SnapshotSerializer.SCHEMA_VERSION}`],
+                snapshot: null
+            };
+        }
+
+        let migrated = snapshot;
+        while (version < SnapshotSerializer.SCHEMA_VERSION) {
+            migrated = SnapshotSerializer.MIGRATIONS[version](migrated);
+            version = migrated.schemaVersion;
+        }
+        return { ok: true, errors: [], snapshot: migrated };
+    }
+
+    // Parse snapshot JSON text (any known version) into a current-version object
+    // Returns { ok, errors, snapshot }
+    static parse(text) {
+        let raw;
+        try {
+            raw = JSON.parse(text);
+        } catch (error) {
+            return { ok: false, errors: [`Invalid JSON: ${error.message}`], snapshot: null };
+        }
+        return SnapshotSerializer.load(raw);
+    }
+
+    // Migrate and validate an already-parsed snapshot object
+    // Returns { ok, errors, snapshot }
+    static load(raw) {
+        const migrated = SnapshotSerializer.migrate(raw);
+        if (!migrated.ok) return migrated;
+        const result = SnapshotSerializer.validate(migrated.snapshot);
+        return { ...result, snapshot: result.ok ? migrated.snapshot : null };
+    }
+
+    // Validate a current-version snapshot
+    // Returns { ok, errors }
+    static validate(snapshot) {
+        const errors = [];
+        const isFiniteNumber = (v) => typeof v === 'number' && isFinite(v);
+        const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+        if (!isObject(snapshot)) {
+            return { ok: false, errors: ['Snapshot must be a JSON object'] };
+        }
+        if (snapshot.schemaVersion !== SnapshotSerializer.SCHEMA_VERSION) {
+            return { ok: false, errors: [`Expected schemaVersion ${SnapshotSerializer.SCHEMA_VERSION} (got ${JSON.stringify(snapshot.schemaVersion)})`] };
+        }
+
+        // ---- gridCore ----
+        const core = snapshot.gridCore;
+        if (!isObject(core)) {
+            return { ok: false, errors: ['gridCore must be an object'] };
+        }
+
+        const n = core.gridSize;
+        if (!Number.isInteger(n) || n < 1) {
+            errors.push(`gridCore.gridSize must be a positive integer (got ${JSON.stringify(n)})`);
+            return { ok: false, errors };
+        }
+
+        // Grid: n rows of n integer states in [0,5]
+        const grid = core.grid;
+        if (!Array.isArray(grid) || grid.length !== n) {
+            errors.push(`gridCore.grid must be an array of ${n} rows`);
+        } else {
+            for (let row = 0; row < n; row++) {
+                const r = grid[row];
+                if (!Array.isArray(r) || r.length !== n) {
+                    errors.push(`gridCore.grid row ${row} must have ${n} cells`);
+                    break;
+                }
+                const bad = r.findIndex(s => !Number.isInteger(s) || s < 0 || s > 5);
+                if (bad !== -1) {
+                    errors.push(`gridCore.grid[${row}][${bad}] has invalid state ${JSON.stringify(r[bad])}`);
+                    break;
+                }
+            }
+        }
+
+        // Non-uniform grid points are optional, but must be N+1 boundaries when present
+        for (const key of ['xPoints', 'yPoints']) {
+            const pts = core[key];
+            if (pts === undefined || pts === null) continue;
+            if (!Array.isArray(pts) || pts.length !== n + 1 || pts.some(v => !isFiniteNumber(v))) {
+                errors.push(`gridCore.${key} must be null or an array of ${n + 1} numbers`);
+            }
+        }
+
+        if (core.targetArea !== undefined && !isFiniteNumber(core.targetArea)) {
+            errors.push('gridCore.targetArea must be a number');
+        }
+
+        if (core.lockedCells !== undefined && core.lockedCells !== null) {
+            const valid = Array.isArray(core.lockedCells) && core.lockedCells.every(cell =>
+                Array.isArray(cell) && cell.length === 2 &&
+                cell.every(i => Number.isInteger(i) && i >= 0 && i < n));
+            if (!valid) {
+                errors.push('gridCore.lockedCells must be a list of [row, col] cells inside the grid');
+            }
+        }
+
+        // Boundary markers: { [groupName]: { label, color, role, top:[],... } } as returned by
+        // getBoundaryMarkers(); label, colour and role are optional (older snapshots)
+        if (core.boundaryMarkers !== undefined && core.boundaryMarkers !== null) {
+            if (!isObject(core.boundaryMarkers)) {
+                errors.push('gridCore.boundaryMarkers must be an object');
+            } else {
+                for (const [groupName, group] of Object.entries(core.boundaryMarkers)) {
+                    if (!isObject(group) || !GridCore.MARKER_GROUP_NAME.test(groupName)) {
+                        errors.push(`gridCore.boundaryMarkers.${groupName} must be an object with a valid group name`);
+                        continue;
+                    }
+                    const { label, color, role, ...sides } = group;
+                    if (label !== undefined && typeof label !== 'string') {
+                        errors.push(`gridCore.boundaryMarkers.${groupName}.label must be a string`);
+                    }
+                    if (color !== undefined && typeof color !== 'string') {
+                        errors.push(`gridCore.boundaryMarkers.${groupName}.color must be a string`);
+                    }
+                    if (role !== undefined && !GridCore.MARKER_ROLES.includes(role)) {
+                        errors.push(`gridCore.boundaryMarkers.${groupName}.role must be one of ${GridCore.MARKER_ROLES.join(', ')}`);
+                    }
+                    for (const [side, list] of Object.entries(sides)) {
+                        const valid = GridCore.MARKER_SIDES.includes(side) && Array.isArray(list) && list.every(m =>
+                            isObject(m) && Number.isInteger(m.start) && Number.isInteger(m.length));
+                        if (!valid) {
+                            errors.push(`gridCore.boundaryMarkers.${groupName}.${side} must be a list of {side, start, length}`);
+                        }
+                    }
+                }
+            }
+        }
+
+        // ---- energySystem ----
+        const energy = snapshot.energySystem;
+        if (energy !== undefined) {
+            if (!isObject(energy)) {
+                errors.push('energySystem must be an object');
+            } else {
+                if (energy.energyWeights !== undefined) {
+                    if (!isObject(energy.energyWeights)) {
+                        errors.push('energySystem.energyWeights must be an object');
+                    } else {
+                        for (const [key, v] of Object.entries(energy.energyWeights)) {
+                            if (!isFiniteNumber(v)) {
+                                errors.push(`energySystem.energyWeights.${key} must be a number (got ${JSON.stringify(v)})`);
+                            }
+                        }
+                    }
+                }
+                for (const key of ['isingJ1', 'isingJ2', 'neighborScale']) {
+                    if (energy[key] !== undefined && !isFiniteNumber(energy[key])) {
+                        errors.push(`energySystem.${key} must be a number`);
+                    }
+                }
+                if (energy.areaTarget !== undefined && energy.areaTarget !== null && !isFiniteNumber(energy.areaTarget)) {
+                    errors.push('energySystem.areaTarget must be null or a number');
+                }
+                if (energy.connectivityMode !== undefined && !EnhancedEnergySystem.CONNECTIVITY_MODES.includes(energy.connectivityMode)) {
+                    errors.push(`energySystem.connectivityMode must be one of ${EnhancedEnergySystem.CONNECTIVITY_MODES.join(', ')}`);
+                }
+            }
+        }
+
+        // ---- evolutionEngine ----
+        const engine = snapshot.evolutionEngine;
+        if (engine !== undefined) {
+            if (!isObject(engine)) {
+                errors.push('evolutionEngine must be an object');
+            } else {
+                for (const [key, v] of Object.entries(engine)) {
+                    if (v === undefined) continue;
+                    if (key === 'areaPreservation') {
+                        if (typeof v !== 'boolean') errors.push('evolutionEngine.areaPreservation must be a boolean');
+                    } else if (key === 'adaptiveCooling') {
+                        const valid = isObject(v) && Object.entries(v).every(([k, x]) =>
+                            k === 'enabled' ? typeof x === 'boolean' : isFiniteNumber(x));
+                        if (!valid) errors.push('evolutionEngine.adaptiveCooling must be an object of numbers and an enabled flag');
+                    } else if (key === 'coolingSchedule') {
+                        const schedule = CoolingSchedule.validate(v);
+                        errors.push(...schedule.errors.map(e => `evolutionEngine.coolingSchedule: ${e}`));
+                    } else if (key === 'stepsPerSecond') {
+                        if (!StepPacer.isValidRate(v)) {
+                            errors.push(`evolutionEngine.stepsPerSecond must be a positive number or "max" (got ${JSON.stringify(v)})`);
+                        }
+                    } else if (key === 'moveWeights') {
+                        const valid = isObject(v) && Object.values(v).every(x => isFiniteNumber(x) && x >= 0);
+                        if (!valid) errors.push('evolutionEngine.moveWeights must be an object of non-negative numbers');
+                    } else if (key === 'costHistory') {
+                        if (!Array.isArray(v) || v.some(e => !isFiniteNumber(e))) {
+                            errors.push('evolutionEngine.costHistory must be an array of numbers');
+                        }
+                    } else if (!isFiniteNumber(v)) {
+                        errors.push(`evolutionEngine.${key} must be a number (got ${JSON.stringify(v)})`);
+                    }
+                }
+            }
+        }
+
+        // ---- rng ----
+        const rng = snapshot.rng;
+        if (rng !== undefined && rng !== null) {
+            const isUint32 = (v) => Number.isInteger(v) && v >= 0 && v <= 0xFFFFFFFF;
+            if (!isObject(rng) || !isUint32(rng.seed) || !isUint32(rng.state)) {
+                errors.push('rng must be null or { seed, state } with unsigned 32-bit integers');
+            }
+        }
+
+        return { ok: errors.length === 0, errors };
+    }
+}
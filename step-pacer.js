@@ -0,0 +1,74 @@
+// Step Pacer - Runs as many annealing steps per frame as a time budget and a
+// steps-per-second target allow
+//
+//   const pacer = new StepPacer({ budgetMs: 12 });
+//   requestAnimationFrame(function frame() {
+//     pacer.run(engine.stepsPerSecond, () => doStep());   // "max" = fill the budget
+//     render();
+//     requestAnimationFrame(frame);
+//   });
+//
+// With a numeric target the pacer accumulates the steps owed since the previous call,
+// so the rate holds whatever the frame rate; a stall (hidden tab, slow frame) carries
+// over at most `maxBacklogMs` worth of steps instead of a burst.
+
+export class StepPacer {
+  static MAX = "max";
+
+  // config: budgetMs (time per call, default 12), maxBacklogMs (default 250), now (clock in ms)
+  constructor(config = {}) {
+    this.budgetMs = config.budgetMs || 12;
+    this.maxBacklogMs = config.maxBacklogMs || 250;
+    this.now = config.now || (() => performance.now());
+    this.reset();
+  }
+
+  // Forget time and steps owed, e.g. when a run starts or resumes
+  reset() {
+    this.lastTime = null;
+    this.owed = 0;
+  }
+
+  // Valid targets: "max" or a positive finite number of steps per second
+  static isValidRate(stepsPerSecond) {
+    return stepsPerSecond === StepPacer.MAX ||
+      (typeof stepsPerSecond === "number" && isFinite(stepsPerSecond) && stepsPerSecond > 0);
+  }
+
+  // Steps allowed now: everything for "max", else the whole steps accumulated since the last call
+  allowance(stepsPerSecond) {
+    const time = this.now();
+    const first = this.lastTime === null;
+    const elapsed = first ? 0 : time - this.lastTime;
+    this.lastTime = time;
+
+    if (stepsPerSecond === StepPacer.MAX) {
+      this.owed = 0;
+      return Infinity;
+    }
+
+    // The first call after reset() runs one step straight away
+    const earned = first ? 1 : (stepsPerSecond * elapsed) / 1000;
+    const cap = Math.max(1, (stepsPerSecond * this.maxBacklogMs) / 1000);
+    this.owed = Math.min(cap, this.owed + earned);
+    return Math.floor(this.owed);
+  }
+
+  // Call step() until the allowance, `limit` or the time budget runs out, or step() returns
+  // false. Returns the number of steps run
+  run(stepsPerSecond, step, limit = Infinity) {
+    const allowed = Math.min(limit, this.allowance(stepsPerSecond));
+    const start = this.now();
+    let count = 0;
+
+    while (count < allowed && this.now() - start < this.budgetMs) {
+      count++;
+      if (step() === false) break;
+    }
+
+    if (stepsPerSecond !== StepPacer.MAX) {
+      this.owed = Math.max(0, this.owed - count);
+    }
+    return count;
+  }
+}
@@ -0,0 +1,229 @@
+// Parameter Sweep - Headless grid search over energy weights and annealing parameters
+//
+//   const sweep = new ParameterSweep({
+//     base: { gridSize: 24, preset: "random", maxSteps: 5000 },
+//     parameters: { zebraPatterns: [0, 1, 2], isingJ1: { from: 0.5, to: 1.5, step: 0.5 } },
+//     seeds: [1, 2, 3],
+//   });
+//   const rows = sweep.run();             // one summary row per combination
+//   console.log(ParameterSweep.formatTable(rows));
+//
+// Parameter names are Simulation config keys (temperature, coolingRate, isingJ1, ...)
+// or energy weight names (zebraPatterns, ...), which are set in energyWeights.
+
+import { Simulation } from "./simulation.js";
+import { EnhancedEnergySystem } from "./enhanced-energy-system.js";
+
+export class ParameterSweep {
+  // Per-run values averaged into each summary row
+  static METRICS = [
+    "finalEnergy", "minEnergy", "acceptanceRate", "steps",
+    "components", "largestComponentFraction", "holes", "perimeter", "compactness",
+  ];
+
+  constructor(spec = {}) {
+    const validation = ParameterSweep.validate(spec);
+    if (!validation.ok) {
+      throw new Error(`Invalid sweep: ${validation.errors.join("; ")}`);
+    }
+
+    this.base = { ...(spec.base || {}) };
+    this.parameters = Object.fromEntries(
+      Object.entries(spec.parameters || {}).map(([name, values]) => [name, ParameterSweep.expandValues(values)]),
+    );
+    this.seeds = typeof spec.seeds === "number"
+      ? Array.from({ length: spec.seeds }, (_, i) => i + 1)
+      : spec.seeds || [this.base.seed ?? 1];
+    this.weightNames = ParameterSweep.getWeightNames();
+  }
+
+  static getWeightNames() {
+    return Object.keys(new EnhancedEnergySystem(1).energyWeights);
+  }
+
+  // A list of values, or a range { from, to, step } / { from, to, count } (inclusive)
+  static expandValues(values) {
+    if (Array.isArray(values)) return [...values];
+
+    const { from, to } = values;
+    const count = values.count ?? Math.floor((to - from) / values.step + 1e-9) + 1;
+    if (count === 1) return [from];
+
+    const step = values.count !== undefined ? (to - from) / (count - 1) : values.step;
+    return Array.from({ length: count }, (_, i) => Number((from + i * step).toFixed(10)));
+  }
+
+  // Returns { ok, errors }
+  static validate(spec) {
+    const errors = [];
+    const isFiniteNumber = (v) => typeof v === "number" && isFinite(v);
+
+    if (!spec || typeof spec !== "object") {
+      return { ok: false, errors: ["Sweep spec must be an object"] };
+    }
+
+    const parameters = spec.parameters || {};
+    if (typeof parameters !== "object" || Array.isArray(parameters) || Object.keys(parameters).length === 0) {
+      errors.push("parameters must map at least one parameter name to values");
+    } else {
+      for (const [name, values] of Object.entries(parameters)) {
+        if (Array.isArray(values)) {
+          if (values.length === 0) errors.push(`${name}: value list is empty`);
+          continue;
+        }
+        const { from, to, step, count } = values || {};
+        if (!isFiniteNumber(from) || !isFiniteNumber(to)) {
+          errors.push(`${name}: range needs numeric from and to`);
+        } else if (count !== undefined) {
+          if (!Number.isInteger(count) || count < 1) errors.push(`${name}: count must be a positive integer`);
+        } else if (!isFiniteNumber(step) || step <= 0 || to < from) {
+          errors.push(`${name}: range needs a positive step and from <= to`);
+        }
+      }
+    }
+
+    const seeds = spec.seeds;
+    if (seeds !== undefined) {
+      const validList = Array.isArray(seeds) && seeds.length > 0 && seeds.every((s) => Number.isInteger(s) && s >= 0);
+      const validCount = Number.isInteger(seeds) && seeds > 0;
+      if (!validList && !validCount) {
+        errors.push("seeds must be a positive count or a list of non-negative integers");
+      }
+    }
+
+    return { ok: errors.length === 0, errors };
+  }
+
+  // Cartesian product of all parameter values, as a list of { name: value } objects
+  combinations() {
+    let combos = [{}];
+    for (const [name, values] of Object.entries(this.parameters)) {
+      combos = combos.flatMap((combo) => values.map((value) => ({ ...combo, [name]: value })));
+    }
+    return combos;
+  }
+
+  // Total number of simulations the sweep will run
+  get runCount() {
+    return this.combinations().length * this.seeds.length;
+  }
+
+  // Simulation config for one combination and seed
+  buildConfig(params, seed) {
+    const config = { ...this.base, seed, energyWeights: { ...(this.base.energyWeights || {}) } };
+    for (const [name, value] of Object.entries(params)) {
+      if (this.weightNames.includes(name)) {
+        config.energyWeights[name] = value;
+      } else {
+        config[name] = value;
+      }
+    }
+    return config;
+  }
+
+  // Run one combination with one seed and collect its metrics
+  runOne(params, seed) {
+    const simulation = new Simulation(this.buildConfig(params, seed));
+    const { stats } = simulation.run();
+    const shape = simulation.gridCore.getShapeMetrics();
+
+    return {
+      params,
+      seed,
+      finalEnergy: stats.finalEnergy,
+      minEnergy: stats.minEnergy,
+      acceptanceRate: stats.acceptanceRate,
+      steps: stats.step,
+      components: shape.components,
+      largestComponentFraction: shape.largestComponentFraction,
+      holes: shape.holes,
+      perimeter: shape.perimeter,
+      compactness: shape.compactness,
+    };
+  }
+
+  // Run every combination and seed synchronously. onRun(run, index, total) reports progress.
+  // Returns one summary row per combination
+  run({ onRun = null } = {}) {
+    const runs = [];
+    const total = this.runCount;
+    for (const params of this.combinations()) {
+      for (const seed of this.seeds) {
+        const result = this.runOne(params, seed);
+        runs.push(result);
+        if (onRun) onRun(result, runs.length, total);
+      }
+    }
+    this.runs = runs;
+    return ParameterSweep.summarize(runs);
+  }
+
+  // Same as run(), yielding to the event loop between simulations
+  async runAsync({ onRun = null } = {}) {
+    const runs = [];
+    const total = this.runCount;
+    for (const params of this.combinations()) {
+      for (const seed of this.seeds) {
+        const result = this.runOne(params, seed);
+        runs.push(result);
+        if (onRun) onRun(result, runs.length, total);
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+    }
+    this.runs = runs;
+    return ParameterSweep.summarize(runs);
+  }
+
+  // Group runs by parameter combination: mean of each metric, plus the
+  // standard deviation of the final energy across seeds
+  static summarize(runs) {
+    const groups = new Map();
+    for (const run of runs) {
+      const key = JSON.stringify(run.params);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(run);
+    }
+
+    return [...groups.values()].map((group) => {
+      const mean = (metric) => group.reduce((sum, run) => sum + run[metric], 0) / group.length;
+      const row = { params: group[0].params, runs: group.length };
+      for (const metric of ParameterSweep.METRICS) {
+        row[metric] = mean(metric);
+      }
+      row.finalEnergyStd = Math.sqrt(
+        group.reduce((sum, run) => sum + (run.finalEnergy - row.finalEnergy) ** 2, 0) / group.length,
+      );
+      return row;
+    });
+  }
+
+  static columns(rows) {
+    const paramNames = rows.length > 0 ? Object.keys(rows[0].params) : [];
+    return [...paramNames, "runs", "finalEnergy", "finalEnergyStd", ...ParameterSweep.METRICS.slice(1)];
+  }
+
+  static cellValue(row, column) {
+    return column in row.params ? row.params[column] : row[column];
+  }
+
+  // Summary rows as CSV, one column per parameter then the metrics
+  static toCSV(rows) {
+    const columns = ParameterSweep.columns(rows);
+    const lines = [columns.join(",")];
+    for (const row of rows) {
+      lines.push(columns.map((column) => ParameterSweep.cellValue(row, column)).join(","));
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  // Summary rows as an aligned plain-text table, sorted by final energy
+  static formatTable(rows) {
+    const columns = ParameterSweep.columns(rows);
+    const format = (value) => (Number.isInteger(value) ? String(value) : Number(value).toFixed(3));
+    const sorted = [...rows].sort((a, b) => a.finalEnergy - b.finalEnergy);
+    const cells = [columns, ...sorted.map((row) => columns.map((column) => format(ParameterSweep.cellValue(row, column))))];
+    const widths = columns.map((_, i) => Math.max(...cells.map((line) => line[i].length)));
+
+    return cells.map((line) => line.map((cell, i) => cell.padStart(widths[i])).join("  ")).join("\n") + "\n";
+  }
+}
@@ -12,6 +12,30 @@
  * Suite 9: EnhancedEnergySystem weight sensitivity and pattern-specific energy
  * Suite 10: Integration tests (end-to-end evolution consistency)
  * Suite 11: Edge cases and error handling
+ * Suite 12: SnapshotSerializer versioned schema, migration, capture/restore and GridCore.loadGrid
+ * Suite 13: SeededRandom determinism, reproducible runs and rng state in snapshots
+ * Suite 14: Headless Simulation runner and GridCore presets
+ * Suite 15: GridExporter ASCII/PPM renders and energy CSV (used by the pixelevolve CLI)
+ * Suite 16: ParameterSweep grid search and GridCore shape metrics
+ * Suite 17: Sliding-window acceptance rate and configurable adaptive cooling
+ * Suite 18: Cooling schedules (exponential, linear, logarithmic, Lundy–Mees, cosine restart, piecewise)
+ * Suite 19: ParallelTempering replica exchange and GridCore.clone
+ * Suite 20: EvolutionWorkerLoop batches, hand-back, calls and termination
+ * Suite 21: StepPacer frame budgets and steps-per-second snapshots
+ * Suite 22: Flat Uint8Array grid storage and in-place swap evaluation
+ * Suite 23: Incremental per-cell energy cache, exact swap deltas and drift check
+ * Suite 24: Energy breakdown into weighted and unweighted terms and sub-terms
+ * Suite 25: Per-cell energy field per term and overlay colour scales
+ * Suite 26: Sharp-corner energy in the full energy, breakdown and swap deltas
+ * Suite 27: Hole and island energy from connected components, with incremental swap deltas
+ * Suite 28: Diagonal half cells in kernels, Ising, outline energy and area-preserving moves
+ * Suite 29: Weighted move types (swap, diagonal, boundary shift, Kawasaki, cluster translation)
+ * Suite 30: Soft area constraint with single-cell flips
+ * Suite 31: Boundary markers as boundary conditions (virtual ring)
+ * Suite 32: Port connectivity constraint between group1 markers
+ * Suite 33: Marker editing on the canvas margin
+ * Suite 34: Named marker groups with label, colour and role
+ * Suite 35: Locked cells excluded from evolution
  * 
  * TOTAL: 100+ comprehensive test cases
  */
@@ -20,6 +44,19 @@ import { GeometricKernels } from './geometric-kernels.js';
 import { EnhancedEnergySystem } from './enhanced-energy-system.js';
 import { EvolutionEngine } from './evolution-engine.js';
 import { GridCore } from './grid-core.js';
+import { SnapshotSerializer } from './snapshot.js';
+import { SeededRandom } from './random.js';
+import { Simulation } from './simulation.js';
+import { GridExporter } from './grid-export.js';
+import { ParameterSweep } from './sweep.js';
+import { CoolingSchedule } from './cooling-schedule.js';
+import { ParallelTempering } from './parallel-tempering.js';
+import { EvolutionWorkerLoop } from './evolution-worker.js';
+import { StepPacer } from './step-pacer.js';
+import { GridRenderer } from './grid-renderer.js';
+import { MarkerEditor } from './marker-editor.js';
+import { UIController } from './ui-controller.js';
+import { GridEvolution } from './grid-evolution.js';
 
 // ============================================================================
 // TEST UTILITIES
@@ -460,16 +497,21 @@ runner.test('Test 3.1: calculateEnergy accurately sums geometric and neighbor en
     energySystem.isingJ2
   );
 
+  const boundaryLength = energySystem.geometricKernels.calculateBoundaryLength(grid, STATES);
+  const topologyEnergy = energySystem.calculateTopologyEnergy(grid, STATES);
+
   const expectedTotal =
     geometricEnergy + 
     neighborEnergy * energySystem.energyWeights.neighborEnergy +
-    isingEnergy * energySystem.energyWeights.isingEnergy;
+    isingEnergy * energySystem.energyWeights.isingEnergy +
+    boundaryLength * energySystem.energyWeights.boundaryLength +
+    topologyEnergy * energySystem.energyWeights.holesAndIsolation;
 
   t.assertAlmostEquals(
     totalEnergy,
     expectedTotal,
     1e-6,
-    'Total energy should equal geometric + weighted neighbor + weighted Ising energy'
+    'Total energy should equal geometric + weighted neighbor, Ising, outline and hole/island energy'
   );
 });
 
@@ -1341,9 +1383,12 @@ runner.test('Test 9.2: calculateEnergy with zero neighbor weight excludes neighb
     energySystem.isingJ2
   );
 
-  const expectedEnergy = geometricEnergy + isingEnergy * energySystem.energyWeights.isingEnergy;
+  const expectedEnergy = geometricEnergy + isingEnergy * energySystem.energyWeights.isingEnergy +
+    energySystem.geometricKernels.calculateBoundaryLength(grid, STATES) * energySystem.energyWeights.boundaryLength +
+    energySystem.calculateTopologyEnergy(grid, STATES) * energySystem.energyWeights.holesAndIsolation;
 
-  t.assertAlmostEquals(energy, expectedEnergy, 1e-6, 'Zero neighbor weight should give geometric + Ising energy');
+  t.assertAlmostEquals(energy, expectedEnergy, 1e-6,
+    'Zero neighbor weight should give geometric + Ising + outline + hole/island energy');
 
   // Restore
   energySystem.energyWeights.neighborEnergy = originalWeight;
@@ -1689,6 +1734,2768 @@ runner.test('Test 11.10: State inventory handles grid with mixed states', (t) =>
   );
 });
 
+// ============================================================================
+// TEST SUITE 12: Snapshot Loading and Versioned Schema
+// ============================================================================
+
+// Snapshot in the original (schema version 1) flat layout
+function createSavedSnapshot(gridSize, pattern) {
+  return {
+    timestamp: '2024-01-01T00:00:00.000Z',
+    gridSize,
+    grid: createSimpleGrid(gridSize, pattern),
+    totalArea: 0,
+    targetArea: 10,
+    xPoints: GridCore.generateUniformPoints(gridSize),
+    yPoints: GridCore.generateUniformPoints(gridSize),
+    stats: { energy: 0, cost: 0, temperature: 0.5, step: 42 },
+    parameters: { temperature: 0.5, coolingRate: 0.99, maxSteps: 500 },
+    energyWeights: {
+      geometricContinuity: 1.0,
+      sharpCorners: 2.0,
+      zebraPatterns: 3.0,
+      neighborEnergy: 0.5,
+      isingEnergy: 1.5,
+      isingJ1: 0.7,
+      isingJ2: 0.3,
+    },
+  };
+}
+
+function createSnapshotComponents(gridSize) {
+  return {
+    gridCore: new GridCore(gridSize),
+    energySystem: new EnhancedEnergySystem(gridSize, { debugMode: false }),
+    evolutionEngine: new EvolutionEngine(gridSize, { debugMode: false }),
+  };
+}
+
+runner.test('Test 12.1: SnapshotSerializer.load migrates a version 1 snapshot', (t) => {
+  const result = SnapshotSerializer.load(createSavedSnapshot(8, 'cluster'));
+
+  t.assert(result.ok, `Saved snapshot should load: ${result.errors.join('; ')}`);
+  t.assertEquals(result.snapshot.schemaVersion, SnapshotSerializer.SCHEMA_VERSION, 'Should migrate to current version');
+  t.assertEquals(result.snapshot.gridCore.gridSize, 8, 'Grid size should move to gridCore block');
+  t.assertEquals(result.snapshot.energySystem.isingJ1, 0.7, 'Ising J1 should move to energySystem block');
+  t.assert(!('isingJ1' in result.snapshot.energySystem.energyWeights), 'Ising couplings should not be weights');
+  t.assertEquals(result.snapshot.evolutionEngine.currentStep, 42, 'Step should move to evolutionEngine block');
+  t.assertEquals(result.snapshot.evolutionEngine.coolingRate, 0.99, 'Cooling rate should be kept');
+});
+
+runner.test('Test 12.2: SnapshotSerializer.load rejects mismatched grid dimensions', (t) => {
+  const snapshot = createSavedSnapshot(8, 'cluster');
+  snapshot.grid.pop();
+
+  const result = SnapshotSerializer.load(snapshot);
+
+  t.assert(!result.ok, 'Grid with missing row should be rejected');
+  t.assert(result.errors[0].includes('8 rows'), 'Error should name expected row count');
+});
+
+runner.test('Test 12.3: SnapshotSerializer.load rejects invalid states and parameters', (t) => {
+  const snapshot = createSavedSnapshot(8, 'empty');
+  snapshot.grid[2][3] = 7;
+  snapshot.parameters.coolingRate = 'fast';
+  snapshot.xPoints = [0, 1];
+
+  const result = SnapshotSerializer.load(snapshot);
+
+  t.assert(!result.ok, 'Snapshot should be rejected');
+  t.assertEquals(result.errors.length, 3, 'Should report state, xPoints and parameter errors');
+});
+
+runner.test('Test 12.4: SnapshotSerializer.parse reports malformed JSON and newer versions', (t) => {
+  const result = SnapshotSerializer.parse('{"gridSize": 8,');
+
+  t.assert(!result.ok, 'Malformed JSON should fail');
+  t.assertEquals(result.snapshot, null, 'No snapshot should be returned');
+
+  const future = SnapshotSerializer.parse(JSON.stringify({ schemaVersion: SnapshotSerializer.SCHEMA_VERSION + 1 }));
+  t.assert(!future.ok, 'Newer schema version should be rejected');
+
+  const valid = SnapshotSerializer.parse(JSON.stringify(createSavedSnapshot(4, 'empty')));
+  t.assert(valid.ok, 'Round-tripped snapshot should parse');
+  t.assertEquals(valid.snapshot.gridCore.gridSize, 4, 'Parsed snapshot should keep grid size');
+});
+
+runner.test('Test 12.5: GridCore.loadGrid restores cells, area and inventories', (t) => {
+  const gridSize = 8;
+  const gridCore = new GridCore(gridSize);
+  const saved = createSimpleGrid(gridSize, 'cluster');
+
+  gridCore.loadGrid(saved);
+
+  t.assertEquals(gridCore.totalArea, 9, 'Area should be recomputed from loaded cells');
+  t.assertEquals(gridCore.computeStateInventories()[STATES.FULL].count, 9, 'Inventory should count loaded cells');
+  saved[1][1] = STATES.EMPTY;
+  t.assertEquals(gridCore.grid[1][1], STATES.FULL, 'Loaded grid should be a copy');
+});
+
+runner.test('Test 12.6: GridCore.loadGrid rejects wrong size and unknown states', (t) => {
+  const gridCore = new GridCore(8);
+
+  let threw = false;
+  try {
+    gridCore.loadGrid(createSimpleGrid(6, 'empty'));
+  } catch (e) {
+    threw = true;
+  }
+  t.assert(threw, 'Should throw for wrong grid size');
+
+  const bad = createSimpleGrid(8, 'empty');
+  bad[0][0] = 9;
+  threw = false;
+  try {
+    gridCore.loadGrid(bad);
+  } catch (e) {
+    threw = true;
+  }
+  t.assert(threw, 'Should throw for unknown state');
+});
+
+runner.test('Test 12.7: capture/restore round-trips markers, scale, history and temperatures', (t) => {
+  const source = createSnapshotComponents(8);
+  source.gridCore.loadGrid(createSimpleGrid(8, 'cluster'));
+  source.gridCore.setBoundaryMarkers({
+    group1: [{ side: 'top', start: 0, length: 3 }],
+    group2: [{ side: 'left', start: 2, length: 2 }],
+  });
+  source.energySystem.setEnergyWeight('zebraPatterns', 4.0);
+  source.energySystem.neighborScale = 3.0;
+  source.evolutionEngine.setAnnealingParameter('temperature', 2.0);
+  source.evolutionEngine.temperature = 0.8;
+  source.evolutionEngine.minTemperature = 0.01;
+  source.evolutionEngine.areaPreservation = false;
+  source.evolutionEngine.currentStep = 17;
+  source.evolutionEngine.costHistory = [5, 4, 3];
+
+  const json = JSON.stringify(SnapshotSerializer.capture(
+    source.gridCore, source.energySystem, source.evolutionEngine
+  ));
+  const parsed = SnapshotSerializer.parse(json);
+  t.assert(parsed.ok, `Captured snapshot should validate: ${parsed.errors.join('; ')}`);
+
+  const target = createSnapshotComponents(16);
+  const result = SnapshotSerializer.restore(
+    parsed.snapshot, target.gridCore, target.energySystem, target.evolutionEngine
+  );
+
+  t.assert(result.ok, 'Restore should succeed without issues');
+  t.assertEquals(target.gridCore.gridSize, 8, 'Grid should be resized');
+  t.assertEquals(target.energySystem.gridSize, 8, 'Energy system should follow grid size');
+  t.assertEquals(target.evolutionEngine.gridSize, 8, 'Engine should follow grid size');
+  t.assertEquals(target.gridCore.totalArea, 9, 'Grid cells should be restored');
+  t.assertEquals(target.gridCore.boundaryMarkers.group1.top[0].length, 3, 'Group 1 marker should be restored');
+  t.assertEquals(target.gridCore.boundaryMarkers.group2.left[0].start, 2, 'Group 2 marker should be restored');
+  t.assertEquals(target.energySystem.energyWeights.zebraPatterns, 4.0, 'Weights should be restored');
+  t.assertEquals(target.energySystem.neighborScale, 3.0, 'Neighbor scale should be restored');
+  t.assertEquals(target.evolutionEngine.temperature, 0.8, 'Current temperature should be restored');
+  t.assertEquals(target.evolutionEngine.initialTemperature, 2.0, 'Initial temperature should be restored');
+  t.assertEquals(target.evolutionEngine.minTemperature, 0.01, 'Minimum temperature should be restored');
+  t.assertEquals(target.evolutionEngine.areaPreservation, false, 'Area preservation flag should be restored');
+  t.assertEquals(target.evolutionEngine.currentStep, 17, 'Step should be restored');
+  t.assertEquals(target.evolutionEngine.costHistory.join(','), '5,4,3', 'Cost history should be restored');
+});
+
+runner.test('Test 12.8: neighborScale changes neighbor energy consistently in calculateEnergy and swap delta', (t) => {
+  const gridSize = 8;
+  const energySystem = new EnhancedEnergySystem(gridSize, { debugMode: false, neighborScale: 4.0 });
+  const evolutionEngine = new EvolutionEngine(gridSize, { debugMode: false });
+  const grid = createSimpleGrid(gridSize, 'isolated');
+
+  const cell1 = { row: 0, col: 1 };
+  const cell2 = { row: 5, col: 5 };
+  const delta = evolutionEngine.calculateSwapEnergyDifference(
+    grid, energySystem, cell1, cell2, STATES.FULL, STATES.EMPTY, STATES
+  );
+  const after = grid.map((r) => [...r]);
+  after[cell1.row][cell1.col] = STATES.EMPTY;
+  after[cell2.row][cell2.col] = STATES.FULL;
+
+  t.assertAlmostEquals(
+    delta,
+    energySystem.calculateEnergy(after, STATES) - energySystem.calculateEnergy(grid, STATES),
+    1e-6,
+    'Swap delta should use the configured neighbor scale'
+  );
+});
+
+// ============================================================================
+// TEST SUITE 13: Seeded Random Number Generation
+// ============================================================================
+
+// Run a short annealing sequence from a seed and return the final grid and energy
+function runSeededAnnealing(seed, steps) {
+  const rng = new SeededRandom(seed);
+  const gridCore = new GridCore(8, { rng });
+  const energySystem = new EnhancedEnergySystem(8, { debugMode: false });
+  const evolutionEngine = new EvolutionEngine(8, { rng, debugMode: false, temperature: 1.0 });
+
+  gridCore.randomize();
+  evolutionEngine.initializeSimulatedAnnealing(energySystem, gridCore.grid, STATES);
+  for (let i = 0; i < steps; i++) {
+    evolutionEngine.annealingStep(gridCore, energySystem, STATES);
+  }
+  return { grid: gridCore.grid.map(r => [...r]), energy: evolutionEngine.currentEnergy };
+}
+
+runner.test('Test 13.1: SeededRandom repeats its sequence for the same seed', (t) => {
+  const a = new SeededRandom(12345);
+  const b = new SeededRandom(12345);
+  const c = new SeededRandom(54321);
+
+  const seqA = Array.from({ length: 20 }, () => a.next());
+  const seqB = Array.from({ length: 20 }, () => b.next());
+  const seqC = Array.from({ length: 20 }, () => c.next());
+
+  t.assertEquals(JSON.stringify(seqA), JSON.stringify(seqB), 'Same seed should give same sequence');
+  t.assert(JSON.stringify(seqA) !== JSON.stringify(seqC), 'Different seeds should give different sequences');
+  t.assert(seqA.every(v => v >= 0 && v < 1), 'Values should lie in [0, 1)');
+
+  a.setSeed(12345);
+  t.assertEquals(a.next(), seqA[0], 'setSeed should restart the sequence');
+});
+
+runner.test('Test 13.2: SeededRandom nextInt range and invalid seeds', (t) => {
+  const rng = new SeededRandom(7);
+  for (let i = 0; i < 200; i++) {
+    const v = rng.nextInt(5);
+    t.assert(Number.isInteger(v) && v >= 0 && v < 5, `nextInt(5) out of range: ${v}`);
+  }
+
+  let threw = false;
+  try {
+    rng.setSeed('not a seed');
+  } catch (e) {
+    threw = true;
+  }
+  t.assert(threw, 'Non-numeric seed should throw');
+});
+
+runner.test('Test 13.3: exportState/importState resumes the sequence mid-stream', (t) => {
+  const rng = new SeededRandom(99);
+  for (let i = 0; i < 10; i++) rng.next();
+  const saved = rng.exportState();
+  const expected = [rng.next(), rng.next(), rng.next()];
+
+  const restored = new SeededRandom();
+  restored.importState(saved);
+
+  t.assertEquals(restored.getSeed(), 99, 'Seed should be restored');
+  t.assertEquals(JSON.stringify([restored.next(), restored.next(), restored.next()]), JSON.stringify(expected),
+    'Restored generator should continue where it was saved');
+});
+
+runner.test('Test 13.4: Same seed reproduces randomize() and annealing steps exactly', (t) => {
+  const run1 = runSeededAnnealing(2024, 300);
+  const run2 = runSeededAnnealing(2024, 300);
+  const run3 = runSeededAnnealing(2025, 300);
+
+  t.assertEquals(JSON.stringify(run1.grid), JSON.stringify(run2.grid), 'Same seed should give identical grids');
+  t.assertEquals(run1.energy, run2.energy, 'Same seed should give identical energy');
+  t.assert(JSON.stringify(run1.grid) !== JSON.stringify(run3.grid), 'Different seed should give a different grid');
+});
+
+runner.test('Test 13.5: generateRandomPoints is reproducible with an rng', (t) => {
+  const a = GridCore.generateRandomPoints(8, 0.35, new SeededRandom(5));
+  const b = GridCore.generateRandomPoints(8, 0.35, new SeededRandom(5));
+
+  t.assertEquals(a.length, 9, 'Should return N+1 boundaries');
+  t.assertEquals(JSON.stringify(a), JSON.stringify(b), 'Same seed should give the same points');
+});
+
+runner.test('Test 13.6: Snapshots carry rng state and migrate older versions', (t) => {
+  const rng = new SeededRandom(31337);
+  const source = {
+    gridCore: new GridCore(8, { rng }),
+    energySystem: new EnhancedEnergySystem(8, { debugMode: false }),
+    evolutionEngine: new EvolutionEngine(8, { rng, debugMode: false }),
+  };
+  for (let i = 0; i < 5; i++) rng.next();
+
+  const snapshot = JSON.parse(JSON.stringify(
+    SnapshotSerializer.capture(source.gridCore, source.energySystem, source.evolutionEngine)));
+  const expected = rng.next();
+
+  const target = createSnapshotComponents(8);
+  const loaded = SnapshotSerializer.load(snapshot);
+  t.assert(loaded.ok, `Snapshot should validate: ${loaded.errors.join('; ')}`);
+  SnapshotSerializer.restore(loaded.snapshot, target.gridCore, target.energySystem, target.evolutionEngine);
+
+  t.assertEquals(target.evolutionEngine.rng.getSeed(), 31337, 'Engine seed should be restored');
+  t.assertEquals(target.evolutionEngine.rng.next(), expected, 'Engine rng should resume the saved sequence');
+  t.assertEquals(target.gridCore.rng.getSeed(), 31337, 'Grid core seed should be restored');
+
+  const { rng: _dropped, ...v2 } = snapshot;
+  const migrated = SnapshotSerializer.load({ ...v2, schemaVersion: 2 });
+  t.assert(migrated.ok, 'Version 2 snapshot should migrate');
+  t.assertEquals(migrated.snapshot.rng, null, 'Migrated snapshot should have no rng state');
+
+  const bad = SnapshotSerializer.load({ ...snapshot, rng: { seed: -1, state: 'x' } });
+  t.assert(!bad.ok, 'Invalid rng block should be rejected');
+});
+
+// ============================================================================
+// TEST SUITE 14: Headless Simulation
+// ============================================================================
+
+runner.test('Test 14.1: Simulation.run returns grid, energy trace and stats', (t) => {
+  const sim = new Simulation({ gridSize: 8, seed: 11, preset: 'smooth', temperature: 1.0, stopOnTermination: false });
+  const result = sim.run(100);
+
+  t.assertEquals(result.grid.length, 8, 'Grid should have gridSize rows');
+  t.assertEquals(result.stats.step, 100, 'Should run the requested steps');
+  t.assertEquals(result.energyTrace.length, 101, 'Trace should hold the initial energy plus one sample per step');
+  t.assertEquals(result.energyTrace[0].step, 0, 'First trace sample should be step 0');
+  t.assertEquals(result.stats.seed, 11, 'Stats should report the seed');
+  t.assert(result.stats.acceptanceRate >= 0 && result.stats.acceptanceRate <= 1, 'Acceptance rate should be a fraction');
+
+  result.grid[0][0] = 99;
+  t.assert(sim.gridCore.grid[0][0] !== 99, 'Returned grid should be a copy');
+});
+
+runner.test('Test 14.2: Simulation reports recalculated final energy and preserves area', (t) => {
+  const sim = new Simulation({ gridSize: 8, seed: 3, preset: 'random', temperature: 0.5, maxSteps: 500 });
+  const initialArea = sim.gridCore.totalArea;
+  const result = sim.run(200);
+
+  const recomputed = sim.energySystem.calculateEnergy(sim.gridCore.grid, sim.gridCore.STATES);
+  t.assertAlmostEquals(result.stats.finalEnergy, recomputed, 1e-6, 'Final energy should be a full recalculation');
+  t.assertEquals(result.stats.trackedEnergy, sim.evolutionEngine.currentEnergy, 'Tracked energy should be the engine energy');
+  t.assertEquals(result.stats.totalArea, initialArea, 'Area-preserving swaps should keep the area');
+});
+
+runner.test('Test 14.3: Simulation runs are reproducible from a seed', (t) => {
+  const a = new Simulation({ gridSize: 8, seed: 77, preset: 'random' }).run(150);
+  const b = new Simulation({ gridSize: 8, seed: 77, preset: 'random' }).run(150);
+
+  t.assertEquals(JSON.stringify(a.grid), JSON.stringify(b.grid), 'Same seed should give identical grids');
+  t.assertEquals(JSON.stringify(a.energyTrace), JSON.stringify(b.energyTrace), 'Same seed should give identical traces');
+});
+
+runner.test('Test 14.4: Simulation stops at maxSteps unless stopOnTermination is false', (t) => {
+  const sim = new Simulation({ gridSize: 8, seed: 5, maxSteps: 30, traceInterval: 10 });
+  const result = sim.run(100);
+
+  t.assert(result.stats.terminated, 'Run should report termination');
+  t.assertEquals(result.stats.step, 31, 'Run should stop on the step that met the termination criteria');
+  t.assertEquals(result.energyTrace[result.energyTrace.length - 1].step, 31, 'Final step should always be traced');
+
+  const forced = new Simulation({ gridSize: 8, seed: 5, maxSteps: 30, stopOnTermination: false }).run(100);
+  t.assertEquals(forced.stats.step, 100, 'stopOnTermination: false should run every requested step');
+});
+
+runner.test('Test 14.5: runChunked matches a synchronous run', async (t) => {
+  const config = { gridSize: 8, seed: 21, preset: 'random', stopOnTermination: false };
+  const sync = new Simulation(config).run(250);
+
+  const chunks = [];
+  const chunked = await new Simulation(config)
+    .runChunked(250, { chunkSize: 100, onChunk: (stats) => chunks.push(stats.step) });
+
+  t.assertEquals(JSON.stringify(chunks), JSON.stringify([100, 200, 250]), 'onChunk should fire after each chunk');
+  t.assertEquals(JSON.stringify(chunked.grid), JSON.stringify(sync.grid), 'Chunked run should match synchronous run');
+});
+
+runner.test('Test 14.6: Simulation applies config weights, grid and preset', (t) => {
+  const grid = createSimpleGrid(8, 'cluster');
+  const sim = new Simulation({
+    gridSize: 8,
+    seed: 1,
+    grid,
+    targetArea: 9,
+    energyWeights: { zebraPatterns: 0 },
+    isingJ1: 0.5,
+  });
+
+  t.assertEquals(sim.gridCore.totalArea, 9, 'Explicit grid should be loaded');
+  t.assertEquals(sim.gridCore.targetArea, 9, 'Target area should be applied');
+  t.assertEquals(sim.energySystem.energyWeights.zebraPatterns, 0, 'Energy weight should be applied');
+  t.assertEquals(sim.energySystem.isingJ1, 0.5, 'Ising J1 should be applied');
+
+  const snapshot = sim.captureSnapshot();
+  t.assertEquals(snapshot.schemaVersion, SnapshotSerializer.SCHEMA_VERSION, 'Snapshot should use the current schema');
+  t.assert(SnapshotSerializer.validate(snapshot).ok, 'Snapshot should validate');
+});
+
+runner.test('Test 14.7: GridCore.applyPreset fills named patterns and rejects unknown names', (t) => {
+  const gridCore = new GridCore(8, { seed: 1 });
+
+  gridCore.applyPreset('empty');
+  t.assertEquals(gridCore.totalArea, 0, 'Empty preset should clear the grid');
+
+  gridCore.applyPreset('smooth');
+  t.assertGreaterThan(gridCore.totalArea, 0, 'Smooth preset should create a blob');
+  t.assertEquals(gridCore.grid[4][4], STATES.FULL, 'Blob should cover the center');
+
+  let threw = false;
+  try {
+    gridCore.applyPreset('nope');
+  } catch (e) {
+    threw = true;
+  }
+  t.assert(threw, 'Unknown preset should throw');
+});
+
+// ============================================================================
+// TEST SUITE 15: Grid Export (ASCII, PPM, energy CSV)
+// ============================================================================
+
+runner.test('Test 15.1: GridExporter.toASCII writes one character per cell', (t) => {
+  const grid = createSimpleGrid(4, 'empty');
+  grid[0][0] = STATES.FULL;
+  grid[1][1] = STATES.HALF_DIAG_TL_BR;
+  grid[1][2] = STATES.HALF_DIAG_TR_BL;
+
+  const text = GridExporter.toASCII(grid);
+
+  t.assertEquals(text, '#...\n.\\/.\n....\n....\n', 'ASCII render should match the grid');
+});
+
+runner.test('Test 15.2: GridExporter.toPPM writes a P6 image with scaled cells', (t) => {
+  const grid = [[STATES.FULL, STATES.EMPTY], [STATES.HALF_DIAG_TL_BR, STATES.EMPTY]];
+  const bytes = GridExporter.toPPM(grid, { scale: 4 });
+
+  const header = 'P6\n8 8\n255\n';
+  t.assertEquals(new TextDecoder().decode(bytes.slice(0, header.length)), header, 'Header should describe an 8x8 image');
+  t.assertEquals(bytes.length, header.length + 8 * 8 * 3, 'Body should hold 3 bytes per pixel');
+
+  const pixel = (x, y) => Array.from(bytes.slice(header.length + (y * 8 + x) * 3, header.length + (y * 8 + x) * 3 + 3));
+  t.assertEquals(JSON.stringify(pixel(1, 1)), JSON.stringify([0x25, 0x63, 0xeb]), 'FULL cell should use the full colour');
+  t.assertEquals(JSON.stringify(pixel(5, 1)), JSON.stringify([255, 255, 255]), 'EMPTY cell should use the empty colour');
+  t.assertEquals(JSON.stringify(pixel(0, 7)), JSON.stringify([0x25, 0x63, 0xeb]), 'TL_BR half-cell should fill bottom-left');
+  t.assertEquals(JSON.stringify(pixel(3, 4)), JSON.stringify([255, 255, 255]), 'TL_BR half-cell should leave top-right empty');
+});
+
+runner.test('Test 15.3: GridExporter.energyTraceToCSV and colour parsing', (t) => {
+  const csv = GridExporter.energyTraceToCSV([
+    { step: 0, energy: 10, temperature: 1 },
+    { step: 5, energy: 7.5, temperature: 0.9 },
+  ]);
+  t.assertEquals(csv, 'step,energy,temperature\n0,10,1\n5,7.5,0.9\n', 'CSV should have a header and one row per sample');
+
+  t.assertEquals(JSON.stringify(GridExporter.parseHexColor('#ff8000')), JSON.stringify([255, 128, 0]), 'Hex colour should parse');
+  let threw = false;
+  try {
+    GridExporter.parseHexColor('red');
+  } catch (e) {
+    threw = true;
+  }
+  t.assert(threw, 'Non-hex colour should throw');
+});
+
+// ============================================================================
+// TEST SUITE 16: Parameter Sweep and Shape Metrics
+// ============================================================================
+
+runner.test('Test 16.1: ParameterSweep.expandValues handles lists and ranges', (t) => {
+  t.assertEquals(JSON.stringify(ParameterSweep.expandValues([3, 1])), '[3,1]', 'Lists should be kept as given');
+  t.assertEquals(JSON.stringify(ParameterSweep.expandValues({ from: 0, to: 1, step: 0.25 })), '[0,0.25,0.5,0.75,1]',
+    'Step ranges should include both ends');
+  t.assertEquals(JSON.stringify(ParameterSweep.expandValues({ from: 0.1, to: 0.3, step: 0.1 })), '[0.1,0.2,0.3]',
+    'Step ranges should not drift with floating point');
+  t.assertEquals(JSON.stringify(ParameterSweep.expandValues({ from: 1, to: 2, count: 3 })), '[1,1.5,2]',
+    'Count ranges should be evenly spaced');
+});
+
+runner.test('Test 16.2: ParameterSweep.validate reports bad specs', (t) => {
+  const result = ParameterSweep.validate({
+    parameters: { zebraPatterns: [], isingJ1: { from: 1, to: 0, step: 0.1 }, temperature: { from: 'a', to: 1 } },
+    seeds: [-1],
+  });
+
+  t.assert(!result.ok, 'Spec should be invalid');
+  t.assertEquals(result.errors.length, 4, `Should report each problem: ${result.errors.join('; ')}`);
+  t.assert(!ParameterSweep.validate({ parameters: {} }).ok, 'Empty parameter map should be rejected');
+
+  let threw = false;
+  try {
+    new ParameterSweep({ parameters: {} });
+  } catch (e) {
+    threw = true;
+  }
+  t.assert(threw, 'Constructor should throw on invalid specs');
+});
+
+runner.test('Test 16.3: ParameterSweep builds the cartesian product and routes weights', (t) => {
+  const sweep = new ParameterSweep({
+    base: { gridSize: 6, energyWeights: { isingEnergy: 0.5 } },
+    parameters: { zebraPatterns: [0, 1], isingJ1: [0.5, 1, 1.5] },
+    seeds: 2,
+  });
+
+  t.assertEquals(sweep.combinations().length, 6, 'Should have 2 x 3 combinations');
+  t.assertEquals(sweep.runCount, 12, 'Should run each combination for each seed');
+  t.assertEquals(JSON.stringify(sweep.seeds), '[1,2]', 'Seed count should expand to 1..n');
+
+  const config = sweep.buildConfig({ zebraPatterns: 1, isingJ1: 1.5 }, 2);
+  t.assertEquals(config.energyWeights.zebraPatterns, 1, 'Weight names should go into energyWeights');
+  t.assertEquals(config.energyWeights.isingEnergy, 0.5, 'Base weights should be kept');
+  t.assertEquals(config.isingJ1, 1.5, 'Other parameters should be config keys');
+  t.assertEquals(config.seed, 2, 'Seed should be set per run');
+  t.assert(!('zebraPatterns' in sweep.base.energyWeights), 'Base config should not be modified');
+});
+
+runner.test('Test 16.4: ParameterSweep.run summarizes each combination over seeds', (t) => {
+  const spec = {
+    base: { gridSize: 6, preset: 'random', maxSteps: 60 },
+    parameters: { temperature: [0.5, 2] },
+    seeds: [3, 4],
+  };
+  const progress = [];
+  const rows = new ParameterSweep(spec).run({ onRun: (run, index, total) => progress.push(`${index}/${total}`) });
+
+  t.assertEquals(rows.length, 2, 'Should have one row per combination');
+  t.assertEquals(rows[0].runs, 2, 'Each row should aggregate both seeds');
+  t.assertEquals(JSON.stringify(progress), JSON.stringify(['1/4', '2/4', '3/4', '4/4']), 'Progress should count runs');
+  for (const metric of ParameterSweep.METRICS) {
+    t.assert(isFinite(rows[0][metric]), `Metric ${metric} should be numeric`);
+  }
+  t.assert(rows[0].finalEnergyStd >= 0, 'Energy spread should be reported');
+
+  const again = new ParameterSweep(spec).run();
+  t.assertEquals(JSON.stringify(again), JSON.stringify(rows), 'Sweeps should be reproducible');
+
+  const csv = ParameterSweep.toCSV(rows).trim().split('\n');
+  t.assertEquals(csv.length, 3, 'CSV should have a header and one line per row');
+  t.assert(csv[0].startsWith('temperature,runs,finalEnergy,finalEnergyStd'), 'CSV should start with parameter columns');
+  t.assertEquals(ParameterSweep.formatTable(rows).trim().split('\n').length, 3, 'Table should have a header and rows');
+});
+
+runner.test('Test 16.5: GridCore.getShapeMetrics measures components, holes and perimeter', (t) => {
+  const gridCore = new GridCore(6, { seed: 1 });
+  gridCore.loadGrid(createSimpleGrid(6, 'cluster'));
+
+  let metrics = gridCore.getShapeMetrics();
+  t.assertEquals(metrics.components, 1, 'Cluster should be one component');
+  t.assertEquals(metrics.perimeter, 12, '3x3 block should have perimeter 12');
+  t.assertEquals(metrics.holes, 0, 'Solid block should have no holes');
+  t.assertAlmostEquals(metrics.compactness, 4 * Math.PI * 9 / 144, 1e-9, 'Compactness should be 4*pi*A/P^2');
+
+  const ring = createSimpleGrid(6, 'cluster');
+  ring[2][2] = STATES.EMPTY;
+  ring[5][5] = STATES.FULL;
+  gridCore.loadGrid(ring);
+
+  metrics = gridCore.getShapeMetrics();
+  t.assertEquals(metrics.components, 2, 'Ring and corner cell should be two components');
+  t.assertEquals(metrics.holes, 1, 'Ring should enclose one hole');
+  t.assertAlmostEquals(metrics.largestComponentFraction, 8 / 9, 1e-9, 'Ring should hold 8 of 9 occupied cells');
+});
+
+// ============================================================================
+// TEST SUITE 17: Acceptance-Rate Tracking and Adaptive Cooling
+// ============================================================================
+
+runner.test('Test 17.1: Acceptance rate is computed over a sliding window', (t) => {
+  const engine = new EvolutionEngine(8, { debugMode: false, acceptanceWindowSize: 4 });
+  t.assertEquals(engine.calculateRecentAcceptanceRate(), 0, 'Rate should be 0 before any proposal');
+
+  engine.recordAcceptance(true);
+  engine.recordAcceptance(false);
+  t.assertEquals(engine.calculateRecentAcceptanceRate(), 0.5, 'Rate should cover recorded decisions only');
+
+  engine.recordAcceptance(true);
+  engine.recordAcceptance(true);
+  engine.recordAcceptance(false);
+  engine.recordAcceptance(false);
+  t.assertEquals(engine.calculateRecentAcceptanceRate(), 0.5, 'Oldest decisions should leave the window');
+
+  engine.reset();
+  t.assertEquals(engine.calculateRecentAcceptanceRate(), 0, 'reset() should clear the window');
+});
+
+runner.test('Test 17.2: annealingStep records each Metropolis decision', (t) => {
+  const sim = new Simulation({ gridSize: 8, seed: 9, preset: 'random', stopOnTermination: false });
+  sim.run(50);
+
+  const engine = sim.evolutionEngine;
+  t.assertEquals(engine.acceptanceCount, 50, 'Every proposal should be recorded');
+  t.assertAlmostEquals(engine.calculateRecentAcceptanceRate(), sim.acceptedSteps / 50, 1e-12,
+    'Window rate should match the accepted count while the window is not full');
+  t.assertEquals(sim.getStats().recentAcceptanceRate, engine.calculateRecentAcceptanceRate(),
+    'Simulation stats should expose the live rate');
+});
+
+runner.test('Test 17.3: Adaptive cooling reheats and cools using configurable thresholds', (t) => {
+  const engine = new EvolutionEngine(8, {
+    debugMode: false,
+    coolingRate: 1,
+    adaptiveCooling: { interval: 10, lowAcceptance: 0.3, highAcceptance: 0.6, reheatFactor: 2, coolFactor: 0.5 },
+  });
+  engine.temperature = 1;
+  engine.currentStep = 10;
+
+  for (let i = 0; i < 10; i++) engine.recordAcceptance(i < 2);
+  engine.coolTemperature();
+  t.assertEquals(engine.temperature, 2, 'Acceptance below lowAcceptance should reheat');
+
+  engine.resetAcceptanceHistory();
+  for (let i = 0; i < 10; i++) engine.recordAcceptance(i < 7);
+  engine.coolTemperature();
+  t.assertEquals(engine.temperature, 1, 'Acceptance above highAcceptance should cool faster');
+
+  engine.currentStep = 11;
+  engine.coolTemperature();
+  t.assertEquals(engine.temperature, 1, 'Adaptation should only run on the interval');
+
+  engine.currentStep = 20;
+  engine.setAdaptiveCooling({ enabled: false });
+  engine.coolTemperature();
+  t.assertEquals(engine.temperature, 1, 'Disabled adaptive cooling should leave the temperature alone');
+});
+
+runner.test('Test 17.4: Adaptive cooling settings round-trip through snapshots', (t) => {
+  const source = createSnapshotComponents(8);
+  source.evolutionEngine.setAdaptiveCooling({ lowAcceptance: 0.1, highAcceptance: 0.9, enabled: false });
+
+  const snapshot = JSON.parse(JSON.stringify(
+    SnapshotSerializer.capture(source.gridCore, source.energySystem, source.evolutionEngine)));
+  const loaded = SnapshotSerializer.load(snapshot);
+  t.assert(loaded.ok, `Snapshot should validate: ${loaded.errors.join('; ')}`);
+
+  const target = createSnapshotComponents(8);
+  SnapshotSerializer.restore(loaded.snapshot, target.gridCore, target.energySystem, target.evolutionEngine);
+  t.assertEquals(target.evolutionEngine.adaptiveCooling.lowAcceptance, 0.1, 'Low threshold should be restored');
+  t.assertEquals(target.evolutionEngine.adaptiveCooling.enabled, false, 'Enabled flag should be restored');
+
+  snapshot.evolutionEngine.adaptiveCooling.lowAcceptance = 'low';
+  t.assert(!SnapshotSerializer.load(snapshot).ok, 'Non-numeric thresholds should be rejected');
+});
+
+// ============================================================================
+// TEST SUITE 18: Cooling Schedules
+// ============================================================================
+
+const SCHEDULE_CONTEXT = { temperature: 2, initialTemperature: 10, minTemperature: 0.1, coolingRate: 0.9, maxSteps: 100 };
+
+runner.test('Test 18.1: Step-based schedules follow their formulas', (t) => {
+  const at = (schedule, k) => CoolingSchedule.temperatureAt(schedule, k, SCHEDULE_CONTEXT);
+
+  t.assertAlmostEquals(at({ type: 'exponential' }, 5), 1.8, 1e-12, 'Exponential should multiply by coolingRate');
+  t.assertAlmostEquals(at({ type: 'linear' }, 50), 5.05, 1e-12, 'Linear should be halfway at maxSteps/2');
+  t.assertAlmostEquals(at({ type: 'linear' }, 500), 0.1, 1e-12, 'Linear should stop at minTemperature');
+  t.assertAlmostEquals(at({ type: 'logarithmic' }, 0), 10, 1e-12, 'Logarithmic should start at T0');
+  t.assertAlmostEquals(at({ type: 'logarithmic' }, 6), 10 * Math.LN2 / Math.log(8), 1e-12, 'Logarithmic should decay as 1/ln(k+2)');
+
+  const cosine = { type: 'cosineRestart', period: 10, restartDecay: 0.5 };
+  t.assertAlmostEquals(at(cosine, 0), 10, 1e-12, 'Cosine should start at the peak');
+  t.assertAlmostEquals(at(cosine, 5), 0.1 + 0.5 * 9.9, 1e-12, 'Cosine should be halfway mid-period');
+  t.assertAlmostEquals(at(cosine, 10), 5, 1e-12, 'Cosine should restart at a decayed peak');
+});
+
+runner.test('Test 18.2: Lundy–Mees default beta reaches minTemperature at maxSteps', (t) => {
+  const context = { ...SCHEDULE_CONTEXT, temperature: 10 };
+  let temperature = context.temperature;
+  for (let k = 1; k <= context.maxSteps; k++) {
+    temperature = CoolingSchedule.temperatureAt({ type: 'lundyMees' }, k, { ...context, temperature });
+  }
+  t.assertAlmostEquals(temperature, 0.1, 1e-9, 'Default beta should end at minTemperature');
+
+  const custom = CoolingSchedule.temperatureAt({ type: 'lundyMees', beta: 0.5 }, 1, context);
+  t.assertAlmostEquals(custom, 10 / 6, 1e-12, 'Explicit beta should be used');
+});
+
+runner.test('Test 18.3: Piecewise schedules interpolate and parse from text', (t) => {
+  const points = CoolingSchedule.parsePoints('0:10, 100:2, 200:0.5');
+  t.assertEquals(JSON.stringify(points), '[[0,10],[100,2],[200,0.5]]', 'Points should parse from text');
+
+  const schedule = { type: 'piecewise', points };
+  t.assertAlmostEquals(CoolingSchedule.temperatureAt(schedule, 50, SCHEDULE_CONTEXT), 6, 1e-12, 'Should interpolate');
+  t.assertAlmostEquals(CoolingSchedule.temperatureAt(schedule, 150, SCHEDULE_CONTEXT), 1.25, 1e-12, 'Should interpolate second segment');
+  t.assertEquals(CoolingSchedule.temperatureAt(schedule, 999, SCHEDULE_CONTEXT), 0.5, 'Should hold the last temperature');
+});
+
+runner.test('Test 18.4: CoolingSchedule.validate rejects bad schedules', (t) => {
+  t.assert(CoolingSchedule.validate({ type: 'linear' }).ok, 'Linear should be valid');
+  t.assert(!CoolingSchedule.validate({ type: 'quadratic' }).ok, 'Unknown type should be rejected');
+  t.assert(!CoolingSchedule.validate({ type: 'piecewise', points: [[10, 1], [5, 0.5]] }).ok, 'Decreasing steps should be rejected');
+  t.assert(!CoolingSchedule.validate({ type: 'piecewise', points: [] }).ok, 'Empty points should be rejected');
+  t.assert(!CoolingSchedule.validate({ type: 'cosineRestart', period: 0 }).ok, 'Zero period should be rejected');
+  t.assert(!CoolingSchedule.validate({ type: 'lundyMees', beta: -1 }).ok, 'Negative beta should be rejected');
+
+  const engine = new EvolutionEngine(8, { debugMode: false });
+  let threw = false;
+  try {
+    engine.setCoolingSchedule({ type: 'piecewise' });
+  } catch (e) {
+    threw = true;
+  }
+  t.assert(threw, 'Engine should refuse invalid schedules');
+  t.assertEquals(engine.coolingSchedule.type, 'exponential', 'Engine should keep its schedule');
+});
+
+runner.test('Test 18.5: Engine cools with the selected schedule and keeps adaptive scaling', (t) => {
+  const engine = new EvolutionEngine(8, {
+    debugMode: false,
+    temperature: 10,
+    maxSteps: 100,
+    minTemperature: 0.1,
+    coolingSchedule: { type: 'linear' },
+    adaptiveCooling: { interval: 10, reheatFactor: 2 },
+  });
+
+  engine.currentStep = 49;
+  engine.coolTemperature();
+  t.assertAlmostEquals(engine.temperature, 5.05, 1e-12, 'Linear schedule should set T from the step');
+
+  engine.currentStep = 50;
+  engine.recordAcceptance(false);
+  engine.coolTemperature();
+  const reheated = engine.temperature;
+  t.assertAlmostEquals(engine.adaptiveScale, 2, 1e-12, 'Low acceptance should double the adaptive scale');
+
+  engine.currentStep = 51;
+  engine.coolTemperature();
+  t.assertAlmostEquals(engine.temperature, 2 * (10 - 9.9 * 52 / 100), 1e-12, 'Reheat should persist on step-based schedules');
+  t.assert(engine.temperature < reheated, 'Temperature should keep falling after a reheat');
+
+  engine.reset();
+  t.assertEquals(engine.adaptiveScale, 1, 'reset() should clear the adaptive scale');
+});
+
+runner.test('Test 18.6: Cooling schedule round-trips through snapshots and Simulation', (t) => {
+  const schedule = { type: 'piecewise', points: [[0, 5], [50, 0.5]] };
+  const sim = new Simulation({ gridSize: 8, seed: 4, coolingSchedule: schedule, stopOnTermination: false, traceInterval: 10 });
+  const result = sim.run(60);
+
+  t.assertEquals(result.energyTrace.length, 7, 'Trace should keep its interval after termination criteria are met');
+  t.assertAlmostEquals(result.energyTrace[5].temperature, 0.5 * sim.evolutionEngine.adaptiveScale, 1e-12,
+    'Simulation should follow the piecewise schedule');
+
+  const snapshot = JSON.parse(JSON.stringify(sim.captureSnapshot()));
+  const loaded = SnapshotSerializer.load(snapshot);
+  t.assert(loaded.ok, `Snapshot should validate: ${loaded.errors.join('; ')}`);
+
+  const target = createSnapshotComponents(8);
+  SnapshotSerializer.restore(loaded.snapshot, target.gridCore, target.energySystem, target.evolutionEngine);
+  t.assertEquals(JSON.stringify(target.evolutionEngine.coolingSchedule), JSON.stringify(schedule), 'Schedule should be restored');
+
+  snapshot.evolutionEngine.coolingSchedule = { type: 'nope' };
+  t.assert(!SnapshotSerializer.load(snapshot).ok, 'Unknown schedule in a snapshot should be rejected');
+});
+
+// ============================================================================
+// TEST SUITE 19: Parallel Tempering
+// ============================================================================
+
+function createTemperingSetup(config = {}) {
+  const gridCore = new GridCore(8, { seed: 12 });
+  gridCore.loadGrid(createSimpleGrid(8, 'cluster'));
+  const energySystem = new EnhancedEnergySystem(8, { debugMode: false });
+  return { gridCore, energySystem, pt: new ParallelTempering(gridCore, energySystem, config) };
+}
+
+runner.test('Test 19.1: Geometric temperature ladder and replica setup', (t) => {
+  const ladder = ParallelTempering.geometricLadder(0.1, 10, 3);
+  t.assertAlmostEquals(ladder[0], 0.1, 1e-12, 'Ladder should start at tMin');
+  t.assertAlmostEquals(ladder[1], 1, 1e-12, 'Ladder should have a constant ratio');
+  t.assertAlmostEquals(ladder[2], 10, 1e-12, 'Ladder should end at tMax');
+
+  const { gridCore, pt } = createTemperingSetup({ replicas: 3, minTemperature: 0.1, maxTemperature: 10 });
+  t.assertEquals(pt.replicas.length, 3, 'Should create one replica per temperature');
+  t.assertEquals(pt.replicas[2].engine.temperature, pt.temperatures[2], 'Replica engines should run at their temperature');
+  t.assertEquals(JSON.stringify(pt.replicas[1].gridCore.grid), JSON.stringify(gridCore.grid), 'Replicas should start from the grid');
+
+  pt.replicas[0].gridCore.setCell(0, 0, STATES.FULL);
+  t.assertEquals(gridCore.grid[0][0], STATES.EMPTY, 'Replicas should not share cells with the source grid');
+
+  let threw = false;
+  try {
+    createTemperingSetup({ temperatures: [1] });
+  } catch (e) {
+    threw = true;
+  }
+  t.assert(threw, 'A single temperature should be rejected');
+});
+
+runner.test('Test 19.2: Replica swaps follow the exchange criterion', (t) => {
+  const { pt } = createTemperingSetup({ temperatures: [0.5, 2] });
+  const [cold, hot] = pt.replicas;
+  const hotGrid = hot.gridCore;
+
+  // Cold replica holds the higher energy: exchange is always accepted
+  cold.engine.currentEnergy = 50;
+  hot.engine.currentEnergy = 10;
+  t.assert(pt.attemptSwap(0), 'Favourable exchange should be accepted');
+  t.assertEquals(cold.gridCore, hotGrid, 'Configurations should move between replicas');
+  t.assertEquals(cold.engine.currentEnergy, 10, 'Energies should move with configurations');
+  t.assertEquals(cold.walker, 1, 'Walker labels should move with configurations');
+  t.assertEquals(cold.temperature, 0.5, 'Temperatures should stay with the replica');
+
+  // Cold replica far below the hot one: exp(-1500) never wins
+  cold.engine.currentEnergy = -1000;
+  hot.engine.currentEnergy = 1000;
+  t.assert(!pt.attemptSwap(0), 'Very unfavourable exchange should be rejected');
+  t.assertEquals(cold.swapAttempts, 2, 'Attempts should be counted on the colder replica');
+  t.assertEquals(pt.getStats()[0].swapAcceptanceRate, 0.5, 'Swap acceptance rate should be reported');
+  t.assertEquals(pt.getStats()[1].swapAcceptanceRate, null, 'Hottest replica has no upper neighbour');
+});
+
+runner.test('Test 19.3: Steps run every replica and alternate swap pairs', (t) => {
+  const { pt } = createTemperingSetup({ replicas: 4, swapInterval: 5 });
+  const areas = pt.replicas.map(r => r.gridCore.totalArea);
+
+  for (let i = 0; i < 20; i++) pt.step();
+
+  t.assert(pt.replicas.every(r => r.proposals === 20), 'Every replica should propose once per step');
+  t.assertEquals(pt.swapRound, 4, 'A swap round should run every swapInterval steps');
+  t.assertEquals(pt.replicas[0].swapAttempts, 2, 'Pair 0-1 should be tried on even rounds');
+  t.assertEquals(pt.replicas[1].swapAttempts, 2, 'Pair 1-2 should be tried on odd rounds');
+  t.assertEquals(pt.replicas[3].swapAttempts, 0, 'Hottest replica should not start swaps');
+  t.assertEquals(JSON.stringify(pt.replicas.map(r => r.gridCore.totalArea)), JSON.stringify(areas), 'Swaps should preserve area');
+
+  const stats = pt.getStats();
+  t.assert(stats.every(s => s.acceptanceRate >= 0 && s.acceptanceRate <= 1), 'Per-replica acceptance should be a fraction');
+  t.assert(pt.bestEnergy <= Math.min(...stats.map(s => s.energy)), 'Best energy should track the minimum seen');
+});
+
+runner.test('Test 19.4: Parallel tempering is reproducible from a seed', (t) => {
+  const run = () => {
+    const { pt } = createTemperingSetup({ replicas: 3, swapInterval: 3 });
+    for (let i = 0; i < 60; i++) pt.step();
+    return JSON.stringify(pt.replicas.map(r => [r.walker, r.gridCore.grid]));
+  };
+  t.assertEquals(run(), run(), 'Same seed should give identical replica histories');
+});
+
+runner.test('Test 19.5: GridCore.clone copies state and shares the random source', (t) => {
+  const gridCore = new GridCore(8, { seed: 3 });
+  gridCore.loadGrid(createSimpleGrid(8, 'cluster'));
+  gridCore.setBoundaryMarkers({ group1: [{ side: 'top', start: 1, length: 2 }] });
+  gridCore.targetArea = 9;
+
+  const copy = gridCore.clone();
+  t.assertEquals(JSON.stringify(copy.grid), JSON.stringify(gridCore.grid), 'Cells should be copied');
+  t.assertEquals(copy.targetArea, 9, 'Target area should be copied');
+  t.assertEquals(copy.getBoundaryMarkers().group1.top.length, 1, 'Markers should be copied');
+  t.assertEquals(copy.rng, gridCore.rng, 'Random source should be shared');
+  t.assert(copy.grid !== gridCore.grid && copy.grid[0] !== gridCore.grid[0], 'Rows should not be shared');
+});
+
+// ============================================================================
+// TEST SUITE 20: Evolution Worker Loop
+// ============================================================================
+
+function createWorkerSetup(config = {}) {
+  const simulation = new Simulation({
+    gridSize: 8,
+    seed: 21,
+    grid: createSimpleGrid(8, 'cluster'),
+    temperature: 200,
+    coolingRate: 0.999,
+    maxSteps: 1000,
+    stopOnTermination: false,
+    ...config,
+  });
+  const messages = [];
+  const loop = new EvolutionWorkerLoop((message) => messages.push(message));
+  loop.handleMessage({ type: 'init', runId: 7, snapshot: simulation.captureSnapshot() });
+  return { simulation, loop, messages };
+}
+
+runner.test('Test 20.1: Worker batches match main-thread stepping', (t) => {
+  const { simulation, loop, messages } = createWorkerSetup();
+  const mainGrid = simulation.gridCore.grid.map(row => [...row]);
+
+  loop.pacer.budgetMs = Infinity;
+  loop.batchSize = 40;
+  loop.sampleInterval = 10;
+  loop.runBatch();
+  simulation.run(40);
+
+  const progress = messages[0];
+  t.assertEquals(progress.type, 'progress', 'A batch should post one progress message');
+  t.assertEquals(progress.runId, 7, 'Messages should carry the run id');
+  t.assertEquals(progress.engine.currentStep, 40, 'Batch should run batchSize steps');
+  t.assertEquals(JSON.stringify(progress.samples.map(s => s.step)), '[10,20,30,40]', 'Energies should be sampled every sampleInterval steps');
+  t.assertEquals(JSON.stringify(loop.gridCore.grid), JSON.stringify(simulation.gridCore.grid), 'Worker should follow the same seeded run');
+  t.assertEquals(progress.engine.temperature, simulation.evolutionEngine.temperature, 'Temperature should follow the same schedule');
+
+  for (const [row, col, state] of progress.changes) {
+    mainGrid[row][col] = state;
+  }
+  t.assertEquals(JSON.stringify(mainGrid), JSON.stringify(loop.gridCore.exportState().grid), 'Applying the diff should reproduce the worker grid');
+  t.assert(progress.changes.length > 0, 'Accepted swaps should show up in the diff');
+  t.assertEquals(progress.acceptance.count, 40, 'Acceptance window should be reported');
+});
+
+runner.test('Test 20.2: Pausing hands the engine and random state back', (t) => {
+  const { simulation, loop, messages } = createWorkerSetup();
+  loop.pacer.budgetMs = Infinity;
+  loop.batchSize = 25;
+  loop.runBatch();
+  loop.handleMessage({ type: 'pause' });
+
+  const stopped = messages[messages.length - 1];
+  t.assertEquals(stopped.type, 'stopped', 'Pause should post a stopped message');
+  t.assertEquals(stopped.reason, 'paused', 'Stop reason should be paused');
+  t.assertEquals(stopped.engine.currentStep, 25, 'Full engine state should be included');
+  t.assert(!loop.running, 'Loop should no longer be running');
+
+  // Continuing on the main thread from the handed-back state matches the worker continuing
+  simulation.gridCore.loadGrid(loop.gridCore.grid);
+  simulation.evolutionEngine.importState(stopped.engine);
+  simulation.evolutionEngine.importAcceptanceHistory(stopped.acceptance);
+  simulation.rng.importState(stopped.rng);
+  simulation.run(20);
+  loop.batchSize = 20;
+  loop.runBatch();
+  t.assertEquals(JSON.stringify(loop.gridCore.grid), JSON.stringify(simulation.gridCore.grid), 'Runs should continue identically');
+  t.assertEquals(loop.evolutionEngine.calculateRecentAcceptanceRate(), simulation.evolutionEngine.calculateRecentAcceptanceRate(), 'Acceptance windows should agree');
+});
+
+runner.test('Test 20.3: Setter calls and cell edits reach the worker state', (t) => {
+  const { loop, messages } = createWorkerSetup();
+
+  loop.handleMessage({ type: 'call', target: 'energySystem', method: 'setEnergyWeight', args: ['isingEnergy', 3] });
+  t.assertEquals(loop.energySystem.getEnergyWeights().isingEnergy, 3, 'Weight should be set in the worker');
+  t.assertAlmostEquals(loop.evolutionEngine.currentEnergy,
+    loop.energySystem.calculateEnergy(loop.gridCore.grid, loop.gridCore.STATES), 1e-9, 'Energy should be recalculated');
+
+  loop.handleMessage({ type: 'call', target: 'evolutionEngine', method: 'setMaxSteps', args: [77] });
+  t.assertEquals(loop.evolutionEngine.maxSteps, 77, 'Engine setters should be applied');
+
+  let threw = false;
+  try {
+    loop.handleMessage({ type: 'call', target: 'gridCore', method: 'clearGrid', args: [] });
+  } catch (e) {
+    threw = true;
+  }
+  t.assert(threw, 'Unknown call targets should be rejected');
+
+  loop.handleMessage({ type: 'setCells', changes: [[0, 0, STATES.FULL]] });
+  t.assertEquals(loop.gridCore.grid[0][0], STATES.FULL, 'Edited cell should be set');
+  t.assertEquals(loop.gridCore.totalArea, 10, 'Area should follow the edit');
+
+  loop.batchSize = 1;
+  loop.runBatch();
+  t.assertEquals(JSON.stringify(messages[0].changes[0]), JSON.stringify([0, 0, STATES.FULL]), 'Edits should be echoed in the next message');
+  t.assertEquals(messages[0].engine.currentStep, 1, 'Batch size should cap the steps per message');
+});
+
+runner.test('Test 20.4: Worker stops when annealing terminates', (t) => {
+  const { loop, messages } = createWorkerSetup({ maxSteps: 30 });
+  loop.pacer.budgetMs = Infinity;
+  loop.batchSize = 500;
+  loop.running = true;
+  loop.runBatch();
+
+  t.assertEquals(messages.length, 2, 'Should post the last progress and a stopped message');
+  t.assertEquals(messages[1].reason, 'terminated', 'Stop reason should be terminated');
+  t.assertEquals(messages[0].engine.currentStep, 31, 'Should stop on the same step as the main-thread loop');
+  t.assertEquals(messages[0].samples[messages[0].samples.length - 1].step, 31, 'Final step should be sampled');
+  t.assert(!loop.running && loop.timer === null, 'No further batch should be scheduled');
+});
+
+runner.test('Test 20.5: diffGrids lists changed cells', (t) => {
+  const before = createSimpleGrid(4, 'empty');
+  const after = before.map(row => [...row]);
+  after[1][2] = STATES.FULL;
+  after[3][0] = STATES.HALF_DIAG_TL_BR;
+
+  t.assertEquals(JSON.stringify(EvolutionWorkerLoop.diffGrids(before, after)),
+    JSON.stringify([[1, 2, STATES.FULL], [3, 0, STATES.HALF_DIAG_TL_BR]]), 'Should list [row, col, state] in row order');
+  t.assertEquals(EvolutionWorkerLoop.diffGrids(before, before).length, 0, 'Identical grids have no changes');
+});
+
+// ============================================================================
+// TEST SUITE 21: Step Pacing
+// ============================================================================
+
+// Clock that advances `cost` ms on every read after `time` is set by the test
+function createFakeClock(cost = 0) {
+  const clock = { time: 0 };
+  clock.now = () => {
+    const value = clock.time;
+    clock.time += cost;
+    return value;
+  };
+  return clock;
+}
+
+runner.test('Test 21.1: Target rate spreads steps over frames', (t) => {
+  const clock = createFakeClock();
+  const pacer = new StepPacer({ now: clock.now });
+  let steps = 0;
+  const step = () => { steps++; };
+
+  t.assertEquals(pacer.run(100, step), 1, 'First frame after reset should run one step');
+  clock.time = 16;
+  t.assertEquals(pacer.run(100, step), 1, '16ms at 100 steps/s owes 1.6 steps');
+  clock.time = 32;
+  t.assertEquals(pacer.run(100, step), 2, 'Fractions should carry to the next frame');
+
+  for (let frame = 3; frame <= 62; frame++) {
+    clock.time = frame * 16;
+    pacer.run(100, step);
+  }
+  t.assertAlmostEquals(steps, 100, 2, 'About 100 steps should run in one second of frames');
+});
+
+runner.test('Test 21.2: Stalls carry over a bounded backlog', (t) => {
+  const clock = createFakeClock();
+  const pacer = new StepPacer({ now: clock.now, maxBacklogMs: 250 });
+  pacer.run(1000, () => {});
+
+  clock.time = 10000;
+  t.assertEquals(pacer.run(1000, () => {}), 250, 'A 10s stall should only owe maxBacklogMs of steps');
+
+  pacer.reset();
+  t.assertEquals(pacer.run(1000, () => {}), 1, 'Reset should forget the backlog');
+});
+
+runner.test('Test 21.3: "max" fills the time budget', (t) => {
+  const clock = createFakeClock(1);
+  const pacer = new StepPacer({ now: clock.now, budgetMs: 12 });
+  const count = pacer.run('max', () => {});
+  t.assertEquals(count, 11, 'Each step costs 1ms of a 12ms budget');
+
+  let calls = 0;
+  t.assertEquals(pacer.run('max', () => ++calls < 3), 3, 'Returning false should stop the frame');
+  t.assertEquals(pacer.run('max', () => {}, 5), 5, 'limit should cap the steps');
+});
+
+runner.test('Test 21.4: Step rates in engine state and snapshots', (t) => {
+  t.assert(StepPacer.isValidRate('max') && StepPacer.isValidRate(250), 'max and positive rates are valid');
+  t.assert(!StepPacer.isValidRate(0) && !StepPacer.isValidRate('fast') && !StepPacer.isValidRate(Infinity), 'Other values are invalid');
+
+  const { gridCore, energySystem, evolutionEngine } = createSnapshotComponents(4);
+  t.assertEquals(evolutionEngine.stepsPerSecond, 'max', 'Engine should default to max');
+  evolutionEngine.setStepsPerSecond(200);
+  const snapshot = SnapshotSerializer.capture(gridCore, energySystem, evolutionEngine);
+  t.assertEquals(snapshot.evolutionEngine.stepsPerSecond, 200, 'Rate should be captured');
+
+  const { stepsPerSecond: _rate, ...engine } = snapshot.evolutionEngine;
+  const v3 = SnapshotSerializer.load({ ...snapshot, schemaVersion: 3, evolutionEngine: { ...engine, evolutionSpeed: 4 } });
+  t.assert(v3.ok, 'Version 3 snapshot should migrate');
+  t.assertEquals(v3.snapshot.evolutionEngine.stepsPerSecond, 250, 'A 4ms delay should become 250 steps/s');
+  t.assert(!('evolutionSpeed' in v3.snapshot.evolutionEngine), 'Old delay field should be dropped');
+
+  const bad = SnapshotSerializer.load({ ...snapshot, evolutionEngine: { ...engine, stepsPerSecond: -5 } });
+  t.assert(!bad.ok, 'Invalid rate should be rejected');
+});
+
+// ============================================================================
+// TEST SUITE 22: Typed-Array Grid Storage
+// ============================================================================
+
+runner.test('Test 22.1: Grid rows are views into one flat Uint8Array', (t) => {
+  const gridCore = new GridCore(6, { seed: 5 });
+  t.assert(gridCore.cells instanceof Uint8Array, 'Cells should be a Uint8Array');
+  t.assertEquals(gridCore.cells.length, 36, 'Storage should hold N*N cells');
+
+  gridCore.grid[2][3] = STATES.FULL;
+  t.assertEquals(gridCore.cells[gridCore.cellIndex(2, 3)], STATES.FULL, 'grid[row][col] writes should reach the flat storage');
+  t.assertEquals(gridCore.getCell(2, 3), STATES.FULL, 'getCell should read the flat storage');
+  t.assert(gridCore.getRow(2) === gridCore.grid[2], 'getRow should return the shared row view');
+
+  const rowView = gridCore.grid[4];
+  gridCore.clearGrid();
+  gridCore.randomize();
+  gridCore.loadGrid(createSimpleGrid(6, 'cluster'));
+  t.assert(gridCore.grid[4] === rowView, 'Bulk updates should keep the row views');
+  t.assertEquals(gridCore.getCell(2, 2), STATES.FULL, 'Loaded cells should be visible through the views');
+
+  gridCore.resize(8);
+  t.assertEquals(gridCore.grid.length, 8, 'Resize should allocate new views');
+  t.assertEquals(gridCore.grid[7].length, 8, 'Resized rows should have the new length');
+});
+
+runner.test('Test 22.2: loadGrid accepts typed rows and validates before writing', (t) => {
+  const source = new GridCore(6, { seed: 5 });
+  source.loadGrid(createSimpleGrid(6, 'cluster'));
+  const target = new GridCore(6, { seed: 6 });
+  target.loadGrid(source.grid);
+  t.assertEquals(target.totalArea, 9, 'Area should be computed from typed rows');
+  t.assert(target.cells !== source.cells, 'Cells should be copied, not shared');
+
+  const bad = createSimpleGrid(6, 'empty');
+  bad[0][0] = 1;
+  bad[5][5] = 9;
+  let threw = false;
+  try {
+    target.loadGrid(bad);
+  } catch (e) {
+    threw = true;
+  }
+  t.assert(threw, 'Invalid states should be rejected');
+  t.assertEquals(target.getCell(0, 0), STATES.EMPTY, 'A rejected grid should leave the cells untouched');
+
+  const state = target.exportState();
+  t.assert(Array.isArray(state.grid[0]), 'Exported rows should be plain arrays');
+  t.assertEquals(GridExporter.toASCII(target.grid).split('\n')[1], '.###..', 'ASCII export should read typed rows');
+});
+
+runner.test('Test 22.3: Swap energy is evaluated in place and reverted', (t) => {
+  const gridCore = new GridCore(8, { seed: 9 });
+  gridCore.loadGrid(createSimpleGrid(8, 'cluster'));
+  const energySystem = new EnhancedEnergySystem(8, { debugMode: false });
+  const engine = new EvolutionEngine(8, { seed: 9, debugMode: false });
+  const before = JSON.stringify(gridCore.exportState().grid);
+  const plain = gridCore.exportState().grid;
+
+  const swaps = [
+    [{ row: 0, col: 0 }, { row: 2, col: 2 }],   // overlapping boxes
+    [{ row: 7, col: 7 }, { row: 1, col: 1 }],   // separate boxes
+  ];
+  for (const [cell1, cell2] of swaps) {
+    const state1 = gridCore.grid[cell1.row][cell1.col];
+    const state2 = gridCore.grid[cell2.row][cell2.col];
+    const typedDelta = engine.calculateSwapEnergyDifference(gridCore.grid, energySystem, cell1, cell2, state1, state2, STATES);
+    const plainDelta = engine.calculateSwapEnergyDifference(plain, energySystem, cell1, cell2, state1, state2, STATES);
+    t.assertAlmostEquals(typedDelta, plainDelta, 1e-9, 'Typed and plain grids should give the same delta');
+    t.assert(typedDelta !== 0, 'Moving a cluster cell should change the energy');
+  }
+  t.assertEquals(JSON.stringify(gridCore.exportState().grid), before, 'Grid should be unchanged after evaluating swaps');
+
+  let threw = false;
+  try {
+    engine.withSwapApplied(gridCore.grid, { row: 0, col: 0 }, { row: 2, col: 2 }, STATES.EMPTY, STATES.FULL, () => {
+      throw new Error('boom');
+    });
+  } catch (e) {
+    threw = true;
+  }
+  t.assert(threw, 'Errors should propagate');
+  t.assertEquals(JSON.stringify(gridCore.exportState().grid), before, 'Swap should be reverted when evaluation throws');
+});
+
+// ============================================================================
+// TEST SUITE 23: Incremental Per-Cell Energy Cache
+// ============================================================================
+
+function createMixedGridCore(n, seed) {
+  const gridCore = new GridCore(n, { seed });
+  gridCore.randomize();
+  gridCore.setCell(1, 1, STATES.HALF_DIAG_TL_BR);
+  gridCore.setCell(n - 2, 2, STATES.HALF_DIAG_BR_TL);
+  return gridCore;
+}
+
+runner.test('Test 23.1: Cell energies sum to calculateEnergy', (t) => {
+  const gridCore = createMixedGridCore(12, 4);
+  const energySystem = new EnhancedEnergySystem(12, { debugMode: false });
+  const cache = energySystem.getEnergyCache(gridCore);
+
+  t.assertEquals(cache.energies.length, 144, 'Cache should hold one energy per cell');
+  t.assertAlmostEquals(cache.total, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-9,
+    'Cached total should equal the full energy');
+  t.assert(energySystem.getEnergyCache(gridCore) === cache, 'An unchanged grid should reuse the cache');
+});
+
+runner.test('Test 23.2: Swap deltas are exact and committed swaps keep the cache in sync', (t) => {
+  const gridCore = createMixedGridCore(12, 8);
+  const energySystem = new EnhancedEnergySystem(12, { debugMode: false });
+  const rng = new SeededRandom(8);
+
+  let checked = 0;
+  for (let i = 0; i < 60; i++) {
+    const cell1 = { row: rng.nextInt(12), col: rng.nextInt(12) };
+    const cell2 = { row: rng.nextInt(12), col: rng.nextInt(12) };
+    const state1 = gridCore.grid[cell1.row][cell1.col];
+    const state2 = gridCore.grid[cell2.row][cell2.col];
+    if (state1 === state2) continue;
+
+    const before = energySystem.calculateEnergy(gridCore.grid, STATES);
+    const delta = energySystem.calculateSwapDelta(gridCore, cell1, cell2, state1, state2);
+    t.assertEquals(gridCore.grid[cell1.row][cell1.col], state1, 'Evaluating a swap should leave the grid unchanged');
+
+    gridCore.setCell(cell1.row, cell1.col, state2);
+    gridCore.setCell(cell2.row, cell2.col, state1);
+    energySystem.commitSwap(gridCore);
+    const after = energySystem.calculateEnergy(gridCore.grid, STATES);
+    t.assertAlmostEquals(delta, after - before, 1e-9, `Delta ${i} should match the full energy difference`);
+    checked++;
+  }
+  t.assertGreaterThan(checked, 20, 'Should check a good number of swaps');
+
+  const cache = energySystem.getEnergyCache(gridCore);
+  t.assertEquals(cache.commits, checked, 'Every swap should be committed without a rebuild');
+  t.assertAlmostEquals(cache.total, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-9,
+    'Cached total should not drift');
+});
+
+runner.test('Test 23.3: Annealing energy tracks the full energy without drift', (t) => {
+  const gridCore = createMixedGridCore(10, 21);
+  const energySystem = new EnhancedEnergySystem(10, { debugMode: false });
+  const engine = new EvolutionEngine(10, { seed: 21, temperature: 200, debugMode: false });
+  engine.initializeSimulatedAnnealing(energySystem, gridCore.grid, STATES);
+
+  let accepted = 0;
+  for (let i = 0; i < 300; i++) {
+    if (engine.annealingStep(gridCore, energySystem, STATES).accepted) accepted++;
+  }
+  t.assertGreaterThan(accepted, 0, 'Some swaps should be accepted at high temperature');
+  t.assertAlmostEquals(engine.currentEnergy, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-6,
+    'Tracked energy should equal the full energy');
+});
+
+runner.test('Test 23.4: Cache is rebuilt after edits and weight changes', (t) => {
+  const gridCore = createMixedGridCore(8, 2);
+  const energySystem = new EnhancedEnergySystem(8, { debugMode: false });
+  const first = energySystem.getEnergyCache(gridCore);
+
+  gridCore.toggleCell(3, 3);
+  const edited = energySystem.getEnergyCache(gridCore);
+  t.assert(edited !== first, 'Editing a cell should invalidate the cache');
+  t.assertAlmostEquals(edited.total, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-9, 'Rebuilt cache after edit');
+
+  energySystem.setEnergyWeight('zebraPatterns', 7);
+  const reweighted = energySystem.getEnergyCache(gridCore);
+  t.assert(reweighted !== edited, 'Changing a weight should invalidate the cache');
+  t.assertAlmostEquals(reweighted.total, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-9, 'Rebuilt cache after weight change');
+
+  const other = gridCore.clone();
+  t.assert(energySystem.getEnergyCache(other) !== reweighted, 'Each GridCore should get its own cache');
+});
+
+runner.test('Test 23.5: Drift check reports and repairs a stale total', (t) => {
+  const gridCore = createMixedGridCore(8, 6);
+  const energySystem = new EnhancedEnergySystem(8, { debugMode: false, driftCheckInterval: 1 });
+  const cache = energySystem.getEnergyCache(gridCore);
+  cache.total += 5;
+
+  const warnings = [];
+  const originalWarn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(' '));
+  try {
+    const cell1 = { row: 0, col: 0 };
+    const state1 = gridCore.grid[0][0];
+    const index = gridCore.cells.findIndex((state) => state !== state1);
+    const cell2 = { row: Math.floor(index / 8), col: index % 8 };
+    const state2 = gridCore.grid[cell2.row][cell2.col];
+    energySystem.calculateSwapDelta(gridCore, cell1, cell2, state1, state2);
+    gridCore.setCell(cell1.row, cell1.col, state2);
+    gridCore.setCell(cell2.row, cell2.col, state1);
+    energySystem.commitSwap(gridCore);
+  } finally {
+    console.warn = originalWarn;
+  }
+
+  t.assertAlmostEquals(energySystem.lastDriftCheck.drift, 5, 1e-6, 'Drift check should report the error');
+  t.assert(energySystem.lastDriftCheck.rebuilt, 'Drift check should report the rebuild');
+  t.assertEquals(warnings.length, 0, 'Drift is reported through the result, not console.warn');
+  t.assertAlmostEquals(energySystem.getEnergyCache(gridCore).total, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-9,
+    'Cache should be rebuilt after drift');
+  const recheck = energySystem.checkEnergyDrift(gridCore);
+  t.assertEquals(recheck, energySystem.lastDriftCheck, 'checkEnergyDrift should update lastDriftCheck');
+  t.assert(!recheck.rebuilt, 'No rebuild once the cache is exact');
+});
+
+// ============================================================================
+// TEST SUITE 24: Energy Breakdown
+// ============================================================================
+
+runner.test('Test 24.1: Breakdown terms add up to calculateEnergy', (t) => {
+  const gridCore = new GridCore(12, { seed: 14 });
+  gridCore.randomize();
+  gridCore.setCell(2, 2, STATES.HALF_DIAG_TR_BL);
+  const energySystem = new EnhancedEnergySystem(12, { debugMode: false });
+
+  const breakdown = energySystem.calculateEnergyBreakdown(gridCore.grid, STATES);
+  t.assertAlmostEquals(breakdown.total, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-9,
+    'Breakdown total should equal calculateEnergy');
+  t.assertEquals(Object.keys(breakdown.terms).join(','), 'sharpCorners,geometricContinuity,zebraPatterns,neighborEnergy,isingEnergy,boundaryLength,wallContact,holesAndIsolation,areaConstraint,portConnectivity',
+    'Terms should be keyed by energy weight name');
+
+  for (const [type, term] of Object.entries(breakdown.terms)) {
+    t.assertEquals(term.weight, energySystem.energyWeights[type], `${type} should report its weight`);
+    t.assertAlmostEquals(term.weighted, term.unweighted * term.weight, 1e-9, `${type} weighted value`);
+  }
+});
+
+runner.test('Test 24.2: Continuity and zebra list their sub-terms', (t) => {
+  const grid = createSimpleGrid(10, 'cluster');
+  grid[6][2] = STATES.FULL;
+  grid[6][4] = STATES.FULL;
+  const energySystem = new EnhancedEnergySystem(10, { debugMode: false });
+  const { terms } = energySystem.calculateEnergyBreakdown(grid, STATES);
+
+  t.assertEquals(Object.keys(terms.zebraPatterns.subterms).join(','), 'horizontal,vertical,diagonal,stateSpecific',
+    'Zebra sub-terms');
+  t.assertEquals(Object.keys(terms.geometricContinuity.subterms).join(','), 'horizontal,vertical,diagonal,overall',
+    'Continuity sub-terms');
+  t.assert(terms.neighborEnergy.subterms === undefined, 'Neighbor energy has no sub-terms');
+
+  for (const type of ['geometricContinuity', 'zebraPatterns']) {
+    const subterms = Object.values(terms[type].subterms);
+    const sum = subterms.reduce((total, subterm) => total + subterm.unweighted, 0);
+    t.assertAlmostEquals(sum, terms[type].unweighted, 1e-9, `${type} sub-terms should add up`);
+  }
+  t.assertGreaterThan(terms.zebraPatterns.subterms.horizontal.unweighted, 0, 'Alternating row should show horizontal zebra');
+
+  energySystem.setEnergyWeight('zebraPatterns', 0);
+  const reweighted = energySystem.calculateEnergyBreakdown(grid, STATES).terms.zebraPatterns;
+  t.assertEquals(reweighted.weighted, 0, 'A zero weight should zero the weighted term');
+  t.assertAlmostEquals(reweighted.unweighted, terms.zebraPatterns.unweighted, 1e-9, 'Unweighted value should not depend on the weight');
+});
+
+runner.test('Test 24.3: GridEvolution samples the breakdown at most every breakdownSampleMs while running', (t) => {
+  let breakdowns = 0;
+  const app = {
+    evolutionEngine: { currentStep: 0, isRunning: true },
+    energyBreakdownHistory: [],
+    breakdownSampleMs: 60000,
+    lastBreakdownSampleTime: -Infinity,
+    getEnergyBreakdown: () => ({ total: ++breakdowns, terms: {} }),
+  };
+  const sample = () => GridEvolution.prototype.sampleEnergyBreakdown.call(app);
+
+  const history = sample();
+  t.assert(history === app.energyBreakdownHistory, 'The history itself is returned, not a copy');
+  t.assertEquals(history.length, 1, 'The first call samples');
+  app.evolutionEngine.currentStep = 50;
+  sample();
+  t.assertEquals(breakdowns, 1, 'A running sample is skipped until breakdownSampleMs has passed');
+
+  app.evolutionEngine.isRunning = false;
+  sample();
+  t.assertEquals(history.map((entry) => entry.step).join(','), '0,50', 'Stopped, every new step is sampled');
+  sample();
+  t.assertEquals(breakdowns, 2, 'The same step is not sampled twice');
+});
+
+// ============================================================================
+// TEST SUITE 25: Per-Cell Energy Field and Overlay Colour Scales
+// ============================================================================
+
+runner.test('Test 25.1: Energy field per term matches the breakdown', (t) => {
+  const gridCore = new GridCore(10, { seed: 25 });
+  gridCore.randomize();
+  const energySystem = new EnhancedEnergySystem(10, { debugMode: false });
+  const sum = (field) => field.reduce((total, row) => total + row.reduce((a, b) => a + b, 0), 0);
+
+  const { total, terms } = energySystem.calculateEnergyBreakdown(gridCore.grid, STATES);
+  for (const type of EnhancedEnergySystem.LOCAL_TERMS) {
+    const field = energySystem.calculateEnergyField(gridCore.grid, STATES, type);
+    t.assertAlmostEquals(sum(field), terms[type].weighted, 1e-9, `${type} field should sum to its weighted term`);
+  }
+  const totalField = energySystem.calculateEnergyField(gridCore.grid, STATES);
+  t.assertEquals(totalField.length, 10, 'Field should have one row per grid row');
+  t.assertAlmostEquals(sum(totalField), total, 1e-9, 'Total field should sum to the energy');
+
+  let threw = false;
+  try {
+    energySystem.calculateEnergyField(gridCore.grid, STATES, 'bogus');
+  } catch (e) {
+    threw = true;
+  }
+  t.assert(threw, 'Unknown terms should be rejected');
+});
+
+runner.test('Test 25.2: Overlay colour scales map values onto their stops', (t) => {
+  const heat = GridRenderer.createColorScale('heat', 2, 6);
+  t.assertEquals(heat(2), 'rgb(255, 255, 178)', 'Minimum should map to the first stop');
+  t.assertEquals(heat(6), 'rgb(227, 26, 28)', 'Maximum should map to the last stop');
+  t.assertEquals(heat(100), heat(6), 'Values above the range should clamp');
+  t.assertEquals(heat.domain.join(','), '2,6', 'Sequential domain is [min, max]');
+
+  const diverging = GridRenderer.createColorScale('diverging', -1, 4);
+  t.assertEquals(diverging.domain.join(','), '-4,4', 'Diverging domain should be symmetric about 0');
+  t.assertEquals(diverging(0), 'rgb(247, 247, 247)', 'Zero should map to the neutral middle stop');
+
+  const flat = GridRenderer.createColorScale('viridis', 3, 3);
+  t.assert(flat(3).startsWith('rgb('), 'A constant field should still get a colour');
+  t.assert(GridRenderer.gradientCSS('viridis').startsWith('linear-gradient(to right, #440154'), 'Legend gradient');
+});
+
+runner.test('Test 25.3: Energy field from the cache matches a full recalculation', (t) => {
+  const gridCore = createMixedGridCore(12, 25);
+  const energySystem = new EnhancedEnergySystem(12, { debugMode: false });
+  energySystem.setEnergyWeight('areaConstraint', 0.5);
+  const rng = new SeededRandom(25);
+
+  for (let i = 0; i < 40; i++) {
+    const cell1 = { row: rng.nextInt(12), col: rng.nextInt(12) };
+    const cell2 = { row: rng.nextInt(12), col: rng.nextInt(12) };
+    const state1 = gridCore.grid[cell1.row][cell1.col];
+    const state2 = gridCore.grid[cell2.row][cell2.col];
+    if (state1 === state2) continue;
+    energySystem.calculateSwapDelta(gridCore, cell1, cell2, state1, state2);
+    gridCore.setCell(cell1.row, cell1.col, state2);
+    gridCore.setCell(cell2.row, cell2.col, state1);
+    energySystem.commitSwap(gridCore);
+  }
+
+  const cache = energySystem.getEnergyCache(gridCore);
+  for (const term of ['total', 'areaConstraint', 'portConnectivity', 'zebraPatterns']) {
+    const cached = energySystem.getEnergyField(gridCore, term);
+    const full = energySystem.calculateEnergyField(gridCore.grid, STATES, term);
+    for (let row = 0; row < 12; row++) {
+      for (let col = 0; col < 12; col++) {
+        t.assertAlmostEquals(cached[row][col], full[row][col], 1e-9, `${term} at (${row},${col})`);
+      }
+    }
+  }
+  t.assert(energySystem.getEnergyCache(gridCore) === cache, 'Reading the field should not rebuild the cache');
+});
+
+// ============================================================================
+// TEST SUITE 26: Sharp-Corner Energy
+// ============================================================================
+
+runner.test('Test 26.1: Corner score is part of the geometric energy and follows its weight', (t) => {
+  const grid = createSimpleGrid(8, 'cluster');
+  const geometricKernels = new GeometricKernels(8);
+  const corners = geometricKernels.detectCorners(grid, STATES).total.score;
+  t.assertGreaterThan(corners, 0, 'A square cluster has corners');
+
+  const weights = { continuity: 0, zebra: 0 };
+  t.assertAlmostEquals(geometricKernels.calculateGeometricEnergy(grid, STATES, { ...weights, corners: 3 }),
+    3 * corners, 1e-9, 'Geometric energy should include the weighted corner score');
+
+  const energySystem = new EnhancedEnergySystem(8, { debugMode: false });
+  energySystem.setEnergyWeight('sharpCorners', 0);
+  const without = energySystem.calculateEnergy(grid, STATES);
+  energySystem.setEnergyWeight('sharpCorners', 4);
+  const withCorners = energySystem.calculateEnergy(grid, STATES);
+  t.assertAlmostEquals(withCorners - without, 4 * corners, 1e-9, 'The corner weight should change the energy');
+
+  const breakdown = energySystem.calculateEnergyBreakdown(grid, STATES).terms.sharpCorners;
+  t.assertAlmostEquals(breakdown.unweighted, corners, 1e-9, 'Breakdown should report the corner score');
+  t.assertEquals(Object.keys(breakdown.subterms).join(','), 'lCorners,diagonalConflicts,generalCorners', 'Corner sub-terms');
+});
+
+runner.test('Test 26.2: Both swap-delta paths include the corner term', (t) => {
+  const gridCore = new GridCore(10, { seed: 26 });
+  gridCore.loadGrid(createSimpleGrid(10, 'cluster'));
+  const geometricKernels = new GeometricKernels(10);
+  const engine = new EvolutionEngine(10, { seed: 26, debugMode: false });
+  const cell1 = { row: 1, col: 1 };   // cluster corner
+  const cell2 = { row: 7, col: 7 };   // empty, away from the cluster
+  const state1 = gridCore.grid[1][1];
+  const state2 = gridCore.grid[7][7];
+
+  const cornersBefore = geometricKernels.detectCorners(gridCore.grid, STATES).total.score;
+  const cornersAfter = engine.withSwapApplied(gridCore.grid, cell1, cell2, state1, state2,
+    () => geometricKernels.detectCorners(gridCore.grid, STATES).total.score);
+
+  const deltas = (weight) => {
+    const energySystem = new EnhancedEnergySystem(10, { debugMode: false });
+    energySystem.setEnergyWeight('sharpCorners', weight);
+    return {
+      box: engine.calculateSwapEnergyDifference(gridCore.grid, energySystem, cell1, cell2, state1, state2, STATES),
+      cached: energySystem.calculateSwapDelta(gridCore, cell1, cell2, state1, state2),
+    };
+  };
+  const off = deltas(0);
+  const on = deltas(5);
+  const expected = 5 * (cornersAfter - cornersBefore);
+  t.assert(expected !== 0, 'Moving a corner cell should change the corner score');
+  t.assertAlmostEquals(on.box - off.box, expected, 1e-9, 'Bounding-box delta should include corners');
+  t.assertAlmostEquals(on.cached - off.cached, expected, 1e-9, 'Cached delta should include corners');
+});
+
+// ============================================================================
+// TEST SUITE 27: Hole and Island Energy
+// ============================================================================
+
+function createRingGrid(n) {
+  const grid = createSimpleGrid(n, 'empty');
+  for (let row = 2; row <= 6; row++) {
+    for (let col = 2; col <= 6; col++) {
+      grid[row][col] = STATES.FULL;
+    }
+  }
+  grid[4][4] = STATES.EMPTY; // enclosed hole
+  return grid;
+}
+
+runner.test('Test 27.1: analyzeTopology counts enclosed holes and islands', (t) => {
+  const geometricKernels = new GeometricKernels(10);
+  const grid = createRingGrid(10);
+  let topology = geometricKernels.analyzeTopology(grid, STATES);
+  t.assertEquals(topology.holes, 1, 'Ring should enclose one hole');
+  t.assertEquals(topology.islands, 0, 'One shape means no islands');
+
+  grid[0][9] = STATES.FULL;                 // island at the border
+  grid[8][8] = STATES.HALF_DIAG_TL_BR;      // half cells count as occupied
+  grid[4][4] = STATES.FULL;                 // fill the hole
+  topology = geometricKernels.analyzeTopology(grid, STATES);
+  t.assertEquals(topology.holes, 0, 'Filled hole should be gone');
+  t.assertEquals(topology.islands, 2, 'Each cell apart from the main shape is an island');
+
+  const penalized = topology.components.filter((component) => component.penalized);
+  t.assertEquals(penalized.length, 2, 'Only the islands should be penalized');
+  t.assertEquals(topology.labels[4 * 10 + 4], topology.labels[2 * 10 + 2], 'Filled cell joins the main shape');
+});
+
+runner.test('Test 27.2: Local test only passes changes that cannot alter the topology', (t) => {
+  const geometricKernels = new GeometricKernels(10);
+  const grid = createRingGrid(10);
+  t.assert(geometricKernels.isTopologyPreservingChange(grid, STATES, 2, 4), 'Removing a straight edge cell keeps the topology');
+  t.assert(geometricKernels.isTopologyPreservingChange(grid, STATES, 1, 4), 'Adding a cell against an edge keeps the topology');
+  t.assert(!geometricKernels.isTopologyPreservingChange(grid, STATES, 4, 4), 'Filling the hole changes it');
+  t.assert(geometricKernels.isTopologyPreservingChange(grid, STATES, 3, 4), 'Growing the enclosed hole keeps the topology');
+  t.assert(!geometricKernels.isTopologyPreservingChange(grid, STATES, 3, 3), 'Cutting a corner into the hole changes it');
+  t.assert(!geometricKernels.isTopologyPreservingChange(grid, STATES, 1, 1), 'A lone new cell changes it');
+  t.assert(!geometricKernels.isTopologyPreservingChange(grid, STATES, 0, 4), 'Border cells always need a recount');
+});
+
+runner.test('Test 27.3: Hole/island swap deltas match a full recount', (t) => {
+  const gridCore = new GridCore(10, { seed: 27 });
+  gridCore.randomize();
+  const energySystem = new EnhancedEnergySystem(10, { debugMode: false });
+  energySystem.setEnergyWeight('holesAndIsolation', 10);
+  const engine = new EvolutionEngine(10, { seed: 27, debugMode: false });
+  const rng = new SeededRandom(27);
+
+  let topologyChanges = 0;
+  for (let i = 0; i < 80; i++) {
+    const cell1 = { row: rng.nextInt(10), col: rng.nextInt(10) };
+    const cell2 = { row: rng.nextInt(10), col: rng.nextInt(10) };
+    const state1 = gridCore.grid[cell1.row][cell1.col];
+    const state2 = gridCore.grid[cell2.row][cell2.col];
+    if (state1 === state2) continue;
+
+    const before = energySystem.calculateTopologyEnergy(gridCore.grid, STATES);
+    const after = engine.withSwapApplied(gridCore.grid, cell1, cell2, state1, state2,
+      () => energySystem.calculateTopologyEnergy(gridCore.grid, STATES));
+    const { delta } = energySystem.calculateTopologySwapDelta(gridCore.grid, STATES, cell1, cell2, state1, state2);
+    t.assertEquals(delta, after - before, `Topology delta ${i}`);
+    if (delta !== 0) topologyChanges++;
+
+    const energyBefore = energySystem.calculateEnergy(gridCore.grid, STATES);
+    const cached = energySystem.calculateSwapDelta(gridCore, cell1, cell2, state1, state2);
+    const box = engine.calculateSwapEnergyDifference(gridCore.grid, energySystem, cell1, cell2, state1, state2, STATES);
+    gridCore.setCell(cell1.row, cell1.col, state2);
+    gridCore.setCell(cell2.row, cell2.col, state1);
+    energySystem.commitSwap(gridCore);
+    const energyAfter = energySystem.calculateEnergy(gridCore.grid, STATES);
+    t.assertAlmostEquals(cached, energyAfter - energyBefore, 1e-9, `Cached delta ${i} should include holes and islands`);
+    t.assert(Number.isFinite(box), 'Box estimate should include a finite topology delta');
+  }
+  t.assertGreaterThan(topologyChanges, 0, 'Some swaps should change the topology');
+  t.assertAlmostEquals(energySystem.getEnergyCache(gridCore).total, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-9,
+    'Cache should stay in sync');
+});
+
+runner.test('Test 27.4: Hole/island weight scales the energy and the overlay field', (t) => {
+  const grid = createRingGrid(10);
+  grid[0][9] = STATES.FULL;
+  const energySystem = new EnhancedEnergySystem(10, { debugMode: false });
+  energySystem.setEnergyWeight('holesAndIsolation', 0);
+  const without = energySystem.calculateEnergy(grid, STATES);
+  energySystem.setEnergyWeight('holesAndIsolation', 3);
+  t.assertAlmostEquals(energySystem.calculateEnergy(grid, STATES) - without, 6, 1e-9, 'One hole and one island at weight 3');
+
+  const term = energySystem.calculateEnergyBreakdown(grid, STATES).terms.holesAndIsolation;
+  t.assertEquals(term.subterms.holes.unweighted, 1, 'Breakdown should count the hole');
+  t.assertEquals(term.subterms.islands.unweighted, 1, 'Breakdown should count the island');
+
+  const field = energySystem.calculateEnergyField(grid, STATES, 'holesAndIsolation');
+  t.assertEquals(field[4][4], 3, 'The one-cell hole carries its whole cost');
+  t.assertEquals(field[0][9], 3, 'The one-cell island carries its whole cost');
+  t.assertEquals(field[2][2], 0, 'The main shape carries none');
+});
+
+runner.test('Test 27.5: Local component searches match a full recount, border and ports included', (t) => {
+  const gridCore = new GridCore(10, { seed: 275 });
+  gridCore.randomize();
+  gridCore.setBoundaryMarkers({ group1: [{ side: 'left', start: 2, length: 3 }, { side: 'bottom', start: 5, length: 2 }] });
+  const energySystem = new EnhancedEnergySystem(10, { debugMode: false });
+  energySystem.setBoundaryMarkers(gridCore.getBoundaryMarkers());
+  energySystem.setConnectivityMode('soft');
+  const rng = new SeededRandom(275);
+
+  let searched = 0;
+  for (let i = 0; i < 150; i++) {
+    // One to three cells anywhere (border included), each set to a random state
+    const changes = Array.from({ length: 1 + rng.nextInt(3) }, () => ({
+      row: rng.nextInt(10), col: rng.nextInt(10), state: rng.nextInt(6),
+    }));
+    const before = energySystem.countTopology(gridCore.grid, STATES);
+    const { delta, after } = energySystem.calculateTopologyChangeDelta(gridCore.grid, STATES, changes, before);
+    changes.forEach(({ row, col, state }) => gridCore.setCell(row, col, state));
+    const actual = energySystem.countTopology(gridCore.grid, STATES);
+
+    t.assertEquals(delta, actual.holes + actual.islands - (before.holes + before.islands), `Delta ${i}`);
+    if (after !== before) {
+      searched++;
+      t.assertEquals(JSON.stringify(after), JSON.stringify(actual), `Counts after change ${i}`);
+    }
+  }
+  t.assertGreaterThan(searched, 20, 'Many changes should need a component search');
+});
+
+runner.test('Test 27.6: Change deltas skip the full labelling, and all topology work while it is off', (t) => {
+  const gridCore = new GridCore(12, { seed: 276 });
+  gridCore.randomize();
+  const energySystem = new EnhancedEnergySystem(12, { debugMode: false });
+  const kernels = energySystem.geometricKernels;
+  const calls = { analyzeTopology: 0, calculateFlipComponentChange: 0 };
+  for (const name of Object.keys(calls)) {
+    const original = kernels[name].bind(kernels);
+    kernels[name] = (...args) => {
+      calls[name]++;
+      return original(...args);
+    };
+  }
+
+  const propose = () => {
+    const rng = new SeededRandom(276);
+    for (let i = 0; i < 40; i++) {
+      energySystem.calculateChangeDelta(gridCore, [{ row: rng.nextInt(12), col: rng.nextInt(12), state: rng.nextInt(2) }]);
+    }
+  };
+
+  energySystem.getEnergyCache(gridCore);
+  calls.analyzeTopology = 0;
+  propose();
+  t.assertEquals(calls.analyzeTopology, 0, 'A warm cache never relabels the whole grid');
+  t.assertGreaterThan(calls.calculateFlipComponentChange, 0, 'Topology-changing flips search locally');
+
+  energySystem.setEnergyWeight('holesAndIsolation', 0);
+  t.assert(!energySystem.hasTopologyTerms(), 'No topology terms with the weight at 0 and connectivity off');
+  energySystem.getEnergyCache(gridCore);
+  calls.calculateFlipComponentChange = 0;
+  propose();
+  t.assertEquals(calls.calculateFlipComponentChange, 0, 'No topology work while both terms are off');
+
+  energySystem.setConnectivityMode('hard');
+  t.assert(energySystem.hasTopologyTerms(), 'Hard connectivity needs the component counts');
+});
+
+// ============================================================================
+// TEST SUITE 28: Diagonal Half Cells
+// ============================================================================
+
+runner.test('Test 28.1: getFittingDiagonalState matches the half state to its neighbours', (t) => {
+  const gridCore = new GridCore(6, { seed: 28 });
+  gridCore.loadGrid(createSimpleGrid(6, 'cluster'));
+
+  t.assertEquals(gridCore.getFittingDiagonalState(1, 1), STATES.HALF_DIAG_TR_BL, 'Top-left corner keeps its bottom-right half');
+  t.assertEquals(gridCore.getFittingDiagonalState(3, 3), STATES.HALF_DIAG_BR_TL, 'Bottom-right corner keeps its top-left half');
+  t.assertEquals(gridCore.getFittingDiagonalState(1, 2), null, 'Straight edge cells have no fitting half state');
+  t.assertEquals(gridCore.getFittingDiagonalState(0, 0), null, 'Cells away from the shape have none');
+
+  gridCore.setCell(1, 1, STATES.EMPTY);
+  t.assertEquals(gridCore.getFittingDiagonalState(1, 1), STATES.HALF_DIAG_TR_BL, 'Empty notch fits the same half state');
+});
+
+runner.test('Test 28.2: Half cells read as half filled in kernels and by side in the Ising energy', (t) => {
+  const geometricKernels = new GeometricKernels(5);
+  t.assertEquals(geometricKernels.getCellGridValue(STATES.HALF_DIAG_BL_TR), 0.5, 'Half cells are half filled');
+
+  // HALF_DIAG_TL_BR fills the bottom-left triangle
+  const state = STATES.HALF_DIAG_TL_BR;
+  t.assertEquals(geometricKernels.getDirectionalSpin(state, 1, 0), 1, 'Filled bottom side');
+  t.assertEquals(geometricKernels.getDirectionalSpin(state, 0, -1), 1, 'Filled left side');
+  t.assertEquals(geometricKernels.getDirectionalSpin(state, -1, 0), -1, 'Empty top side');
+  t.assertEquals(geometricKernels.getDirectionalSpin(state, 1, -1), 1, 'Filled bottom-left corner');
+  t.assertEquals(geometricKernels.getDirectionalSpin(state, -1, 1), -1, 'Empty top-right corner');
+  t.assertEquals(geometricKernels.getDirectionalSpin(state, -1, -1), 0, 'Corner on the diagonal');
+  t.assertEquals(geometricKernels.getSpinValue(state), 0, 'Mean spin is still 0');
+
+  // A fitted half cell has no frustrated nearest-neighbour bonds
+  const grid = createSimpleGrid(5, 'empty');
+  grid[2][1] = STATES.FULL;
+  grid[3][2] = STATES.FULL;
+  grid[2][2] = STATES.FULL;
+  const fullEnergy = geometricKernels.calculateIsingEnergy(grid, STATES, 1, 0);
+  grid[2][2] = state;
+  const halfEnergy = geometricKernels.calculateIsingEnergy(grid, STATES, 1, 0);
+  t.assertAlmostEquals(halfEnergy - fullEnergy, -4, 1e-9, 'Fitting the corner turns two bonds from frustrated to aligned');
+});
+
+runner.test('Test 28.3: Outline length counts √2 for half cells', (t) => {
+  const geometricKernels = new GeometricKernels(6);
+  const grid = createSimpleGrid(6, 'cluster');
+  t.assertAlmostEquals(geometricKernels.calculateBoundaryLength(grid, STATES), 12, 1e-9, '3x3 block has outline 12');
+
+  grid[1][1] = STATES.HALF_DIAG_TR_BL;
+  t.assertAlmostEquals(geometricKernels.calculateBoundaryLength(grid, STATES), 10 + Math.SQRT2, 1e-9,
+    'Cutting the corner replaces two sides by a diagonal');
+
+  grid[1][1] = STATES.HALF_DIAG_BR_TL;
+  t.assertAlmostEquals(geometricKernels.calculateBoundaryLength(grid, STATES), 14 + Math.SQRT2, 1e-9,
+    'A half cell facing the wrong way lengthens the outline');
+
+  const edge = createSimpleGrid(6, 'empty');
+  edge[0][0] = STATES.FULL;
+  t.assertAlmostEquals(geometricKernels.calculateBoundaryLength(edge, STATES), 4, 1e-9, 'Outside the grid counts as empty');
+});
+
+runner.test('Test 28.4: Diagonal moves keep the area and the energy cache exact', (t) => {
+  const gridCore = new GridCore(12, { seed: 28 });
+  gridCore.applyPreset('initial');
+  const energySystem = new EnhancedEnergySystem(12, { debugMode: false });
+  const engine = new EvolutionEngine(12, {
+    seed: 28,
+    temperature: 5,
+    moveWeights: { swap: 0, diagonal: 1, boundaryShift: 0, kawasaki: 0, clusterTranslation: 0 },
+    debugMode: false,
+  });
+  engine.initializeSimulatedAnnealing(energySystem, gridCore.grid, STATES, 5);
+  const area = gridCore.totalArea;
+
+  let diagonalMoves = 0;
+  for (let i = 0; i < 300; i++) {
+    const result = engine.annealingStep(gridCore, energySystem, STATES);
+    if (result.accepted && result.move === 'diagonal') diagonalMoves++;
+  }
+
+  let halves = 0;
+  for (let row = 0; row < 12; row++) {
+    for (let col = 0; col < 12; col++) {
+      if (gridCore.isHalfState(gridCore.grid[row][col])) halves++;
+    }
+  }
+  t.assertGreaterThan(diagonalMoves, 0, 'Some diagonal moves should be accepted');
+  t.assertGreaterThan(halves, 0, 'Half cells should appear');
+  t.assertEquals(gridCore.totalArea, area, 'Area should be unchanged');
+  t.assertAlmostEquals(engine.currentEnergy, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-6,
+    'Tracked energy should match a full recalculation');
+});
+
+runner.test('Test 28.5: proposeDiagonalMove trades half a cell between fitted cells', (t) => {
+  const gridCore = new GridCore(6, { seed: 3 });
+  gridCore.loadGrid(createSimpleGrid(6, 'cluster'));
+  const engine = new EvolutionEngine(6, { seed: 3, debugMode: false });
+
+  for (let i = 0; i < 20; i++) {
+    const changes = engine.proposeDiagonalMove(gridCore);
+    if (!changes) continue;
+    const [loser, gainer] = changes;
+    const areaChange = changes.reduce((sum, change) =>
+      sum + gridCore.getAreaContribution(change.newState) - gridCore.getAreaContribution(change.state), 0);
+    t.assertEquals(areaChange, 0, 'Move should keep the area');
+    t.assertEquals(loser.state, STATES.FULL, 'Without half cells only FULL corners can give up area');
+    t.assertEquals(loser.newState, gridCore.getFittingDiagonalState(loser.row, loser.col), 'Corner gets its fitting half');
+    t.assertEquals(gainer.newState, gridCore.getFittingDiagonalState(gainer.row, gainer.col), 'Notch gets its fitting half');
+  }
+
+  const disabled = new EvolutionEngine(6, { seed: 3, moveWeights: { diagonal: 0 }, debugMode: false });
+  const energySystem = new EnhancedEnergySystem(6, { debugMode: false });
+  for (let i = 0; i < 50; i++) {
+    const result = disabled.annealingStep(gridCore, energySystem, STATES);
+    t.assert(result.move !== 'diagonal', 'Weight 0 should never propose diagonal moves');
+  }
+});
+
+// ============================================================================
+// TEST SUITE 29: Weighted Move Types
+// ============================================================================
+
+runner.test('Test 29.1: Move weights are validated and steer the move choice', (t) => {
+  const engine = new EvolutionEngine(8, { seed: 29, debugMode: false });
+  t.assertEquals(Object.keys(engine.getMoveWeights()).join(','), 'swap,diagonal,boundaryShift,kawasaki,clusterTranslation,flip',
+    'Built-in move types');
+
+  const throws = (fn) => { try { fn(); return false; } catch (e) { return true; } };
+  t.assert(throws(() => engine.setMoveWeights({ teleport: 1 })), 'Unknown move types are rejected');
+  t.assert(throws(() => engine.setMoveWeights({ swap: -1 })), 'Negative weights are rejected');
+  t.assert(throws(() => engine.setMoveWeights({ swap: 0, diagonal: 0, boundaryShift: 0, kawasaki: 0, clusterTranslation: 0, flip: 0 })),
+    'At least one weight must be positive');
+  t.assertEquals(engine.getMoveWeights().swap, 1, 'Rejected updates leave the weights alone');
+
+  engine.setMoveWeights({ swap: 3, diagonal: 0, boundaryShift: 0, kawasaki: 1, clusterTranslation: 0 });
+  let swaps = 0;
+  for (let i = 0; i < 2000; i++) {
+    const move = engine.chooseMoveType();
+    t.assert(move === 'swap' || move === 'kawasaki', 'Zero-weight types are never chosen');
+    if (move === 'swap') swaps++;
+  }
+  t.assertAlmostEquals(swaps / 2000, 0.75, 0.05, 'Types are chosen in proportion to their weight');
+
+  const copy = new EvolutionEngine(8, { debugMode: false });
+  copy.importState(engine.exportState());
+  t.assertEquals(copy.getMoveWeights().kawasaki, 1, 'Weights survive export/import');
+  t.assertEquals(copy.getMoveWeights().boundaryShift, 0, 'Zero weights survive export/import');
+});
+
+runner.test('Test 29.2: Local moves exchange neighbouring cells with different states', (t) => {
+  const gridCore = new GridCore(8, { seed: 29 });
+  gridCore.loadGrid(createSimpleGrid(8, 'cluster'));
+  const engine = new EvolutionEngine(8, { seed: 29, debugMode: false });
+
+  for (const propose of [() => engine.proposeBoundaryShift(gridCore), () => engine.proposeKawasakiExchange(gridCore)]) {
+    for (let i = 0; i < 30; i++) {
+      const changes = propose();
+      if (!changes) continue;
+      const [a, b] = changes;
+      t.assertEquals(Math.abs(a.row - b.row) + Math.abs(a.col - b.col), 1, 'Cells should be 4-neighbours');
+      t.assert(a.state !== b.state, 'States should differ');
+      t.assertEquals(a.newState, b.state, 'States should be exchanged');
+      t.assertEquals(b.newState, a.state, 'States should be exchanged');
+    }
+  }
+
+  const boundary = engine.proposeBoundaryShift(gridCore);
+  t.assert((boundary[0].state === STATES.EMPTY) !== (boundary[1].state === STATES.EMPTY),
+    'Boundary shifts pair an empty cell with an occupied one');
+  gridCore.loadGrid(createSimpleGrid(8, 'empty'));
+  t.assertEquals(engine.proposeBoundaryShift(gridCore), null, 'No outline, no boundary shift');
+  t.assertEquals(engine.proposeKawasakiExchange(gridCore), null, 'Uniform grid, no Kawasaki exchange');
+});
+
+runner.test('Test 29.3: Cluster translation shifts a whole cluster by one cell', (t) => {
+  const gridCore = new GridCore(8, { seed: 4 });
+  const grid = createSimpleGrid(8, 'empty');
+  grid[3][3] = STATES.FULL;
+  grid[3][4] = STATES.HALF_DIAG_TL_BR;
+  grid[4][3] = STATES.FULL;
+  gridCore.loadGrid(grid);
+  const engine = new EvolutionEngine(8, { seed: 4, debugMode: false });
+
+  const changes = engine.proposeClusterTranslation(gridCore);
+  t.assert(changes !== null, 'A free cluster can move');
+  const area = gridCore.totalArea;
+  for (const { row, col, newState } of changes) {
+    gridCore.setCell(row, col, newState);
+  }
+  t.assertEquals(gridCore.totalArea, area, 'Area is unchanged');
+
+  const cells = [];
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      if (gridCore.grid[row][col] !== STATES.EMPTY) cells.push([row, col, gridCore.grid[row][col]]);
+    }
+  }
+  const [dr, dc] = [cells[0][0] - 3, cells[0][1] - 3];
+  t.assertEquals(Math.abs(dr) + Math.abs(dc), 1, 'Shifted by one cell');
+  t.assertEquals(JSON.stringify(cells),
+    JSON.stringify([[3 + dr, 3 + dc, STATES.FULL], [3 + dr, 4 + dc, STATES.HALF_DIAG_TL_BR], [4 + dr, 3 + dc, STATES.FULL]]),
+    'Every cell keeps its state');
+
+  const wall = createSimpleGrid(8, 'empty');
+  for (let row = 0; row < 8; row++) wall[row][0] = STATES.FULL;
+  for (let col = 0; col < 8; col++) wall[0][col] = STATES.FULL;
+  for (let col = 0; col < 8; col++) wall[7][col] = STATES.FULL;
+  for (let row = 0; row < 8; row++) wall[row][7] = STATES.FULL;
+  gridCore.loadGrid(wall);
+  for (let i = 0; i < 10; i++) {
+    t.assertEquals(engine.proposeClusterTranslation(gridCore), null, 'A cluster touching every border cannot move');
+  }
+});
+
+runner.test('Test 29.4: Mixed moves keep area and energy exact and count acceptance per type', (t) => {
+  const gridCore = new GridCore(12, { seed: 29 });
+  gridCore.applyPreset('initial');
+  const energySystem = new EnhancedEnergySystem(12, { debugMode: false });
+  const engine = new EvolutionEngine(12, {
+    seed: 29,
+    moveWeights: { swap: 1, diagonal: 1, boundaryShift: 1, kawasaki: 1, clusterTranslation: 1 },
+    debugMode: false,
+  });
+  engine.initializeSimulatedAnnealing(energySystem, gridCore.grid, STATES, 3);
+  const area = gridCore.totalArea;
+
+  for (let i = 0; i < 300; i++) {
+    engine.annealingStep(gridCore, energySystem, STATES);
+  }
+
+  t.assertEquals(gridCore.totalArea, area, 'Area should be unchanged');
+  t.assertAlmostEquals(engine.currentEnergy, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-6,
+    'Tracked energy should match a full recalculation');
+
+  const stats = engine.getMoveStats();
+  const proposed = Object.values(stats).reduce((sum, entry) => sum + entry.proposed, 0);
+  t.assertEquals(proposed, 300, 'Every proposal is counted under one type');
+  t.assertEquals(stats.flip.proposed, 0, 'Flips need area preservation off');
+  for (const [name, entry] of Object.entries(stats)) {
+    if (name === 'flip') continue;
+    t.assertGreaterThan(entry.proposed, 0, `${name} should be proposed`);
+    t.assertAlmostEquals(entry.acceptanceRate, entry.accepted / entry.proposed, 1e-12, `${name} acceptance rate`);
+  }
+
+  const copy = new EvolutionEngine(12, { debugMode: false });
+  copy.importAcceptanceHistory(engine.exportAcceptanceHistory());
+  t.assertEquals(copy.getMoveStats().kawasaki.accepted, stats.kawasaki.accepted, 'Counts travel with the acceptance history');
+  copy.reset();
+  t.assertEquals(copy.getMoveStats().kawasaki.proposed, 0, 'reset() clears the counts');
+});
+
+runner.test('Test 29.5: registerMoveType plugs in custom proposals', (t) => {
+  const gridCore = new GridCore(6, { seed: 5 });
+  gridCore.loadGrid(createSimpleGrid(6, 'cluster'));
+  const energySystem = new EnhancedEnergySystem(6, { debugMode: false });
+  const engine = new EvolutionEngine(6, { seed: 5, temperature: 1000, debugMode: false });
+  engine.initializeSimulatedAnnealing(energySystem, gridCore.grid, STATES, 1000);
+
+  // Always move the top-left corner of the block one cell up
+  engine.registerMoveType('lift', (core) => core.grid[1][1] === STATES.FULL
+    ? EvolutionEngine.swapChanges(1, 1, 0, 1, STATES.FULL, STATES.EMPTY)
+    : null);
+  engine.setMoveWeights({ swap: 0, diagonal: 0, boundaryShift: 0, kawasaki: 0, clusterTranslation: 0, lift: 1 });
+
+  const result = engine.annealingStep(gridCore, energySystem, STATES);
+  t.assertEquals(result.move, 'lift', 'The custom type should be proposed');
+  t.assert(result.accepted, 'Hot enough to accept');
+  t.assertEquals(gridCore.grid[0][1], STATES.FULL, 'The custom change should be applied');
+
+  const fallback = engine.annealingStep(gridCore, energySystem, STATES);
+  t.assertEquals(fallback.move, 'swap', 'A type with nothing to propose falls back to a swap');
+});
+
+runner.test('Test 29.6: Local proposals sample around the outline and reuse cluster labels', (t) => {
+  const gridCore = new GridCore(16, { seed: 6 });
+  const grid = createSimpleGrid(16, 'empty');
+  for (let row = 5; row < 11; row++) {
+    for (let col = 5; col < 11; col++) grid[row][col] = STATES.FULL;
+  }
+  gridCore.loadGrid(grid);
+  const engine = new EvolutionEngine(16, { seed: 6, debugMode: false });
+
+  const bonds = new Set();
+  let proposals = 0;
+  for (let i = 0; i < 1000; i++) {
+    const changes = engine.proposeBoundaryShift(gridCore);
+    if (!changes) continue;
+    proposals++;
+    const [a, b] = changes;
+    t.assertEquals(Math.abs(a.row - b.row) + Math.abs(a.col - b.col), 1, 'Cells should be 4-neighbours');
+    t.assert((a.state === STATES.EMPTY) !== (b.state === STATES.EMPTY), 'One cell empty, one occupied');
+    bonds.add([[a.row, a.col], [b.row, b.col]].sort().join('|'));
+  }
+  t.assertGreaterThan(proposals, 900, 'Edge bonds should usually be found');
+  t.assertEquals(bonds.size, 24, 'Every edge bond of the 6x6 block should come up');
+
+  const clusters = engine.getClusters(gridCore);
+  t.assertEquals(clusters.clusters.length, 1, 'One cluster');
+  t.assertEquals(clusters.clusters[0].length, 36, 'Cluster lists its cells');
+  engine.proposeClusterTranslation(gridCore);
+  t.assert(engine.getClusters(gridCore) === clusters, 'Labels are reused while the grid is unchanged');
+  gridCore.setCell(0, 0, STATES.FULL);
+  t.assertEquals(engine.getClusters(gridCore).clusters.length, 2, 'A changed grid is relabelled');
+});
+
+runner.test('Test 29.7: Snapshots with custom move types restore into engines without them', (t) => {
+  const source = createSnapshotComponents(8);
+  source.gridCore.loadGrid(createSimpleGrid(8, 'cluster'));
+  source.evolutionEngine.registerMoveType('lift', () => null, 2);
+  source.evolutionEngine.setMoveWeights({ kawasaki: 3 });
+
+  const parsed = SnapshotSerializer.parse(JSON.stringify(SnapshotSerializer.capture(
+    source.gridCore, source.energySystem, source.evolutionEngine
+  )));
+  t.assert(parsed.ok, `Captured snapshot should validate: ${parsed.errors.join('; ')}`);
+
+  const target = createSnapshotComponents(8);
+  const result = SnapshotSerializer.restore(parsed.snapshot, target.gridCore, target.energySystem, target.evolutionEngine);
+  t.assert(result.ok, 'Restore should succeed');
+  const weights = target.evolutionEngine.getMoveWeights();
+  t.assertEquals(weights.kawasaki, 3, 'Known weights are restored');
+  t.assert(!('lift' in weights), 'Unknown move types are skipped');
+  t.assertEquals(target.gridCore.totalArea, source.gridCore.totalArea, 'The grid is restored');
+
+  // Only the custom type enabled: the built-in weights would all be 0, so the current ones stay
+  const customOnly = new EvolutionEngine(8, { debugMode: false });
+  customOnly.importState({ moveWeights: { swap: 0, diagonal: 0, boundaryShift: 0, kawasaki: 0, clusterTranslation: 0, flip: 0, lift: 1 } });
+  t.assertEquals(JSON.stringify(customOnly.getMoveWeights()), JSON.stringify(EvolutionEngine.DEFAULT_MOVE_WEIGHTS),
+    'Weights that would disable every move are not applied');
+});
+
+// ============================================================================
+// TEST SUITE 30: Soft Area Constraint
+// ============================================================================
+
+runner.test('Test 30.1: The area penalty is quadratic in the deviation and off by default', (t) => {
+  const gridCore = new GridCore(8);
+  const grid = createSimpleGrid(8, 'cluster');
+  grid[0][0] = STATES.HALF_DIAG_TL_BR;
+  gridCore.loadGrid(grid);
+  const energySystem = new EnhancedEnergySystem(8, { debugMode: false });
+  const base = energySystem.calculateEnergy(gridCore.grid, STATES);
+
+  t.assertEquals(energySystem.areaTarget, null, 'No area target by default');
+  t.assertAlmostEquals(energySystem.calculateArea(gridCore.grid, STATES), 9.5, 1e-12, 'FULL cells count 1, halves 0.5');
+
+  energySystem.setAreaTarget(12);
+  const weight = energySystem.getEnergyWeights().areaConstraint;
+  t.assertAlmostEquals(energySystem.calculateEnergy(gridCore.grid, STATES), base + weight * 2.5 * 2.5, 1e-9,
+    'Penalty is weight * (area - target)^2');
+
+  const breakdown = energySystem.calculateEnergyBreakdown(gridCore.grid, STATES);
+  t.assertAlmostEquals(breakdown.terms.areaConstraint.unweighted, 6.25, 1e-12, 'Unweighted term is the squared deviation');
+  t.assertAlmostEquals(breakdown.terms.areaConstraint.deviation, -2.5, 1e-12, 'Breakdown reports the signed deviation');
+  t.assertAlmostEquals(breakdown.total, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-9, 'Breakdown adds up');
+
+  const field = energySystem.calculateEnergyField(gridCore.grid, STATES, 'total');
+  const fieldTotal = field.reduce((sum, row) => sum + row.reduce((a, b) => a + b, 0), 0);
+  t.assertAlmostEquals(fieldTotal, breakdown.total, 1e-9, 'Energy field adds up with the penalty spread over the cells');
+
+  energySystem.setAreaTarget(null);
+  t.assertAlmostEquals(energySystem.calculateEnergy(gridCore.grid, STATES), base, 1e-12, 'null turns the penalty off');
+});
+
+runner.test('Test 30.2: Change deltas include the area penalty', (t) => {
+  const gridCore = new GridCore(8);
+  gridCore.loadGrid(createSimpleGrid(8, 'cluster'));
+  const energySystem = new EnhancedEnergySystem(8, { debugMode: false });
+  energySystem.setAreaTarget(12);
+  const before = energySystem.calculateEnergy(gridCore.grid, STATES);
+
+  const changes = [{ row: 1, col: 4, state: STATES.FULL }, { row: 2, col: 4, state: STATES.HALF_DIAG_BL_TR }];
+  const delta = energySystem.calculateChangeDelta(gridCore, changes);
+  changes.forEach(({ row, col, state }) => gridCore.setCell(row, col, state));
+  energySystem.commitSwap(gridCore);
+
+  const after = energySystem.calculateEnergy(gridCore.grid, STATES);
+  t.assertAlmostEquals(delta, after - before, 1e-9, 'Delta should match full recalculation');
+  t.assertAlmostEquals(energySystem.getEnergyCache(gridCore).total, after, 1e-9, 'Cache should stay exact');
+  t.assertAlmostEquals(energySystem.getEnergyCache(gridCore).area, 10.5, 1e-12, 'Cache tracks the area');
+});
+
+runner.test('Test 30.3: Flips change the area only with area preservation off', (t) => {
+  const run = (areaPreservation) => {
+    const gridCore = new GridCore(10, { seed: 30 });
+    gridCore.applyPreset('initial');
+    const energySystem = new EnhancedEnergySystem(10, { debugMode: false });
+    if (!areaPreservation) energySystem.setAreaTarget(gridCore.targetArea);
+    const engine = new EvolutionEngine(10, { seed: 30, areaPreservation, debugMode: false });
+    engine.initializeSimulatedAnnealing(energySystem, gridCore.grid, STATES, 2);
+    const area = gridCore.totalArea;
+    const areas = new Set();
+    for (let i = 0; i < 400; i++) {
+      engine.annealingStep(gridCore, energySystem, STATES);
+      areas.add(gridCore.totalArea);
+    }
+    t.assertAlmostEquals(engine.currentEnergy, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-6,
+      'Tracked energy should match a full recalculation');
+    return { area, areas, stats: engine.getMoveStats() };
+  };
+
+  const preserved = run(true);
+  t.assertEquals(preserved.stats.flip.proposed, 0, 'No flips while preserving area');
+  t.assertEquals([...preserved.areas].join(','), String(preserved.area), 'Area stays fixed');
+
+  const free = run(false);
+  t.assertGreaterThan(free.stats.flip.proposed, 0, 'Flips are proposed');
+  t.assertGreaterThan(free.stats.flip.accepted, 0, 'Some flips are accepted');
+  t.assertGreaterThan(free.areas.size, 1, 'Area changes');
+});
+
+runner.test('Test 30.4: The soft constraint holds the area near the target', (t) => {
+  const simulation = new Simulation({
+    gridSize: 12,
+    seed: 3,
+    preset: 'initial',
+    areaPreservation: false,
+    targetArea: 45,
+    temperature: 0.5,
+    coolingRate: 0.999,
+    maxSteps: 2000,
+    stopOnTermination: false,
+  });
+  t.assertEquals(simulation.energySystem.areaTarget, 45, 'Simulation turns the constraint on');
+  const start = simulation.gridCore.totalArea;
+  const result = simulation.run();
+
+  t.assertGreaterThan(simulation.gridCore.totalArea, start + 5, 'Area grows towards the target');
+  t.assert(Math.abs(simulation.gridCore.totalArea - 45) <= 6, `Area ${simulation.gridCore.totalArea} should end near 45`);
+  t.assertAlmostEquals(result.stats.finalEnergy, simulation.energySystem.calculateEnergy(simulation.gridCore.grid, STATES), 1e-6,
+    'Tracked energy should match');
+});
+
+runner.test('Test 30.5: The area target travels with snapshots', (t) => {
+  const gridCore = new GridCore(8);
+  gridCore.loadGrid(createSimpleGrid(8, 'cluster'));
+  const energySystem = new EnhancedEnergySystem(8, { debugMode: false });
+  const engine = new EvolutionEngine(8, { areaPreservation: false, debugMode: false });
+  energySystem.setAreaTarget(14);
+
+  const snapshot = SnapshotSerializer.capture(gridCore, energySystem, engine);
+  t.assert(SnapshotSerializer.validate(snapshot).ok, 'Snapshot should validate');
+
+  const restoredCore = new GridCore(8);
+  const restoredEnergy = new EnhancedEnergySystem(8, { debugMode: false });
+  const restoredEngine = new EvolutionEngine(8, { debugMode: false });
+  SnapshotSerializer.restore(snapshot, restoredCore, restoredEnergy, restoredEngine);
+  t.assertEquals(restoredEnergy.areaTarget, 14, 'Area target restored');
+  t.assertEquals(restoredEngine.areaPreservation, false, 'Area preservation restored');
+
+  const bad = structuredClone(snapshot);
+  bad.energySystem.areaTarget = 'lots';
+  t.assert(!SnapshotSerializer.validate(bad).ok, 'Non-numeric targets are rejected');
+});
+
+runner.test('Test 30.6: Resizing moves the soft area target to the new grid', (t) => {
+  // GridEvolution without its DOM: real grid, energy and engine, stubbed rendering and UI
+  const forwarded = [];
+  const app = Object.assign(Object.create(GridEvolution.prototype), {
+    gridCore: new GridCore(32, { seed: 30 }),
+    energySystem: new EnhancedEnergySystem(32, { debugMode: false }),
+    evolutionEngine: new EvolutionEngine(32, { seed: 30, debugMode: false }),
+    renderer: { resize() {}, setGridPoints() {} },
+    uiController: { getUIValues: () => ({ temperature: 1 }), updateUI() {} },
+    parallelTempering: null,
+    logImportant() {},
+    stopEvolution() {},
+    setupDragRectangle() {},
+    render() {},
+    updateUI() {},
+    forwardToWorker: (...args) => forwarded.push(args),
+  });
+
+  app.setAreaPreservation(false);
+  t.assertEquals(app.energySystem.areaTarget, Math.floor(32 * 32 * 0.3), 'Target of the 32x32 grid');
+
+  app.resizeGrid(16);
+  t.assertEquals(app.gridCore.targetArea, Math.floor(16 * 16 * 0.3), 'GridCore recomputes its target');
+  t.assertEquals(app.energySystem.areaTarget, app.gridCore.targetArea, 'The constraint follows the new target');
+  t.assertEquals(JSON.stringify(forwarded[forwarded.length - 1]), JSON.stringify(['energySystem', 'setAreaTarget', 76]),
+    'The worker gets the new target too');
+  t.assertAlmostEquals(app.evolutionEngine.currentEnergy, app.energySystem.calculateEnergy(app.gridCore.grid, STATES), 1e-9,
+    'Energy is recalculated against the new target');
+
+  app.setAreaPreservation(true);
+  app.resizeGrid(24);
+  t.assertEquals(app.energySystem.areaTarget, null, 'No constraint while the area is preserved');
+});
+
+// ============================================================================
+// TEST SUITE 31: Boundary Markers as Boundary Conditions
+// ============================================================================
+
+const markerSpec = (n) => ({
+  group1: [{ side: 'left', start: 2, length: 4 }],
+  group2: [{ side: 'right', start: 2, length: 4 }, { side: 'top', start: 0, length: n }],
+});
+
+runner.test('Test 31.1: The boundary ring maps group1 to FULL and group2 to EMPTY just outside the grid', (t) => {
+  const kernels = new GeometricKernels(8);
+  t.assertEquals(kernels.getRingState(-1, 3), null, 'No ring without markers');
+
+  const gridCore = new GridCore(8);
+  gridCore.setBoundaryMarkers(markerSpec(8));
+  kernels.setBoundaryRing(gridCore.getBoundaryMarkers());
+  t.assertEquals(kernels.getRingState(3, -1), STATES.FULL, 'group1 on the left');
+  t.assertEquals(kernels.getRingState(1, -1), null, 'Unmarked edge cells stay absent');
+  t.assertEquals(kernels.getRingState(5, 8), STATES.EMPTY, 'group2 on the right');
+  t.assertEquals(kernels.getRingState(-1, 7), STATES.EMPTY, 'group2 on the top');
+  t.assertEquals(kernels.getRingState(-1, -1), null, 'Ring corners are absent');
+  t.assertEquals(kernels.getRingState(3, 3), null, 'Cells inside are not ring cells');
+
+  kernels.setBoundaryRing({ group1: { top: [], right: [], bottom: [], left: [] }, group2: { top: [], right: [], bottom: [], left: [] } });
+  t.assertEquals(kernels.boundaryRing, null, 'Empty marker lists leave no ring');
+});
+
+runner.test('Test 31.2: Without markers the energy is unchanged', (t) => {
+  const gridCore = new GridCore(10, { seed: 31 });
+  gridCore.applyPreset('initial');
+  const energySystem = new EnhancedEnergySystem(10, { debugMode: false });
+  const before = energySystem.calculateEnergy(gridCore.grid, STATES);
+
+  energySystem.setBoundaryMarkers(gridCore.getBoundaryMarkers());
+  t.assertAlmostEquals(energySystem.calculateEnergy(gridCore.grid, STATES), before, 1e-12, 'Empty markers change nothing');
+  energySystem.setBoundaryMarkers(null);
+  t.assertAlmostEquals(energySystem.calculateEnergy(gridCore.grid, STATES), before, 1e-12, 'null changes nothing');
+});
+
+runner.test('Test 31.3: Ring cells enter the Ising couplings, the neighbor count and the outline', (t) => {
+  const grid = createSimpleGrid(8, 'empty');
+  grid[3][0] = STATES.FULL;
+  const gridCore = new GridCore(8);
+  gridCore.setBoundaryMarkers({ group1: markerSpec(8).group1 });
+  const kernels = new GeometricKernels(8);
+  const plain = {
+    ising: kernels.calculateCellIsingEnergy(grid, 3, 0, 1, 1),
+    outline: kernels.calculateCellBoundaryLength(grid, 3, 0),
+    neighbors: kernels.calculateCellNeighborEnergy(grid, STATES, 3, 0),
+  };
+  kernels.setBoundaryRing(gridCore.getBoundaryMarkers());
+
+  // Left ring cells at rows 2-4 are FULL: one J1 and two J2 aligned couplings, all on this cell
+  t.assertAlmostEquals(kernels.calculateCellIsingEnergy(grid, 3, 0, 1, 1), plain.ising - 3, 1e-12,
+    'Aligned ring couplings count in full for the cell next to them');
+  t.assertAlmostEquals(plain.outline - kernels.calculateCellBoundaryLength(grid, 3, 0), 1, 1e-12,
+    'No outline against a group1 edge');
+  t.assertAlmostEquals(kernels.calculateCellNeighborEnergy(grid, STATES, 3, 0), Math.exp(-3 / 2), 1e-12,
+    'Ring cells count as neighbours');
+  t.assert(plain.neighbors > kernels.calculateCellNeighborEnergy(grid, STATES, 3, 0), 'Attached cells are less isolated');
+
+  let cellSum = 0;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) cellSum += kernels.calculateCellIsingEnergy(grid, row, col, 1, 1);
+  }
+  t.assertAlmostEquals(cellSum, kernels.calculateIsingEnergy(grid, STATES, 1, 1), 1e-12, 'Cell Ising energies add up');
+
+  const local = kernels.calculateLocalIsingChange(grid, STATES, 4, 0, STATES.EMPTY, STATES.FULL, 1, 1);
+  const changed = grid.map((row) => [...row]);
+  changed[4][0] = STATES.FULL;
+  t.assertAlmostEquals(local, kernels.calculateIsingEnergy(changed, STATES, 1, 1) - kernels.calculateIsingEnergy(grid, STATES, 1, 1),
+    1e-12, 'Local Ising change includes ring couplings');
+});
+
+runner.test('Test 31.4: Shapes prefer group1 edges to group2 edges', (t) => {
+  const n = 10;
+  const block = (left) => {
+    const grid = createSimpleGrid(n, 'empty');
+    for (let row = 2; row < 6; row++) {
+      for (let col = 0; col < 3; col++) grid[row][left ? col : n - 1 - col] = STATES.FULL;
+    }
+    return grid;
+  };
+  const gridCore = new GridCore(n);
+  gridCore.setBoundaryMarkers(markerSpec(n));
+  const energySystem = new EnhancedEnergySystem(n, { debugMode: false });
+  const gap = () => energySystem.calculateEnergy(block(true), STATES) - energySystem.calculateEnergy(block(false), STATES);
+
+  const plainGap = gap();
+  energySystem.setBoundaryMarkers(gridCore.getBoundaryMarkers());
+  t.assert(gap() < plainGap - 1, `Block on the group1 edge should gain against the group2 edge (${gap()} vs ${plainGap})`);
+});
+
+runner.test('Test 31.5: Cached deltas and the energy field stay exact with markers', (t) => {
+  const simulation = new Simulation({
+    gridSize: 10,
+    seed: 31,
+    preset: 'initial',
+    boundaryMarkers: markerSpec(10),
+    temperature: 2,
+    maxSteps: 300,
+    stopOnTermination: false,
+  });
+  const { gridCore, energySystem, evolutionEngine } = simulation;
+  t.assert(energySystem.geometricKernels.boundaryRing !== null, 'Simulation applies config.boundaryMarkers');
+  simulation.run();
+  t.assertAlmostEquals(evolutionEngine.currentEnergy, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-6,
+    'Tracked energy should match a full recalculation');
+
+  const field = energySystem.calculateEnergyField(gridCore.grid, STATES, 'total');
+  const fieldTotal = field.reduce((sum, row) => sum + row.reduce((a, b) => a + b, 0), 0);
+  t.assertAlmostEquals(fieldTotal, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-9, 'Energy field adds up');
+
+  // Restoring a snapshot hands the markers to the energy system
+  const snapshot = simulation.captureSnapshot();
+  const restoredCore = new GridCore(10);
+  const restoredEnergy = new EnhancedEnergySystem(10, { debugMode: false });
+  SnapshotSerializer.restore(snapshot, restoredCore, restoredEnergy, new EvolutionEngine(10, { debugMode: false }));
+  t.assertEquals(restoredEnergy.geometricKernels.getRingState(3, -1), STATES.FULL, 'Ring restored');
+  t.assertAlmostEquals(restoredEnergy.calculateEnergy(restoredCore.grid, STATES),
+    energySystem.calculateEnergy(gridCore.grid, STATES), 1e-9, 'Restored energy matches');
+});
+
+runner.test('Test 31.6: Occupied cells against a wall marker cost more than against an unmarked edge', (t) => {
+  const n = 8;
+  const cell = (row) => {
+    const grid = createSimpleGrid(n, 'empty');
+    grid[row][0] = STATES.FULL;
+    return grid;
+  };
+  // Wall on the left edge, rows 2-5 (group2 defaults to the wall role)
+  const gridCore = new GridCore(n);
+  gridCore.setBoundaryMarkers({ group2: [{ side: 'left', start: 2, length: 4 }] });
+  const energySystem = new EnhancedEnergySystem(n, { debugMode: false });
+  energySystem.setBoundaryMarkers(gridCore.getBoundaryMarkers());
+  const kernels = energySystem.geometricKernels;
+
+  t.assert(kernels.isWallCell(3, -1), 'Left ring cell at row 3 is a wall');
+  t.assert(!kernels.isWallCell(0, -1), 'Unmarked edge cells are not walls');
+  t.assertEquals(kernels.calculateCellWallContact(cell(3), 3, 0), 1, 'Filled left side touches the wall');
+  t.assertEquals(kernels.calculateCellWallContact(cell(0), 0, 0), 0, 'No contact at an unmarked edge');
+  t.assertEquals(kernels.calculateCellWallContact(cell(3), 3, 1), 0, 'Empty cells never touch');
+
+  // Rows 3 and 0 only differ by what lies beyond the left edge (row 0 also has the
+  // unmarked top edge, so compare with row 6, clear of both the wall and the top)
+  const walled = energySystem.calculateEnergy(cell(3), STATES);
+  const unmarked = energySystem.calculateEnergy(cell(6), STATES);
+  t.assert(walled > unmarked, `A cell on the wall should cost more (${walled} vs ${unmarked})`);
+  t.assertAlmostEquals(energySystem.calculateEnergyBreakdown(cell(3), STATES).terms.wallContact.weighted,
+    energySystem.energyWeights.wallContact, 1e-12, 'Breakdown reports the contact');
+
+  // The cached delta of moving the cell onto the wall matches a full recalculation
+  const moving = new GridCore(n);
+  moving.setBoundaryMarkers({ group2: [{ side: 'left', start: 2, length: 4 }] });
+  moving.loadGrid(cell(6));
+  const delta = energySystem.calculateChangeDelta(moving, [
+    { row: 6, col: 0, state: STATES.EMPTY },
+    { row: 3, col: 0, state: STATES.FULL },
+  ]);
+  t.assertAlmostEquals(delta, walled - unmarked, 1e-9, 'Delta includes the wall contact');
+});
+
+// ============================================================================
+// TEST SUITE 32: Port Connectivity Constraint
+// ============================================================================
+
+const portSpec = {
+  group1: [{ side: 'left', start: 3, length: 2 }, { side: 'right', start: 3, length: 2 }],
+};
+
+// A horizontal bar along rows 3-4, optionally cut at column `gap`
+const portBar = (n, gap = null) => {
+  const grid = createSimpleGrid(n, 'empty');
+  for (let row = 3; row < 5; row++) {
+    for (let col = 0; col < n; col++) {
+      if (col !== gap) grid[row][col] = STATES.FULL;
+    }
+  }
+  return grid;
+};
+
+const portEnergySystem = (n, mode) => {
+  const gridCore = new GridCore(n);
+  gridCore.setBoundaryMarkers(portSpec);
+  const energySystem = new EnhancedEnergySystem(n, { debugMode: false });
+  energySystem.setBoundaryMarkers(gridCore.getBoundaryMarkers());
+  energySystem.setConnectivityMode(mode);
+  return energySystem;
+};
+
+runner.test('Test 32.1: Ports are group1 edge cells and count disconnected groups', (t) => {
+  const gridCore = new GridCore(8);
+  gridCore.setBoundaryMarkers(portSpec);
+  const kernels = new GeometricKernels(8);
+  t.assertEquals(kernels.getPorts().length, 0, 'No ports without markers');
+  kernels.setBoundaryRing(gridCore.getBoundaryMarkers());
+
+  const ports = kernels.getPorts();
+  t.assertEquals(ports.length, 2, 'One port per group1 marker');
+  t.assert(ports.some((cells) => JSON.stringify(cells) === JSON.stringify([[3, 7], [4, 7]])), 'Right port cells');
+
+  t.assertEquals(kernels.countDisconnectedPorts(portBar(8), STATES), 0, 'A bar joins both ports');
+  t.assertEquals(kernels.countDisconnectedPorts(portBar(8, 4), STATES), 1, 'A cut bar leaves one port apart');
+  t.assertEquals(kernels.countDisconnectedPorts(createSimpleGrid(8, 'empty'), STATES), 1, 'Empty ports are not connected');
+});
+
+runner.test('Test 32.2: Soft mode adds a weighted penalty per disconnected port group', (t) => {
+  const off = portEnergySystem(8, 'off');
+  const soft = portEnergySystem(8, 'soft');
+  const cut = portBar(8, 4);
+
+  t.assertAlmostEquals(soft.calculateEnergy(portBar(8), STATES), off.calculateEnergy(portBar(8), STATES), 1e-12,
+    'No penalty when connected');
+  t.assertAlmostEquals(soft.calculateEnergy(cut, STATES) - off.calculateEnergy(cut, STATES),
+    soft.energyWeights.portConnectivity, 1e-9, 'One weight per disconnected group');
+
+  const { terms } = soft.calculateEnergyBreakdown(cut, STATES);
+  t.assertEquals(terms.portConnectivity.disconnected, 1, 'Breakdown reports the count');
+  t.assertAlmostEquals(terms.portConnectivity.weighted, soft.energyWeights.portConnectivity, 1e-12, 'Weighted term');
+  t.assertEquals(off.calculateEnergyBreakdown(cut, STATES).terms.portConnectivity.weighted, 0, 'Off mode adds nothing');
+
+  let threw = false;
+  try {
+    soft.setConnectivityMode('strict');
+  } catch (e) {
+    threw = true;
+  }
+  t.assert(threw, 'Unknown modes are rejected');
+});
+
+runner.test('Test 32.3: Hard mode rejects moves that disconnect the ports', (t) => {
+  const hard = portEnergySystem(8, 'hard');
+  const rng = new SeededRandom(32);
+  const gridCore = new GridCore(8, { rng });
+  gridCore.loadGrid(portBar(8));
+
+  // Cutting column 4 in both rows: only the second removal disconnects
+  t.assert(isFinite(hard.calculateChangeDelta(gridCore, [{ row: 3, col: 4, state: STATES.EMPTY }])),
+    'Thinning the bar is allowed');
+  gridCore.setCell(3, 4, STATES.EMPTY);
+  hard.invalidateEnergyCaches();
+  t.assertEquals(hard.calculateChangeDelta(gridCore, [{ row: 4, col: 4, state: STATES.EMPTY }]), Infinity,
+    'Disconnecting move has infinite cost');
+  t.assert(isFinite(portEnergySystem(8, 'soft').calculateChangeDelta(gridCore, [{ row: 4, col: 4, state: STATES.EMPTY }])),
+    'Soft mode only penalises it');
+
+  gridCore.loadGrid(portBar(8));
+  const engine = new EvolutionEngine(8, { rng, debugMode: false, areaPreservation: false });
+  engine.initializeSimulatedAnnealing(hard, gridCore.grid, STATES, 50);
+  for (let i = 0; i < 400; i++) {
+    engine.annealingStep(gridCore, hard, STATES);
+    t.assertEquals(hard.countDisconnectedPorts(gridCore.grid, STATES), 0, `Ports stay connected (step ${i})`);
+  }
+});
+
+runner.test('Test 32.4: Cached deltas stay exact in soft mode', (t) => {
+  const simulation = new Simulation({
+    gridSize: 10,
+    seed: 32,
+    preset: 'initial',
+    boundaryMarkers: portSpec,
+    connectivityMode: 'soft',
+    temperature: 3,
+    maxSteps: 400,
+    stopOnTermination: false,
+  });
+  const { gridCore, energySystem, evolutionEngine } = simulation;
+  t.assertEquals(energySystem.connectivityMode, 'soft', 'Simulation applies config.connectivityMode');
+  simulation.run();
+  t.assertAlmostEquals(evolutionEngine.currentEnergy, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-6,
+    'Tracked energy should match a full recalculation');
+
+  const field = energySystem.calculateEnergyField(gridCore.grid, STATES, 'total');
+  const fieldTotal = field.reduce((sum, row) => sum + row.reduce((a, b) => a + b, 0), 0);
+  t.assertAlmostEquals(fieldTotal, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-9, 'Energy field adds up');
+});
+
+runner.test('Test 32.5: Snapshots carry the connectivity mode', (t) => {
+  const simulation = new Simulation({ gridSize: 8, seed: 32, boundaryMarkers: portSpec, connectivityMode: 'hard' });
+  const snapshot = simulation.captureSnapshot();
+  const restored = new EnhancedEnergySystem(8, { debugMode: false });
+  SnapshotSerializer.restore(snapshot, new GridCore(8), restored, new EvolutionEngine(8, { debugMode: false }));
+  t.assertEquals(restored.connectivityMode, 'hard', 'Mode restored');
+
+  snapshot.energySystem.connectivityMode = 'sometimes';
+  t.assert(!SnapshotSerializer.validate(snapshot).ok, 'Invalid mode rejected');
+});
+
+// ============================================================================
+// TEST SUITE 33: Marker Editing on the Canvas Margin
+// ============================================================================
+
+const markerEditCore = () => {
+  const gridCore = new GridCore(8);
+  gridCore.setBoundaryMarkers({
+    group1: [{ side: 'top', start: 1, length: 3 }],
+    group2: [{ side: 'top', start: 5, length: 2 }],
+  });
+  return gridCore;
+};
+
+const applyMarkerEdit = (gridCore, spec) => {
+  const result = gridCore.setBoundaryMarkers(spec);
+  return result.markers;
+};
+
+runner.test('Test 33.1: checkBoundaryMarkers validates without applying', (t) => {
+  const gridCore = markerEditCore();
+  const before = JSON.stringify(gridCore.getBoundaryMarkers());
+
+  const overlap = gridCore.checkBoundaryMarkers({ group1: [{ side: 'top', start: 4, length: 2 }], group2: [{ side: 'top', start: 5, length: 1 }] });
+  t.assert(!overlap.ok, 'Overlap across groups is reported');
+  t.assert(overlap.errors[0].includes('overlaps'), 'With the overlap rule message');
+  t.assertEquals(JSON.stringify(gridCore.getBoundaryMarkers()), before, 'Markers are untouched');
+
+  const fine = gridCore.checkBoundaryMarkers({ group1: [{ side: 'left', start: 0, length: 20 }] });
+  t.assert(fine.ok, 'Valid spec passes');
+  t.assertEquals(fine.markers.group1.left[0].length, 8, 'Lengths are clamped as setBoundaryMarkers would');
+});
+
+runner.test('Test 33.2: Dragging from an empty slot creates a marker in the chosen group', (t) => {
+  const gridCore = markerEditCore();
+  const editor = new MarkerEditor(gridCore);
+
+  t.assertEquals(editor.begin({ side: 'left', index: 6 }, 'group2'), 'create', 'Empty slot creates');
+  const preview = editor.update({ side: 'left', index: 3 });
+  t.assert(preview.ok, 'Free stretch is valid');
+  t.assertEquals(JSON.stringify(preview.marker), JSON.stringify({ side: 'left', start: 3, length: 4 }), 'Spans anchor to pointer');
+  const markers = applyMarkerEdit(gridCore, editor.end());
+  t.assertEquals(markers.group2.left.length, 1, 'Created in group 2');
+  t.assertEquals(markers.group1.top.length, 1, 'Other markers kept');
+  t.assert(!editor.active, 'Edit finished');
+
+  // A plain click makes a single-cell marker
+  editor.begin({ side: 'bottom', index: 0 }, 'group1');
+  t.assertEquals(applyMarkerEdit(gridCore, editor.end()).group1.bottom[0].length, 1, 'Click creates one cell');
+});
+
+runner.test('Test 33.3: Dragging a marker moves it, dragging an end resizes it, a click deletes it', (t) => {
+  const gridCore = markerEditCore();
+  const editor = new MarkerEditor(gridCore);
+
+  t.assertEquals(editor.begin({ side: 'top', index: 2 }), 'move', 'Middle of a marker moves it');
+  editor.update({ side: 'right', index: 5 });
+  let markers = applyMarkerEdit(gridCore, editor.end());
+  t.assertEquals(markers.group1.top.length, 0, 'Left its side');
+  t.assertEquals(JSON.stringify(markers.group1.right[0]), JSON.stringify({ side: 'right', start: 4, length: 3 }),
+    'Keeps its length and grab offset on the new side');
+
+  t.assertEquals(editor.begin({ side: 'right', index: 4 }), 'resize', 'An end resizes');
+  editor.update({ side: 'right', index: 0 });
+  markers = applyMarkerEdit(gridCore, editor.end());
+  t.assertEquals(JSON.stringify(markers.group1.right[0]), JSON.stringify({ side: 'right', start: 0, length: 7 }),
+    'Resized from the opposite end');
+
+  editor.begin({ side: 'top', index: 6 });
+  markers = applyMarkerEdit(gridCore, editor.end());
+  t.assertEquals(markers.group2.top.length, 0, 'Click without dragging deletes');
+});
+
+runner.test('Test 33.4: Overlapping drags are previewed as invalid and rejected', (t) => {
+  const gridCore = markerEditCore();
+  const editor = new MarkerEditor(gridCore);
+  const before = JSON.stringify(gridCore.getBoundaryMarkers());
+
+  editor.begin({ side: 'top', index: 3 });
+  const preview = editor.update({ side: 'top', index: 6 });
+  t.assert(!preview.ok, 'Resizing onto the group 2 marker is invalid');
+  t.assertEquals(preview.markers.group2.top.length, 1, 'Preview keeps the marker it would overlap');
+  t.assertEquals(editor.end(), null, 'Nothing to apply');
+  t.assertEquals(JSON.stringify(gridCore.getBoundaryMarkers()), before, 'Markers unchanged');
+
+  // Moves are clamped to the grid rather than rejected
+  editor.begin({ side: 'left', index: 0 });
+  editor.cancel();
+  t.assert(!editor.active, 'Cancel ends the edit');
+  editor.begin({ side: 'top', index: 5 });
+  const clamped = editor.update({ side: 'top', index: 8 + 3 });
+  t.assertEquals(clamped.marker.start, 6, 'Clamped at the far end');
+});
+
+runner.test('Test 33.5: The renderer maps band positions to marker slots', (t) => {
+  const canvas = { getContext: () => ({}), style: {} };
+  const renderer = new GridRenderer(canvas, 8);
+  const { cellSize, markerThickness } = renderer;
+  const x0 = renderer.xPixels[0];
+  const y0 = renderer.yPixels[0];
+  const far = renderer.xPixels[8];
+
+  const top = renderer.getMarkerSlotFromCanvasPosition(x0 + 2.5 * cellSize, y0 - markerThickness / 2);
+  t.assertEquals(`${top.side}:${top.index}`, 'top:2', 'Top band');
+  const right = renderer.getMarkerSlotFromCanvasPosition(far + 1, y0 + 6.5 * cellSize);
+  t.assertEquals(`${right.side}:${right.index}`, 'right:6', 'Right band');
+  t.assert(!renderer.getMarkerSlotFromCanvasPosition(x0 + cellSize, y0 + cellSize).valid, 'Grid cells are not band slots');
+  t.assert(!renderer.getMarkerSlotFromCanvasPosition(x0 - 1, y0 - 1).valid, 'Band corners are not slots');
+
+  const projected = renderer.getMarkerSlotFromCanvasPosition(x0 + 100 * cellSize, y0 + cellSize, 'bottom');
+  t.assertEquals(`${projected.side}:${projected.index}`, 'bottom:7', 'Projection clamps to the side');
+});
+
+// ============================================================================
+// TEST SUITE 34: Named Marker Groups with Roles
+// ============================================================================
+
+const deviceSpec = {
+  inlet: { label: 'Inlet', color: '#ef4444', role: 'source', markers: [{ side: 'left', start: 2, length: 3 }] },
+  outlet: { label: 'Outlet', color: '#22c55e', role: 'sink', markers: [{ side: 'right', start: 2, length: 3 }] },
+  wall: { role: 'wall', markers: [{ side: 'top', start: 0, length: 8 }] },
+  note: { role: 'free', markers: [{ side: 'bottom', start: 1, length: 2 }] },
+};
+
+runner.test('Test 34.1: GridCore keeps any number of named groups with label, colour and role', (t) => {
+  const gridCore = new GridCore(8);
+  t.assertEquals(Object.keys(gridCore.getBoundaryMarkers()).join(','), 'group1,group2', 'Two default groups');
+  t.assertEquals(gridCore.getBoundaryMarkers().group2.role, 'wall', 'Default group2 is a wall');
+
+  const result = gridCore.setBoundaryMarkers(deviceSpec);
+  t.assert(result.ok, `Spec applies (${result.errors})`);
+  const markers = gridCore.getBoundaryMarkers();
+  t.assertEquals(Object.keys(markers).join(','), 'inlet,outlet,wall,note', 'Groups in spec order');
+  t.assertEquals(markers.outlet.label, 'Outlet', 'Label kept');
+  t.assertEquals(markers.inlet.color, '#ef4444', 'Colour kept');
+  t.assertEquals(markers.wall.label, 'wall', 'Label defaults to the name');
+  t.assert(/^#/.test(markers.note.color), 'Colour picked from the palette');
+
+  // Plain lists keep the group's definition
+  gridCore.setBoundaryMarkers({ ...markers, outlet: [{ side: 'bottom', start: 4, length: 2 }] });
+  t.assertEquals(gridCore.getBoundaryMarkers().outlet.role, 'sink', 'Role survives a plain list');
+  t.assertEquals(gridCore.getBoundaryMarkers().outlet.bottom[0].start, 4, 'Markers replaced');
+
+  const bad = gridCore.checkBoundaryMarkers({
+    a: { role: 'drain', markers: [] },
+    b: { color: 'red', markers: [] },
+    'not a name': [],
+    c: [{ side: 'top', start: 0, length: 2 }],
+    d: [{ side: 'top', start: 1, length: 2 }],
+  });
+  t.assertEquals(bad.errors.length, 4, `Role, colour, name and overlap errors (${bad.errors.join('; ')})`);
+  t.assertEquals(bad.markers.a.role, 'free', 'Unknown role falls back');
+});
+
+runner.test('Test 34.2: Roles decide the boundary ring and the ports', (t) => {
+  const gridCore = new GridCore(8);
+  gridCore.setBoundaryMarkers(deviceSpec);
+  const kernels = new GeometricKernels(8);
+  kernels.setBoundaryRing(gridCore.getBoundaryMarkers());
+
+  t.assertEquals(kernels.getRingState(3, -1), STATES.FULL, 'Source is occupied');
+  t.assertEquals(kernels.getRingState(3, 8), STATES.FULL, 'Sink is occupied');
+  t.assertEquals(kernels.getRingState(-1, 5), STATES.EMPTY, 'Wall is empty');
+  t.assertEquals(kernels.getRingState(8, 1), null, 'Free markers leave no boundary condition');
+  t.assertEquals(kernels.getPorts().length, 2, 'Sources and sinks are ports');
+
+  const grid = createSimpleGrid(8, 'empty');
+  for (let col = 0; col < 8; col++) grid[3][col] = STATES.FULL;
+  t.assertEquals(kernels.countDisconnectedPorts(grid, STATES), 0, 'Inlet joined to outlet');
+  grid[3][4] = STATES.EMPTY;
+  t.assertEquals(kernels.countDisconnectedPorts(grid, STATES), 1, 'Cut between inlet and outlet');
+});
+
+runner.test('Test 34.3: Groups travel with snapshots; older snapshots get the default definitions', (t) => {
+  const simulation = new Simulation({ gridSize: 8, seed: 34, boundaryMarkers: deviceSpec });
+  const snapshot = simulation.captureSnapshot();
+  t.assert(SnapshotSerializer.validate(snapshot).ok, 'Snapshot with named groups validates');
+
+  const restored = new GridCore(8);
+  SnapshotSerializer.restore(snapshot, restored, new EnhancedEnergySystem(8, { debugMode: false }), new EvolutionEngine(8, { debugMode: false }));
+  t.assertEquals(JSON.stringify(restored.getBoundaryMarkers()), JSON.stringify(simulation.gridCore.getBoundaryMarkers()),
+    'Groups restored');
+
+  // Before groups had definitions: per-side lists only
+  const old = JSON.parse(JSON.stringify(snapshot));
+  old.gridCore.boundaryMarkers = {
+    group1: { top: [{ side: 'top', start: 1, length: 2 }], right: [], bottom: [], left: [] },
+    group2: { top: [], right: [], bottom: [], left: [] },
+  };
+  t.assert(SnapshotSerializer.validate(old).ok, 'Old marker layout validates');
+  const oldCore = new GridCore(8);
+  SnapshotSerializer.restore(old, oldCore, new EnhancedEnergySystem(8, { debugMode: false }), new EvolutionEngine(8, { debugMode: false }));
+  t.assertEquals(oldCore.getBoundaryMarkers().group1.role, 'source', 'group1 is a source');
+  t.assertEquals(oldCore.getBoundaryMarkers().group1.top[0].length, 2, 'Markers kept');
+
+  const broken = JSON.parse(JSON.stringify(snapshot));
+  broken.gridCore.boundaryMarkers.inlet.role = 'drain';
+  t.assert(!SnapshotSerializer.validate(broken).ok, 'Unknown role rejected');
+});
+
+runner.test('Test 34.4: The text format describes groups line by line', (t) => {
+  const ui = Object.create(UIController.prototype);
+  const parsed = ui.parseMarkerGroupLine('inlet source #ef4444 "Inlet port": left:2-4, top:5');
+  t.assertEquals(parsed.name, 'inlet', 'Name');
+  t.assertEquals(JSON.stringify(parsed.group), JSON.stringify({
+    markers: [{ side: 'left', start: 2, length: 3 }, { side: 'top', start: 5, length: 1 }],
+    label: 'Inlet port', role: 'source', color: '#ef4444',
+  }), 'Label, role, colour and markers');
+  t.assertEquals(JSON.stringify(ui.parseMarkerGroupLine('wall:').group), JSON.stringify({ markers: [] }), 'Options are optional');
+  t.assert(ui.parseMarkerGroupLine('inlet pipe: left:1').error, 'Unknown option rejected');
+  t.assert(ui.parseMarkerGroupLine('left:1-3, top:2').error, 'Entries need a group name');
+
+  const gridCore = new GridCore(8);
+  gridCore.setBoundaryMarkers(deviceSpec);
+  const markers = gridCore.getBoundaryMarkers();
+  const line = UIController.formatMarkerGroupLine('inlet', markers.inlet);
+  t.assertEquals(line, 'inlet source #ef4444 "Inlet": left:2-4', 'Formatted line');
+  const again = ui.parseMarkerGroupLine(line);
+  const roundTrip = new GridCore(8);
+  roundTrip.setBoundaryMarkers({ inlet: again.group });
+  t.assertEquals(JSON.stringify(roundTrip.getBoundaryMarkers().inlet), JSON.stringify(markers.inlet), 'Round trip');
+});
+
+runner.test('Test 34.5: The marker editor works with any group', (t) => {
+  const gridCore = new GridCore(8);
+  gridCore.setBoundaryMarkers(deviceSpec);
+  const editor = new MarkerEditor(gridCore);
+
+  editor.begin({ side: 'bottom', index: 5 }, 'outlet');
+  editor.update({ side: 'bottom', index: 7 });
+  const markers = gridCore.setBoundaryMarkers(editor.end()).markers;
+  t.assertEquals(markers.outlet.bottom.length, 1, 'Created in the chosen group');
+  t.assertEquals(markers.outlet.role, 'sink', 'Definitions kept');
+  t.assertEquals(Object.keys(markers).join(','), 'inlet,outlet,wall,note', 'Group order kept');
+
+  editor.begin({ side: 'bottom', index: 1 });
+  const deleted = gridCore.setBoundaryMarkers(editor.end()).markers;
+  t.assertEquals(deleted.note.bottom.length, 0, 'Deleting the last marker keeps the empty group');
+  t.assertEquals(deleted.note.role, 'free', 'With its definition');
+});
+
+// ============================================================================
+// TEST SUITE 35: Locked Cells
+// ============================================================================
+
+runner.test('Test 35.1: GridCore keeps a lock mask', (t) => {
+  const gridCore = new GridCore(8);
+  t.assert(!gridCore.hasLockedCells(), 'Nothing locked at first');
+  t.assert(gridCore.setLocked(2, 3), 'Locking changes the cell');
+  t.assert(!gridCore.setLocked(2, 3), 'Locking twice changes nothing');
+  gridCore.setLocked(0, 7);
+  t.assert(gridCore.isLocked(2, 3) && !gridCore.isLocked(3, 2), 'Locks are per cell');
+  t.assertEquals(JSON.stringify(gridCore.getLockedCells()), '[[0,7],[2,3]]', 'Row-major cell list');
+  t.assertEquals(gridCore.lockedCount, 2, 'Count');
+
+  const result = gridCore.setLockedCells([[1, 1], [9, 0], 'x']);
+  t.assertEquals(result.errors.length, 2, 'Cells outside the grid are reported');
+  t.assertEquals(JSON.stringify(gridCore.getLockedCells()), '[[1,1]]', 'The rest replace the mask');
+
+  gridCore.setCell(1, 1, STATES.FULL);
+  t.assertEquals(gridCore.grid[1][1], STATES.FULL, 'Direct edits still work on locked cells');
+  gridCore.resize(6);
+  t.assert(!gridCore.hasLockedCells(), 'Resizing clears the mask');
+});
+
+runner.test('Test 35.2: Move proposals leave locked cells alone', (t) => {
+  const gridCore = new GridCore(8, { seed: 35 });
+  gridCore.applyPreset('initial');
+  // Lock every other column
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col += 2) gridCore.setLocked(row, col);
+  }
+  const engine = new EvolutionEngine(8, { seed: 35, debugMode: false, areaPreservation: false });
+
+  const proposals = {
+    swap: () => engine.proposeAreaPreservingSwap(gridCore),
+    diagonal: () => engine.proposeDiagonalMove(gridCore),
+    boundaryShift: () => engine.proposeBoundaryShift(gridCore),
+    kawasaki: () => engine.proposeKawasakiExchange(gridCore),
+    clusterTranslation: () => engine.proposeClusterTranslation(gridCore),
+    flip: () => engine.proposeFlip(gridCore),
+  };
+  for (const [name, propose] of Object.entries(proposals)) {
+    for (let i = 0; i < 40; i++) {
+      const changes = propose();
+      if (!changes) continue;
+      t.assert(changes.every(({ row, col }) => !gridCore.isLocked(row, col)), `${name} proposed a locked cell`);
+    }
+  }
+
+  const cell = engine.selectRandomCellFromState(STATES.EMPTY, gridCore.computeStateInventories()['0'], gridCore);
+  t.assert(!gridCore.isLocked(cell.row, cell.col), 'selectRandomCellFromState skips locked cells');
+});
+
+runner.test('Test 35.3: Annealing never changes locked cells, including custom move types', (t) => {
+  const simulation = new Simulation({
+    gridSize: 10,
+    seed: 35,
+    preset: 'initial',
+    areaPreservation: false,
+    temperature: 5,
+    maxSteps: 600,
+    stopOnTermination: false,
+    lockedCells: [[0, 0], [4, 4], [4, 5], [5, 4], [5, 5], [9, 9]],
+  });
+  const { gridCore, evolutionEngine, energySystem } = simulation;
+  // A custom move that only ever targets a locked cell is dropped in favour of a swap
+  evolutionEngine.registerMoveType('pokeLocked', (core) => [{ row: 4, col: 4, state: core.grid[4][4], newState: STATES.FULL - core.grid[4][4] }], 5);
+  const before = gridCore.getLockedCells().map(([row, col]) => gridCore.grid[row][col]);
+
+  simulation.run();
+  const after = gridCore.getLockedCells().map(([row, col]) => gridCore.grid[row][col]);
+  t.assertEquals(JSON.stringify(after), JSON.stringify(before), 'Locked cells keep their states');
+  t.assertAlmostEquals(evolutionEngine.currentEnergy, energySystem.calculateEnergy(gridCore.grid, STATES), 1e-6,
+    'Tracked energy still matches');
+
+  const everything = new GridCore(4);
+  everything.setLockedCells(Array.from({ length: 16 }, (_, i) => [Math.floor(i / 4), i % 4]));
+  const engine = new EvolutionEngine(4, { seed: 1, debugMode: false });
+  t.assertEquals(engine.annealingStep(everything, new EnhancedEnergySystem(4, { debugMode: false }), STATES).accepted, false,
+    'A fully locked grid has no moves');
+});
+
+runner.test('Test 35.4: Locks travel with snapshots, replicas and the worker', (t) => {
+  const simulation = new Simulation({ gridSize: 8, seed: 35, preset: 'initial', lockedCells: [[1, 2], [3, 4]] });
+  const snapshot = simulation.captureSnapshot();
+  t.assertEquals(JSON.stringify(snapshot.gridCore.lockedCells), '[[1,2],[3,4]]', 'Snapshot lists locked cells');
+  t.assert(SnapshotSerializer.validate(snapshot).ok, 'Snapshot validates');
+
+  const restored = new GridCore(8);
+  SnapshotSerializer.restore(snapshot, restored, new EnhancedEnergySystem(8, { debugMode: false }), new EvolutionEngine(8, { debugMode: false }));
+  t.assert(restored.isLocked(3, 4) && restored.lockedCount === 2, 'Locks restored');
+  t.assert(simulation.gridCore.clone().isLocked(1, 2), 'Clones (tempering replicas) keep locks');
+
+  const bad = JSON.parse(JSON.stringify(snapshot));
+  bad.gridCore.lockedCells = [[1, 8]];
+  t.assert(!SnapshotSerializer.validate(bad).ok, 'Cells outside the grid rejected');
+
+  const loop = new EvolutionWorkerLoop(() => {});
+  loop.init(snapshot, 1);
+  loop.handleMessage({ type: 'setLocks', cells: [[0, 0]] });
+  t.assertEquals(JSON.stringify(loop.gridCore.getLockedCells()), '[[0,0]]', 'Worker copy updated');
+});
+
+runner.test('Test 35.5: The renderer hatches locked cells', (t) => {
+  const calls = { lines: 0, rects: 0 };
+  const ctx = new Proxy({}, {
+    get: (target, key) => key in target ? target[key] : (key === 'lineTo' ? () => calls.lines++ : key === 'rect' ? () => calls.rects++ : () => {}),
+    set: (target, key, value) => { target[key] = value; return true; },
+  });
+  const renderer = new GridRenderer({ getContext: () => ctx, style: {} }, 4);
+  const gridCore = new GridCore(4);
+  renderer.render(gridCore.grid, STATES);
+  t.assertEquals(calls.rects, 0, 'No hatching without a mask');
+
+  gridCore.setLocked(1, 1);
+  gridCore.setLocked(2, 3);
+  renderer.setLockMask(gridCore.lockMask);
+  const linesBefore = calls.lines;
+  renderer.render(gridCore.grid, STATES);
+  t.assertEquals(calls.rects, 2, 'One outline per locked cell');
+  t.assert(calls.lines - linesBefore > 2 * 4, 'Hatch lines drawn');
+});
+
 // ============================================================================
 // RUN ALL TESTS
 // ============================================================================
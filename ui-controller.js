@@ -1,6 +1,9 @@
 // UI Controller - UI updates and event handling
 
 import { SimulationStatus } from './simulation-status.js';
+import { CoolingSchedule } from './cooling-schedule.js';
+import { MarkerEditor } from './marker-editor.js';
+import { GridCore } from './grid-core.js';
 
 export class UIController {
     constructor(config = {}) {
@@ -13,6 +16,7 @@ export class UIController {
             costLabel: '.cost-label',
             statusDisplay: '#status-display',
             areaDisplay: '#area-display',
+            acceptanceDisplay: '#acceptance-display',
             targetArea: '#target-area',
             startBtn: '#start-btn',
             pauseBtn: '#pause-btn',
@@ -21,6 +25,8 @@ export class UIController {
             resetBtn: '#reset-btn',
             randomBtn: '#random-btn',
             snapshotBtn: '#snapshot-btn',
+            loadSnapshotBtn: '#load-snapshot-btn',
+            loadSnapshotInput: '#load-snapshot-input',
             gridCanvas: '#grid-canvas',
             gridSizeSelect: '#grid-size-select',
             speedSlider: '#speed-slider',
@@ -31,6 +37,27 @@ export class UIController {
             coolingRateSlider: '#cooling-rate-slider',
             coolingRateValue: '#cooling-rate-value',
             areaPreservationCheckbox: '#area-preservation',
+            coolingScheduleSelect: '#cooling-schedule',
+            coolingScheduleParam: '#cooling-schedule-param',
+            adaptiveCoolingCheckbox: '#adaptive-cooling',
+            adaptiveLowInput: '#adaptive-low',
+            adaptiveHighInput: '#adaptive-high',
+            ptEnabledCheckbox: '#pt-enabled',
+            ptControls: '#pt-controls',
+            ptReplicasInput: '#pt-replicas',
+            ptMinTemperatureInput: '#pt-tmin',
+            ptMaxTemperatureInput: '#pt-tmax',
+            ptSwapIntervalInput: '#pt-swap-interval',
+            ptViewSelect: '#pt-view',
+            ptStats: '#pt-stats',
+            moveWeightInputs: '[data-move-weight]',
+            moveAcceptanceDisplays: '[data-move-acceptance]',
+            overlayTermSelect: '#overlay-term',
+            overlayScaleSelect: '#overlay-scale',
+            overlayLegend: '#overlay-legend',
+            overlayLegendBar: '#overlay-legend-bar',
+            overlayLegendMin: '#overlay-legend-min',
+            overlayLegendMax: '#overlay-legend-max',
             edgeWeightSlider: '#edge-weight',
             edgeWeightValue: '#edge-weight-value',
             cornerWeightSlider: '#corner-weight',
@@ -41,6 +68,15 @@ export class UIController {
             neighborWeightValue: '#neighbor-weight-value',
             holeIsolationWeightSlider: '#hole-isolation-weight',
             holeIsolationWeightValue: '#hole-isolation-weight-value',
+            outlineWeightSlider: '#outline-weight',
+            outlineWeightValue: '#outline-weight-value',
+            wallWeightSlider: '#wall-weight',
+            wallWeightValue: '#wall-weight-value',
+            areaConstraintWeightSlider: '#area-constraint-weight',
+            areaConstraintWeightValue: '#area-constraint-weight-value',
+            portConnectivityWeightSlider: '#port-connectivity-weight',
+            portConnectivityWeightValue: '#port-connectivity-weight-value',
+            connectivityModeSelect: '#connectivity-mode',
             isingWeightSlider: '#ising-weight',
             isingWeightValue: '#ising-weight-value',
             isingJ1Slider: '#ising-j1',
@@ -50,6 +86,9 @@ export class UIController {
             presetSelect: '#preset-select',
             maxStepsSlider: '#max-steps',
             maxStepsValue: '#max-steps-value',
+            seedInput: '#seed-input',
+            seedApplyBtn: '#seed-apply',
+            seedRandomBtn: '#seed-random',
             // Non-uniform grid controls
             gridXPointsInput: '#grid-x-points',
             gridYPointsInput: '#grid-y-points',
@@ -60,10 +99,16 @@ export class UIController {
             gridPointsJitterValue: '#grid-points-jitter-value'
             ,
             // Boundary markers controls
-            markersGroup1Input: '#markers-group1',
-            markersGroup2Input: '#markers-group2',
+            markersSpecInput: '#markers-spec',
+            markerLegend: '#marker-legend',
+            markerEditGroupSelect: '#marker-edit-group',
             markersApplyBtn: '#markers-apply',
-            markersClearBtn: '#markers-clear'
+            markersClearBtn: '#markers-clear',
+
+            // Lock mask controls
+            lockBrushCheckbox: '#lock-brush',
+            lockedCount: '#locked-count',
+            clearLocksBtn: '#clear-locks'
         };
 
         // Initialize status monitoring
@@ -126,19 +171,175 @@ export class UIController {
         }
     }
 
-    // Update area display
+    // Update area display: current / target (signed deviation)
     updateAreaDisplay(currentArea, targetArea) {
         const areaElement = this.getElement(this.selectors.areaDisplay);
         const targetElement = this.getElement(this.selectors.targetArea);
 
         if (areaElement) {
-            areaElement.textContent = `${currentArea.toFixed(1)} / ${targetArea}`;
+            areaElement.textContent = `${currentArea.toFixed(1)} / ${targetArea} (${UIController.formatAreaDeviation(currentArea - targetArea)})`;
         }
         if (targetElement) {
             targetElement.textContent = targetArea;
         }
     }
 
+    // Update live acceptance rate (fraction in [0,1]) in the status bar
+    updateAcceptanceDisplay(rate) {
+        const element = this.getElement(this.selectors.acceptanceDisplay);
+        if (element) {
+            element.textContent = `${(rate * 100).toFixed(1)}%`;
+        }
+    }
+
+    // Placeholder text for the schedule parameter field; types without parameters hide it
+    static SCHEDULE_PARAM_HINTS = {
+        lundyMees: 'beta (blank = reach min T at max steps)',
+        cosineRestart: 'period[:decay], e.g. 2000:0.8',
+        piecewise: 'step:temp, ... e.g. 0:10, 5000:1, 10000:0.01'
+    };
+
+    // Build a schedule object from the select + parameter field. Returns { ok, errors, schedule }
+    readCoolingSchedule() {
+        const type = this.getElement(this.selectors.coolingScheduleSelect)?.value || 'exponential';
+        const text = this.getElement(this.selectors.coolingScheduleParam)?.value.trim() || '';
+        const schedule = { type };
+
+        if (type === 'lundyMees' && text) {
+            schedule.beta = Number(text);
+        } else if (type === 'cosineRestart' && text) {
+            const [period, decay] = text.split(':').map(Number);
+            schedule.period = period;
+            if (decay !== undefined) schedule.restartDecay = decay;
+        } else if (type === 'piecewise') {
+            schedule.points = CoolingSchedule.parsePoints(text);
+        }
+
+        return { ...CoolingSchedule.validate(schedule), schedule };
+    }
+
+    // Reflect a schedule object in the schedule controls
+    updateCoolingScheduleControls(schedule) {
+        const select = this.getElement(this.selectors.coolingScheduleSelect);
+        const param = this.getElement(this.selectors.coolingScheduleParam);
+        if (select) select.value = schedule.type;
+        if (!param) return;
+
+        const hint = UIController.SCHEDULE_PARAM_HINTS[schedule.type];
+        param.classList.toggle('hidden', !hint);
+        param.placeholder = hint || '';
+        if (schedule.type === 'lundyMees') {
+            param.value = schedule.beta ?? '';
+        } else if (schedule.type === 'cosineRestart') {
+            param.value = schedule.period === undefined ? '' :
+                schedule.period + (schedule.restartDecay !== undefined ? `:${schedule.restartDecay}` : '');
+        } else if (schedule.type === 'piecewise') {
+            param.value = (schedule.points || []).map(([step, temperature]) => `${step}:${temperature}`).join(', ');
+        } else {
+            param.value = '';
+        }
+    }
+
+    // Read replica exchange settings. Returns { ok, errors, settings }
+    readParallelTemperingSettings() {
+        const value = (selector, fallback) => parseFloat(this.getElement(selector)?.value ?? fallback);
+        const settings = {
+            replicas: Math.round(value(this.selectors.ptReplicasInput, '4')),
+            minTemperature: value(this.selectors.ptMinTemperatureInput, '0.05'),
+            maxTemperature: value(this.selectors.ptMaxTemperatureInput, '5'),
+            swapInterval: Math.round(value(this.selectors.ptSwapIntervalInput, '10'))
+        };
+
+        const errors = [];
+        if (!(settings.replicas >= 2 && settings.replicas <= 16)) errors.push('Replicas must be between 2 and 16.');
+        if (!(settings.minTemperature > 0 && settings.maxTemperature > settings.minTemperature)) {
+            errors.push('Replica temperatures need 0 < T min < T max.');
+        }
+        if (!(settings.swapInterval >= 1)) errors.push('Swap interval must be at least 1 step.');
+        return { ok: errors.length === 0, errors, settings };
+    }
+
+    // Fill the replica view select with the temperature ladder (empty hides the controls)
+    updateReplicaOptions(temperatures, selected) {
+        const select = this.getElement(this.selectors.ptViewSelect);
+        if (select) {
+            select.innerHTML = '';
+            temperatures.forEach((temperature, index) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = `#${index} (T=${temperature.toFixed(3)})`;
+                select.appendChild(option);
+            });
+            select.value = selected;
+        }
+        if (temperatures.length === 0) {
+            const stats = this.getElement(this.selectors.ptStats);
+            if (stats) stats.textContent = '';
+        }
+    }
+
+    // Per-replica statistics table; the viewed replica is marked with '>'
+    updateParallelTemperingStats(stats, viewed) {
+        const element = this.getElement(this.selectors.ptStats);
+        if (!element) return;
+
+        const percent = (rate) => rate === null ? '   -' : `${(rate * 100).toFixed(0)}%`.padStart(4);
+        const lines = ['  #      T    energy  acc  swap'];
+        for (const replica of stats) {
+            lines.push(
+                `${replica.index === viewed ? '>' : ' '}${String(replica.index).padStart(2)} ` +
+                `${replica.temperature.toFixed(3).padStart(6)} ${replica.energy.toFixed(1).padStart(9)} ` +
+                `${percent(replica.recentAcceptanceRate)} ${percent(replica.swapAcceptanceRate)}`
+            );
+        }
+        element.textContent = lines.join('\n');
+    }
+
+    // Move mix weights ({ name: weight }) in their inputs
+    updateMoveControls(weights) {
+        for (const input of this.getElements(this.selectors.moveWeightInputs)) {
+            const weight = weights[input.dataset.moveWeight];
+            if (weight !== undefined) input.value = weight;
+        }
+    }
+
+    // Per move type acceptance rate, from EvolutionEngine.getMoveStats()
+    updateMoveStats(stats) {
+        for (const element of this.getElements(this.selectors.moveAcceptanceDisplays)) {
+            const entry = stats[element.dataset.moveAcceptance];
+            element.textContent = entry && entry.acceptanceRate !== null
+                ? `${(entry.acceptanceRate * 100).toFixed(1)}%`
+                : '--';
+            element.title = entry ? `${entry.accepted} of ${entry.proposed} proposals accepted` : '';
+        }
+    }
+
+    // Heatmap legend: { gradient (CSS), min, max }, or null to hide it
+    updateOverlayLegend(legend) {
+        const element = this.getElement(this.selectors.overlayLegend);
+        if (!element) return;
+
+        element.classList.toggle('hidden', !legend);
+        if (!legend) return;
+
+        const bar = this.getElement(this.selectors.overlayLegendBar);
+        const min = this.getElement(this.selectors.overlayLegendMin);
+        const max = this.getElement(this.selectors.overlayLegendMax);
+        if (bar) bar.style.background = legend.gradient;
+        if (min) min.textContent = legend.min.toFixed(2);
+        if (max) max.textContent = legend.max.toFixed(2);
+    }
+
+    // Reflect adaptive cooling settings in the annealing controls
+    updateAdaptiveCoolingControls(settings) {
+        const checkbox = this.getElement(this.selectors.adaptiveCoolingCheckbox);
+        const low = this.getElement(this.selectors.adaptiveLowInput);
+        const high = this.getElement(this.selectors.adaptiveHighInput);
+        if (checkbox) checkbox.checked = settings.enabled;
+        if (low) low.value = settings.lowAcceptance;
+        if (high) high.value = settings.highAcceptance;
+    }
+
     // Update button states based on simulation status
     updateButtonStatesFromStatus(status) {
         const startBtn = this.getElement(this.selectors.startBtn);
@@ -195,11 +396,38 @@ export class UIController {
         }
     }
 
-    // Update speed display
+    // Signed area deviation from the target, e.g. "+2.5", "-1.0", "±0"
+    static formatAreaDeviation(deviation) {
+        if (Math.abs(deviation) < 0.05) return '±0';
+        return `${deviation > 0 ? '+' : '−'}${Math.abs(deviation).toFixed(1)}`;
+    }
+
+    // Speed slider positions (index -> steps per second); the last one is "max"
+    static SPEED_STEPS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000, 10000, 'max'];
+
+    static speedFromSlider(index) {
+        const steps = UIController.SPEED_STEPS;
+        return steps[Math.max(0, Math.min(steps.length - 1, index))];
+    }
+
+    // Nearest slider position for a steps-per-second target (compared on a log scale)
+    static sliderFromSpeed(speed) {
+        const steps = UIController.SPEED_STEPS;
+        if (speed === 'max') return steps.length - 1;
+        let best = 0;
+        for (let i = 1; i < steps.length - 1; i++) {
+            if (Math.abs(Math.log(steps[i] / speed)) < Math.abs(Math.log(steps[best] / speed))) {
+                best = i;
+            }
+        }
+        return best;
+    }
+
+    // Update speed display (steps per second or "max")
     updateSpeedDisplay(speed) {
         const element = this.getElement(this.selectors.speedValue);
         if (element) {
-            element.textContent = speed + 'ms';
+            element.textContent = speed === 'max' ? 'max' : `${speed} steps/s`;
         }
     }
 
@@ -271,6 +499,34 @@ export class UIController {
         }
     }
 
+    updateOutlineWeightDisplay(weight) {
+        const element = this.getElement(this.selectors.outlineWeightValue);
+        if (element) {
+            element.textContent = weight.toFixed(1);
+        }
+    }
+
+    updateWallWeightDisplay(weight) {
+        const element = this.getElement(this.selectors.wallWeightValue);
+        if (element) {
+            element.textContent = weight.toFixed(1);
+        }
+    }
+
+    updateAreaConstraintWeightDisplay(weight) {
+        const element = this.getElement(this.selectors.areaConstraintWeightValue);
+        if (element) {
+            element.textContent = weight.toFixed(1);
+        }
+    }
+
+    updatePortConnectivityWeightDisplay(weight) {
+        const element = this.getElement(this.selectors.portConnectivityWeightValue);
+        if (element) {
+            element.textContent = weight.toFixed(1);
+        }
+    }
+
     updateIsingWeightDisplay(weight) {
         const element = this.getElement(this.selectors.isingWeightValue);
         if (element) {
@@ -300,6 +556,14 @@ export class UIController {
         }
     }
 
+    // Update random seed input
+    updateSeedDisplay(seed) {
+        const element = this.getElement(this.selectors.seedInput);
+        if (element) {
+            element.value = seed;
+        }
+    }
+
     // Show/hide annealing controls
     toggleAnnealingControls(show) {
         const controls = this.getElement(this.selectors.annealingControls);
@@ -347,6 +611,25 @@ export class UIController {
             snapshotBtn.addEventListener('click', handlers.onSnapshot);
         }
 
+        // Load snapshot: button opens the hidden file picker, handler receives the JSON text
+        const loadSnapshotBtn = this.getElement(this.selectors.loadSnapshotBtn);
+        const loadSnapshotInput = this.getElement(this.selectors.loadSnapshotInput);
+        if (loadSnapshotBtn && loadSnapshotInput && handlers.onLoadSnapshot) {
+            loadSnapshotBtn.addEventListener('click', () => loadSnapshotInput.click());
+            loadSnapshotInput.addEventListener('change', async (e) => {
+                const file = e.target.files?.[0];
+                if (!file) return;
+                try {
+                    handlers.onLoadSnapshot(await file.text());
+                } catch (error) {
+                    this.showMessage(`Could not read snapshot file: ${error.message}`, 'error');
+                } finally {
+                    // Allow re-selecting the same file
+                    loadSnapshotInput.value = '';
+                }
+            });
+        }
+
         // Grid size
         const gridSizeSelect = this.getElement(this.selectors.gridSizeSelect);
         if (gridSizeSelect && handlers.onGridSizeChange) {
@@ -360,7 +643,7 @@ export class UIController {
         const speedSlider = this.getElement(this.selectors.speedSlider);
         if (speedSlider && handlers.onSpeedChange) {
             speedSlider.addEventListener('input', (e) => {
-                const speed = parseInt(e.target.value);
+                const speed = UIController.speedFromSlider(parseInt(e.target.value));
                 handlers.onSpeedChange(speed);
             });
         }
@@ -400,6 +683,117 @@ export class UIController {
             });
         }
 
+        // Cooling schedule
+        const scheduleSelect = this.getElement(this.selectors.coolingScheduleSelect);
+        const scheduleParam = this.getElement(this.selectors.coolingScheduleParam);
+        if (scheduleSelect && handlers.onCoolingScheduleChange) {
+            scheduleSelect.addEventListener('change', (e) => {
+                const hint = UIController.SCHEDULE_PARAM_HINTS[e.target.value];
+                if (scheduleParam) {
+                    scheduleParam.classList.toggle('hidden', !hint);
+                    scheduleParam.placeholder = hint || '';
+                    scheduleParam.value = '';
+                }
+                // Piecewise needs its points before it can be applied
+                if (e.target.value !== 'piecewise') {
+                    handlers.onCoolingScheduleChange(this.readCoolingSchedule().schedule);
+                }
+            });
+        }
+        if (scheduleParam && handlers.onCoolingScheduleChange) {
+            scheduleParam.addEventListener('change', () => {
+                const result = this.readCoolingSchedule();
+                if (!result.ok) {
+                    this.showMessage(result.errors.join(' '), 'error');
+                    return;
+                }
+                handlers.onCoolingScheduleChange(result.schedule);
+            });
+        }
+
+        // Parallel tempering
+        const ptCheckbox = this.getElement(this.selectors.ptEnabledCheckbox);
+        if (ptCheckbox && handlers.onParallelTemperingChange) {
+            const applySettings = () => {
+                this.getElement(this.selectors.ptControls)?.classList.toggle('hidden', !ptCheckbox.checked);
+                if (!ptCheckbox.checked) {
+                    handlers.onParallelTemperingChange(null);
+                    return;
+                }
+                const result = this.readParallelTemperingSettings();
+                if (!result.ok) {
+                    this.showMessage(result.errors.join(' '), 'error');
+                    return;
+                }
+                handlers.onParallelTemperingChange(result.settings);
+            };
+            ptCheckbox.addEventListener('change', applySettings);
+            [
+                this.selectors.ptReplicasInput,
+                this.selectors.ptMinTemperatureInput,
+                this.selectors.ptMaxTemperatureInput,
+                this.selectors.ptSwapIntervalInput
+            ].forEach(selector => this.getElement(selector)?.addEventListener('change', () => {
+                if (ptCheckbox.checked) applySettings();
+            }));
+        }
+
+        const ptViewSelect = this.getElement(this.selectors.ptViewSelect);
+        if (ptViewSelect && handlers.onReplicaViewChange) {
+            ptViewSelect.addEventListener('change', (e) => {
+                handlers.onReplicaViewChange(parseInt(e.target.value));
+            });
+        }
+
+        // Energy heatmap overlay: term (empty = off) and colour scale
+        if (handlers.onEnergyOverlayChange) {
+            const termSelect = this.getElement(this.selectors.overlayTermSelect);
+            const scaleSelect = this.getElement(this.selectors.overlayScaleSelect);
+            const applyOverlay = () => handlers.onEnergyOverlayChange({
+                term: termSelect?.value || null,
+                colorScale: scaleSelect?.value || 'heat'
+            });
+            termSelect?.addEventListener('change', applyOverlay);
+            scaleSelect?.addEventListener('change', applyOverlay);
+        }
+
+        // Adaptive cooling thresholds
+        const adaptiveControls = [
+            this.selectors.adaptiveCoolingCheckbox,
+            this.selectors.adaptiveLowInput,
+            this.selectors.adaptiveHighInput
+        ].map(selector => this.getElement(selector));
+        if (handlers.onAdaptiveCoolingChange) {
+            const [checkbox, low, high] = adaptiveControls;
+            adaptiveControls.forEach(element => element?.addEventListener('change', () => {
+                const lowAcceptance = parseFloat(low?.value ?? '0.2');
+                const highAcceptance = parseFloat(high?.value ?? '0.8');
+                if (!(lowAcceptance >= 0 && lowAcceptance < highAcceptance && highAcceptance <= 1)) {
+                    this.showMessage('Adaptive thresholds need 0 <= low < high <= 1.', 'error');
+                    return;
+                }
+                handlers.onAdaptiveCoolingChange({
+                    enabled: checkbox ? checkbox.checked : true,
+                    lowAcceptance,
+                    highAcceptance
+                });
+            }));
+        }
+
+        // Move mix weights
+        if (handlers.onMoveWeightsChange) {
+            for (const input of this.getElements(this.selectors.moveWeightInputs)) {
+                input.addEventListener('change', () => {
+                    const weight = parseFloat(input.value);
+                    if (!(weight >= 0)) {
+                        this.showMessage('Move weights must be non-negative numbers.', 'error');
+                        return;
+                    }
+                    handlers.onMoveWeightsChange({ [input.dataset.moveWeight]: weight });
+                });
+            }
+        }
+
         // Area preservation
         const areaPreservationCheckbox = this.getElement(this.selectors.areaPreservationCheckbox);
         if (areaPreservationCheckbox && handlers.onAreaPreservationChange) {
@@ -451,6 +845,45 @@ export class UIController {
             });
         }
 
+        const outlineWeightSlider = this.getElement(this.selectors.outlineWeightSlider);
+        if (outlineWeightSlider && handlers.onOutlineWeightChange) {
+            outlineWeightSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                handlers.onOutlineWeightChange(value);
+            });
+        }
+
+        const wallWeightSlider = this.getElement(this.selectors.wallWeightSlider);
+        if (wallWeightSlider && handlers.onWallWeightChange) {
+            wallWeightSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                handlers.onWallWeightChange(value);
+            });
+        }
+
+        const areaConstraintWeightSlider = this.getElement(this.selectors.areaConstraintWeightSlider);
+        if (areaConstraintWeightSlider && handlers.onAreaConstraintWeightChange) {
+            areaConstraintWeightSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                handlers.onAreaConstraintWeightChange(value);
+            });
+        }
+
+        const portConnectivityWeightSlider = this.getElement(this.selectors.portConnectivityWeightSlider);
+        if (portConnectivityWeightSlider && handlers.onPortConnectivityWeightChange) {
+            portConnectivityWeightSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                handlers.onPortConnectivityWeightChange(value);
+            });
+        }
+
+        const connectivityModeSelect = this.getElement(this.selectors.connectivityModeSelect);
+        if (connectivityModeSelect && handlers.onConnectivityModeChange) {
+            connectivityModeSelect.addEventListener('change', (e) => {
+                handlers.onConnectivityModeChange(e.target.value);
+            });
+        }
+
         const isingWeightSlider = this.getElement(this.selectors.isingWeightSlider);
         if (isingWeightSlider && handlers.onIsingWeightChange) {
             isingWeightSlider.addEventListener('input', (e) => {
@@ -484,6 +917,25 @@ export class UIController {
             });
         }
 
+        // Random seed
+        const seedApplyBtn = this.getElement(this.selectors.seedApplyBtn);
+        if (seedApplyBtn && handlers.onSeedChange) {
+            seedApplyBtn.addEventListener('click', () => {
+                const text = this.getElement(this.selectors.seedInput)?.value.trim() || '';
+                const seed = Number(text);
+                if (!/^\d+$/.test(text) || seed > 0xFFFFFFFF) {
+                    this.showMessage('Seed must be an integer between 0 and 4294967295.', 'error');
+                    return;
+                }
+                handlers.onSeedChange(seed);
+            });
+        }
+
+        const seedRandomBtn = this.getElement(this.selectors.seedRandomBtn);
+        if (seedRandomBtn && handlers.onSeedRandom) {
+            seedRandomBtn.addEventListener('click', () => handlers.onSeedRandom());
+        }
+
         // Presets
         const presetSelect = this.getElement(this.selectors.presetSelect);
         if (presetSelect && handlers.onPresetChange) {
@@ -544,6 +996,11 @@ export class UIController {
             markersClear.addEventListener('click', () => handlers.onMarkersClear());
         }
 
+        const clearLocks = this.getElement(this.selectors.clearLocksBtn);
+        if (clearLocks && handlers.onClearLocks) {
+            clearLocks.addEventListener('click', () => handlers.onClearLocks());
+        }
+
         this.log('Event handlers bound');
     }
 
@@ -568,30 +1025,46 @@ export class UIController {
         }
     }
 
-    // Parse boundary marker inputs from UI into spec
-    // Input format per group: comma-separated entries like "top:0-4" or "left:3:5"
-    // Returns { spec: {group1: Marker[], group2: Marker[] } } or { error }
+    // Parse boundary marker inputs from UI into spec, one group per line (see
+    // parseMarkerGroupLine). Returns { spec: { [name]: { label?, color?, role?, markers } } } or { error }
     getMarkerInputs() {
-        const g1Text = this.getElement(this.selectors.markersGroup1Input)?.value || '';
-        const g2Text = this.getElement(this.selectors.markersGroup2Input)?.value || '';
-
-        const parseGroup = (text) => {
-            const entries = text.split(',').map(s => s.trim()).filter(Boolean);
-            const markers = [];
-            for (const e of entries) {
-                const m = this.parseMarkerEntry(e);
-                if (!m) return { error: `Invalid marker entry: "${e}"` };
-                markers.push(m);
-            }
-            return { markers };
-        };
+        const text = this.getElement(this.selectors.markersSpecInput)?.value || '';
+        const spec = {};
+        for (const line of text.split('\n').map(s => s.trim()).filter(Boolean)) {
+            const result = this.parseMarkerGroupLine(line);
+            if (result.error) return { error: result.error };
+            if (spec[result.name]) return { error: `Marker group "${result.name}" is defined twice` };
+            spec[result.name] = result.group;
+        }
+        return { spec };
+    }
 
-        const r1 = parseGroup(g1Text);
-        if (r1.error) return { error: r1.error };
-        const r2 = parseGroup(g2Text);
-        if (r2.error) return { error: r2.error };
+    // Parse one group line: name [role] [#colour] ["Label"]: entry, entry, ...
+    // e.g. 'inlet source #ff0000 "Inlet": left:3-6'. Entries use parseMarkerEntry()
+    // Returns { name, group: { label?, color?, role?, markers } } or { error }
+    parseMarkerGroupLine(line) {
+        const match = line.match(/^([A-Za-z_][\w-]*)\s*([^:"]*?)\s*(?:"([^"]*)")?\s*:(.*)$/);
+        if (!match) return { error: `Invalid marker group line: "${line}"` };
+        const [, name, options, label, entriesText] = match;
+
+        const group = { markers: [] };
+        if (label !== undefined) group.label = label;
+        for (const option of options.split(/\s+/).filter(Boolean)) {
+            if (GridCore.MARKER_ROLES.includes(option.toLowerCase())) {
+                group.role = option.toLowerCase();
+            } else if (/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(option)) {
+                group.color = option;
+            } else {
+                return { error: `Unknown option "${option}" for marker group "${name}"` };
+            }
+        }
 
-        return { spec: { group1: r1.markers, group2: r2.markers } };
+        for (const e of entriesText.split(',').map(s => s.trim()).filter(Boolean)) {
+            const m = this.parseMarkerEntry(e);
+            if (!m) return { error: `Invalid marker entry: "${e}"` };
+            group.markers.push(m);
+        }
+        return { name, group };
     }
 
     // Parse a single marker entry string into {side,start,length}
@@ -622,6 +1095,217 @@ export class UIController {
         return { side, start, length };
     }
 
+    // Inverse of parseMarkerEntry(): "side:start-end"
+    static formatMarkerEntry(marker) {
+        return `${marker.side}:${marker.start}-${marker.start + marker.length - 1}`;
+    }
+
+    // Inverse of parseMarkerGroupLine() for a group as from GridCore.getBoundaryMarkers()
+    static formatMarkerGroupLine(name, group) {
+        const entries = GridCore.MARKER_SIDES
+            .flatMap(side => group[side] || [])
+            .map(m => UIController.formatMarkerEntry(m))
+            .join(', ');
+        return `${name} ${group.role} ${group.color} "${group.label.replace(/"/g, "'")}": ${entries}`.trimEnd();
+    }
+
+    // Show markers (as from GridCore.getBoundaryMarkers()) in the text input, the legend
+    // and the choice of group to draw on the canvas
+    setMarkerInputs(markers) {
+        const groups = Object.entries(markers || {});
+        const input = this.getElement(this.selectors.markersSpecInput);
+        if (input) {
+            input.value = groups.map(([name, group]) => UIController.formatMarkerGroupLine(name, group)).join('\n');
+        }
+
+        const legend = this.getElement(this.selectors.markerLegend);
+        if (legend) {
+            legend.replaceChildren(...groups.map(([name, group]) => {
+                const item = document.createElement('span');
+                item.className = 'inline-flex items-center gap-1';
+                item.title = name;
+                const swatch = document.createElement('span');
+                swatch.className = 'inline-block w-2.5 h-2.5 rounded-sm';
+                swatch.style.backgroundColor = group.color;
+                item.append(swatch, `${group.label} (${group.role})`);
+                return item;
+            }));
+        }
+
+        const select = this.getElement(this.selectors.markerEditGroupSelect);
+        if (select) {
+            const previous = select.value;
+            select.replaceChildren(...groups.map(([name, group]) => new Option(group.label, name)));
+            if (groups.some(([name]) => name === previous)) select.value = previous;
+        }
+    }
+
+    // Group new canvas markers go to: the one chosen in the UI, else the first
+    getMarkerEditGroup(markers) {
+        const chosen = this.getElement(this.selectors.markerEditGroupSelect)?.value;
+        return chosen && markers[chosen] ? chosen : Object.keys(markers)[0];
+    }
+
+    // Bind marker editing in the band around the grid: drag from an empty slot to create a
+    // marker in the group chosen in the UI, drag a marker to move it, drag one of its ends to
+    // resize it, click it to delete it. onMarkersEdited(spec) receives the full
+    // setBoundaryMarkers() spec; edits that would overlap are previewed in red and dropped
+    bindMarkerEditHandler(canvas, gridRenderer, gridCore, onMarkersEdited) {
+        if (!canvas || !gridRenderer || !gridCore) {
+            this.log('Missing required components for marker edit handler');
+            return;
+        }
+
+        const editor = new MarkerEditor(gridCore);
+        // The click that follows a drag ending inside the grid must not toggle a cell
+        let suppressClick = false;
+
+        const getMousePos = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            return {
+                x: e.clientX - rect.left,
+                y: e.clientY - rect.top
+            };
+        };
+
+        const slotFor = (e) => {
+            const { x, y } = getMousePos(e);
+            if (editor.followsPointerSide) {
+                const slot = gridRenderer.getMarkerSlotFromCanvasPosition(x, y);
+                if (slot.valid) return slot;
+            }
+            return gridRenderer.getMarkerSlotFromCanvasPosition(x, y, editor.dragSide);
+        };
+
+        const redraw = (preview) => {
+            gridRenderer.setMarkerPreview(preview);
+            if (this.currentGrid && this.currentStates) {
+                gridRenderer.render(this.currentGrid, this.currentStates);
+            }
+        };
+
+        canvas.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || e.ctrlKey) return;
+            const { x, y } = getMousePos(e);
+            const slot = gridRenderer.getMarkerSlotFromCanvasPosition(x, y);
+            if (!slot.valid) return;
+
+            const group = this.getMarkerEditGroup(gridCore.getBoundaryMarkers());
+            if (!group) return;
+            editor.begin(slot, group);
+            canvas.style.cursor = 'grabbing';
+            redraw(editor.candidate);
+            e.preventDefault();
+        });
+
+        canvas.addEventListener('mousemove', (e) => {
+            if (!editor.active) {
+                if (!e.ctrlKey) {
+                    const { x, y } = getMousePos(e);
+                    const overBand = gridRenderer.getMarkerSlotFromCanvasPosition(x, y).valid;
+                    canvas.style.cursor = overBand ? 'pointer' : 'default';
+                }
+                return;
+            }
+            redraw(editor.update(slotFor(e)));
+        });
+
+        canvas.addEventListener('mouseup', (e) => {
+            if (!editor.active) return;
+            editor.update(slotFor(e));
+            const { errors } = editor.candidate;
+            const spec = editor.end();
+            suppressClick = true;
+            canvas.style.cursor = 'default';
+            redraw(null);
+
+            if (spec) {
+                onMarkersEdited?.(spec);
+            } else if (errors.length > 0) {
+                this.showMessage(`Marker edit rejected: ${errors[0]}`, 'error');
+            }
+        });
+
+        canvas.addEventListener('click', (e) => {
+            if (suppressClick) {
+                suppressClick = false;
+                e.stopImmediatePropagation();
+            }
+        }, true);
+
+        canvas.addEventListener('mouseleave', () => {
+            if (editor.active) {
+                editor.cancel();
+                canvas.style.cursor = 'default';
+                redraw(null);
+            }
+        });
+
+        this.log('Marker edit handler bound to canvas');
+    }
+
+    isLockBrushActive() {
+        return this.getElement(this.selectors.lockBrushCheckbox)?.checked === true;
+    }
+
+    // Bind the lock brush: with it active, pressing on a cell locks it (or unlocks it if it
+    // was locked) and dragging paints the same onto every cell passed over.
+    // onLocksChanged() is called once per stroke that changed something
+    bindLockBrushHandler(canvas, gridRenderer, gridCore, onLocksChanged) {
+        if (!canvas || !gridRenderer || !gridCore) {
+            this.log('Missing required components for lock brush handler');
+            return;
+        }
+
+        let painting = null; // true to lock, false to unlock
+        let changed = false;
+
+        const paintAt = (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const cell = gridRenderer.getCellFromCanvasPosition(e.clientX - rect.left, e.clientY - rect.top);
+            if (!cell.valid) return null;
+            if (gridCore.setLocked(cell.row, cell.col, painting)) {
+                changed = true;
+                if (this.currentGrid && this.currentStates) {
+                    gridRenderer.setLockMask(gridCore.lockMask);
+                    gridRenderer.render(this.currentGrid, this.currentStates);
+                }
+            }
+            return cell;
+        };
+
+        const finish = () => {
+            if (painting === null) return;
+            painting = null;
+            canvas.style.cursor = 'default';
+            if (changed) {
+                changed = false;
+                onLocksChanged?.();
+            }
+        };
+
+        canvas.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || e.ctrlKey || !this.isLockBrushActive()) return;
+            const rect = canvas.getBoundingClientRect();
+            const cell = gridRenderer.getCellFromCanvasPosition(e.clientX - rect.left, e.clientY - rect.top);
+            if (!cell.valid) return;
+
+            painting = !gridCore.isLocked(cell.row, cell.col);
+            canvas.style.cursor = 'cell';
+            paintAt(e);
+            e.preventDefault();
+        });
+
+        canvas.addEventListener('mousemove', (e) => {
+            if (painting !== null) paintAt(e);
+        });
+
+        canvas.addEventListener('mouseup', finish);
+        canvas.addEventListener('mouseleave', finish);
+
+        this.log('Lock brush handler bound to canvas');
+    }
+
     // Bind canvas click handler
     bindCanvasClickHandler(canvas, handler) {
         if (canvas && handler) {
@@ -848,6 +1532,14 @@ export class UIController {
             this.updateMaxStepsDisplay(data.maxSteps);
         }
 
+        if (data.acceptanceRate !== undefined) {
+            this.updateAcceptanceDisplay(data.acceptanceRate);
+        }
+
+        if (data.moveStats !== undefined) {
+            this.updateMoveStats(data.moveStats);
+        }
+
         
         if (data.showAnnealingControls !== undefined) {
             this.toggleAnnealingControls(data.showAnnealingControls);
@@ -874,13 +1566,76 @@ export class UIController {
         if (data.holeIsolationWeight !== undefined) {
             this.updateHoleIsolationWeightDisplay(data.holeIsolationWeight);
         }
+
+        if (data.outlineWeight !== undefined) {
+            this.updateOutlineWeightDisplay(data.outlineWeight);
+        }
+
+        if (data.wallWeight !== undefined) {
+            this.updateWallWeightDisplay(data.wallWeight);
+        }
+
+        if (data.areaConstraintWeight !== undefined) {
+            this.updateAreaConstraintWeightDisplay(data.areaConstraintWeight);
+        }
+
+        if (data.lockedCount !== undefined) {
+            const element = this.getElement(this.selectors.lockedCount);
+            if (element) element.textContent = data.lockedCount;
+        }
+
+        if (data.portConnectivityWeight !== undefined) {
+            this.updatePortConnectivityWeightDisplay(data.portConnectivityWeight);
+        }
+    }
+
+    // Move sliders/selects to the given values (e.g. after loading a snapshot)
+    // and refresh their value displays
+    syncControlValues(values) {
+        const controls = {
+            gridSize: this.selectors.gridSizeSelect,
+            speed: this.selectors.speedSlider,
+            temperature: this.selectors.temperatureSlider,
+            coolingRate: this.selectors.coolingRateSlider,
+            maxSteps: this.selectors.maxStepsSlider,
+            edgeWeight: this.selectors.edgeWeightSlider,
+            cornerWeight: this.selectors.cornerWeightSlider,
+            zebraWeight: this.selectors.zebraWeightSlider,
+            neighborWeight: this.selectors.neighborWeightSlider,
+            holeIsolationWeight: this.selectors.holeIsolationWeightSlider,
+            outlineWeight: this.selectors.outlineWeightSlider,
+            wallWeight: this.selectors.wallWeightSlider,
+            areaConstraintWeight: this.selectors.areaConstraintWeightSlider,
+            portConnectivityWeight: this.selectors.portConnectivityWeightSlider,
+            connectivityMode: this.selectors.connectivityModeSelect,
+            isingWeight: this.selectors.isingWeightSlider,
+            isingJ1: this.selectors.isingJ1Slider,
+            isingJ2: this.selectors.isingJ2Slider
+        };
+
+        for (const [key, selector] of Object.entries(controls)) {
+            const element = this.getElement(selector);
+            if (element && values[key] !== undefined) {
+                element.value = key === 'speed' ? UIController.sliderFromSpeed(values[key]) : values[key];
+            }
+        }
+
+        const areaPreservationCheckbox = this.getElement(this.selectors.areaPreservationCheckbox);
+        if (areaPreservationCheckbox && values.areaPreservation !== undefined) {
+            areaPreservationCheckbox.checked = values.areaPreservation;
+        }
+
+        this.updateUI(values);
+        if (values.isingWeight !== undefined) this.updateIsingWeightDisplay(values.isingWeight);
+        if (values.isingJ1 !== undefined) this.updateIsingJ1Display(values.isingJ1);
+        if (values.isingJ2 !== undefined) this.updateIsingJ2Display(values.isingJ2);
     }
 
     // Get current values from UI controls
     getUIValues() {
         return {
             gridSize: parseInt(this.getElement(this.selectors.gridSizeSelect)?.value || '32'),
-            evolutionSpeed: parseInt(this.getElement(this.selectors.speedSlider)?.value || '2'),
+            stepsPerSecond: UIController.speedFromSlider(parseInt(this.getElement(this.selectors.speedSlider)?.value || '13')),
             temperature: parseFloat(this.getElement(this.selectors.temperatureSlider)?.value || '1.0'),
             coolingRate: parseFloat(this.getElement(this.selectors.coolingRateSlider)?.value || '0.995'),
             areaPreservation: this.getElement(this.selectors.areaPreservationCheckbox)?.checked !== false,
@@ -889,6 +1644,11 @@ export class UIController {
             zebraWeight: parseFloat(this.getElement(this.selectors.zebraWeightSlider)?.value || '2.5'),
             neighborWeight: parseFloat(this.getElement(this.selectors.neighborWeightSlider)?.value || '2.0'),
             holeIsolationWeight: parseFloat(this.getElement(this.selectors.holeIsolationWeightSlider)?.value || '2.5'),
+            outlineWeight: parseFloat(this.getElement(this.selectors.outlineWeightSlider)?.value || '1.0'),
+            wallWeight: parseFloat(this.getElement(this.selectors.wallWeightSlider)?.value || '2.0'),
+            areaConstraintWeight: parseFloat(this.getElement(this.selectors.areaConstraintWeightSlider)?.value || '5.0'),
+            portConnectivityWeight: parseFloat(this.getElement(this.selectors.portConnectivityWeightSlider)?.value || '10.0'),
+            connectivityMode: this.getElement(this.selectors.connectivityModeSelect)?.value || 'off',
             maxSteps: parseInt(this.getElement(this.selectors.maxStepsSlider)?.value || '1000')
         };
     }